@@ -0,0 +1,75 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Create the "DoctorSchedules" table (weekly working hours)
+    await queryInterface.createTable("DoctorSchedules", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Doctor who owns these working hours
+      doctorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // Day of the week (0 = Sunday … 6 = Saturday)
+      dayOfWeek: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+
+      // Working window for that day
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: false,
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: false,
+      },
+
+      // Length of one bookable slot, in minutes
+      slotDuration: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 30,
+      },
+
+      // Breaks inside the working window: [{ start, end }]
+      breaks: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    // A doctor has at most one set of working hours per weekday
+    await queryInterface.addIndex("DoctorSchedules", ["doctorId", "dayOfWeek"], {
+      unique: true,
+    });
+  },
+
+  // Revert migration → drop the "DoctorSchedules" table
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("DoctorSchedules");
+  },
+};
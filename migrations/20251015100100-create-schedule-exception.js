@@ -0,0 +1,65 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Create the "ScheduleExceptions" table (vacation days, time off)
+    await queryInterface.createTable("ScheduleExceptions", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Doctor who is unavailable
+      doctorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // Date the exception applies to
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+
+      // Blocked window (both null = whole day off)
+      startTime: {
+        type: Sequelize.TIME,
+        allowNull: true,
+      },
+      endTime: {
+        type: Sequelize.TIME,
+        allowNull: true,
+      },
+
+      // Optional explanation (e.g., "Vacation")
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    // Slot generation looks exceptions up by doctor and date
+    await queryInterface.addIndex("ScheduleExceptions", ["doctorId", "date"]);
+  },
+
+  // Revert migration → drop the "ScheduleExceptions" table
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("ScheduleExceptions");
+  },
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+* Migration: prevent double-booking at the database level.
+*
+* Adds a partial unique index so a doctor can hold only one active
+* (pending or confirmed) appointment per date and time. Cancelled
+* appointments are excluded, so a freed slot can be booked again.
+*/
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.addIndex("Appointments", ["doctorId", "date", "time"], {
+      name: "appointments_doctor_slot_active_unique",
+      unique: true,
+      where: { status: ["pending", "confirmed"] },
+    });
+  },
+
+  // Revert migration → drop the partial unique index
+  async down(queryInterface) {
+    await queryInterface.removeIndex(
+      "Appointments",
+      "appointments_doctor_slot_active_unique",
+    );
+  },
+};
@@ -0,0 +1,102 @@
+"use strict";
+
+/**
+* Migration: appointment lifecycle.
+*
+* 1. Adds the new statuses checked_in, completed, no_show and rescheduled
+*    to the Appointments status enum.
+* 2. Rebuilds the active-slot unique index so checked-in visits also
+*    occupy their slot.
+* 3. Creates the "AppointmentStatusHistories" audit table.
+*/
+
+const NEW_STATUSES = ["checked_in", "completed", "no_show", "rescheduled"];
+const SLOT_INDEX = "appointments_doctor_slot_active_unique";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ALTER TYPE … ADD VALUE cannot run inside a transaction block
+    for (const status of NEW_STATUSES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_Appointments_status" ADD VALUE IF NOT EXISTS '${status}';`,
+      );
+    }
+
+    await queryInterface.removeIndex("Appointments", SLOT_INDEX);
+    await queryInterface.addIndex("Appointments", ["doctorId", "date", "time"], {
+      name: SLOT_INDEX,
+      unique: true,
+      where: { status: ["pending", "confirmed", "checked_in"] },
+    });
+
+    await queryInterface.createTable("AppointmentStatusHistories", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Appointment whose status changed
+      appointmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Appointments", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // Transition (fromStatus is null for the initial booking)
+      fromStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      toStatus: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      // Foreign key → User who made the change (kept if the user is deleted)
+      actorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      actorRole: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      // Optional explanation (e.g., cancellation reason)
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("AppointmentStatusHistories", [
+      "appointmentId",
+      "createdAt",
+    ]);
+  },
+
+  // Revert migration → drop the history table and restore the old index.
+  // Postgres cannot drop enum values, so the extra statuses are left in place.
+  async down(queryInterface) {
+    await queryInterface.dropTable("AppointmentStatusHistories");
+    await queryInterface.removeIndex("Appointments", SLOT_INDEX);
+    await queryInterface.addIndex("Appointments", ["doctorId", "date", "time"], {
+      name: SLOT_INDEX,
+      unique: true,
+      where: { status: ["pending", "confirmed"] },
+    });
+  },
+};
@@ -0,0 +1,25 @@
+"use strict";
+
+/**
+* Migration: link rescheduled appointments.
+*
+* Adds "rescheduledFromId" so the appointment created by a reschedule points
+* back to the original one (which keeps its own status history).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Appointments", "rescheduledFromId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: "Appointments", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+  },
+
+  // Revert migration → drop the column
+  async down(queryInterface) {
+    await queryInterface.removeColumn("Appointments", "rescheduledFromId");
+  },
+};
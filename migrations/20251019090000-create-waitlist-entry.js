@@ -0,0 +1,102 @@
+"use strict";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Create the "WaitlistEntries" table
+    await queryInterface.createTable("WaitlistEntries", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Patient who is waiting
+      patientId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // Foreign key → Doctor the patient wants to see
+      doctorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // Acceptable date range (inclusive)
+      fromDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      toDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+
+      // Reason for the visit (used when the offer is accepted)
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      // Queue status
+      status: {
+        type: Sequelize.ENUM("waiting", "offered", "booked", "cancelled", "expired"),
+        allowNull: false,
+        defaultValue: "waiting",
+      },
+
+      // Last slot offered and how long it is held
+      offeredDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+      offeredTime: {
+        type: Sequelize.TIME,
+        allowNull: true,
+      },
+      offerExpiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      // Foreign key → Appointment created from an accepted offer
+      appointmentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Appointments", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    // Offers walk the queue of one doctor in arrival order
+    await queryInterface.addIndex("WaitlistEntries", ["doctorId", "status", "createdAt"]);
+    await queryInterface.addIndex("WaitlistEntries", ["patientId"]);
+  },
+
+  // Revert migration → drop the table and its enum type
+  async down(queryInterface) {
+    await queryInterface.dropTable("WaitlistEntries");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_WaitlistEntries_status";`,
+    );
+  },
+};
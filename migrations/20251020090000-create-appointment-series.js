@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+* Migration: recurring appointment series.
+*
+* Creates the "AppointmentSeries" table and links each occurrence through
+* Appointments.seriesId.
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("AppointmentSeries", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign keys → Patient and Doctor
+      patientId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      doctorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // Recurrence rule
+      frequency: {
+        type: Sequelize.ENUM("DAILY", "WEEKLY", "MONTHLY"),
+        allowNull: false,
+      },
+      interval: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      until: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+      rrule: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      // First occurrence and shared start time
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      time: {
+        type: Sequelize.TIME,
+        allowNull: false,
+      },
+
+      // Reason copied to every occurrence
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      status: {
+        type: Sequelize.ENUM("active", "cancelled"),
+        allowNull: false,
+        defaultValue: "active",
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    // Foreign key → Series an appointment belongs to
+    await queryInterface.addColumn("Appointments", "seriesId", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: "AppointmentSeries", key: "id" },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("Appointments", ["seriesId"]);
+  },
+
+  // Revert migration → drop the column, the table and its enum types
+  async down(queryInterface) {
+    await queryInterface.removeColumn("Appointments", "seriesId");
+    await queryInterface.dropTable("AppointmentSeries");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_AppointmentSeries_frequency";`,
+    );
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_AppointmentSeries_status";`,
+    );
+  },
+};
@@ -0,0 +1,67 @@
+"use strict";
+
+/**
+* Migration: calendar export.
+*
+* 1. Adds Appointments.sequence, the iCalendar SEQUENCE number that lets
+*    calendar apps recognise updated and cancelled events.
+* 2. Creates the "CalendarFeedTokens" table for subscribable feed URLs.
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Appointments", "sequence", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.createTable("CalendarFeedTokens", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Owner of the feed (one feed per user)
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // SHA-256 hash of the feed token
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      lastAccessedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+  },
+
+  // Revert migration → drop the table and the column
+  async down(queryInterface) {
+    await queryInterface.dropTable("CalendarFeedTokens");
+    await queryInterface.removeColumn("Appointments", "sequence");
+  },
+};
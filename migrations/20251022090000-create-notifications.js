@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+* Migration: notifications.
+*
+* Creates "Notifications" (in-app inbox) and "NotificationPreferences"
+* (per-user channel choices).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("Notifications", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Recipient
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      event: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      data: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      readAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("Notifications", ["userId", "createdAt"]);
+
+    await queryInterface.createTable("NotificationPreferences", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Owner (one row per user)
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      channels: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: { email: true, sms: false, inApp: true },
+      },
+      events: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      phoneNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+  },
+
+  // Revert migration → drop both tables
+  async down(queryInterface) {
+    await queryInterface.dropTable("NotificationPreferences");
+    await queryInterface.dropTable("Notifications");
+  },
+};
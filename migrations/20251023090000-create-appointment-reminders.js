@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+* Migration: appointment reminders.
+*
+* 1. Adds Appointments.attendanceConfirmedAt, set when the patient confirms
+*    from a reminder link.
+* 2. Creates the "AppointmentReminders" table. The unique index on
+*    (appointmentId, offsetMinutes) stops a reminder being scheduled twice.
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Appointments", "attendanceConfirmedAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable("AppointmentReminders", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Appointment being reminded about
+      appointmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Appointments", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      offsetMinutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      sendAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "sent", "failed", "cancelled"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      channels: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("AppointmentReminders", ["appointmentId", "offsetMinutes"], {
+      unique: true,
+    });
+    await queryInterface.addIndex("AppointmentReminders", ["status", "sendAt"]);
+  },
+
+  // Revert migration → drop the table, its enum and the column
+  async down(queryInterface) {
+    await queryInterface.dropTable("AppointmentReminders");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_AppointmentReminders_status";`,
+    );
+    await queryInterface.removeColumn("Appointments", "attendanceConfirmedAt");
+  },
+};
@@ -0,0 +1,119 @@
+"use strict";
+
+/**
+* Migration: sessions and refresh tokens.
+*
+* Creates "UserSessions" (one per login) and "RefreshTokens" (hashed,
+* single-use tokens; one rotation family per session).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("UserSessions", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → User who logged in
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      userAgent: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+      ipAddress: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revokedReason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("UserSessions", ["userId"]);
+
+    await queryInterface.createTable("RefreshTokens", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Session (token family)
+      sessionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "UserSessions", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // SHA-256 hash of the token
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      replacedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("RefreshTokens", ["sessionId"]);
+  },
+
+  // Revert migration → drop both tables
+  async down(queryInterface) {
+    await queryInterface.dropTable("RefreshTokens");
+    await queryInterface.dropTable("UserSessions");
+  },
+};
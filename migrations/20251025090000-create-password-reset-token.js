@@ -0,0 +1,67 @@
+"use strict";
+
+/**
+* Migration: password reset.
+*
+* Creates the "PasswordResetTokens" table (hashed, single-use, expiring
+* tokens sent by email).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("PasswordResetTokens", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → User whose password can be reset
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      // SHA-256 hash of the token
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      requestedIp: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("PasswordResetTokens", ["userId"]);
+  },
+
+  // Revert migration → drop the table
+  async down(queryInterface) {
+    await queryInterface.dropTable("PasswordResetTokens");
+  },
+};
@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+* Migration: multi-factor authentication.
+*
+* 1. Adds the TOTP columns to "Users" (mfaEnabled, mfaSecret,
+*    mfaLastUsedStep).
+* 2. Creates the "MfaRecoveryCodes" table (hashed one-time codes).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Users", "mfaEnabled", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addColumn("Users", "mfaSecret", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("Users", "mfaLastUsedStep", {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable("MfaRecoveryCodes", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Owner of the code
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      codeHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      usedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("MfaRecoveryCodes", ["userId"]);
+  },
+
+  // Revert migration → drop the table and the columns
+  async down(queryInterface) {
+    await queryInterface.dropTable("MfaRecoveryCodes");
+    await queryInterface.removeColumn("Users", "mfaLastUsedStep");
+    await queryInterface.removeColumn("Users", "mfaSecret");
+    await queryInterface.removeColumn("Users", "mfaEnabled");
+  },
+};
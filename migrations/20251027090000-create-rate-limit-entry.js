@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+* Migration: rate limiting.
+*
+* Creates the "RateLimitEntries" table used by the database rate-limit store
+* (login throttling and per-IP limits shared across server instances).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("RateLimitEntries", {
+      key: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING,
+      },
+      count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      blockedUntil: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+    });
+    await queryInterface.addIndex("RateLimitEntries", ["expiresAt"]);
+  },
+
+  // Revert migration → drop the table
+  async down(queryInterface) {
+    await queryInterface.dropTable("RateLimitEntries");
+  },
+};
@@ -0,0 +1,26 @@
+"use strict";
+
+/**
+* Migration: email verification.
+*
+* Adds Users.emailVerifiedAt. Accounts that already exist are marked as
+* verified so current patients can keep booking; accounts created from now
+* on start unverified.
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Users", "emailVerifiedAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.sequelize.query(
+      `UPDATE "Users" SET "emailVerifiedAt" = "createdAt" WHERE "emailVerifiedAt" IS NULL;`,
+    );
+  },
+
+  // Revert migration → drop the column
+  async down(queryInterface) {
+    await queryInterface.removeColumn("Users", "emailVerifiedAt");
+  },
+};
@@ -0,0 +1,161 @@
+"use strict";
+
+/**
+* Migration: doctor onboarding.
+*
+* 1. Adds Users.status (active, pending_approval, rejected). Existing
+*    accounts stay active.
+* 2. Creates "DoctorInvitations" (admin-issued sign-up links for doctors).
+* 3. Creates "DoctorApplications" (doctor sign-ups waiting for approval).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("Users", "status", {
+      type: Sequelize.STRING(32),
+      allowNull: false,
+      defaultValue: "active",
+    });
+
+    await queryInterface.createTable("DoctorInvitations", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Address the invitation was sent to (the doctor signs up with it)
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+
+      // SHA-256 hash of the invitation token
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      // Foreign key → Admin who sent the invitation
+      invitedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      acceptedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      // Foreign key → Doctor account created from the invitation
+      acceptedUserId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("DoctorInvitations", ["email"]);
+
+    await queryInterface.createTable("DoctorApplications", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+
+      // Foreign key → Applicant (doctor account in pending_approval)
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+
+      licenseNumber: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      specialty: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "approved", "rejected"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      // Foreign key → Admin who decided
+      reviewedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      rejectionReason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+  },
+
+  // Revert migration → drop the tables, the enum and the column
+  async down(queryInterface) {
+    await queryInterface.dropTable("DoctorApplications");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_DoctorApplications_status";`,
+    );
+    await queryInterface.dropTable("DoctorInvitations");
+    await queryInterface.removeColumn("Users", "status");
+  },
+};
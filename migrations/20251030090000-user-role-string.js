@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+* Migration: configurable roles.
+*
+* 1. Turns Users.role from an enum into a string, so roles added in the
+*    permission configuration need no schema change. (The original enum
+*    listed admin/manager/staff, which never matched the model.)
+* 2. Makes "patient" the default role and drops the enum type.
+*
+* Rows with roles that are not configured keep their value and simply hold
+* no permissions.
+*/
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(`
+      ALTER TABLE "Users" ALTER COLUMN "role" DROP DEFAULT;
+      ALTER TABLE "Users" ALTER COLUMN "role" TYPE VARCHAR(32) USING "role"::text;
+      ALTER TABLE "Users" ALTER COLUMN "role" SET DEFAULT 'patient';
+    `);
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_Users_role";`);
+  },
+
+  // Revert migration → back to an enum of the roles the model used to allow
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`
+      CREATE TYPE "enum_Users_role" AS ENUM ('admin', 'patient', 'doctor');
+      ALTER TABLE "Users" ALTER COLUMN "role" DROP DEFAULT;
+      ALTER TABLE "Users" ALTER COLUMN "role" TYPE "enum_Users_role" USING "role"::"enum_Users_role";
+      ALTER TABLE "Users" ALTER COLUMN "role" SET DEFAULT 'patient';
+    `);
+  },
+};
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+* Migration: PHI access audit log.
+*
+* 1. Creates the "AuditLogs" table (hash-chained access entries).
+* 2. Adds a trigger that refuses UPDATE, DELETE and TRUNCATE on it, so the
+*    log is append-only even for direct database access by the app user.
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("AuditLogs", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      sequence: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        unique: true,
+      },
+      occurredAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+
+      // No foreign keys: entries must outlive the users they mention
+      actorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      actorRole: {
+        type: Sequelize.STRING(32),
+        allowNull: true,
+      },
+      action: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+      },
+      resourceType: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+      },
+      resourceId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      patientId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      ipAddress: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      userAgent: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+      method: {
+        type: Sequelize.STRING(8),
+        allowNull: false,
+      },
+      path: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+      },
+      statusCode: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      outcome: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      prevHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex("AuditLogs", ["patientId", "occurredAt"]);
+    await queryInterface.addIndex("AuditLogs", ["actorId", "occurredAt"]);
+    await queryInterface.addIndex("AuditLogs", ["occurredAt"]);
+
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'AuditLogs is append-only (% refused)', TG_OP;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER audit_logs_no_change
+        BEFORE UPDATE OR DELETE ON "AuditLogs"
+        FOR EACH ROW EXECUTE FUNCTION audit_logs_append_only();
+
+      CREATE TRIGGER audit_logs_no_truncate
+        BEFORE TRUNCATE ON "AuditLogs"
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_logs_append_only();
+    `);
+  },
+
+  // Revert migration → drop the table, its triggers and the trigger function
+  async down(queryInterface) {
+    await queryInterface.dropTable("AuditLogs");
+    await queryInterface.sequelize.query(
+      `DROP FUNCTION IF EXISTS audit_logs_append_only();`,
+    );
+  },
+};
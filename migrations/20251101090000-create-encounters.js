@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+* Migration: clinical encounter records.
+*
+* 1. Creates "Encounters" (one per completed appointment).
+* 2. Creates "EncounterVersions" (SOAP note, ICD-10 diagnoses and vitals;
+*    the original note and its signed amendments).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("Encounters", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      appointmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: { model: "Appointments", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT", // Clinical records outlive scheduling data
+      },
+      patientId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+      },
+      doctorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+      },
+      status: {
+        type: Sequelize.ENUM("draft", "final"),
+        allowNull: false,
+        defaultValue: "draft",
+      },
+      currentVersion: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      signedVersion: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      finalizedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("Encounters", ["patientId", "finalizedAt"]);
+    await queryInterface.addIndex("Encounters", ["doctorId"]);
+
+    await queryInterface.createTable("EncounterVersions", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      encounterId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Encounters", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+
+      // SOAP note
+      subjective: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      objective: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      assessment: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      plan: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      diagnoses: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      vitals: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      authorId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT",
+      },
+      amendmentReason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      signedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      signatureHash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("EncounterVersions", ["encounterId", "version"], {
+      unique: true,
+    });
+  },
+
+  // Revert migration → drop the tables and the enum
+  async down(queryInterface) {
+    await queryInterface.dropTable("EncounterVersions");
+    await queryInterface.dropTable("Encounters");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_Encounters_status";`,
+    );
+  },
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+* Migration: make room for encrypted fields.
+*
+* 1. Visit reasons (Appointments, WaitlistEntries, AppointmentSeries) become
+*    TEXT: encrypted values are much longer than the plaintext and no longer
+*    fit in VARCHAR(255).
+* 2. Existing rows stay readable as plaintext; run `npm run reencrypt-fields`
+*    afterwards to encrypt them (see src/utils/fieldEncryption.js).
+*/
+
+const TABLES = ["Appointments", "WaitlistEntries", "AppointmentSeries"];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.changeColumn(table, "reason", {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      });
+    }
+  },
+
+  // Revert migration → back to VARCHAR(255) (only works once the values are plaintext again)
+  async down(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await queryInterface.changeColumn(table, "reason", {
+        type: Sequelize.STRING,
+        allowNull: false,
+      });
+    }
+  },
+};
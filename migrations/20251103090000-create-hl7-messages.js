@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+* Migration: HL7 v2 interface.
+*
+* 1. Creates "Hl7Messages" (inbound and outbound message log with the
+*    acknowledgements; one inbound row per sender and control ID).
+* 2. Creates "ExternalIdentifiers" (identifiers assigned by external systems,
+*    such as medical record numbers and placer appointment IDs).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("Hl7Messages", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      direction: {
+        type: Sequelize.ENUM("inbound", "outbound"),
+        allowNull: false,
+      },
+      transport: {
+        type: Sequelize.ENUM("http", "mllp", "file"),
+        allowNull: false,
+      },
+      messageType: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      controlId: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      sendingApplication: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: "",
+      },
+      sendingFacility: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: "",
+      },
+      status: {
+        type: Sequelize.ENUM(
+          "received",
+          "accepted",
+          "error",
+          "rejected",
+          "pending",
+          "sent",
+          "acknowledged",
+          "failed",
+        ),
+        allowNull: false,
+      },
+      ackCode: {
+        type: Sequelize.STRING(2),
+        allowNull: true,
+      },
+      payload: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      ackPayload: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      errorMessage: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      appointmentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Appointments", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      patientId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      submittedById: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      processedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex(
+      "Hl7Messages",
+      ["direction", "sendingApplication", "sendingFacility", "controlId"],
+      { unique: true },
+    );
+    await queryInterface.addIndex("Hl7Messages", ["status", "createdAt"]);
+    await queryInterface.addIndex("Hl7Messages", ["appointmentId"]);
+
+    await queryInterface.createTable("ExternalIdentifiers", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      resourceType: {
+        type: Sequelize.ENUM("user", "appointment"),
+        allowNull: false,
+      },
+      resourceId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      system: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        defaultValue: "",
+      },
+      value: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex(
+      "ExternalIdentifiers",
+      ["resourceType", "system", "value"],
+      { unique: true },
+    );
+    await queryInterface.addIndex("ExternalIdentifiers", ["resourceType", "resourceId"]);
+  },
+
+  // Revert migration → drop the tables and the enums
+  async down(queryInterface) {
+    await queryInterface.dropTable("ExternalIdentifiers");
+    await queryInterface.dropTable("Hl7Messages");
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_ExternalIdentifiers_resourceType";`,
+    );
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_Hl7Messages_direction";`,
+    );
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_Hl7Messages_transport";`,
+    );
+    await queryInterface.sequelize.query(
+      `DROP TYPE IF EXISTS "enum_Hl7Messages_status";`,
+    );
+  },
+};
@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+* Migration: patient demographic profiles.
+*
+* 1. Creates "PatientProfiles" (one per patient user; identifying details
+*    are stored encrypted, phone and insurance member ID with blind indexes).
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("PatientProfiles", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      legalFirstName: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      legalMiddleName: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      legalLastName: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      dateOfBirth: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      sex: {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+      },
+      phone: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      phoneIndex: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      address: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      emergencyContact: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      preferredLanguage: {
+        type: Sequelize.STRING(35),
+        allowNull: true,
+      },
+      insuranceProvider: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      insurancePlan: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      insuranceMemberId: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      insuranceMemberIdIndex: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      insuranceGroupNumber: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("PatientProfiles", ["phoneIndex"]);
+    await queryInterface.addIndex("PatientProfiles", ["insuranceMemberIdIndex"]);
+  },
+
+  // Revert migration → drop the table
+  async down(queryInterface) {
+    await queryInterface.dropTable("PatientProfiles");
+  },
+};
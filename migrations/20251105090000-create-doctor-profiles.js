@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+* Migration: doctor profiles.
+*
+* 1. Creates "DoctorProfiles" (one per doctor user; shown in the provider
+*    directory).
+* 2. Creates a profile for every approved doctor application, with the
+*    license number and specialty the doctor applied with.
+*/
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("DoctorProfiles", {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.literal("uuid_generate_v4()"),
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      specialty: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      credentials: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      licenseNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      bio: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      languages: {
+        type: Sequelize.ARRAY(Sequelize.STRING(35)),
+        allowNull: false,
+        defaultValue: [],
+      },
+      clinicLocation: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      acceptedInsurance: {
+        type: Sequelize.ARRAY(Sequelize.STRING(100)),
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex("DoctorProfiles", ["specialty"]);
+    await queryInterface.addIndex("DoctorProfiles", ["languages"], { using: "gin" });
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO "DoctorProfiles" ("userId", "licenseNumber", "specialty")
+      SELECT "userId", "licenseNumber", "specialty"
+      FROM "DoctorApplications"
+      WHERE "status" = 'approved';
+    `);
+  },
+
+  // Revert migration → drop the table
+  async down(queryInterface) {
+    await queryInterface.dropTable("DoctorProfiles");
+  },
+};
@@ -0,0 +1,80 @@
+/**
+* Bootstrap Admin CLI
+* -------------------
+* Creates an administrator account from the command line. This is the only
+* way to create the first admin: public registration only creates patients
+* and POST /api/admin/users needs an existing admin.
+*
+* Usage:
+*   npm run create-admin -- --email admin@example.com --username admin --password '...'
+*
+* - Values can also come from ADMIN_EMAIL, ADMIN_USERNAME and ADMIN_PASSWORD
+* - Refuses to run when an admin already exists, unless --force is given
+* - The account is active and its email address counts as verified
+*/
+
+require("dotenv").config(); // Loads environment variables from a .env file
+
+const db = require("../src/models"); // Import Sequelize models and database instance
+const { logSecurityEvent } = require("../src/utils/securityLog"); // Security event log
+
+/**
+* Read `--name value` pairs and bare `--flag`s from the command line.
+*
+* @param {Array<string>} argv - Arguments after the script name
+* @returns {Object} Parsed options
+*/
+const parseArgs = (argv) => {
+ const options = {};
+ for (let i = 0; i < argv.length; i += 1) {
+   const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+   if (!match) continue;
+
+   if (match[2] !== undefined) {
+     options[match[1]] = match[2];
+   } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+     options[match[1]] = argv[i + 1];
+     i += 1;
+   } else {
+     options[match[1]] = true;
+   }
+ }
+ return options;
+};
+
+const main = async () => {
+ const options = parseArgs(process.argv.slice(2));
+ const email = options.email || process.env.ADMIN_EMAIL;
+ const username = options.username || process.env.ADMIN_USERNAME;
+ const password = options.password || process.env.ADMIN_PASSWORD;
+
+ if (!email || !username || !password) {
+   throw new Error("email, username and password are required (--email, --username, --password)");
+ }
+
+ const existing = await db.User.count({ where: { role: "admin" } });
+ if (existing > 0 && !options.force) {
+   throw new Error(`${existing} admin account(s) already exist. Use --force to add another.`);
+ }
+
+ const admin = await db.User.create({
+   username,
+   email,
+   password, // Hashed by the model hook
+   role: "admin",
+   status: "active",
+   emailVerifiedAt: new Date(),
+ });
+
+ logSecurityEvent("admin_created", { userId: admin.id, source: "cli" });
+ console.log(`✅ Admin ${admin.username} <${admin.email}> created (id ${admin.id}).`);
+};
+
+main()
+ .then(() => db.sequelize.close())
+ .catch(async (error) => {
+   const details = error.errors ? `: ${error.errors.map((e) => e.message).join(", ")}` : "";
+   console.error(`❌ Could not create admin - ${error.message}${details}`);
+   await db.sequelize.close().catch(() => {});
+   process.exitCode = 1;
+ });
@@ -0,0 +1,121 @@
+/**
+* Re-encrypt Fields CLI
+* ---------------------
+* Brings every encrypted attribute (see src/utils/fieldEncryption.js) up to
+* date with the current key configuration.
+*
+* Usage:
+*   npm run reencrypt-fields
+*   npm run reencrypt-fields -- --dry-run
+*
+* - Values wrapped with an older master key are re-wrapped with
+*   FIELD_ENCRYPTION_ACTIVE_KEY (the data itself keeps its data key)
+* - Legacy plaintext values are encrypted (and their blind index filled)
+* - Rows are updated without hooks or timestamps, so signed encounter
+*   versions can be processed and updatedAt is left alone
+* - Safe to re-run; once every model reports 0 updated rows, retired keys
+*   can be removed from FIELD_ENCRYPTION_KEYS
+*/
+
+require("dotenv").config(); // Loads environment variables from a .env file
+
+const { Op } = require("sequelize");
+const db = require("../src/models"); // Import Sequelize models and database instance
+const {
+ blindIndex,
+ encryptValue,
+ isEncrypted,
+ rewrapValue,
+} = require("../src/utils/fieldEncryption");
+
+const BATCH_SIZE = 500;
+
+/**
+* Compute the new stored values for one row.
+*
+* @param {Object} row - Model instance
+* @param {Array<Object>} attributes - Model.encryptedAttributes
+* @returns {Object} Column → new value (empty when the row is up to date)
+*/
+const updatesFor = (row, attributes) => {
+ const changes = {};
+
+ for (const { name, context, json, blindIndex: indexColumn } of attributes) {
+   const stored = row.getDataValue(name);
+   if (stored === undefined || stored === null) continue;
+
+   if (isEncrypted(stored)) {
+     const rewrapped = rewrapValue(stored);
+     if (rewrapped !== stored) changes[name] = rewrapped;
+     continue;
+   }
+
+   changes[name] = encryptValue(json ? JSON.stringify(stored) : String(stored), context);
+   if (indexColumn) changes[indexColumn] = blindIndex(stored, context);
+ }
+
+ return changes;
+};
+
+/**
+* Process one model in primary-key order.
+*
+* @returns {Promise<{scanned: number, updated: number}>}
+*/
+const processModel = async (Model, dryRun) => {
+ const attributes = Model.encryptedAttributes;
+ const columns = attributes.map((a) => a.name);
+ let scanned = 0;
+ let updated = 0;
+ let lastId = null;
+
+ for (;;) {
+   const rows = await Model.findAll({
+     attributes: ["id", ...columns],
+     where: lastId ? { id: { [Op.gt]: lastId } } : {},
+     order: [["id", "ASC"]],
+     limit: BATCH_SIZE,
+   });
+   if (!rows.length) break;
+
+   for (const row of rows) {
+     const changes = updatesFor(row, attributes);
+     if (!Object.keys(changes).length) continue;
+
+     updated += 1;
+     if (!dryRun) {
+       await Model.update(changes, {
+         where: { id: row.id },
+         hooks: false,
+         validate: false,
+         silent: true,
+       });
+     }
+   }
+
+   scanned += rows.length;
+   lastId = rows[rows.length - 1].id;
+ }
+
+ return { scanned, updated };
+};
+
+const main = async () => {
+ const dryRun = process.argv.includes("--dry-run");
+ const models = Object.values(db).filter((Model) => Model && Model.encryptedAttributes);
+
+ for (const Model of models) {
+   const { scanned, updated } = await processModel(Model, dryRun);
+   console.log(
+     `${dryRun ? "🔎" : "✅"} ${Model.name}: ${scanned} row(s) scanned, ${updated} ${dryRun ? "to update" : "updated"}`
+   );
+ }
+};
+
+main()
+ .then(() => db.sequelize.close())
+ .catch(async (error) => {
+   console.error(`❌ Re-encryption failed - ${error.message}`);
+   await db.sequelize.close().catch(() => {});
+   process.exitCode = 1;
+ });
@@ -8,11 +8,17 @@
 * - Authenticate connection to the database
 * - Synchronize database models (development only)
 * - Start Express server on specified PORT
+* - Start background jobs (waitlist offer expiry, appointment reminders,
+*   HL7 file drop) and the HL7 MLLP listener
 * - Handle SIGTERM and SIGINT for clean shutdown
 */
 
 const app = require("./src/app"); // Import the Express app
 const db = require("./src/models"); // Import Sequelize models and database instance
+const { startWaitlistJob, stopWaitlistJob } = require("./src/jobs/waitlistJob"); // Periodic waitlist housekeeping
+const { startReminderJob, stopReminderJob } = require("./src/jobs/reminderJob"); // Appointment reminders
+const { startHl7FileDropJob, stopHl7FileDropJob } = require("./src/jobs/hl7FileDropJob"); // HL7 messages dropped as files
+const { startMllpListener, stopMllpListener } = require("./src/services/hl7Service"); // HL7 messages over MLLP
 
 // Set server port (from .env or default to 3000)
 const PORT = process.env.PORT || 3000;
@@ -34,6 +40,12 @@ const startServer = async () => {
      console.log("✅ Database models synchronized.");
    }
 
+   // ✅ Start background jobs
+   startWaitlistJob();
+   startReminderJob();
+   startHl7FileDropJob();
+   startMllpListener();
+
    // ✅ Start Express server
    app.listen(PORT, () => {
      console.log(`🚀 Server is running on port ${PORT}`);
@@ -55,12 +67,20 @@ const startServer = async () => {
 */
 process.on("SIGTERM", async () => {
  console.log("🛑 SIGTERM received, shutting down gracefully...");
+ stopWaitlistJob(); // Stop background jobs
+ stopReminderJob();
+ stopHl7FileDropJob();
+ stopMllpListener();
  await db.sequelize.close(); // Close DB connection
  process.exit(0); // Exit cleanly
 });
 
 process.on("SIGINT", async () => {
  console.log("🛑 SIGINT received (Ctrl+C), shutting down gracefully...");
+ stopWaitlistJob(); // Stop background jobs
+ stopReminderJob();
+ stopHl7FileDropJob();
+ stopMllpListener();
  await db.sequelize.close(); // Close DB connection
  process.exit(0); // Exit cleanly
 });
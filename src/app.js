@@ -8,7 +8,9 @@
 * - Helmet: Adds security-related HTTP headers
 * - CORS: Allows cross-origin requests from frontend
 * - Morgan: Logs HTTP requests
-* - Routes: Auth & Admin endpoints
+* - Routes: Auth, Admin, Patient, Doctor, Directory, Appointment, Calendar, Notification & Reminder endpoints
+* - FHIR R4 facade for EHR partners (/fhir/R4)
+* - HL7 v2 interface for scheduling and patient messages (/api/hl7)
 * - Health Check endpoint
 * - 404 handling
 * - Global error handler
@@ -23,14 +25,42 @@ require("dotenv").config(); // Loads environment variables from a .env file
 // Import route files
 const authRoutes = require("./routes/authRoutes");
 const adminRoutes = require("./routes/adminRoutes");
+const patientRoutes = require("./routes/patientRoutes");
+const doctorRoutes = require("./routes/doctorRoutes");
+const directoryRoutes = require("./routes/directoryRoutes");
+const appointmentRoutes = require("./routes/appointmentRoutes");
+const calendarRoutes = require("./routes/calendarRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const reminderRoutes = require("./routes/reminderRoutes");
+const fhirRoutes = require("./routes/fhirRoutes");
+const hl7Routes = require("./routes/hl7Routes");
+
+// Import middleware applied at mount time
+const { authRateLimit } = require("./middleware/rateLimit");
 
 // Import database models (sequelize models are initialized here)
 const db = require("./models");
 
+// Import appointment event subscribers
+const { registerWaitlistHandlers } = require("./services/waitlistService");
+const { registerNotificationHandlers } = require("./notifications");
+const { registerReminderHandlers } = require("./services/reminderService");
+const { registerHl7Handlers } = require("./services/hl7Service");
+
 const app = express(); // Initialize Express app
 
 // ---------------------- Middleware Setup ----------------------
 
+// Behind a reverse proxy, trust it for the client IP (used by rate limiting)
+// TRUST_PROXY: "true", a hop count (e.g., "1") or a list of proxy addresses
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+ app.set(
+   "trust proxy",
+   trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
+ );
+}
+
 // Security middleware
 app.use(helmet()); // Adds various HTTP headers for better security
 
@@ -49,15 +79,54 @@ app.use(morgan("combined")); // Logs HTTP requests in Apache combined format
 app.use(express.json({ limit: "10mb" })); // Parse JSON request bodies, limit set to 10MB
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
+// ---------------------- Event Subscribers ----------------------
+
+// Offer slots freed by cancellations to waitlisted patients
+registerWaitlistHandlers();
+
+// Email/SMS/in-app notifications to appointment participants
+registerNotificationHandlers();
+
+// Schedule and cancel reminders as appointments are confirmed or change
+registerReminderHandlers();
+
+// Send appointment changes to external systems as HL7 SIU messages
+registerHl7Handlers();
+
 // ---------------------- Routes ----------------------
 
 // Authentication routes (e.g., login, register, refresh token)
-app.use("/api/auth", authRoutes);
+app.use("/api/auth", authRateLimit, authRoutes); // Per-IP rate limit on all auth endpoints
 
 // Admin routes (e.g., user management, dashboard)
 app.use("/api/admin", adminRoutes);
 
-// Patient routes placeholder: add when feature is implemented
+// Patient routes (e.g., book and view own appointments)
+app.use("/api/patient", patientRoutes);
+
+// Doctor routes (e.g., view and cancel own appointments)
+app.use("/api/doctor", doctorRoutes);
+
+// Doctor directory routes (e.g., search doctors, open slots for booking)
+app.use("/api/doctors", directoryRoutes);
+
+// Shared appointment routes (e.g., status history)
+app.use("/api/appointments", appointmentRoutes);
+
+// Calendar feed routes (e.g., subscribable .ics feeds)
+app.use("/api/calendar", calendarRoutes);
+
+// Notification routes (e.g., in-app inbox and channel preferences)
+app.use("/api/notifications", notificationRoutes);
+
+// Reminder link routes (e.g., confirm attendance from an email)
+app.use("/api/reminders", reminderRoutes);
+
+// FHIR R4 facade (e.g., Patient, Practitioner, Appointment, Schedule, Slot)
+app.use("/fhir/R4", fhirRoutes);
+
+// HL7 v2 interface routes (e.g., SIU and ADT messages from an EHR)
+app.use("/api/hl7", hl7Routes);
 
 // Health check endpoint
 // Used to verify if the server is running and reachable
@@ -0,0 +1,70 @@
+/**
+ * Role → Permission Configuration
+ * -------------------------------
+ * Loads the role/permission matrix from permissions.json, or from the JSON
+ * file named by PERMISSIONS_FILE (same shape) to add roles such as nurse or
+ * receptionist without code changes.
+ *
+ * Permissions read `resource:action:scope`:
+ * - scope "any" allows the action on every record
+ * - scope "own" only on records the user takes part in (see the ownership
+ *   policies in services/authorization.js)
+ * - "*" matches any resource or action (e.g., "appointment:*:any")
+ *
+ * The file is read once at startup; an invalid file stops the app.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PERMISSION_PATTERN = /^([a-z0-9_]+|\*):([a-z_]+|\*):(own|any)$/;
+
+const file = process.env.PERMISSIONS_FILE
+  ? path.resolve(process.env.PERMISSIONS_FILE)
+  : path.join(__dirname, "permissions.json");
+
+/**
+ * Read and check the matrix.
+ *
+ * @returns {Object<string, {description: string, permissions: Array<string>}>}
+ * @throws {Error} When the file is missing or malformed
+ */
+const loadRoles = () => {
+  const { roles } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!roles || typeof roles !== "object" || !Object.keys(roles).length) {
+    throw new Error(`${file}: "roles" must list at least one role`);
+  }
+
+  for (const [role, definition] of Object.entries(roles)) {
+    if (!/^[a-z_]{1,32}$/.test(role)) {
+      throw new Error(`${file}: invalid role name "${role}"`);
+    }
+    const invalid = (definition.permissions || []).filter((p) => !PERMISSION_PATTERN.test(p));
+    if (!Array.isArray(definition.permissions) || invalid.length) {
+      throw new Error(`${file}: invalid permissions for role "${role}": ${invalid.join(", ")}`);
+    }
+  }
+
+  return roles;
+};
+
+const ROLES = loadRoles();
+
+// Role names accepted by User.role
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Permissions granted to a role (empty for unknown roles).
+ *
+ * @param {string} role - Role name
+ * @returns {Array<string>}
+ */
+const permissionsFor = (role) =>
+  Object.prototype.hasOwnProperty.call(ROLES, role) ? ROLES[role].permissions : [];
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSION_PATTERN,
+  permissionsFor,
+};
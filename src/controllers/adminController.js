@@ -1,13 +1,38 @@
 const { User, Appointment } = require("../models");
+const { transitionAppointment } = require("../services/appointmentLifecycle");
+const { getLockStatus, unlockAccount } = require("../services/loginProtection");
+const {
+  sendVerificationEmailSafely,
+  setEmailVerified,
+} = require("../services/emailVerificationService");
+const { can, getPermissionMatrix } = require("../services/authorization");
+const { ROLE_NAMES } = require("../config/permissions");
+const { logSecurityEvent } = require("../utils/securityLog");
+const { saveDoctorProfile } = require("../services/doctorProfileService");
+const {
+  SORT_FIELDS,
+  listUsers,
+  updateUser: applyUserChanges,
+  suspendUser: suspendAccount,
+  reactivateUser: reactivateAccount,
+  deleteUser: removeUser,
+} = require("../services/userAdminService");
+const { isValidDate } = require("../services/availabilityService");
+const { profileInclude } = require("../services/patientProfileService");
+const { sendHttpError } = require("../utils/httpError");
+const { isUuid } = require("../utils/uuid");
+
+const MAX_PAGE_SIZE = 200;
 
 /**
  * Controller: Get Admin Dashboard Data
  * ----------------------------------------------------
  * - Only accessible by admin users (protected by RBAC)
  * - Retrieves statistics about users in the system
- * - Returns total users and breakdown by role
+ * - Returns total users, breakdown by role, unverified email count,
+ *   doctor accounts awaiting approval and suspended accounts
  *
- * @route GET /admin/dashboard
+ * @route GET /api/admin/dashboard
  * @access Admin
  */
 const getDashboard = async (req, res) => {
@@ -16,6 +41,9 @@ const getDashboard = async (req, res) => {
     const adminCount = await User.count({ where: { role: "admin" } });
     const doctorCount = await User.count({ where: { role: "doctor" } });
     const patientCount = await User.count({ where: { role: "patient" } });
+    const unverifiedCount = await User.count({ where: { emailVerifiedAt: null } });
+    const pendingApprovalCount = await User.count({ where: { status: "pending_approval" } });
+    const suspendedCount = await User.count({ where: { status: "suspended" } });
 
     res.json({
       success: true,
@@ -26,6 +54,9 @@ const getDashboard = async (req, res) => {
           adminCount,
           doctorCount,
           patientCount,
+          unverifiedCount,
+          pendingApprovalCount,
+          suspendedCount,
         },
       },
     });
@@ -42,22 +73,64 @@ const getDashboard = async (req, res) => {
  * Controller: Get All Users
  * ----------------------------------------------------
  * - Only admins can access this endpoint
- * - Fetches all users from the database (ordered by newest first)
+ * - Query: q (username or email), role, status, createdFrom, createdTo
+ *   (YYYY-MM-DD), sort (createdAt, username, email, role, status), order
+ *   (asc or desc), page (default 1), limit (default 50, max 200)
+ * - Newest first unless sorted otherwise
+ * - Patients include their demographic profile (null if not started)
  * - Automatically removes passwords before returning
  *
- * @route GET /admin/users
+ * @route GET /api/admin/users
  * @access Admin
  */
 const getAllUsers = async (req, res) => {
   try {
-    const users = await User.findAll({
-      order: [["createdAt", "DESC"]],
+    const { q, role, status, createdFrom, createdTo } = req.query;
+    const sort = req.query.sort || "createdAt";
+    const order = String(req.query.order || "desc").toLowerCase();
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const errors = [];
+    if (role && !ROLE_NAMES.includes(role)) {
+      errors.push(`role must be one of: ${ROLE_NAMES.join(", ")}`);
+    }
+    if (status && !User.STATUSES.includes(status)) {
+      errors.push(`status must be one of: ${User.STATUSES.join(", ")}`);
+    }
+    if (createdFrom && !isValidDate(createdFrom)) {
+      errors.push("createdFrom must be a valid date (YYYY-MM-DD)");
+    }
+    if (createdTo && !isValidDate(createdTo)) {
+      errors.push("createdTo must be a valid date (YYYY-MM-DD)");
+    }
+    if (!SORT_FIELDS.includes(sort)) {
+      errors.push(`sort must be one of: ${SORT_FIELDS.join(", ")}`);
+    }
+    if (!["asc", "desc"].includes(order)) {
+      errors.push("order must be asc or desc");
+    }
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Invalid query", errors });
+    }
+
+    const { rows, count } = await listUsers({
+      q,
+      role,
+      status,
+      createdFrom,
+      createdTo,
+      sort,
+      order,
+      page,
+      limit,
     });
 
     res.json({
       success: true,
       data: {
-        users: users.map((user) => user.toJSON()),
+        users: rows.map((user) => user.toJSON()),
+        pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
       },
     });
   } catch (error) {
@@ -74,23 +147,168 @@ const getAllUsers = async (req, res) => {
  * ----------------------------------------------------
  * - Only admins can delete users
  * - Prevents an admin from deleting their own account
+ * - The last active admin cannot be deleted (409)
+ * - Users with clinical records (encounters) cannot be deleted (409);
+ *   suspend them instead
  * - Returns success message when deletion is complete
  *
- * @route DELETE /admin/users/:userId
+ * @route DELETE /api/admin/users/:userId
  * @access Admin
  */
 const deleteUser = async (req, res) => {
   try {
-    const { userId } = req.params;
+    await removeUser(req.params.userId, req.user);
 
-    if (parseInt(userId) === req.user.id) {
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Delete user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Update a user
+ * ----------------------------------------------------
+ * - Body: any of { username, email, role }
+ * - Changing the role also requires "role:assign"; admins cannot change
+ *   their own role, the last active admin cannot be demoted and doctors
+ *   with upcoming appointments keep their role (409)
+ * - A new email address starts unverified and is emailed a verification link
+ * - Changes are recorded in the audit log (from → to) and role changes in
+ *   the security log
+ *
+ * @route PATCH /api/admin/users/:userId
+ * @access Admin
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { username, email, role } = req.body || {};
+
+    if (role !== undefined && !can(req.user, "role:assign")) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to change roles",
+      });
+    }
+
+    const { user, changes } = await applyUserChanges(
+      req.params.userId,
+      { username, email, role },
+      req.user
+    );
+    if (Object.keys(changes).length) res.locals.auditDetails = { changes }; // Audit log: what changed
+
+    res.json({
+      success: true,
+      message: Object.keys(changes).length ? "User updated successfully" : "Nothing to change",
+      data: user.toJSON(),
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    if (error.name === "SequelizeValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.errors.map((err) => err.message),
+      });
+    }
+    if (error.name === "SequelizeUniqueConstraintError") {
       return res.status(400).json({
         success: false,
-        message: "Cannot delete your own account",
+        message: `${error.errors[0].path} already exists`,
       });
     }
+    console.error("Update user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
 
-    const user = await User.findByPk(userId);
+/**
+ * Controller: Suspend a user
+ * ----------------------------------------------------
+ * - Body: { reason? }
+ * - Blocks login and ends every session; appointments, records and the
+ *   account itself are kept
+ * - Admins cannot suspend themselves or the last active admin
+ *
+ * @route POST /api/admin/users/:userId/suspend
+ * @access Admin
+ */
+const suspendUser = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const user = await suspendAccount(req.params.userId, req.user, reason);
+
+    // Audit log: the status change and why
+    res.locals.auditDetails = {
+      changes: { status: { from: "active", to: "suspended" } },
+      reason: reason || null,
+    };
+
+    res.json({
+      success: true,
+      message: "User suspended",
+      data: user.toJSON(),
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Suspend user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Reactivate a suspended user
+ * ----------------------------------------------------
+ * - The user can log in again (earlier sessions stay ended)
+ *
+ * @route POST /api/admin/users/:userId/reactivate
+ * @access Admin
+ */
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await reactivateAccount(req.params.userId, req.user);
+    res.locals.auditDetails = { changes: { status: { from: "suspended", to: "active" } } };
+
+    res.json({
+      success: true,
+      message: "User reactivated",
+      data: user.toJSON(),
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Reactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Get a user's login lockout status
+ * ----------------------------------------------------
+ * - Recent failed login attempts and, if locked, until when
+ *
+ * @route GET /api/admin/users/:userId/lock
+ * @access Admin
+ */
+const getUserLockStatus = async (req, res) => {
+  try {
+    const user = isUuid(req.params.userId) ? await User.findByPk(req.params.userId) : null;
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -98,14 +316,134 @@ const deleteUser = async (req, res) => {
       });
     }
 
-    await user.destroy();
+    res.json({
+      success: true,
+      data: await getLockStatus(user.email),
+    });
+  } catch (error) {
+    console.error("Get lock status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Unlock a user's account
+ * ----------------------------------------------------
+ * - Clears failed login attempts and any lockout or delay
+ * - Recorded in the security log
+ *
+ * @route POST /api/admin/users/:userId/unlock
+ * @access Admin
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = isUuid(req.params.userId) ? await User.findByPk(req.params.userId) : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const wasLocked = await unlockAccount(user, req.user);
 
     res.json({
       success: true,
-      message: "User deleted successfully",
+      message: wasLocked
+        ? "Account unlocked successfully"
+        : "Account was not locked; failed attempts cleared",
     });
   } catch (error) {
-    console.error("Delete user error:", error);
+    console.error("Unlock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Override a user's email verification
+ * ----------------------------------------------------
+ * - Marks the address verified (e.g., confirmed by phone) or unverified
+ * - Recorded in the security log
+ *
+ * @route PUT /api/admin/users/:userId/email-verification
+ * @access Admin
+ */
+const updateEmailVerification = async (req, res) => {
+  try {
+    const { verified } = req.body || {};
+
+    if (typeof verified !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "verified must be true or false",
+      });
+    }
+
+    const user = isUuid(req.params.userId) ? await User.findByPk(req.params.userId) : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await setEmailVerified(user, verified, req.user);
+
+    res.json({
+      success: true,
+      message: verified
+        ? "Email marked as verified"
+        : "Email marked as unverified",
+      data: user.toJSON(),
+    });
+  } catch (error) {
+    console.error("Update email verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Update a doctor's directory profile
+ * ----------------------------------------------------
+ * - Same fields doctors edit themselves, plus licenseNumber
+ * - Fields left out keep their value; null clears a field
+ *
+ * @route PUT /api/admin/doctors/:doctorId/profile
+ * @access Admin
+ */
+const updateDoctorProfile = async (req, res) => {
+  try {
+    const doctor = await User.findOne({
+      where: { id: req.params.doctorId, role: "doctor" },
+    });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found",
+      });
+    }
+
+    const doctorProfile = await saveDoctorProfile(doctor.id, req.body || {}, {
+      allowLicense: true,
+    });
+
+    res.json({
+      success: true,
+      message: "Doctor profile updated",
+      data: { doctorProfile },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Update doctor profile error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -116,8 +454,11 @@ const deleteUser = async (req, res) => {
 /**
  * Controller: Create a new user (Doctor or Patient)
  * ----------------------------------------------------
- * - Only admins can create accounts
- * - Role must be either "doctor" or "patient"
+ * - Requires "user:create"; any role other than doctor or patient (admin,
+ *   nurse, ...) also requires "role:assign" (the first admin is created
+ *   with `npm run create-admin`)
+ * - Role must be one of the configured roles (config/permissions.json)
+ * - The new account starts unverified and is emailed a verification link
  *
  * @route POST /api/admin/users
  * @access Admin
@@ -127,10 +468,18 @@ const createUser = async (req, res) => {
     const { username, email, password, role } = req.body;
 
     // Validate role
-    if (!["doctor", "patient"].includes(role)) {
+    if (!ROLE_NAMES.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: "Role must be either doctor or patient",
+        message: `Role must be one of: ${ROLE_NAMES.join(", ")}`,
+      });
+    }
+
+    // Staff roles carry privileges of their own
+    if (!["doctor", "patient"].includes(role) && !can(req.user, "role:assign")) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not allowed to create ${role} accounts`,
       });
     }
 
@@ -142,6 +491,15 @@ const createUser = async (req, res) => {
       role,
     });
 
+    res.locals.auditResourceId = newUser.id; // Audit log: the new record
+
+    // The owner of the address still has to confirm it
+    await sendVerificationEmailSafely(newUser);
+
+    if (!["doctor", "patient"].includes(role)) {
+      logSecurityEvent("staff_account_created", { userId: newUser.id, role, adminId: req.user.id });
+    }
+
     res.status(201).json({
       success: true,
       message: "User created successfully",
@@ -157,16 +515,22 @@ const createUser = async (req, res) => {
  * Controller: Get All Appointments
  * ----------------------------------------------------
  * - Only admins can access this endpoint
- * - Fetches all appointments with patient and doctor info
+ * - Fetches all appointments with patient and doctor info (patients with
+ *   their demographic profile)
  *
- * @route GET /admin/appointments
+ * @route GET /api/admin/appointments
  * @access Admin
  */
 const getAllAppointments = async (req, res) => {
   try {
     const appointments = await Appointment.findAll({
       include: [
-        { model: User, as: "patient", attributes: ["id", "username", "email"] },
+        {
+          model: User,
+          as: "patient",
+          attributes: ["id", "username", "email"],
+          include: [profileInclude],
+        },
         { model: User, as: "doctor", attributes: ["id", "username", "email"] },
       ],
       order: [["date", "ASC"], ["time", "ASC"]],
@@ -190,15 +554,18 @@ const getAllAppointments = async (req, res) => {
  * Controller: Confirm Appointment
  * ----------------------------------------------------
  * - Admin confirms a pending appointment
+ * - Only pending appointments can be confirmed (see appointmentLifecycle)
+ * - Optional body: { reason } stored in the status history
  *
- * @route PUT /admin/appointments/:id/confirm
+ * @route PUT /api/admin/appointments/:id/confirm
  * @access Admin
  */
 const confirmAppointment = async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
-    const appointment = await Appointment.findByPk(id);
+    const appointment = isUuid(id) ? await Appointment.findByPk(id) : null;
     if (!appointment) {
       return res.status(404).json({
         success: false,
@@ -206,8 +573,10 @@ const confirmAppointment = async (req, res) => {
       });
     }
 
-    appointment.status = "confirmed";
-    await appointment.save();
+    await transitionAppointment(appointment, "confirmed", {
+      actor: req.user,
+      reason,
+    });
 
     res.json({
       success: true,
@@ -215,6 +584,7 @@ const confirmAppointment = async (req, res) => {
       data: appointment,
     });
   } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
     console.error("Confirm appointment error:", error);
     res.status(500).json({
       success: false,
@@ -226,16 +596,18 @@ const confirmAppointment = async (req, res) => {
 /**
  * Controller: Cancel Appointment
  * ----------------------------------------------------
- * - Admin cancels an appointment
+ * - Admin cancels a pending or confirmed appointment
+ * - Optional body: { reason } stored in the status history
  *
- * @route PUT /admin/appointments/:id/cancel
+ * @route PUT /api/admin/appointments/:id/cancel
  * @access Admin
  */
 const cancelAppointment = async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
-    const appointment = await Appointment.findByPk(id);
+    const appointment = isUuid(id) ? await Appointment.findByPk(id) : null;
     if (!appointment) {
       return res.status(404).json({
         success: false,
@@ -243,8 +615,10 @@ const cancelAppointment = async (req, res) => {
       });
     }
 
-    appointment.status = "cancelled";
-    await appointment.save();
+    await transitionAppointment(appointment, "cancelled", {
+      actor: req.user,
+      reason,
+    });
 
     res.json({
       success: true,
@@ -252,6 +626,7 @@ const cancelAppointment = async (req, res) => {
       data: appointment,
     });
   } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
     console.error("Cancel appointment error:", error);
     res.status(500).json({
       success: false,
@@ -260,12 +635,38 @@ const cancelAppointment = async (req, res) => {
   }
 };
 
+/**
+ * Controller: Get Permission Matrix
+ * ----------------------------------------------------
+ * - Lists every configured role with its permissions, and every
+ *   permission with the roles holding it
+ * - Reflects config/permissions.json (or PERMISSIONS_FILE)
+ *
+ * @route GET /api/admin/permissions
+ * @access Admin
+ */
+const getPermissions = (req, res) => {
+  res.json({
+    success: true,
+    message: "Permission matrix retrieved successfully",
+    data: getPermissionMatrix(),
+  });
+};
+
 module.exports = {
   getDashboard,
   getAllUsers,
   deleteUser,
+  updateUser,
+  suspendUser,
+  reactivateUser,
+  getUserLockStatus,
+  unlockUser,
+  updateEmailVerification,
+  updateDoctorProfile,
   createUser,
   getAllAppointments,
   confirmAppointment,
   cancelAppointment,
+  getPermissions,
 };
\ No newline at end of file
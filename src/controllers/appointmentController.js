@@ -1,7 +1,26 @@
-const { Appointment, User } = require("../models");
+const { Appointment, AppointmentStatusHistory, User } = require("../models");
+const {
+  bookSlot,
+  rescheduleAppointment: moveAppointment,
+} = require("../services/bookingService");
+const {
+  getAllowedTransitions,
+  transitionAppointment,
+} = require("../services/appointmentLifecycle");
+const { can } = require("../services/authorization");
+const { sendHttpError } = require("../utils/httpError");
+const { isUuid } = require("../utils/uuid");
 
 /**
  * 📌 Patient: Book a new appointment
+ * ----------------------------------------------------
+ * - The logged-in user is recorded as the patient
+ * - The slot must be a free slot in the doctor's schedule
+ * - Booking is atomic: a concurrent request for the same slot gets 409
+ * - New appointments start as "pending" until an admin confirms them
+ *
+ * @route POST /api/patient/appointments
+ * @access Private (Patient)
  */
 const bookAppointment = async (req, res) => {
   try {
@@ -14,14 +33,16 @@ const bookAppointment = async (req, res) => {
       });
     }
 
-    const appointment = await Appointment.create({
+    // Locks the doctor's calendar, checks the slot and creates the booking
+    const appointment = await bookSlot({
       patientId: req.user.id, // logged-in patient
       doctorId,
       date,
       time,
       reason,
-      status: "pending",
+      actor: req.user,
     });
+    res.locals.auditResourceId = appointment.id; // Audit log: the new record
 
     res.status(201).json({
       success: true,
@@ -29,6 +50,7 @@ const bookAppointment = async (req, res) => {
       data: appointment,
     });
   } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
     console.error("Book appointment error:", error);
     res.status(500).json({ success: false, message: "Server error" });
   }
@@ -36,6 +58,11 @@ const bookAppointment = async (req, res) => {
 
 /**
  * 📌 Patient: View their own appointments
+ * ----------------------------------------------------
+ * - Returns appointments where patientId matches the logged-in user
+ *
+ * @route GET /api/patient/appointments
+ * @access Private (Patient)
  */
 const getMyAppointments = async (req, res) => {
   try {
@@ -53,7 +80,144 @@ const getMyAppointments = async (req, res) => {
   }
 };
 
+/**
+ * 📌 Patient: Cancel their own appointment
+ * ----------------------------------------------------
+ * - Patient can cancel ONLY their own pending or confirmed appointments
+ * - Optional body: { reason } stored in the status history
+ *
+ * @route PUT /api/patient/appointments/:id/cancel
+ * @access Private (Patient)
+ */
+const cancelMyAppointment = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const appointment = isUuid(req.params.id)
+      ? await Appointment.findOne({ where: { id: req.params.id, patientId: req.user.id } })
+      : null;
+    if (!appointment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Appointment not found" });
+    }
+
+    await transitionAppointment(appointment, "cancelled", {
+      actor: req.user,
+      reason,
+    });
+
+    res.json({
+      success: true,
+      message: "Appointment cancelled successfully",
+      data: appointment,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Patient cancel appointment error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Any role: View the status audit trail of one appointment
+ * ----------------------------------------------------
+ * - Patients and doctors can view ONLY their own appointments; admins any
+ * - Entries are ordered oldest first and include the acting user
+ * - Also lists the transitions the caller may perform next
+ *
+ * @route GET /api/appointments/:id/history
+ * @access Private (Patient, Doctor, Admin)
+ */
+const getAppointmentHistory = async (req, res) => {
+  try {
+    const appointment = isUuid(req.params.id) ? await Appointment.findByPk(req.params.id) : null;
+
+    if (!appointment || !can(req.user, "appointment:read", appointment)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Appointment not found" });
+    }
+
+    const history = await AppointmentStatusHistory.findAll({
+      where: { appointmentId: appointment.id },
+      include: [
+        { model: User, as: "actor", attributes: ["id", "username", "role"] },
+      ],
+      order: [["createdAt", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      data: {
+        appointmentId: appointment.id,
+        status: appointment.status,
+        rescheduledFromId: appointment.rescheduledFromId,
+        allowedTransitions: getAllowedTransitions(appointment, req.user),
+        history,
+      },
+    });
+  } catch (error) {
+    console.error("Get appointment history error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Reschedule an appointment
+ * ----------------------------------------------------
+ * - Body: { date, time, reason? }
+ * - Patients and doctors can reschedule ONLY their own appointments
+ * - Patients and doctors must do so at least RESCHEDULE_CUTOFF_HOURS before
+ *   the visit (default 24) unless they hold "appointment:reschedule_late"
+ * - The new slot must be free in the doctor's schedule
+ * - The original is marked "rescheduled" and keeps its history; the new
+ *   appointment keeps the reason/notes and links back via rescheduledFromId
+ *
+ * @route PATCH /api/appointments/:id/reschedule
+ * @access Private (Patient, Doctor, Admin)
+ */
+const rescheduleAppointment = async (req, res) => {
+  try {
+    const { date, time, reason } = req.body || {};
+
+    if (!date || !time) {
+      return res.status(400).json({
+        success: false,
+        message: "New date and time are required.",
+      });
+    }
+
+    const appointment = isUuid(req.params.id) ? await Appointment.findByPk(req.params.id) : null;
+    if (!appointment || !can(req.user, "appointment:read", appointment)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Appointment not found" });
+    }
+
+    const result = await moveAppointment(appointment, {
+      date,
+      time,
+      reason,
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: "Appointment rescheduled successfully",
+      data: result,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Reschedule appointment error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
 module.exports = {
   bookAppointment,
   getMyAppointments,
+  cancelMyAppointment,
+  getAppointmentHistory,
+  rescheduleAppointment,
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { AuditLog } = require("../models");
+const { queryAuditLog, verifyAuditChain } = require("../services/auditService");
+const { isUuid } = require("../utils/uuid");
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Utility: Parse an optional ISO date/time query value
+ *
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 📌 Admin: Search the PHI access audit log
+ * ----------------------------------------------------
+ * - Query: patientId, actorId (user IDs), from, to (ISO date/time),
+ *   resourceType, action, outcome, page (default 1), limit (default 50,
+ *   max 200)
+ * - Newest entries first
+ *
+ * @route GET /api/admin/audit-log
+ * @access Private (Admin)
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { patientId, actorId, resourceType, action, outcome } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid ISO dates",
+      });
+    }
+    if (outcome && !AuditLog.OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${AuditLog.OUTCOMES.join(", ")}`,
+      });
+    }
+    const invalidIds = Object.entries({ patientId, actorId })
+      .filter(([, id]) => id && !isUuid(id))
+      .map(([name]) => name);
+    if (invalidIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidIds.join(" and ")} must be a valid user ID`,
+      });
+    }
+
+    const { rows, count } = await queryAuditLog({
+      patientId,
+      actorId,
+      from,
+      to,
+      resourceType,
+      action,
+      outcome,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries: rows,
+        pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
+      },
+    });
+  } catch (error) {
+    console.error("Get audit log error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Admin: Verify the audit log hash chain
+ * ----------------------------------------------------
+ * - Recomputes every entry's hash; reports the first entry that was
+ *   changed, removed or re-ordered
+ *
+ * @route GET /api/admin/audit-log/verify
+ * @access Private (Admin)
+ */
+const verifyAuditLog = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? "Audit log is intact"
+        : `Audit log has been tampered with at entry ${result.brokenAt.sequence}`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Verify audit log error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  getAuditLog,
+  verifyAuditLog,
+};
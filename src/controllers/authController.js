@@ -1,36 +1,69 @@
-const jwt = require("jsonwebtoken");
 const { User } = require("../models");
+const {
+ issueTokens,
+ rotateRefreshToken,
+ revokeSession,
+ revokeAllSessions,
+} = require("../services/tokenService");
+const {
+ requestPasswordReset,
+ resetPassword: redeemResetToken,
+ changePassword: updatePassword,
+} = require("../services/passwordService");
+const {
+ isMfaRequired,
+ createMfaChallenge,
+ resolveMfaChallenge,
+ verifySecondFactor,
+} = require("../services/mfaService");
+const {
+ reserveLoginAttempt,
+ recordLoginFailure,
+ recordLoginSuccess,
+} = require("../services/loginProtection");
+const {
+ sendVerificationEmailSafely,
+ verifyEmailToken,
+ resendVerification,
+} = require("../services/emailVerificationService");
+const {
+ getPatientProfile,
+ savePatientProfile,
+} = require("../services/patientProfileService");
+const {
+ getDoctorProfile,
+ saveDoctorProfile,
+} = require("../services/doctorProfileService");
+const { sendHttpError } = require("../utils/httpError");
 
 /**
-* Utility: Generate JWT token for a user
-* ----------------------------------------------------
-* - Encodes user ID, email, and role into the token
-* - Uses a secret key (JWT_SECRET) from environment variables
-* - Default expiration = 7 days (can be overridden with JWT_EXPIRES_IN)
+* Utility: Device details stored with a new session
 *
-* @param {Object} user - User instance
-* @returns {string} JWT token
+* @param {Object} req - Express request object
+* @returns {{userAgent: string, ipAddress: string}}
 */
-const generateToken = (user) => {
- return jwt.sign(
-   {
-     userId: user.id,
-     email: user.email,
-     role: user.role,
-   },
-   process.env.JWT_SECRET,
-   {
-     expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-   },
- );
+const deviceOf = (req) => ({
+ userAgent: req.get("user-agent"),
+ ipAddress: req.ip,
+});
+
+// Login refusal shown for each non-active account status
+const INACTIVE_MESSAGES = {
+ pending_approval: "Your doctor application is awaiting approval by an administrator",
+ rejected: "Your doctor application was not approved",
+ suspended: "This account has been suspended. Please contact the clinic",
 };
 
 /**
 * Controller: Register a new user
 * ----------------------------------------------------
 * - Validates input (username, email, password required)
+* - Only patient accounts can be created here; doctors apply at
+*   POST /api/auth/register/doctor or accept an admin invitation
 * - Hashing is handled by Sequelize model hook
-* - Creates user and generates JWT for immediate login
+* - Creates user and starts a session (access + refresh token) for immediate login
+* - The account starts unverified; a verification link is emailed and
+*   booking is blocked until it is used
 *
 * @route POST /api/auth/register
 * @access Public
@@ -47,24 +80,34 @@ const register = async (req, res) => {
      });
    }
 
+   // Nobody can pick a privileged role for themselves
+   if (role !== undefined && role !== "patient") {
+     return res.status(400).json({
+       success: false,
+       message: "Public registration creates patient accounts only. Doctors can apply at POST /api/auth/register/doctor",
+     });
+   }
+
    // Create new user in database
-   // Role defaults to "patient" if not provided
    const user = await User.create({
      username,
      email,
      password,
-     role: role || "patient",
+     role: "patient",
    });
 
-   // Generate token for new user
-   const token = generateToken(user);
+   // Email the verification link (registration succeeds even if mail fails)
+   await sendVerificationEmailSafely(user);
+
+   // Start a session for the new user
+   const tokens = await issueTokens(user, deviceOf(req));
 
    res.status(201).json({
      success: true,
-     message: "User registered successfully",
+     message: "User registered successfully. Check your email to verify your address.",
      data: {
        user: user.toJSON(), // Removes password automatically
-       token,
+       ...tokens,
      },
    });
  } catch (error) {
@@ -102,8 +145,12 @@ const register = async (req, res) => {
 * ----------------------------------------------------
 * - Validates input (email + password required)
 * - Finds user by email
-* - Validates password with bcrypt
-* - Returns JWT token on success
+* - Refuses attempts while the account or IP is throttled/locked (429)
+* - Validates password with bcrypt; failures count towards the lockout
+* - Doctor accounts awaiting approval (or rejected) cannot log in (403)
+* - Users with MFA get an MFA challenge token instead (second step:
+*   POST /api/auth/login/mfa)
+* - Otherwise returns a short-lived access token and a refresh token
 *
 * @route POST /api/auth/login
 * @access Public
@@ -120,6 +167,10 @@ const login = async (req, res) => {
      });
    }
 
+   // Refuse guesses while the account or IP is waiting or locked, and
+   // count this one before the password is checked
+   const attempt = await reserveLoginAttempt({ email, ip: req.ip });
+
    // Find user by email (include password for validation)
    const user = await User.findOne({
      where: { email },
@@ -129,12 +180,15 @@ const login = async (req, res) => {
        "email",
        "password",
        "role",
+       "status",
+       "mfaEnabled",
        "createdAt",
        "updatedAt",
      ],
    });
 
    if (!user) {
+     await recordLoginFailure({ email, ip: req.ip, attempt });
      return res.status(401).json({
        success: false,
        message: "Invalid email or password",
@@ -144,24 +198,49 @@ const login = async (req, res) => {
    // Validate password using instance method
    const isValidPassword = await user.validatePassword(password);
    if (!isValidPassword) {
+     await recordLoginFailure({ email, ip: req.ip, attempt, userId: user.id });
      return res.status(401).json({
        success: false,
        message: "Invalid email or password",
      });
    }
 
-   // Generate JWT token
-   const token = generateToken(user);
+   // Doctor accounts only open once an admin has approved the application
+   if (user.status !== "active") {
+     return res.status(403).json({
+       success: false,
+       message: INACTIVE_MESSAGES[user.status] || "This account is not active",
+       code: "ACCOUNT_NOT_ACTIVE",
+     });
+   }
+
+   // Two-step login: the password alone does not start a session
+   if (user.mfaEnabled) {
+     return res.json({
+       success: true,
+       message: "Enter the code from your authenticator app",
+       data: {
+         mfaRequired: true,
+         mfaToken: createMfaChallenge(user),
+       },
+     });
+   }
+
+   // Start a new session (access + refresh token)
+   await recordLoginSuccess(email);
+   const tokens = await issueTokens(user, deviceOf(req));
 
    res.json({
      success: true,
      message: "Login successful",
      data: {
        user: user.toJSON(), // Removes password automatically
-       token,
+       ...tokens,
+       ...(isMfaRequired(user) && { mfaEnrollmentRequired: true }),
      },
    });
  } catch (error) {
+   if (error.name === "HttpError") return sendHttpError(res, error);
    console.error("Login error:", error);
    res.status(500).json({
      success: false,
@@ -170,21 +249,93 @@ const login = async (req, res) => {
  }
 };
 
+/**
+* Controller: Verify email address
+* ----------------------------------------------------
+* - Redeems the signed link from the verification email
+* - Token comes from the query string (link clicked) or the body (frontend)
+*
+* @route GET /api/auth/verify-email?token=...
+* @route POST /api/auth/verify-email
+* @access Public (link holder)
+*/
+const verifyEmail = async (req, res) => {
+ try {
+   const token = req.query.token || (req.body || {}).token;
+
+   if (!token) {
+     return res.status(400).json({
+       success: false,
+       message: "Verification token is required",
+     });
+   }
+
+   const { alreadyVerified } = await verifyEmailToken(token);
+
+   res.json({
+     success: true,
+     message: alreadyVerified
+       ? "Email address was already verified"
+       : "Email address verified successfully",
+   });
+ } catch (error) {
+   if (error.name === "HttpError") return sendHttpError(res, error);
+   console.error("Verify email error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
+/**
+* Controller: Resend verification email
+* ----------------------------------------------------
+* - Sends a new link to the logged-in user's address (once a minute at most)
+*
+* @route POST /api/auth/resend-verification
+* @access Private
+*/
+const resendVerificationEmail = async (req, res) => {
+ try {
+   await resendVerification(req.user);
+
+   res.json({
+     success: true,
+     message: `Verification email sent to ${req.user.email}`,
+   });
+ } catch (error) {
+   if (error.name === "HttpError") return sendHttpError(res, error);
+   console.error("Resend verification error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
 /**
 * Controller: Get Current User Profile
 * ----------------------------------------------------
 * - Uses `authenticateToken` middleware to set req.user
 * - Returns the logged-in user's data (no password)
+* - Patients also get their demographic profile (null until they start it)
+*   and whether it is complete enough to book; doctors get their directory
+*   profile
 *
 * @route GET /api/auth/profile
 * @access Private
 */
 const getProfile = async (req, res) => {
  try {
+   const { role } = req.user;
+
    res.json({
      success: true,
      data: {
        user: req.user.toJSON(),
+       ...(role === "patient" && { patientProfile: await getPatientProfile(req.user.id) }),
+       ...(role === "doctor" && { doctorProfile: await getDoctorProfile(req.user.id) }),
      },
    });
  } catch (error) {
@@ -196,8 +347,331 @@ const getProfile = async (req, res) => {
  }
 };
 
+/**
+* Controller: Login, second step (MFA)
+* ----------------------------------------------------
+* - Exchanges the challenge token from POST /api/auth/login plus a TOTP
+*   code (or a one-time recovery code) for a session
+* - Wrong codes count towards the account lockout like wrong passwords
+*
+* @route POST /api/auth/login/mfa
+* @access Public (MFA challenge holder)
+*/
+const loginMfa = async (req, res) => {
+ try {
+   const { mfaToken, code, recoveryCode } = req.body || {};
+
+   if (!mfaToken) {
+     return res.status(400).json({
+       success: false,
+       message: "mfaToken is required",
+     });
+   }
+
+   const user = await resolveMfaChallenge(mfaToken);
+   const attempt = await reserveLoginAttempt({ email: user.email, ip: req.ip });
+
+   let factor;
+   try {
+     factor = await verifySecondFactor(user, { code, recoveryCode });
+   } catch (error) {
+     if (error.status === 401) {
+       await recordLoginFailure({ email: user.email, ip: req.ip, attempt, userId: user.id, stage: "mfa" });
+     }
+     throw error;
+   }
+
+   await recordLoginSuccess(user.email);
+   const tokens = await issueTokens(user, deviceOf(req));
+
+   res.json({
+     success: true,
+     message: "Login successful",
+     data: {
+       user: user.toJSON(),
+       ...tokens,
+       ...(factor.remainingRecoveryCodes !== undefined && {
+         remainingRecoveryCodes: factor.remainingRecoveryCodes,
+       }),
+     },
+   });
+ } catch (error) {
+   if (error.name === "HttpError") return sendHttpError(res, error);
+   console.error("MFA login error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
+/**
+* Controller: Refresh the access token
+* ----------------------------------------------------
+* - Exchanges a refresh token for a new access token AND a new refresh token
+* - Each refresh token works once; reusing an old one revokes the session
+*
+* @route POST /api/auth/refresh
+* @access Public (refresh token holder)
+*/
+const refresh = async (req, res) => {
+ try {
+   const { refreshToken } = req.body || {};
+
+   if (!refreshToken) {
+     return res.status(400).json({
+       success: false,
+       message: "Refresh token is required",
+     });
+   }
+
+   const tokens = await rotateRefreshToken(refreshToken);
+
+   res.json({
+     success: true,
+     message: "Token refreshed successfully",
+     data: tokens,
+   });
+ } catch (error) {
+   if (error.name === "HttpError") return sendHttpError(res, error);
+   console.error("Refresh token error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
+/**
+* Controller: Logout
+* ----------------------------------------------------
+* - Revokes the current session; its access and refresh tokens stop working
+* - With { "allDevices": true } every session of the user is revoked
+*   (e.g., after losing a laptop)
+*
+* @route POST /api/auth/logout
+* @access Private
+*/
+const logout = async (req, res) => {
+ try {
+   const { allDevices } = req.body || {};
+
+   if (allDevices === true) {
+     const count = await revokeAllSessions(req.user.id, "logout_all");
+     return res.json({
+       success: true,
+       message: `Logged out of ${count} session(s)`,
+     });
+   }
+
+   await revokeSession(req.authSession.id, "logout");
+
+   res.json({
+     success: true,
+     message: "Logged out successfully",
+   });
+ } catch (error) {
+   console.error("Logout error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
+/**
+* Utility: Respond to a failed password update
+* ----------------------------------------------------
+* - HttpError from the service → its status and message
+* - Model validation (e.g., password too short) → 400 with messages
+*/
+const sendPasswordError = (res, error, label) => {
+ if (error.name === "HttpError") return sendHttpError(res, error);
+
+ if (error.name === "SequelizeValidationError") {
+   return res.status(400).json({
+     success: false,
+     message: "Validation failed",
+     errors: error.errors.map((err) => err.message),
+   });
+ }
+
+ console.error(`${label} error:`, error);
+ res.status(500).json({
+   success: false,
+   message: "Internal server error",
+ });
+};
+
+/**
+* Controller: Forgot password
+* ----------------------------------------------------
+* - Emails a single-use reset link if the address is registered
+* - Always answers the same way so it cannot be used to discover accounts
+*
+* @route POST /api/auth/forgot-password
+* @access Public
+*/
+const forgotPassword = async (req, res) => {
+ try {
+   const { email } = req.body || {};
+
+   if (!email) {
+     return res.status(400).json({
+       success: false,
+       message: "Email is required",
+     });
+   }
+
+   // Not awaited: answering before the work is done keeps the response
+   // time the same for registered and unknown addresses
+   requestPasswordReset(email, { ipAddress: req.ip });
+
+   res.json({
+     success: true,
+     message: "If an account exists for that email, a password reset link has been sent",
+   });
+ } catch (error) {
+   console.error("Forgot password error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
+/**
+* Controller: Reset password
+* ----------------------------------------------------
+* - Redeems the token from the reset email and sets the new password
+* - Logs the user out everywhere (they log in again with the new password)
+*
+* @route POST /api/auth/reset-password
+* @access Public (reset token holder)
+*/
+const resetPassword = async (req, res) => {
+ try {
+   const { token, newPassword } = req.body || {};
+
+   if (!token || !newPassword) {
+     return res.status(400).json({
+       success: false,
+       message: "Token and newPassword are required",
+     });
+   }
+
+   await redeemResetToken(token, newPassword);
+
+   res.json({
+     success: true,
+     message: "Password has been reset. Please log in with your new password.",
+   });
+ } catch (error) {
+   sendPasswordError(res, error, "Reset password");
+ }
+};
+
+/**
+* Controller: Change password
+* ----------------------------------------------------
+* - Requires the current password
+* - Revokes every session (other devices are logged out) and starts a new
+*   one for this device
+*
+* @route PUT /api/auth/change-password
+* @access Private
+*/
+const changePassword = async (req, res) => {
+ try {
+   const { currentPassword, newPassword } = req.body || {};
+
+   if (!currentPassword || !newPassword) {
+     return res.status(400).json({
+       success: false,
+       message: "currentPassword and newPassword are required",
+     });
+   }
+
+   const user = await updatePassword(req.user, currentPassword, newPassword);
+   const tokens = await issueTokens(user, deviceOf(req));
+
+   res.json({
+     success: true,
+     message: "Password changed successfully. Other devices have been logged out.",
+     data: tokens,
+   });
+ } catch (error) {
+   sendPasswordError(res, error, "Change password");
+ }
+};
+
+/**
+* Controller: Update profile
+* ----------------------------------------------------
+* - Patients edit their demographic profile: legalFirstName,
+*   legalMiddleName, legalLastName, dateOfBirth (YYYY-MM-DD), sex, phone,
+*   address { line1, line2, city, state, postalCode, country },
+*   emergencyContact { name, relationship, phone }, preferredLanguage,
+*   insuranceProvider, insurancePlan, insuranceMemberId, insuranceGroupNumber
+* - Doctors edit their directory profile: specialty, credentials, bio,
+*   languages [code], clinicLocation { name, line1, line2, city, state,
+*   postalCode, country }, acceptedInsurance [provider] (the license
+*   number is changed by admins)
+* - Fields left out keep their value; null clears a field
+* - Booking requires legal name, date of birth, sex, phone, address and an
+*   emergency contact
+* - Other roles have no profile to edit (403)
+*
+* @route PUT /api/auth/profile
+* @access Private (Patient, Doctor)
+*/
+const updateProfile = async (req, res) => {
+ try {
+   if (req.user.role === "doctor") {
+     const doctorProfile = await saveDoctorProfile(req.user.id, req.body || {});
+     return res.json({
+       success: true,
+       message: "Profile updated",
+       data: { doctorProfile },
+     });
+   }
+   if (req.user.role !== "patient") {
+     return res.status(403).json({
+       success: false,
+       message: "Only patients and doctors have a profile to edit",
+     });
+   }
+
+   const profile = await savePatientProfile(req.user.id, req.body || {});
+
+   res.json({
+     success: true,
+     message: profile.isComplete()
+       ? "Profile updated"
+       : `Profile updated. Still needed before booking: ${profile.missingFields().join(", ")}`,
+     data: { patientProfile: profile },
+   });
+ } catch (error) {
+   if (error.name === "HttpError") return sendHttpError(res, error);
+   console.error("Update profile error:", error);
+   res.status(500).json({
+     success: false,
+     message: "Internal server error",
+   });
+ }
+};
+
 module.exports = {
  register,
  login,
+ loginMfa,
+ refresh,
+ logout,
+ forgotPassword,
+ resetPassword,
+ changePassword,
+ verifyEmail,
+ resendVerificationEmail,
  getProfile,
+ updateProfile,
 };
\ No newline at end of file
@@ -0,0 +1,173 @@
+const { Appointment, CalendarFeedToken, User } = require("../models");
+const {
+  renderCalendar,
+  findFeedAppointments,
+  issueFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+} = require("../services/calendarService");
+const { can } = require("../services/authorization");
+const { isUuid } = require("../utils/uuid");
+
+const participantIncludes = [
+  { model: User, as: "patient", attributes: ["id", "username", "email"] },
+  { model: User, as: "doctor", attributes: ["id", "username", "email"] },
+];
+
+/**
+ * Build the public feed URL for a token.
+ * PUBLIC_API_URL wins over the request's own host (useful behind proxies).
+ */
+const feedUrl = (req, token) => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`;
+  return `${base.replace(/\/$/, "")}/api/calendar/feed/${token}.ics`;
+};
+
+/**
+ * 📌 Any role: Download one appointment as an .ics file
+ * ----------------------------------------------------
+ * - Patients and doctors can download ONLY their own appointments; admins any
+ *
+ * @route GET /api/appointments/:id/ics
+ * @access Private (Participants of the appointment, Admin)
+ */
+const downloadAppointmentIcs = async (req, res) => {
+  try {
+    const appointment = isUuid(req.params.id)
+      ? await Appointment.findByPk(req.params.id, { include: participantIncludes })
+      : null;
+
+    if (!appointment || !can(req.user, "appointment:read", appointment)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Appointment not found" });
+    }
+
+    const ics = await renderCalendar([appointment], req.user, {
+      method: "PUBLISH",
+      includeReason: true, // Downloaded by the logged-in participant
+    });
+
+    res
+      .type("text/calendar; charset=utf-8")
+      .attachment(`appointment-${appointment.id}.ics`)
+      .send(ics);
+  } catch (error) {
+    console.error("Download appointment ics error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor/Patient: Check whether a calendar feed exists
+ * ----------------------------------------------------
+ * - The token itself cannot be shown again (only its hash is stored)
+ *
+ * @route GET /api/calendar/feed
+ * @access Private (Doctor, Patient)
+ */
+const getFeedStatus = async (req, res) => {
+  try {
+    const feed = await CalendarFeedToken.findOne({ where: { userId: req.user.id } });
+
+    res.json({
+      success: true,
+      data: {
+        active: Boolean(feed),
+        createdAt: feed ? feed.updatedAt : null,
+        lastAccessedAt: feed ? feed.lastAccessedAt : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get calendar feed error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor/Patient: Create or rotate the calendar feed URL
+ * ----------------------------------------------------
+ * - Returns a new secret URL to paste into a calendar app
+ * - Any previously issued feed URL stops working
+ *
+ * @route POST /api/calendar/feed
+ * @access Private (Doctor, Patient)
+ */
+const createFeed = async (req, res) => {
+  try {
+    const token = await issueFeedToken(req.user);
+
+    res.status(201).json({
+      success: true,
+      message: "Calendar feed created. Keep this URL secret; it is shown only once.",
+      data: { url: feedUrl(req, token) },
+    });
+  } catch (error) {
+    console.error("Create calendar feed error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor/Patient: Revoke the calendar feed URL
+ *
+ * @route DELETE /api/calendar/feed
+ * @access Private (Doctor, Patient)
+ */
+const revokeFeed = async (req, res) => {
+  try {
+    const revoked = await revokeFeedToken(req.user);
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ success: false, message: "No calendar feed to revoke" });
+    }
+
+    res.json({ success: true, message: "Calendar feed revoked successfully" });
+  } catch (error) {
+    console.error("Revoke calendar feed error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Public: Calendar feed for subscription
+ * ----------------------------------------------------
+ * - Authenticated by the secret token in the URL (no JWT); 404 once the
+ *   owner's account is no longer active
+ * - Doctors get the appointments booked with them, patients their own
+ * - Visit reasons are left out (the feed is cached by calendar services)
+ *
+ * @route GET /api/calendar/feed/:token.ics
+ * @access Public (token holder)
+ */
+const getFeed = async (req, res) => {
+  try {
+    const user = await findUserByFeedToken(req.params.token);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Calendar feed not found" });
+    }
+    res.locals.auditActor = user; // Audit log: the feed's owner (no login)
+
+    const appointments = await findFeedAppointments(user);
+    const ics = await renderCalendar(appointments, user, {
+      name: `${user.username} – Appointments`,
+    });
+
+    res.set("Cache-Control", "private, no-cache");
+    res.type("text/calendar; charset=utf-8").send(ics);
+  } catch (error) {
+    console.error("Get calendar feed error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  downloadAppointmentIcs,
+  getFeedStatus,
+  createFeed,
+  revokeFeed,
+  getFeed,
+};
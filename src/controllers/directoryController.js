@@ -0,0 +1,80 @@
+const { isValidDate } = require("../services/availabilityService");
+const { searchDoctors, getDirectoryEntry } = require("../services/doctorProfileService");
+const { sendHttpError } = require("../utils/httpError");
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 📌 Patient: Search the provider directory
+ * ----------------------------------------------------
+ * - Query: q (username, specialty, credentials or bio), specialty,
+ *   language, availableBy (YYYY-MM-DD: only doctors with an open slot on or
+ *   before that date; the first 200 matches who work in that window are
+ *   checked), page (default 1), limit (default 20, max 100)
+ * - Active doctors only, ordered by username, each with their profile and
+ *   next open slot (looked up to 62 days ahead)
+ *
+ * @route GET /api/doctors
+ * @access Private (Patient)
+ */
+const getDoctors = async (req, res) => {
+  try {
+    const { q, specialty, language, availableBy } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    if (availableBy && !isValidDate(availableBy)) {
+      return res.status(400).json({
+        success: false,
+        message: "availableBy must be a valid date (YYYY-MM-DD)",
+      });
+    }
+
+    const { rows, count } = await searchDoctors({
+      q,
+      specialty,
+      language,
+      availableBy,
+      patientId: req.user.id,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        doctors: rows,
+        pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
+      },
+    });
+  } catch (error) {
+    console.error("Search doctors error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Patient: View a doctor's directory entry
+ * ----------------------------------------------------
+ * - Profile (specialty, credentials, license number, bio, languages,
+ *   clinic location, accepted insurance) and next open slot
+ *
+ * @route GET /api/doctors/:id
+ * @access Private (Patient)
+ */
+const getDoctor = async (req, res) => {
+  try {
+    const doctor = await getDirectoryEntry(req.params.id, { patientId: req.user.id });
+
+    res.json({ success: true, data: { doctor } });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Get doctor error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getDoctors,
+  getDoctor,
+};
@@ -1,14 +1,18 @@
 const { Appointment, User } = require("../models");
-
-
+const { transitionAppointment } = require("../services/appointmentLifecycle");
+const { profileInclude } = require("../services/patientProfileService");
+const { sendHttpError } = require("../utils/httpError");
+const { isUuid } = require("../utils/uuid");
 
 /**
  * 📌 Doctor: View all their appointments
  * ----------------------------------------------------
  * - Only accessible by a logged-in user with role = doctor
  * - Returns appointments where doctorId matches the logged-in doctor
+ * - Each patient comes with their demographic profile (legal name, date of
+ *   birth, contact details, insurance)
  *
- * @route GET /api/doctors/appointments
+ * @route GET /api/doctor/appointments
  * @access Private (Doctor only)
  */
 const getMyAppointments = async (req, res) => {
@@ -20,6 +24,7 @@ const getMyAppointments = async (req, res) => {
           model: User,
           as: "patient",
           attributes: ["id", "username", "email"],
+          include: [profileInclude],
         },
       ],
       order: [["date", "ASC"], ["time", "ASC"]],
@@ -37,51 +42,84 @@ const getMyAppointments = async (req, res) => {
 };
 
 /**
- * 📌 Doctor: Cancel an appointment
- * ----------------------------------------------------
- * - Only accessible by a logged-in user with role = doctor
- * - Doctor can cancel ONLY their own appointments
- *
- * @route PUT /api/doctors/appointments/:id/cancel
- * @access Private (Doctor only)
+ * Shared handler body for the doctor's appointment actions.
+ * Permissions, ownership and allowed transitions are enforced by
+ * transitionAppointment.
  */
-const cancelAppointment = async (req, res) => {
+const respondWithTransition = async (req, res, toStatus, successMessage) => {
   try {
-    const { id } = req.params;
-
-    // Find appointment by ID
-    const appointment = await Appointment.findByPk(id);
+    const { reason } = req.body || {};
 
+    const appointment = isUuid(req.params.id) ? await Appointment.findByPk(req.params.id) : null;
     if (!appointment) {
       return res
         .status(404)
         .json({ success: false, message: "Appointment not found" });
     }
 
-    // Ensure appointment belongs to the logged-in doctor
-    if (appointment.doctorId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "You are not authorized to cancel this appointment",
-      });
-    }
-
-    // Update status to cancelled
-    appointment.status = "cancelled";
-    await appointment.save();
-
-    res.json({
-      success: true,
-      message: "Appointment cancelled successfully",
-      data: appointment,
+    await transitionAppointment(appointment, toStatus, {
+      actor: req.user,
+      reason,
     });
+
+    res.json({ success: true, message: successMessage, data: appointment });
   } catch (error) {
-    console.error("Doctor cancel appointment error:", error);
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error(`Doctor ${toStatus} appointment error:`, error);
     res.status(500).json({ success: false, message: "Internal server error" });
   }
 };
 
+/**
+ * 📌 Doctor: Cancel an appointment
+ * ----------------------------------------------------
+ * - Doctors can cancel ONLY their own appointments ("appointment:cancel:own")
+ * - Only pending or confirmed appointments can be cancelled
+ * - Optional body: { reason } stored in the status history
+ *
+ * @route PUT /api/doctor/appointments/:id/cancel
+ * @access Private (Doctor only)
+ */
+const cancelAppointment = (req, res) =>
+  respondWithTransition(req, res, "cancelled", "Appointment cancelled successfully");
+
+/**
+ * 📌 Doctor: Check a patient in
+ * ----------------------------------------------------
+ * - Moves a confirmed appointment to "checked_in"
+ *
+ * @route PUT /api/doctor/appointments/:id/check-in
+ * @access Private (Doctor only)
+ */
+const checkInAppointment = (req, res) =>
+  respondWithTransition(req, res, "checked_in", "Patient checked in successfully");
+
+/**
+ * 📌 Doctor: Complete a visit
+ * ----------------------------------------------------
+ * - Moves a checked-in appointment to "completed"
+ *
+ * @route PUT /api/doctor/appointments/:id/complete
+ * @access Private (Doctor only)
+ */
+const completeAppointment = (req, res) =>
+  respondWithTransition(req, res, "completed", "Appointment completed successfully");
+
+/**
+ * 📌 Doctor: Mark a patient as a no-show
+ * ----------------------------------------------------
+ * - Moves a confirmed appointment to "no_show"
+ *
+ * @route PUT /api/doctor/appointments/:id/no-show
+ * @access Private (Doctor only)
+ */
+const markNoShow = (req, res) =>
+  respondWithTransition(req, res, "no_show", "Appointment marked as no-show");
+
 module.exports = {
   getMyAppointments,
   cancelAppointment,
+  checkInAppointment,
+  completeAppointment,
+  markNoShow,
 };
\ No newline at end of file
@@ -0,0 +1,307 @@
+const { DoctorApplication } = require("../models");
+const {
+  inviteDoctor,
+  findOpenInvitation,
+  acceptInvitation: createInvitedDoctor,
+  revokeInvitation: withdrawInvitation,
+  applyAsDoctor,
+  reviewApplication,
+  listApplications,
+  listInvitations,
+} = require("../services/doctorOnboardingService");
+const { issueTokens } = require("../services/tokenService");
+const { isMfaRequired } = require("../services/mfaService");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * Utility: Send errors from account creation (validation, duplicates, HttpError)
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} label - Prefix for the server log
+ */
+const sendAccountError = (res, error, label) => {
+  if (error.name === "HttpError") return sendHttpError(res, error);
+
+  if (error.name === "SequelizeValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: error.errors.map((err) => err.message),
+    });
+  }
+
+  if (error.name === "SequelizeUniqueConstraintError") {
+    return res.status(400).json({
+      success: false,
+      message: `${error.errors[0].path} already exists`,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: "Internal server error" });
+};
+
+/**
+ * 📌 Public: Apply for a doctor account
+ * ----------------------------------------------------
+ * - Body: { username, email, password, licenseNumber, specialty?, message? }
+ * - The account is created in "pending_approval" and cannot log in until
+ *   an admin approves it; a verification link is emailed meanwhile
+ *
+ * @route POST /api/auth/register/doctor
+ * @access Public
+ */
+const applyForDoctorAccount = async (req, res) => {
+  try {
+    const { username, email, password, licenseNumber, specialty, message } = req.body || {};
+
+    if (!username || !email || !password || !licenseNumber) {
+      return res.status(400).json({
+        success: false,
+        message: "Username, email, password, and licenseNumber are required",
+      });
+    }
+
+    const { user, application } = await applyAsDoctor({
+      username,
+      email,
+      password,
+      licenseNumber,
+      specialty,
+      message,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Application received. You can log in once an administrator approves it.",
+      data: { user: user.toJSON(), application },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Doctor application");
+  }
+};
+
+/**
+ * 📌 Public: Look up a doctor invitation
+ * ----------------------------------------------------
+ * - Lets the signup page show which address the invitation is for
+ *
+ * @route GET /api/auth/invitations/:token
+ * @access Public (link holder)
+ */
+const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      data: { email: invitation.email, expiresAt: invitation.expiresAt },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Get invitation error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Public: Accept a doctor invitation
+ * ----------------------------------------------------
+ * - Body: { token, username, password }
+ * - Creates an active doctor for the invited (already verified) address
+ *   and starts a session
+ *
+ * @route POST /api/auth/register/invitation
+ * @access Public (link holder)
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, username, password } = req.body || {};
+
+    if (!token || !username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Token, username, and password are required",
+      });
+    }
+
+    const doctor = await createInvitedDoctor({ token, username, password });
+    const tokens = await issueTokens(doctor, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Doctor account created successfully",
+      data: {
+        user: doctor.toJSON(),
+        ...tokens,
+        ...(isMfaRequired(doctor) && { mfaEnrollmentRequired: true }),
+      },
+    });
+  } catch (error) {
+    sendAccountError(res, error, "Accept invitation");
+  }
+};
+
+/**
+ * 📌 Admin: Invite a doctor
+ * ----------------------------------------------------
+ * - Body: { email }
+ * - Emails a single-use signup link (DOCTOR_INVITATION_TTL_DAYS)
+ *
+ * @route POST /api/admin/doctor-invitations
+ * @access Private (Admin)
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const invitation = await inviteDoctor((req.body || {}).email, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent",
+      data: invitation,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Create invitation error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Admin: List doctor invitations
+ * ----------------------------------------------------
+ * - Query: open=true to show only invitations that can still be used
+ *
+ * @route GET /api/admin/doctor-invitations
+ * @access Private (Admin)
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await listInvitations({ openOnly: req.query.open === "true" });
+    res.json({ success: true, data: invitations });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Admin: Revoke a doctor invitation
+ * ----------------------------------------------------
+ * - The link stops working immediately
+ *
+ * @route DELETE /api/admin/doctor-invitations/:id
+ * @access Private (Admin)
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await withdrawInvitation(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+      data: invitation,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Admin: List doctor applications
+ * ----------------------------------------------------
+ * - Query: status (pending, approved or rejected)
+ *
+ * @route GET /api/admin/doctor-applications
+ * @access Private (Admin)
+ */
+const getApplications = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !DoctorApplication.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${DoctorApplication.STATUSES.join(", ")}`,
+      });
+    }
+
+    const applications = await listApplications({ status });
+    res.json({ success: true, data: applications });
+  } catch (error) {
+    console.error("Get applications error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Admin: Approve a doctor application
+ * ----------------------------------------------------
+ * - The doctor account becomes active and the applicant is emailed
+ *
+ * @route PUT /api/admin/doctor-applications/:id/approve
+ * @access Private (Admin)
+ */
+const approveApplication = async (req, res) => {
+  try {
+    const application = await reviewApplication(req.params.id, "approved", req.user);
+
+    res.json({
+      success: true,
+      message: "Application approved",
+      data: application,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Approve application error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Admin: Reject a doctor application
+ * ----------------------------------------------------
+ * - Body: { reason? } (included in the email to the applicant)
+ * - The account stays unable to log in
+ *
+ * @route PUT /api/admin/doctor-applications/:id/reject
+ * @access Private (Admin)
+ */
+const rejectApplication = async (req, res) => {
+  try {
+    const application = await reviewApplication(
+      req.params.id,
+      "rejected",
+      req.user,
+      (req.body || {}).reason
+    );
+
+    res.json({
+      success: true,
+      message: "Application rejected",
+      data: application,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Reject application error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  applyForDoctorAccount,
+  getInvitation,
+  acceptInvitation,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getApplications,
+  approveApplication,
+  rejectApplication,
+};
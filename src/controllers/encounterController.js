@@ -0,0 +1,171 @@
+const { Appointment } = require("../models");
+const {
+  createEncounter: startEncounter,
+  updateDraft,
+  signEncounter: signRecord,
+  amendEncounter: startAmendment,
+  getEncounterForViewer,
+  listPatientEncounters,
+} = require("../services/encounterService");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * 📌 Doctor: Create the clinical record of a completed appointment
+ * ----------------------------------------------------
+ * - Body: { subjective, objective, assessment, plan, diagnoses, vitals }
+ *   (all optional at this point; diagnoses are [{ code, description, primary }]
+ *   with ICD-10 codes)
+ * - Only the appointment's doctor, only once the appointment is completed
+ * - The record starts as a draft; sign it to make it final
+ *
+ * @route POST /api/doctor/appointments/:id/encounter
+ * @access Private (Doctor)
+ */
+const createEncounter = async (req, res) => {
+  try {
+    const appointment = await Appointment.findByPk(req.params.id);
+    if (!appointment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Appointment not found" });
+    }
+
+    const { encounter, version } = await startEncounter(appointment, req.user, req.body || {});
+    res.locals.auditResourceId = encounter.id; // Audit log: the new record
+
+    res.status(201).json({
+      success: true,
+      message: "Encounter draft created",
+      data: { encounter, version },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Create encounter error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: View a clinical record
+ * ----------------------------------------------------
+ * - The treating doctor sees every version, including unsigned drafts
+ * - The patient sees finalized records only, and only signed versions
+ *
+ * @route GET /api/doctor/encounters/:id
+ * @route GET /api/patient/encounters/:id
+ * @access Private (Treating doctor, Patient, Admin)
+ */
+const getEncounter = async (req, res) => {
+  try {
+    const encounter = await getEncounterForViewer(req.params.id, req.user);
+    res.json({ success: true, data: encounter });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Get encounter error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor: Edit the unsigned draft
+ * ----------------------------------------------------
+ * - Body: any of { subjective, objective, assessment, plan, diagnoses,
+ *   vitals } (and amendmentReason for a pending amendment)
+ * - Signed versions cannot be edited; amend them instead
+ *
+ * @route PUT /api/doctor/encounters/:id
+ * @access Private (Doctor)
+ */
+const updateEncounter = async (req, res) => {
+  try {
+    const version = await updateDraft(req.params.id, req.user, req.body || {});
+
+    res.json({
+      success: true,
+      message: "Encounter draft updated",
+      data: version,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Update encounter error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor: Sign the current draft
+ * ----------------------------------------------------
+ * - Only the author of the draft can sign it; an assessment is required
+ * - The signed version can no longer change and becomes visible to the patient
+ *
+ * @route POST /api/doctor/encounters/:id/sign
+ * @access Private (Doctor)
+ */
+const signEncounter = async (req, res) => {
+  try {
+    const { encounter, version } = await signRecord(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} signed`,
+      data: { encounter, version },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Sign encounter error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor: Amend a signed record
+ * ----------------------------------------------------
+ * - Body: { amendmentReason, ...changed fields }
+ * - Creates a new draft version from the latest signed one; earlier
+ *   versions are kept unchanged. Sign it to publish the amendment.
+ *
+ * @route POST /api/doctor/encounters/:id/amendments
+ * @access Private (Doctor)
+ */
+const amendEncounter = async (req, res) => {
+  try {
+    const version = await startAmendment(req.params.id, req.user, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: "Amendment draft created",
+      data: version,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Amend encounter error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Patient: List their finalized clinical records
+ * ----------------------------------------------------
+ * - Newest first, each with its latest signed version
+ *
+ * @route GET /api/patient/encounters
+ * @access Private (Patient)
+ */
+const getMyEncounters = async (req, res) => {
+  try {
+    const encounters = await listPatientEncounters(req.user);
+    res.json({ success: true, data: encounters });
+  } catch (error) {
+    console.error("Get my encounters error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  createEncounter,
+  getEncounter,
+  updateEncounter,
+  signEncounter,
+  amendEncounter,
+  getMyEncounters,
+};
@@ -0,0 +1,187 @@
+const fhirService = require("../services/fhirService");
+const { capabilityStatement, searchBundle } = require("../fhir/responses");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * Base URL of the FHIR endpoint (FHIR_BASE_URL, or derived from the request).
+ */
+const baseUrlOf = (req) =>
+  process.env.FHIR_BASE_URL || `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+/**
+ * Run a search and answer with a searchset Bundle (with a "next" link when
+ * there are more pages).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} type - Resource type searched
+ * @param {Function} search - (query, user) => Promise<{resources, total}>
+ */
+const respondWithSearch = async (req, res, type, search) => {
+  try {
+    const { resources, total } = await search(req.query, req.user);
+    const { limit, offset } = fhirService.pageOf(req.query);
+
+    const baseUrl = baseUrlOf(req);
+    const pageUrl = (pageOffset) => {
+      const params = new URLSearchParams();
+      for (const [name, value] of Object.entries(req.query)) {
+        if (name === "_offset") continue;
+        [].concat(value).forEach((v) => params.append(name, v));
+      }
+      if (pageOffset) params.set("_offset", String(pageOffset));
+      const query = params.toString();
+      return `${baseUrl}/${type}${query ? `?${query}` : ""}`;
+    };
+
+    res.json(
+      searchBundle({
+        baseUrl,
+        selfUrl: pageUrl(offset),
+        nextUrl: offset + limit < total ? pageUrl(offset + limit) : null,
+        resources,
+        total,
+      })
+    );
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error(`FHIR ${type} search error:`, error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * Read one resource and answer with it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} type - Resource type read
+ * @param {Function} read - (id, user) => Promise<Object>
+ */
+const respondWithRead = async (req, res, type, read) => {
+  try {
+    res.json(await read(req.params.id, req.user));
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error(`FHIR ${type} read error:`, error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Public: Describe the FHIR endpoint
+ * ----------------------------------------------------
+ * - Supported resources, interactions and search parameters
+ *
+ * @route GET /fhir/R4/metadata
+ * @access Public
+ */
+const getCapabilityStatement = (req, res) => {
+  res.json(capabilityStatement(baseUrlOf(req)));
+};
+
+/**
+ * 📌 Any role: Read / search Patients
+ * ----------------------------------------------------
+ * - Patients see themselves, doctors the patients they have appointments
+ *   with, admins everyone
+ *
+ * @route GET /fhir/R4/Patient/:id
+ * @route GET /fhir/R4/Patient?_id=&name=&email=
+ * @access Private (patient:read)
+ */
+const readPatient = (req, res) =>
+  respondWithRead(req, res, "Patient", fhirService.readPatient);
+
+const searchPatients = (req, res) =>
+  respondWithSearch(req, res, "Patient", fhirService.searchPatients);
+
+/**
+ * 📌 Any role: Read / search Practitioners (doctors)
+ *
+ * @route GET /fhir/R4/Practitioner/:id
+ * @route GET /fhir/R4/Practitioner?_id=&name=
+ * @access Private (schedule:read)
+ */
+const readPractitioner = (req, res) =>
+  respondWithRead(req, res, "Practitioner", fhirService.readPractitioner);
+
+const searchPractitioners = (req, res) =>
+  respondWithSearch(req, res, "Practitioner", fhirService.searchPractitioners);
+
+/**
+ * 📌 Any role: Read / search Appointments
+ * ----------------------------------------------------
+ * - Patients and doctors see ONLY their own appointments; admins any
+ * - Search by patient, practitioner, actor, date (with prefixes) and status
+ *
+ * @route GET /fhir/R4/Appointment/:id
+ * @route GET /fhir/R4/Appointment?patient=&practitioner=&actor=&date=&status=
+ * @access Private (appointment:read)
+ */
+const readAppointment = (req, res) =>
+  respondWithRead(req, res, "Appointment", fhirService.readAppointment);
+
+const searchAppointments = (req, res) =>
+  respondWithSearch(req, res, "Appointment", fhirService.searchAppointments);
+
+/**
+ * 📌 Patient: Book an appointment from a FHIR Appointment
+ * ----------------------------------------------------
+ * - The slot comes from `slot` (a Slot from a search) or `start` plus a
+ *   Practitioner participant; the reason from `description`/`reasonCode`
+ * - Same rules as POST /api/patient/appointments (free slot, starts pending)
+ * - Responds 201 with the created resource and its Location
+ *
+ * @route POST /fhir/R4/Appointment
+ * @access Private (appointment:book, verified email)
+ */
+const createAppointment = async (req, res) => {
+  try {
+    const { appointment, resource } = await fhirService.createAppointment(req.body || {}, req.user);
+    res.locals.auditResourceId = appointment.id; // Audit log: the new record
+
+    res
+      .status(201)
+      .location(`${baseUrlOf(req)}/Appointment/${appointment.id}/_history/${resource.meta.versionId}`)
+      .json(resource);
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("FHIR Appointment create error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Read / search Schedules and search free Slots
+ * ----------------------------------------------------
+ * - One Schedule per doctor (its ID is the doctor's ID)
+ * - Slot search needs `schedule`; `start` narrows the range (default 14 days)
+ *
+ * @route GET /fhir/R4/Schedule/:id
+ * @route GET /fhir/R4/Schedule?actor=
+ * @route GET /fhir/R4/Slot?schedule=&start=&status=
+ * @access Private (schedule:read)
+ */
+const readSchedule = (req, res) =>
+  respondWithRead(req, res, "Schedule", fhirService.readSchedule);
+
+const searchSchedules = (req, res) =>
+  respondWithSearch(req, res, "Schedule", fhirService.searchSchedules);
+
+const searchSlots = (req, res) =>
+  respondWithSearch(req, res, "Slot", fhirService.searchSlots);
+
+module.exports = {
+  getCapabilityStatement,
+  readPatient,
+  searchPatients,
+  readPractitioner,
+  searchPractitioners,
+  readAppointment,
+  searchAppointments,
+  createAppointment,
+  readSchedule,
+  searchSchedules,
+  searchSlots,
+};
@@ -0,0 +1,154 @@
+const { Hl7Message } = require("../models");
+const {
+  processInboundMessage,
+  resendMessage,
+  listMessages,
+} = require("../services/hl7Service");
+const { sendHttpError } = require("../utils/httpError");
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * 📌 Interface: Submit an inbound HL7 v2 message
+ * ----------------------------------------------------
+ * - Body: one ER7 (pipe-delimited) message, sent as application/hl7-v2
+ *   or text/plain
+ * - Supported: SIU^S12, SIU^S14, SIU^S15, ADT^A04, ADT^A08
+ * - Always answers 200 with the HL7 acknowledgement (AA, AE or AR), so
+ *   interface engines can read the outcome from MSA-1
+ *
+ * @route POST /api/hl7/messages
+ * @access Private (Interface, Admin)
+ */
+const receiveMessage = async (req, res) => {
+  try {
+    const text = typeof req.body === "string" ? req.body : "";
+    const { ack, message } = await processInboundMessage(text, {
+      transport: "http",
+      submittedBy: req.user,
+    });
+
+    // Audit log: the message and the patient it was about
+    if (message) {
+      res.locals.auditResourceId = message.id;
+      if (message.patientId) res.locals.auditPatientId = message.patientId;
+    }
+
+    res.type("application/hl7-v2").send(ack);
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Receive HL7 message error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Admin: Search the HL7 message log
+ * ----------------------------------------------------
+ * - Query: direction, status, messageType, controlId, appointmentId,
+ *   patientId, page (default 1), limit (default 50, max 200)
+ * - Newest first; message text is only returned by the detail endpoint
+ *
+ * @route GET /api/admin/hl7-messages
+ * @access Private (Admin)
+ */
+const getHl7Messages = async (req, res) => {
+  try {
+    const { direction, status, messageType, controlId, appointmentId, patientId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    if (direction && !Hl7Message.DIRECTIONS.includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: `Direction must be one of: ${Hl7Message.DIRECTIONS.join(", ")}`,
+      });
+    }
+    if (status && !Hl7Message.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Hl7Message.STATUSES.join(", ")}`,
+      });
+    }
+
+    const { rows, count } = await listMessages({
+      direction,
+      status,
+      messageType,
+      controlId,
+      appointmentId,
+      patientId,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        messages: rows,
+        pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
+      },
+    });
+  } catch (error) {
+    console.error("Get HL7 messages error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Admin: View one HL7 message
+ * ----------------------------------------------------
+ * - Includes the message text and the acknowledgement
+ *
+ * @route GET /api/admin/hl7-messages/:id
+ * @access Private (Admin)
+ */
+const getHl7Message = async (req, res) => {
+  try {
+    const message = await Hl7Message.findByPk(req.params.id);
+    if (!message) {
+      return res
+        .status(404)
+        .json({ success: false, message: "HL7 message not found" });
+    }
+
+    if (message.patientId) res.locals.auditPatientId = message.patientId;
+    res.json({ success: true, data: message });
+  } catch (error) {
+    console.error("Get HL7 message error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Admin: Send an outbound HL7 message again
+ * ----------------------------------------------------
+ * - For messages that failed or were not acknowledged
+ * - Uses the same control ID, so the receiver can detect a duplicate
+ *
+ * @route POST /api/admin/hl7-messages/:id/resend
+ * @access Private (Admin)
+ */
+const resendHl7Message = async (req, res) => {
+  try {
+    const message = await resendMessage(req.params.id);
+    if (message.patientId) res.locals.auditPatientId = message.patientId;
+
+    res.json({
+      success: true,
+      message: `Message ${message.status}`,
+      data: message,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Resend HL7 message error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  receiveMessage,
+  getHl7Messages,
+  getHl7Message,
+  resendHl7Message,
+};
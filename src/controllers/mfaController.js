@@ -0,0 +1,158 @@
+const {
+  MFA_REQUIRED_ROLES,
+  isMfaRequired,
+  startEnrollment,
+  confirmEnrollment,
+  disableMfa,
+  regenerateRecoveryCodes,
+} = require("../services/mfaService");
+const { MfaRecoveryCode } = require("../models");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * 📌 Any role: MFA status
+ * ----------------------------------------------------
+ * - Whether MFA is on, whether the role requires it, and how many recovery
+ *   codes are left
+ *
+ * @route GET /api/auth/mfa
+ * @access Private (All roles)
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const remainingRecoveryCodes = req.user.mfaEnabled
+      ? await MfaRecoveryCode.count({ where: { userId: req.user.id, usedAt: null } })
+      : 0;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.mfaEnabled,
+        required: isMfaRequired(req.user),
+        requiredRoles: MFA_REQUIRED_ROLES,
+        remainingRecoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("Get MFA status error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Start MFA enrollment
+ * ----------------------------------------------------
+ * - Returns a new secret and its otpauth:// URI (render it as a QR code)
+ * - MFA is switched on only after POST /api/auth/mfa/verify
+ *
+ * @route POST /api/auth/mfa/enroll
+ * @access Private (All roles)
+ */
+const enroll = async (req, res) => {
+  try {
+    const data = await startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then verify a code",
+      data,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("MFA enroll error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Verify the first code and turn MFA on
+ * ----------------------------------------------------
+ * - Returns ten one-time recovery codes; they are shown only once
+ *
+ * @route POST /api/auth/mfa/verify
+ * @access Private (All roles)
+ */
+const verify = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "An authentication code is required" });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user, code);
+
+    res.json({
+      success: true,
+      message: "MFA enabled. Store these recovery codes somewhere safe; they are shown only once.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("MFA verify error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Turn MFA off
+ * ----------------------------------------------------
+ * - Requires the password and a TOTP code or recovery code
+ * - Users whose role requires MFA must enroll again before using the API
+ *
+ * @route POST /api/auth/mfa/disable
+ * @access Private (All roles)
+ */
+const disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    await disableMfa(req.user, { password, code, recoveryCode });
+
+    res.json({
+      success: true,
+      message: isMfaRequired(req.user)
+        ? "MFA disabled. Your role requires MFA, so enroll a new device to continue."
+        : "MFA disabled successfully",
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("MFA disable error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Replace recovery codes
+ * ----------------------------------------------------
+ * - Requires a TOTP code; every old recovery code stops working
+ *
+ * @route POST /api/auth/mfa/recovery-codes
+ * @access Private (All roles)
+ */
+const regenerateCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user, code);
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated; the old ones no longer work.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("MFA recovery codes error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  enroll,
+  verify,
+  disable,
+  regenerateCodes,
+};
@@ -0,0 +1,207 @@
+const { Notification, NotificationPreference } = require("../models");
+const { EVENTS } = require("../notifications/templates");
+
+const { CHANNELS, DEFAULT_CHANNELS } = NotificationPreference;
+
+/**
+ * Check a { channel: boolean } map, returning an error message or null.
+ */
+const validateChannelMap = (value, label) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return `${label} must be an object of channel switches`;
+  }
+  for (const [channel, enabled] of Object.entries(value)) {
+    if (!CHANNELS.includes(channel)) {
+      return `${label}: unknown channel "${channel}" (use ${CHANNELS.join(", ")})`;
+    }
+    if (typeof enabled !== "boolean") {
+      return `${label}: "${channel}" must be true or false`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Preferences as returned to the client (defaults when none are saved).
+ */
+const formatPreferences = (preference) => ({
+  channels: { ...DEFAULT_CHANNELS, ...(preference ? preference.channels : {}) },
+  events: preference ? preference.events : {},
+  phoneNumber: preference ? preference.phoneNumber : null,
+  availableChannels: CHANNELS,
+  availableEvents: EVENTS,
+});
+
+/**
+ * 📌 Any role: List my in-app notifications
+ * ----------------------------------------------------
+ * - Newest first, at most 100
+ * - `?unread=true` returns only unread notifications
+ *
+ * @route GET /api/notifications
+ * @access Private (All roles)
+ */
+const getMyNotifications = async (req, res) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.unread === "true") where.readAt = null;
+
+    const notifications = await Notification.findAll({
+      where,
+      order: [["createdAt", "DESC"]],
+      limit: 100,
+    });
+    const unreadCount = await Notification.count({
+      where: { userId: req.user.id, readAt: null },
+    });
+
+    res.json({ success: true, data: { notifications, unreadCount } });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Mark one notification as read
+ *
+ * @route PUT /api/notifications/:id/read
+ * @access Private (Owner)
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found" });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Mark all my notifications as read
+ *
+ * @route PUT /api/notifications/read-all
+ * @access Private (All roles)
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: null } }
+    );
+
+    res.json({ success: true, message: `${updated} notification(s) marked as read` });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Get my notification preferences
+ *
+ * @route GET /api/notifications/preferences
+ * @access Private (All roles)
+ */
+const getMyPreferences = async (req, res) => {
+  try {
+    const preference = await NotificationPreference.findOne({
+      where: { userId: req.user.id },
+    });
+
+    res.json({ success: true, data: formatPreferences(preference) });
+  } catch (error) {
+    console.error("Get notification preferences error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Update my notification preferences
+ * ----------------------------------------------------
+ * - `channels` switches email/sms/inApp on or off for every event
+ * - `events` overrides them per event, e.g. { "booked": { "email": false } }
+ * - `phoneNumber` is required before SMS can be delivered
+ * - Omitted fields keep their current values
+ *
+ * @route PUT /api/notifications/preferences
+ * @access Private (All roles)
+ */
+const updateMyPreferences = async (req, res) => {
+  try {
+    const { channels, events, phoneNumber } = req.body || {};
+    const errors = [];
+
+    if (channels !== undefined) {
+      const problem = validateChannelMap(channels, "channels");
+      if (problem) errors.push(problem);
+    }
+    if (events !== undefined) {
+      if (!events || typeof events !== "object" || Array.isArray(events)) {
+        errors.push("events must be an object keyed by event name");
+      } else {
+        for (const [event, overrides] of Object.entries(events)) {
+          if (!EVENTS.includes(event)) {
+            errors.push(`events: unknown event "${event}" (use ${EVENTS.join(", ")})`);
+            continue;
+          }
+          const problem = validateChannelMap(overrides, `events.${event}`);
+          if (problem) errors.push(problem);
+        }
+      }
+    }
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Validation failed", errors });
+    }
+
+    const [preference] = await NotificationPreference.findOrCreate({
+      where: { userId: req.user.id },
+    });
+    if (channels !== undefined) preference.channels = { ...preference.channels, ...channels };
+    if (events !== undefined) preference.events = events;
+    if (phoneNumber !== undefined) preference.phoneNumber = phoneNumber || null;
+    await preference.save();
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: formatPreferences(preference),
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+
+    if (error.name === "SequelizeValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: error.errors.map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getMyPreferences,
+  updateMyPreferences,
+};
@@ -0,0 +1,92 @@
+const {
+  resolveActionToken,
+  performReminderAction,
+} = require("../services/reminderService");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * Appointment details safe to show to whoever holds the link.
+ */
+const summarize = (appointment) => ({
+  id: appointment.id,
+  date: appointment.date,
+  time: appointment.time,
+  status: appointment.status,
+  doctor: appointment.doctor ? appointment.doctor.username : null,
+  attendanceConfirmedAt: appointment.attendanceConfirmedAt,
+});
+
+/**
+ * Record the patient the link was sent to as the actor in the audit log
+ * (the link replaces the login).
+ */
+const auditLinkHolder = (res, { appointment, patient }) => {
+  res.locals.auditActor = patient;
+  res.locals.auditResourceId = appointment.id;
+  res.locals.auditPatientId = patient.id;
+};
+
+/**
+ * 📌 Public: Preview a reminder link
+ * ----------------------------------------------------
+ * - Shows what the link will do (confirm or cancel) and for which appointment
+ * - Called by the frontend page the reminder links to, which then asks the
+ *   patient to go ahead (POST)
+ * - Changes nothing, so link scanners in mail clients cannot trigger it
+ *
+ * @route GET /api/reminders/:token
+ * @access Public (link holder)
+ */
+const getReminderAction = async (req, res) => {
+  try {
+    const link = await resolveActionToken(req.params.token);
+    auditLinkHolder(res, link);
+    const { action, appointment } = link;
+
+    res.json({
+      success: true,
+      data: { action, appointment: summarize(appointment) },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Get reminder action error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Public: Carry out a reminder link
+ * ----------------------------------------------------
+ * - "confirm" records that the patient will attend (repeating it is harmless)
+ * - "cancel" cancels the appointment, exactly as if the patient had cancelled
+ *   it from the app
+ * - Links stop working when the appointment starts
+ *
+ * @route POST /api/reminders/:token
+ * @access Public (link holder)
+ */
+const postReminderAction = async (req, res) => {
+  try {
+    const link = await resolveActionToken(req.params.token);
+    auditLinkHolder(res, link);
+    const { action, appointment } = await performReminderAction(link);
+
+    res.json({
+      success: true,
+      message:
+        action === "confirm"
+          ? "Thank you, your attendance is confirmed"
+          : "Appointment cancelled successfully",
+      data: summarize(appointment),
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Reminder action error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getReminderAction,
+  postReminderAction,
+};
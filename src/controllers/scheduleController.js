@@ -0,0 +1,196 @@
+const { Op } = require("sequelize");
+const { DoctorSchedule, ScheduleException, sequelize } = require("../models");
+const {
+  addDays,
+  today,
+  isValidDate,
+  normalizeTime,
+  getAvailableSlots,
+  normalizeWeeklySchedule,
+} = require("../services/availabilityService");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * 📌 Doctor: View their weekly schedule
+ * ----------------------------------------------------
+ * - Returns the weekly working hours (ordered Sunday → Saturday)
+ * - Includes upcoming schedule exceptions (today onward)
+ *
+ * @route GET /api/doctor/schedule
+ * @access Private (Doctor only)
+ */
+const getMySchedule = async (req, res) => {
+  try {
+    const [days, exceptions] = await Promise.all([
+      DoctorSchedule.findAll({
+        where: { doctorId: req.user.id },
+        order: [["dayOfWeek", "ASC"]],
+      }),
+      ScheduleException.findAll({
+        where: { doctorId: req.user.id, date: { [Op.gte]: today() } },
+        order: [["date", "ASC"], ["startTime", "ASC"]],
+      }),
+    ]);
+
+    res.json({ success: true, data: { days, exceptions } });
+  } catch (error) {
+    console.error("Get schedule error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor: Replace their weekly schedule
+ * ----------------------------------------------------
+ * - Body: { days: [{ dayOfWeek, startTime, endTime, slotDuration, breaks }] }
+ * - Days not listed become non-working days
+ * - Existing appointments are not touched
+ *
+ * @route PUT /api/doctor/schedule
+ * @access Private (Doctor only)
+ */
+const updateMySchedule = async (req, res) => {
+  try {
+    const rows = normalizeWeeklySchedule(req.body.days);
+
+    const days = await sequelize.transaction(async (transaction) => {
+      await DoctorSchedule.destroy({
+        where: { doctorId: req.user.id },
+        transaction,
+      });
+      return DoctorSchedule.bulkCreate(
+        rows.map((row) => ({ ...row, doctorId: req.user.id })),
+        { validate: true, transaction }
+      );
+    });
+
+    res.json({
+      success: true,
+      message: "Schedule updated successfully",
+      data: { days },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Update schedule error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor: Add a schedule exception
+ * ----------------------------------------------------
+ * - Body: { date, startTime?, endTime?, reason? }
+ * - Without startTime/endTime the whole day is blocked (e.g., vacation)
+ *
+ * @route POST /api/doctor/schedule/exceptions
+ * @access Private (Doctor only)
+ */
+const addScheduleException = async (req, res) => {
+  try {
+    const { date, startTime, endTime, reason } = req.body;
+    const wholeDay = !startTime && !endTime;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be a valid date (YYYY-MM-DD)",
+      });
+    }
+
+    const start = normalizeTime(startTime);
+    const end = normalizeTime(endTime);
+    if (!wholeDay && (!start || !end || start >= end)) {
+      return res.status(400).json({
+        success: false,
+        message: "startTime must be before endTime (HH:MM), or omit both for a whole day",
+      });
+    }
+
+    const exception = await ScheduleException.create({
+      doctorId: req.user.id,
+      date,
+      startTime: wholeDay ? null : start,
+      endTime: wholeDay ? null : end,
+      reason,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Schedule exception added successfully",
+      data: exception,
+    });
+  } catch (error) {
+    console.error("Add schedule exception error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Doctor: Remove a schedule exception
+ * ----------------------------------------------------
+ * - Doctor can remove ONLY their own exceptions
+ *
+ * @route DELETE /api/doctor/schedule/exceptions/:id
+ * @access Private (Doctor only)
+ */
+const deleteScheduleException = async (req, res) => {
+  try {
+    const exception = await ScheduleException.findOne({
+      where: { id: req.params.id, doctorId: req.user.id },
+    });
+
+    if (!exception) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Schedule exception not found" });
+    }
+
+    await exception.destroy();
+
+    res.json({
+      success: true,
+      message: "Schedule exception removed successfully",
+    });
+  } catch (error) {
+    console.error("Delete schedule exception error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+/**
+ * 📌 Patient: List a doctor's open slots
+ * ----------------------------------------------------
+ * - Query: from, to (YYYY-MM-DD); defaults to the next 14 days
+ * - Only slots inside the doctor's schedule that are free and in the future
+ * - Slots held for the caller by a waitlist offer are included
+ *
+ * @route GET /api/doctors/:id/slots?from=&to=
+ * @access Private (Patient)
+ */
+const getDoctorSlots = async (req, res) => {
+  try {
+    const from = req.query.from || today();
+    const to = req.query.to || (isValidDate(from) ? addDays(from, 13) : from);
+
+    const slots = await getAvailableSlots(req.params.id, from, to, {
+      patientId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      data: { doctorId: req.params.id, from, to, slots },
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Get doctor slots error:", error);
+    res.status(500).json({ success: false, message: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getMySchedule,
+  updateMySchedule,
+  addScheduleException,
+  deleteScheduleException,
+  getDoctorSlots,
+};
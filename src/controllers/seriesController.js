@@ -0,0 +1,195 @@
+const { Appointment, AppointmentSeries, User } = require("../models");
+const {
+  bookSeries: createSeries,
+  cancelOccurrences,
+  rescheduleOccurrences,
+} = require("../services/seriesService");
+const { can } = require("../services/authorization");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * Load a series the caller takes part in (or any series for admins).
+ * Responds with 404 and returns null otherwise.
+ */
+const findAccessibleSeries = async (req, res) => {
+  const series = await AppointmentSeries.findByPk(req.params.seriesId);
+
+  // Series carry patientId/doctorId just like appointments
+  if (!series || !can(req.user, "appointment:read", series)) {
+    res.status(404).json({ success: false, message: "Series not found" });
+    return null;
+  }
+  return series;
+};
+
+/**
+ * 📌 Patient: Book a recurring series of appointments
+ * ----------------------------------------------------
+ * - Body: { doctorId, startDate, time, rrule, reason }
+ * - rrule: "FREQ=WEEKLY;INTERVAL=1;COUNT=6" (or UNTIL=YYYYMMDD),
+ *   or an object { frequency, interval, count | until }
+ * - Each occurrence is booked like a single appointment; occurrences that
+ *   clash are skipped and listed under `conflicts`
+ *
+ * @route POST /api/patient/series
+ * @access Private (Patient)
+ */
+const bookSeries = async (req, res) => {
+  try {
+    const { doctorId, startDate, time, rrule, reason } = req.body || {};
+
+    if (!doctorId || !startDate || !time || !rrule || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Doctor, startDate, time, rrule, and reason are required.",
+      });
+    }
+
+    const result = await createSeries({
+      patientId: req.user.id,
+      doctorId,
+      startDate,
+      time,
+      rrule,
+      reason,
+      actor: req.user,
+    });
+    res.locals.auditResourceId = result.series.id; // Audit log: the new record
+
+    res.status(201).json({
+      success: true,
+      message: result.conflicts.length
+        ? `Series booked with ${result.conflicts.length} conflicting occurrence(s) skipped.`
+        : "Series booked successfully (pending confirmation).",
+      data: result,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Book series error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Any role: View a recurring series and its occurrences
+ * ----------------------------------------------------
+ * - Patients and doctors can view ONLY their own series; admins any
+ *
+ * @route GET /api/appointments/series/:seriesId
+ * @access Private (Patient, Doctor, Admin)
+ */
+const getSeries = async (req, res) => {
+  try {
+    const series = await findAccessibleSeries(req, res);
+    if (!series) return;
+
+    const occurrences = await Appointment.findAll({
+      where: { seriesId: series.id },
+      include: [
+        { model: User, as: "doctor", attributes: ["id", "username", "email"] },
+      ],
+      order: [["date", "ASC"], ["time", "ASC"]],
+    });
+
+    res.json({ success: true, data: { series, occurrences } });
+  } catch (error) {
+    console.error("Get series error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Cancel occurrences of a series
+ * ----------------------------------------------------
+ * - Body: { appointmentId, scope: "this" | "following", reason? }
+ * - "following" cancels the given occurrence and every later one
+ * - Occurrences that cannot be cancelled are listed under `failed`
+ *
+ * @route PUT /api/appointments/series/:seriesId/cancel
+ * @access Private (Participants of the series, Admin)
+ */
+const cancelSeriesOccurrences = async (req, res) => {
+  try {
+    const { appointmentId, scope = "this", reason } = req.body || {};
+
+    if (!appointmentId) {
+      return res.status(400).json({
+        success: false,
+        message: "appointmentId is required.",
+      });
+    }
+
+    const series = await findAccessibleSeries(req, res);
+    if (!series) return;
+
+    const result = await cancelOccurrences(series, {
+      appointmentId,
+      scope,
+      reason,
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: `${result.cancelled.length} occurrence(s) cancelled`,
+      data: result,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Cancel series error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Any role: Reschedule occurrences of a series
+ * ----------------------------------------------------
+ * - Body: { appointmentId, scope: "this" | "following", date, time, reason? }
+ * - "following" shifts every later occurrence by the same number of days
+ *   and moves them to the new time
+ * - Occurrences whose new slot is unavailable are listed under `conflicts`
+ *
+ * @route PATCH /api/appointments/series/:seriesId/reschedule
+ * @access Private (Participants of the series, Admin)
+ */
+const rescheduleSeriesOccurrences = async (req, res) => {
+  try {
+    const { appointmentId, scope = "this", date, time, reason } = req.body || {};
+
+    if (!appointmentId || !date || !time) {
+      return res.status(400).json({
+        success: false,
+        message: "appointmentId, date, and time are required.",
+      });
+    }
+
+    const series = await findAccessibleSeries(req, res);
+    if (!series) return;
+
+    const result = await rescheduleOccurrences(series, {
+      appointmentId,
+      scope,
+      date,
+      time,
+      reason,
+      actor: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: `${result.rescheduled.length} occurrence(s) rescheduled`,
+      data: result,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Reschedule series error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+module.exports = {
+  bookSeries,
+  getSeries,
+  cancelSeriesOccurrences,
+  rescheduleSeriesOccurrences,
+};
@@ -0,0 +1,249 @@
+const { User, WaitlistEntry } = require("../models");
+const {
+  joinWaitlist: addToWaitlist,
+  acceptOffer,
+  declineOffer,
+  cancelEntry,
+} = require("../services/waitlistService");
+const { sendHttpError } = require("../utils/httpError");
+
+/**
+ * 📌 Patient: Join a doctor's waitlist
+ * ----------------------------------------------------
+ * - Body: { doctorId, fromDate, toDate, reason }
+ * - When a slot in the range is freed it is offered to the patient and
+ *   held for a limited time (WAITLIST_OFFER_HOLD_MINUTES)
+ *
+ * @route POST /api/patient/waitlist
+ * @access Private (Patient)
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { doctorId, fromDate, toDate, reason } = req.body || {};
+
+    if (!doctorId || !fromDate || !toDate || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Doctor, fromDate, toDate, and reason are required.",
+      });
+    }
+
+    const entry = await addToWaitlist({
+      patientId: req.user.id,
+      doctorId,
+      fromDate,
+      toDate,
+      reason,
+    });
+    res.locals.auditResourceId = entry.id; // Audit log: the new record
+
+    res.status(201).json({
+      success: true,
+      message: "Added to the waitlist successfully",
+      data: entry,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Join waitlist error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Patient: View their waitlist entries
+ * ----------------------------------------------------
+ * - Entries with status "offered" hold a slot until offerExpiresAt
+ *
+ * @route GET /api/patient/waitlist
+ * @access Private (Patient)
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.findAll({
+      where: { patientId: req.user.id },
+      include: [
+        { model: User, as: "doctor", attributes: ["id", "username", "email"] },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error("Get my waitlist error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Patient: Accept an offered slot
+ * ----------------------------------------------------
+ * - Books the held slot as a pending appointment
+ *
+ * @route POST /api/patient/waitlist/:id/accept
+ * @access Private (Patient)
+ */
+const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const result = await acceptOffer(req.params.id, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: "Offer accepted, appointment booked (pending confirmation).",
+      data: result,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Accept waitlist offer error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Patient: Decline an offered slot
+ * ----------------------------------------------------
+ * - The slot passes to the next patient; this entry stays in line
+ *
+ * @route POST /api/patient/waitlist/:id/decline
+ * @access Private (Patient)
+ */
+const declineWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await declineOffer(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: "Offer declined, you remain on the waitlist",
+      data: entry,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Decline waitlist offer error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * 📌 Patient: Leave a waitlist
+ * ----------------------------------------------------
+ * - A slot currently held for the patient passes to the next in line
+ *
+ * @route DELETE /api/patient/waitlist/:id
+ * @access Private (Patient)
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      where: { id: req.params.id, patientId: req.user.id },
+    });
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Waitlist entry not found" });
+    }
+
+    await cancelEntry(entry);
+
+    res.json({
+      success: true,
+      message: "Removed from the waitlist successfully",
+      data: entry,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Leave waitlist error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/**
+ * Controller: Get All Waitlist Entries
+ * ----------------------------------------------------
+ * - Only admins can access this endpoint
+ * - Optional filters: ?doctorId=&status=
+ * - Ordered by queue position (oldest first)
+ *
+ * @route GET /api/admin/waitlist
+ * @access Admin
+ */
+const getAllWaitlistEntries = async (req, res) => {
+  try {
+    const { doctorId, status } = req.query;
+
+    if (status && !WaitlistEntry.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${WaitlistEntry.STATUSES.join(", ")}`,
+      });
+    }
+
+    const entries = await WaitlistEntry.findAll({
+      where: {
+        ...(doctorId && { doctorId }),
+        ...(status && { status }),
+      },
+      include: [
+        { model: User, as: "patient", attributes: ["id", "username", "email"] },
+        { model: User, as: "doctor", attributes: ["id", "username", "email"] },
+      ],
+      order: [["createdAt", "ASC"]],
+    });
+
+    res.json({
+      success: true,
+      message: "Waitlist retrieved successfully",
+      data: entries,
+    });
+  } catch (error) {
+    console.error("Get waitlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Controller: Remove a Waitlist Entry
+ * ----------------------------------------------------
+ * - Only admins can access this endpoint
+ * - A slot held by the entry passes to the next patient
+ *
+ * @route DELETE /api/admin/waitlist/:id
+ * @access Admin
+ */
+const removeWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findByPk(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    await cancelEntry(entry);
+
+    res.json({
+      success: true,
+      message: "Waitlist entry removed successfully",
+      data: entry,
+    });
+  } catch (error) {
+    if (error.name === "HttpError") return sendHttpError(res, error);
+    console.error("Remove waitlist entry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  getAllWaitlistEntries,
+  removeWaitlistEntry,
+};
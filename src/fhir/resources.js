@@ -0,0 +1,332 @@
+/**
+* FHIR R4 Resource Mapping
+* ------------------------
+* Converts our records to FHIR R4 resources and back.
+*
+* - User (patient role, with its demographic profile) → Patient,
+*   User (doctor role) → Practitioner
+* - Appointment → Appointment (patient and doctor as participants)
+* - A doctor's weekly hours → one Schedule per doctor (id = doctor ID)
+* - Open slots → Slot; slot IDs encode doctor, date and time, so a client can
+*   book one by referencing it from a new Appointment
+*
+* Dates and times are stored in clinic-local time and sent as UTC instants.
+*/
+
+const { HttpError } = require("../utils/httpError");
+
+// Our status → FHIR Appointment.status
+const APPOINTMENT_STATUS = {
+ pending: "pending",
+ confirmed: "booked",
+ checked_in: "checked-in",
+ completed: "fulfilled",
+ cancelled: "cancelled",
+ no_show: "noshow",
+ rescheduled: "cancelled",
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const SLOT_ID_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/i;
+
+const instant = (date) => (date ? new Date(date).toISOString() : undefined);
+
+/**
+* Statuses of ours that a FHIR status code stands for.
+*
+* @param {string} code - FHIR Appointment.status
+* @returns {Array<string>} Our statuses (empty for an unknown code)
+*/
+const statusesFor = (code) =>
+ Object.keys(APPOINTMENT_STATUS).filter((status) => APPOINTMENT_STATUS[status] === code);
+
+/**
+* Read the ID out of a reference ("Patient/123", a full URL or a bare ID).
+*
+* @param {string} value - Reference or ID
+* @param {string} type - Expected resource type
+* @returns {string|null} The ID, or null when the reference is to another type
+*/
+const parseReference = (value, type) => {
+ const parts = String(value || "").split("/").filter(Boolean);
+ if (parts.length === 1) return parts[0];
+ return parts[parts.length - 2] === type ? parts[parts.length - 1] : null;
+};
+
+const contactPoints = (user, use) =>
+ user.email ? [{ system: "email", value: user.email, use }] : [];
+
+/**
+* Patient.name: the legal name (when known) and the username.
+*/
+const patientNames = (user, profile) => {
+ const names = [{ use: "usual", text: user.username }];
+ if (!profile || !profile.legalLastName) return names;
+
+ const given = [profile.legalFirstName, profile.legalMiddleName].filter(Boolean);
+ return [
+   {
+     use: "official",
+     family: profile.legalLastName,
+     ...(given.length && { given }),
+     text: [...given, profile.legalLastName].join(" "),
+   },
+   ...names,
+ ];
+};
+
+/**
+* @param {Object} user - User with the patient role (with `patientProfile` loaded for demographics)
+* @returns {Object} FHIR Patient
+*/
+const toPatient = (user) => {
+ const profile = user.patientProfile || null;
+ const address = profile && profile.address;
+ const contact = profile && profile.emergencyContact;
+
+ return {
+   resourceType: "Patient",
+   id: user.id,
+   meta: { lastUpdated: instant(user.updatedAt) },
+   active: user.status === "active",
+   name: patientNames(user, profile),
+   telecom: [
+     ...(profile && profile.phone ? [{ system: "phone", value: profile.phone, use: "home" }] : []),
+     ...contactPoints(user, "home"),
+   ],
+   gender: (profile && profile.sex) || undefined,
+   birthDate: (profile && profile.dateOfBirth) || undefined,
+   address: address
+     ? [
+         {
+           use: "home",
+           line: [address.line1, address.line2].filter(Boolean),
+           city: address.city || undefined,
+           state: address.state || undefined,
+           postalCode: address.postalCode || undefined,
+           country: address.country || undefined,
+         },
+       ]
+     : undefined,
+   contact: contact
+     ? [
+         {
+           relationship: [
+             {
+               coding: [{ system: "http://terminology.hl7.org/CodeSystem/v2-0131", code: "C" }],
+               ...(contact.relationship && { text: contact.relationship }),
+             },
+           ],
+           name: { text: contact.name },
+           telecom: contact.phone ? [{ system: "phone", value: contact.phone }] : undefined,
+         },
+       ]
+     : undefined,
+   communication:
+     profile && profile.preferredLanguage
+       ? [{ language: { coding: [{ system: "urn:ietf:bcp:47", code: profile.preferredLanguage }] }, preferred: true }]
+       : undefined,
+ };
+};
+
+/**
+* @param {Object} user - User with the doctor role
+* @returns {Object} FHIR Practitioner
+*/
+const toPractitioner = (user) => ({
+ resourceType: "Practitioner",
+ id: user.id,
+ meta: { lastUpdated: instant(user.updatedAt) },
+ active: user.status === "active",
+ name: [{ text: user.username, prefix: ["Dr."] }],
+ telecom: contactPoints(user, "work"),
+});
+
+/**
+* @param {Object} appointment - Appointment (with `patient` and `doctor` loaded for display names)
+* @param {number} durationMinutes - Visit length
+* @returns {Object} FHIR Appointment
+*/
+const toAppointment = (appointment, durationMinutes) => {
+ const start = new Date(`${appointment.date}T${appointment.time}`);
+ const accepted = appointment.status !== "pending";
+
+ const participant = (type, id, user, status) => ({
+   actor: {
+     reference: `${type}/${id}`,
+     ...(user && { display: user.username }),
+   },
+   required: "required",
+   status,
+ });
+
+ return {
+   resourceType: "Appointment",
+   id: appointment.id,
+   meta: {
+     versionId: String(appointment.sequence || 0),
+     lastUpdated: instant(appointment.updatedAt),
+   },
+   status: APPOINTMENT_STATUS[appointment.status],
+   ...(appointment.status === "rescheduled" && {
+     cancelationReason: { text: "Rescheduled" },
+   }),
+   description: appointment.reason,
+   start: start.toISOString(),
+   end: new Date(start.getTime() + durationMinutes * 60000).toISOString(),
+   minutesDuration: durationMinutes,
+   created: instant(appointment.createdAt),
+   ...(appointment.notes && { comment: appointment.notes }),
+   participant: [
+     participant("Patient", appointment.patientId, appointment.patient, "accepted"),
+     participant(
+       "Practitioner",
+       appointment.doctorId,
+       appointment.doctor,
+       accepted ? "accepted" : "needs-action"
+     ),
+   ],
+ };
+};
+
+/**
+* @param {Object} doctor - User with the doctor role
+* @param {Array<Object>} days - The doctor's DoctorSchedule rows
+* @returns {Object} FHIR Schedule
+*/
+const toSchedule = (doctor, days) => ({
+ resourceType: "Schedule",
+ id: doctor.id,
+ active: doctor.status === "active" && days.length > 0,
+ actor: [{ reference: `Practitioner/${doctor.id}`, display: doctor.username }],
+ comment: [...days]
+   .sort((a, b) => a.dayOfWeek - b.dayOfWeek)
+   .map((d) =>
+     `${WEEKDAYS[d.dayOfWeek]} ${d.startTime.slice(0, 5)}-${d.endTime.slice(0, 5)} (${d.slotDuration} min slots)`
+   )
+   .join("; "),
+});
+
+/**
+* Slot ID for a doctor's slot: "<doctorId>-YYYYMMDDHHMM".
+*/
+const slotIdOf = (doctorId, date, time) =>
+ `${doctorId}-${date.replace(/-/g, "")}${time.slice(0, 5).replace(":", "")}`;
+
+/**
+* Decode a slot ID.
+*
+* @param {string} id - Slot ID
+* @returns {{doctorId: string, date: string, time: string}|null}
+*/
+const parseSlotId = (id) => {
+ const match = SLOT_ID_PATTERN.exec(String(id || ""));
+ if (!match) return null;
+ const [, doctorId, year, month, day, hours, minutes] = match;
+ return { doctorId, date: `${year}-${month}-${day}`, time: `${hours}:${minutes}:00` };
+};
+
+/**
+* @param {string} doctorId - Doctor the slot belongs to
+* @param {{date: string, time: string, endTime: string}} slot - Open slot
+* @returns {Object} FHIR Slot
+*/
+const toSlot = (doctorId, slot) => ({
+ resourceType: "Slot",
+ id: slotIdOf(doctorId, slot.date, slot.time),
+ schedule: { reference: `Schedule/${doctorId}` },
+ status: "free",
+ start: new Date(`${slot.date}T${slot.time}`).toISOString(),
+ end: new Date(`${slot.date}T${slot.endTime}`).toISOString(),
+});
+
+/**
+* Format a Date as clinic-local { date, time }.
+*/
+const localDateTime = (date) => {
+ const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString();
+ return { date: local.slice(0, 10), time: local.slice(11, 19) };
+};
+
+/**
+* Read a booking request out of a FHIR Appointment.
+*
+* The slot comes from `slot[0]` (a Slot from a search) or from `start` plus
+* a Practitioner participant. The reason is `description` or the first
+* `reasonCode` text.
+*
+* @param {Object} resource - FHIR Appointment from the request body
+* @returns {{patientId: string|null, doctorId: string, date: string, time: string, reason: string}}
+*   patientId is null when no Patient participant is given
+* @throws {HttpError} 400 listing what is missing or invalid
+*/
+const fromAppointment = (resource) => {
+ if (!resource || resource.resourceType !== "Appointment") {
+   throw new HttpError(400, "Request body must be a FHIR Appointment resource");
+ }
+
+ const errors = [];
+ const references = (resource.participant || [])
+   .map((p) => (p && p.actor && p.actor.reference) || "")
+   .filter(Boolean);
+ const referenceTo = (type) =>
+   references.filter((r) => r.includes(`${type}/`)).map((r) => parseReference(r, type))[0] || null;
+
+ let doctorId = referenceTo("Practitioner");
+ let date = null;
+ let time = null;
+
+ const slotReference = resource.slot && resource.slot[0] && resource.slot[0].reference;
+ if (slotReference) {
+   const slot = parseSlotId(parseReference(slotReference, "Slot"));
+   if (!slot) {
+     errors.push("slot[0].reference is not a known Slot");
+   } else if (doctorId && doctorId !== slot.doctorId) {
+     errors.push("The Practitioner participant does not match the slot");
+   } else {
+     ({ doctorId, date, time } = slot);
+   }
+ } else if (resource.start) {
+   const start = new Date(resource.start);
+   if (isNaN(start)) {
+     errors.push("start must be a valid instant");
+   } else {
+     ({ date, time } = localDateTime(start));
+   }
+ } else {
+   errors.push("Either slot or start is required");
+ }
+
+ if (!doctorId) {
+   errors.push("A Practitioner participant is required");
+ }
+
+ const reasonCode = (resource.reasonCode || [])[0] || {};
+ const reason =
+   resource.description ||
+   reasonCode.text ||
+   ((reasonCode.coding || [])[0] || {}).display;
+ if (!reason) {
+   errors.push("description (or reasonCode.text) is required");
+ }
+
+ if (errors.length) {
+   throw new HttpError(400, "Invalid Appointment resource", errors);
+ }
+
+ return { patientId: referenceTo("Patient"), doctorId, date, time, reason };
+};
+
+module.exports = {
+ APPOINTMENT_STATUS,
+ statusesFor,
+ parseReference,
+ toPatient,
+ toPractitioner,
+ toAppointment,
+ toSchedule,
+ toSlot,
+ parseSlotId,
+ fromAppointment,
+};
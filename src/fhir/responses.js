@@ -0,0 +1,153 @@
+/**
+* FHIR R4 Response Bodies
+* -----------------------
+* OperationOutcome error bodies, searchset Bundles and the
+* CapabilityStatement served at /fhir/R4/metadata.
+*/
+
+const FHIR_VERSION = "4.0.1";
+
+// HTTP status → OperationOutcome issue code
+const ISSUE_CODES = {
+ 400: "invalid",
+ 401: "login",
+ 403: "forbidden",
+ 404: "not-found",
+ 405: "not-supported",
+ 409: "conflict",
+ 422: "processing",
+ 429: "throttled",
+};
+
+/**
+* Build an OperationOutcome for an error response.
+*
+* @param {number} status - HTTP status of the response
+* @param {string} message - Main error message
+* @param {Array<string>} [details] - Further messages (one issue each)
+* @returns {Object} FHIR OperationOutcome
+*/
+const operationOutcome = (status, message, details = []) => {
+ const code = ISSUE_CODES[status] || (status >= 500 ? "exception" : "processing");
+ const severity = status >= 500 ? "fatal" : "error";
+
+ return {
+   resourceType: "OperationOutcome",
+   issue: [message, ...details].filter(Boolean).map((diagnostics) => ({
+     severity,
+     code,
+     diagnostics,
+   })),
+ };
+};
+
+/**
+* Build a searchset Bundle.
+*
+* @param {Object} params
+* @param {string} params.baseUrl - Server base (e.g., https://host/fhir/R4)
+* @param {string} params.selfUrl - URL of this page
+* @param {string} [params.nextUrl] - URL of the next page, if any
+* @param {Array<Object>} params.resources - Matching resources
+* @param {number} params.total - Number of matches across all pages
+* @returns {Object} FHIR Bundle
+*/
+const searchBundle = ({ baseUrl, selfUrl, nextUrl, resources, total }) => ({
+ resourceType: "Bundle",
+ type: "searchset",
+ total,
+ link: [
+   { relation: "self", url: selfUrl },
+   ...(nextUrl ? [{ relation: "next", url: nextUrl }] : []),
+ ],
+ entry: resources.map((resource) => ({
+   fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+   resource,
+   search: { mode: "match" },
+ })),
+});
+
+const searchParam = (name, type, documentation) => ({ name, type, documentation });
+
+/**
+* Describe what this server supports.
+*
+* @param {string} baseUrl - Server base (e.g., https://host/fhir/R4)
+* @returns {Object} FHIR CapabilityStatement
+*/
+const capabilityStatement = (baseUrl) => ({
+ resourceType: "CapabilityStatement",
+ status: "active",
+ date: new Date().toISOString(),
+ kind: "instance",
+ software: { name: "Healthcare Systems" },
+ implementation: {
+   description: "Healthcare Systems FHIR R4 facade",
+   url: baseUrl,
+ },
+ fhirVersion: FHIR_VERSION,
+ format: ["application/fhir+json", "json"],
+ rest: [
+   {
+     mode: "server",
+     security: {
+       cors: true,
+       description:
+         "Send the access token from POST /api/auth/login as `Authorization: Bearer <token>`. " +
+         "Results are limited by the caller's role permissions.",
+     },
+     resource: [
+       {
+         type: "Patient",
+         interaction: [{ code: "read" }, { code: "search-type" }],
+         searchParam: [
+           searchParam("_id", "token", "Patient ID"),
+           searchParam("name", "string", "Part of the name"),
+           searchParam("email", "token", "Exact email address"),
+         ],
+       },
+       {
+         type: "Practitioner",
+         interaction: [{ code: "read" }, { code: "search-type" }],
+         searchParam: [
+           searchParam("_id", "token", "Practitioner ID"),
+           searchParam("name", "string", "Part of the name"),
+         ],
+       },
+       {
+         type: "Appointment",
+         interaction: [{ code: "read" }, { code: "search-type" }, { code: "create" }],
+         searchParam: [
+           searchParam("_id", "token", "Appointment ID"),
+           searchParam("patient", "reference", "Patient taking part"),
+           searchParam("practitioner", "reference", "Practitioner taking part"),
+           searchParam("actor", "reference", "Patient or Practitioner taking part"),
+           searchParam("date", "date", "Appointment date (eq, ne, lt, le, gt, ge prefixes)"),
+           searchParam("status", "token", "Appointment status (comma-separated)"),
+         ],
+       },
+       {
+         type: "Schedule",
+         interaction: [{ code: "read" }, { code: "search-type" }],
+         searchParam: [searchParam("actor", "reference", "Practitioner the schedule belongs to")],
+       },
+       {
+         type: "Slot",
+         interaction: [{ code: "search-type" }],
+         searchParam: [
+           searchParam("schedule", "reference", "Schedule to list free slots of (required)"),
+           searchParam("start", "date", "Slot start range (ge/gt and le/lt prefixes, 62 days max)"),
+           searchParam("status", "token", "Only free slots are listed"),
+         ],
+       },
+     ],
+   },
+ ],
+});
+
+module.exports = {
+ FHIR_VERSION,
+ operationOutcome,
+ searchBundle,
+ capabilityStatement,
+};
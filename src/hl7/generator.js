@@ -0,0 +1,184 @@
+/**
+* HL7 v2 Generator
+* ----------------
+* Writes pipe-delimited (ER7) HL7 v2.5.1 messages and acknowledgements.
+*
+* Segments are given as [name, fields] where fields[0] is field 1. A field
+* is a string, an array of components (a component may itself be an array
+* of subcomponents) or repeat(...) for repeating fields. Values are escaped.
+*
+* MSH-3/MSH-4 identify us (HL7_SENDING_APPLICATION, HL7_SENDING_FACILITY);
+* MSH-5/MSH-6 default to HL7_RECEIVING_APPLICATION and HL7_RECEIVING_FACILITY.
+*/
+
+const crypto = require("crypto");
+
+const HL7_VERSION = "2.5.1";
+const SENDING_APPLICATION = process.env.HL7_SENDING_APPLICATION || "HEALTHCARE-SYSTEMS";
+const SENDING_FACILITY = process.env.HL7_SENDING_FACILITY || "HCS";
+const PROCESSING_ID = process.env.HL7_PROCESSING_ID || "P";
+
+// HL7 table 0357 (message error condition codes) used in ERR-3
+const ERROR_CODES = {
+ requiredFieldMissing: ["101", "Required field missing"],
+ dataTypeError: ["102", "Data type error"],
+ unsupportedMessageType: ["200", "Unsupported message type"],
+ unsupportedEventCode: ["201", "Unsupported event code"],
+ unknownKey: ["204", "Unknown key identifier"],
+ duplicateKey: ["205", "Duplicate key identifier"],
+ internalError: ["207", "Application internal error"],
+};
+
+/**
+* Mark a field as repeating (values are joined with ~).
+*
+* @param {...*} values - One value per repetition
+* @returns {{repetitions: Array}}
+*/
+const repeat = (...values) => ({ repetitions: values.filter(Boolean) });
+
+/**
+* Escape the delimiters in a value.
+*
+* @param {*} value - Raw value
+* @returns {string}
+*/
+const escapeValue = (value) =>
+ String(value === undefined || value === null ? "" : value)
+   .replace(/\\/g, "\\E\\")
+   .replace(/\|/g, "\\F\\")
+   .replace(/\^/g, "\\S\\")
+   .replace(/&/g, "\\T\\")
+   .replace(/~/g, "\\R\\")
+   .replace(/\r?\n/g, "\\.br\\");
+
+/**
+* Encode one field (components, subcomponents and repetitions).
+*/
+const encodeField = (value) => {
+ if (value && value.repetitions) return value.repetitions.map(encodeField).join("~");
+ if (!Array.isArray(value)) return escapeValue(value);
+
+ return value
+   .map((component) =>
+     Array.isArray(component) ? component.map(escapeValue).join("&") : escapeValue(component)
+   )
+   .join("^")
+   .replace(/\^+$/, ""); // Trailing empty components are omitted
+};
+
+/**
+* Encode one segment (trailing empty fields are omitted).
+*
+* @param {string} name - Segment name (e.g., "PID")
+* @param {Array} fields - fields[0] is field 1
+* @returns {string}
+*/
+const encodeSegment = (name, fields) =>
+ [name, ...fields.map(encodeField)].join("|").replace(/\|+$/, "");
+
+/**
+* Local time as an HL7 timestamp (YYYYMMDDHHMMSS).
+*
+* @param {Date} [date] - Moment to format (default now)
+* @returns {string}
+*/
+const formatTimestamp = (date = new Date()) => {
+ const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString();
+ return local.slice(0, 19).replace(/[-:T]/g, "");
+};
+
+/**
+* A stored date and time (YYYY-MM-DD, HH:MM:SS) as an HL7 timestamp.
+*/
+const toHl7DateTime = (date, time) =>
+ `${date.replace(/-/g, "")}${String(time).replace(/:/g, "").slice(0, 6)}`;
+
+/**
+* New unique message control ID (MSH-10, at most 20 characters).
+*
+* @returns {string}
+*/
+const newControlId = () =>
+ `${Date.now()}${crypto.randomInt(0, 10000).toString().padStart(4, "0")}`;
+
+/**
+* Build a complete message.
+*
+* @param {Object} params
+* @param {Array<string>} params.type - MSH-9, e.g. ["SIU", "S12", "SIU_S12"]
+* @param {Array<Array>} params.segments - [name, fields] after the MSH
+* @param {string} [params.controlId] - MSH-10 (generated when omitted)
+* @param {string} [params.receivingApplication] - MSH-5
+* @param {string} [params.receivingFacility] - MSH-6
+* @param {string} [params.version] - MSH-12 (default 2.5.1)
+* @returns {{text: string, controlId: string}}
+*/
+const buildMessage = ({
+ type,
+ segments,
+ controlId = newControlId(),
+ receivingApplication = process.env.HL7_RECEIVING_APPLICATION || "",
+ receivingFacility = process.env.HL7_RECEIVING_FACILITY || "",
+ version = HL7_VERSION,
+}) => {
+ const header =
+   "MSH|^~\\&|" +
+   [
+     SENDING_APPLICATION,
+     SENDING_FACILITY,
+     receivingApplication,
+     receivingFacility,
+     formatTimestamp(),
+     "",
+     type,
+     controlId,
+     PROCESSING_ID,
+     version,
+   ]
+     .map(encodeField)
+     .join("|");
+
+ const text = [header, ...segments.map(([name, fields]) => encodeSegment(name, fields))].join("\r") + "\r";
+ return { text, controlId };
+};
+
+/**
+* Build the acknowledgement for a received message.
+*
+* @param {Object|null} original - Parsed message (null when it could not be parsed)
+* @param {string} code - AA (accepted), AE (error) or AR (rejected)
+* @param {string} [text] - MSA-3 text
+* @param {string} [errorCode] - Key of ERROR_CODES for the ERR segment
+* @returns {{text: string, controlId: string}}
+*/
+const buildAck = (original, code, text, errorCode) => {
+ const segments = [["MSA", [code, original ? original.controlId : "", text || ""]]];
+
+ if (code !== "AA") {
+   const [errCode, errText] = ERROR_CODES[errorCode || "internalError"];
+   segments.push(["ERR", ["", "", [errCode, errText, "HL70357"], "E", "", "", "", text || errText]]);
+ }
+
+ return buildMessage({
+   type: ["ACK", original ? original.get("MSH.9.2") : "", "ACK"],
+   segments,
+   receivingApplication: original ? original.get("MSH.3") : "",
+   receivingFacility: original ? original.get("MSH.4") : "",
+   version: (original && original.version) || HL7_VERSION,
+ });
+};
+
+module.exports = {
+ HL7_VERSION,
+ SENDING_APPLICATION,
+ SENDING_FACILITY,
+ ERROR_CODES,
+ repeat,
+ encodeSegment,
+ formatTimestamp,
+ toHl7DateTime,
+ newControlId,
+ buildMessage,
+ buildAck,
+};
@@ -0,0 +1,310 @@
+/**
+* HL7 v2 Scheduling & Patient Messages
+* ------------------------------------
+* Reads the parts of SIU and ADT messages we use, and writes outbound SIU
+* messages.
+*
+* Inbound:
+* - PID → patient identifiers (PID-3), legal name, birth date, sex,
+*   address, phone, email and language
+* - NK1 → emergency contact; IN1 → insurance
+* - SCH/TQ1/AIS/AIP/NTE → placer and filler appointment IDs, start, reason,
+*   cancellation reason, notes and the doctor (AIP-3, or PV1-7)
+*
+* Outbound (SIU^S12 new, S14 modified, S15 cancelled): SCH (with the filler
+* status from HL7 table 0278), TQ1, NTE, PID (demographics from the
+* patient's profile), RGS and AIP.
+*
+* Identifiers assigned by us carry our facility (HL7_SENDING_FACILITY) as
+* assigning authority / namespace.
+*/
+
+const {
+ SENDING_FACILITY,
+ buildMessage,
+ repeat,
+ toHl7DateTime,
+} = require("./generator");
+
+// Our status → SCH-25 filler status code (HL7 table 0278)
+const FILLER_STATUS = {
+ pending: "Pending",
+ confirmed: "Booked",
+ checked_in: "Started",
+ completed: "Complete",
+ cancelled: "Cancelled",
+ no_show: "Noshow",
+ rescheduled: "Cancelled",
+};
+
+// HL7 table 0001 (administrative sex) ↔ PatientProfile.sex
+const SEX_CODES = {
+ F: "female",
+ M: "male",
+ O: "other",
+ A: "other",
+ N: "other",
+ U: "unknown",
+};
+const SEX_OUT = { female: "F", male: "M", other: "O", unknown: "U" };
+
+// NK1-7 contact roles that mark an emergency contact
+const EMERGENCY_ROLES = ["C", "EC"];
+
+const DTM_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?([+-]\d{4})?$/;
+
+/**
+* Parse an HL7 timestamp into clinic-local date and time. Timestamps with a
+* UTC offset are converted; timestamps without one are taken as local.
+*
+* @param {string} value - e.g. "20261020093000" or "202610200930-0500"
+* @returns {{date: string, time: string}|null}
+*/
+const parseHl7DateTime = (value) => {
+ const match = DTM_PATTERN.exec(String(value || ""));
+ if (!match) return null;
+ const [, year, month, day, hours = "00", minutes = "00", seconds = "00", offset] = match;
+ const date = `${year}-${month}-${day}`;
+ const time = `${hours}:${minutes}:${seconds}`;
+ if (!offset) return { date, time };
+
+ const sign = offset[0] === "-" ? -1 : 1;
+ const offsetMinutes = sign * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5)));
+ const utc = new Date(`${date}T${time}Z`).getTime() - offsetMinutes * 60000;
+ const instant = new Date(utc);
+ if (isNaN(instant)) return null;
+ const local = new Date(utc - instant.getTimezoneOffset() * 60000).toISOString();
+ return { date: local.slice(0, 10), time: local.slice(11, 19) };
+};
+
+/**
+* HL7 date (YYYYMMDD) → YYYY-MM-DD.
+*/
+const parseHl7Date = (value) => {
+ const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || ""));
+ return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+* Read the emergency contact from the NK1 segments (null unless it has a
+* name and a phone number).
+*/
+const readEmergencyContact = (message) => {
+ const segments = message.segmentsNamed("NK1");
+ const nk1 =
+   segments.find((seg) => EMERGENCY_ROLES.includes(message.get("NK1.7.1", seg))) || segments[0];
+ if (!nk1) return null;
+
+ const name = [message.get("NK1.2.2", nk1), message.get("NK1.2.1", nk1)].filter(Boolean).join(" ");
+ const phone = message.get("NK1.5.12", nk1) || message.get("NK1.5.1", nk1);
+ if (!name || !phone) return null;
+ return {
+   name,
+   relationship: message.get("NK1.3.2", nk1) || message.get("NK1.3.1", nk1) || null,
+   phone,
+ };
+};
+
+/**
+* Read the primary insurance from the first IN1 segment.
+*/
+const readInsurance = (message) => {
+ if (!message.segment("IN1")) return {};
+ return {
+   insuranceProvider: message.get("IN1.4.1") || null,
+   insurancePlan: message.get("IN1.2.2") || message.get("IN1.2.1") || null,
+   insuranceMemberId: message.get("IN1.36") || null,
+   insuranceGroupNumber: message.get("IN1.8") || null,
+ };
+};
+
+/**
+* Read the patient from the PID (and NK1, IN1) segments.
+*
+* @param {Object} message - Parsed message
+* @returns {Object|null} { identifiers: [{ value, authority }], familyName,
+*   givenName, middleName, birthDate, sex, address, phone, email, language,
+*   emergencyContact, insurance }, or null without a PID
+*/
+const readPatient = (message) => {
+ if (!message.segment("PID")) return null;
+
+ const phones = message.getAll("PID.13");
+ const emailEntry = phones.find((xtn) => xtn[3] || xtn[1] === "NET" || xtn[2] === "Internet");
+ const phoneEntry = phones.find((xtn) => xtn !== emailEntry && (xtn[0] || xtn[11]));
+ const [xad] = message.getAll("PID.11");
+
+ return {
+   identifiers: message
+     .getAll("PID.3")
+     .map((cx) => ({ value: cx[0], authority: cx[3] || "" }))
+     .filter((id) => id.value),
+   familyName: message.get("PID.5.1"),
+   givenName: message.get("PID.5.2"),
+   middleName: message.get("PID.5.3"),
+   birthDate: parseHl7Date(message.get("PID.7")),
+   sex: SEX_CODES[message.get("PID.8").toUpperCase()] || null,
+   address:
+     xad && xad[0]
+       ? {
+           line1: xad[0],
+           line2: xad[1] || null,
+           city: xad[2] || null,
+           state: xad[3] || null,
+           postalCode: xad[4] || null,
+           country: xad[5] || null,
+         }
+       : null,
+   phone: phoneEntry ? phoneEntry[11] || phoneEntry[0] : null,
+   email: emailEntry ? (emailEntry[3] || emailEntry[0]).toLowerCase() : null,
+   language: message.get("PID.15.1") || null,
+   emergencyContact: readEmergencyContact(message),
+   insurance: readInsurance(message),
+ };
+};
+
+/**
+* PID segment for a patient (demographics from `patient.patientProfile`
+* when loaded).
+*/
+const patientSegment = (patient, patientIdentifiers) => {
+ const profile = patient.patientProfile || {};
+ const address = profile.address;
+
+ const pid = [];
+ pid[0] = "1";
+ pid[2] = repeat(
+   [patient.id, "", "", SENDING_FACILITY],
+   ...patientIdentifiers.map((id) => [id.value, "", "", id.system])
+ );
+ pid[4] = profile.legalLastName
+   ? [profile.legalLastName, profile.legalFirstName, profile.legalMiddleName, "", "", "", "L"]
+   : [patient.username];
+ pid[6] = profile.dateOfBirth ? profile.dateOfBirth.replace(/-/g, "") : "";
+ pid[7] = SEX_OUT[profile.sex] || "";
+ pid[10] = address
+   ? [address.line1, address.line2, address.city, address.state, address.postalCode, address.country, "H"]
+   : "";
+ pid[12] = repeat(
+   profile.phone && ["", "PRN", "PH", "", "", "", "", "", "", "", "", profile.phone],
+   patient.email && ["", "NET", "Internet", patient.email]
+ );
+ pid[14] = profile.preferredLanguage ? [profile.preferredLanguage, "", "ISO639"] : "";
+
+ return ["PID", Array.from(pid, (v) => v || "")];
+};
+
+/**
+* Read the scheduling details of an SIU message.
+*
+* @param {Object} message - Parsed message
+* @returns {Object} { placerId, fillerId, start, reason, eventReason, notes, doctor }
+*   (IDs are { value, namespace }; doctor is { value, authority, name } or null)
+*/
+const readSchedule = (message) => {
+ const entityId = (path) => ({
+   value: message.get(`${path}.1`),
+   namespace: message.get(`${path}.2`),
+ });
+
+ const startValue =
+   message.get("SCH.11.4") ||
+   message.get("TQ1.7") ||
+   message.get("AIS.4") ||
+   message.get("AIP.6");
+
+ const doctorPath = message.get("AIP.3.1") ? "AIP.3" : "PV1.7";
+ const doctorId = message.get(`${doctorPath}.1`);
+
+ return {
+   placerId: entityId("SCH.1"),
+   fillerId: entityId("SCH.2"),
+   start: parseHl7DateTime(startValue),
+   reason: message.get("SCH.7.2") || message.get("SCH.7.1") || null,
+   eventReason: message.get("SCH.6.2") || message.get("SCH.6.1") || null,
+   notes: message.getEach("NTE.3").join("\n") || null,
+   doctor: doctorId
+     ? {
+         value: doctorId,
+         authority: message.get(`${doctorPath}.9`),
+         name: [message.get(`${doctorPath}.3`), message.get(`${doctorPath}.2`)].filter(Boolean).join(" "),
+       }
+     : null,
+ };
+};
+
+/**
+* Build an outbound SIU message for an appointment.
+*
+* @param {Object} params
+* @param {string} params.trigger - "S12", "S14" or "S15"
+* @param {Object} params.appointment - Appointment
+* @param {Object} params.patient - Patient user (with `patientProfile` for demographics)
+* @param {Object} params.doctor - Doctor user
+* @param {number} params.durationMinutes - Visit length
+* @param {Array<Object>} [params.patientIdentifiers] - Extra PID-3 entries ({ value, system })
+* @param {Object} [params.placerId] - Placer appointment ID ({ value, system })
+* @param {string} [params.eventReason] - SCH-6 (e.g., why it was cancelled)
+* @returns {{text: string, controlId: string}}
+*/
+const buildSiu = ({
+ trigger,
+ appointment,
+ patient,
+ doctor,
+ durationMinutes,
+ patientIdentifiers = [],
+ placerId,
+ eventReason,
+}) => {
+ const start = toHl7DateTime(appointment.date, appointment.time);
+ const endDate = new Date(new Date(`${appointment.date}T${appointment.time}`).getTime() + durationMinutes * 60000);
+ const endLocal = new Date(endDate.getTime() - endDate.getTimezoneOffset() * 60000).toISOString();
+ const end = toHl7DateTime(endLocal.slice(0, 10), endLocal.slice(11, 19));
+ const status = FILLER_STATUS[appointment.status];
+
+ const sch = [];
+ sch[0] = placerId ? [placerId.value, placerId.system] : "";
+ sch[1] = [appointment.id, SENDING_FACILITY];
+ sch[5] = eventReason ? ["", eventReason] : "";
+ sch[6] = ["", appointment.reason];
+ sch[8] = String(durationMinutes);
+ sch[9] = ["min"];
+ sch[10] = ["", "", String(durationMinutes), start, end];
+ sch[24] = [status];
+
+ const segments = [
+   ["SCH", Array.from(sch, (v) => v || "")],
+   ["TQ1", ["1", "", "", "", "", "", start, end]],
+   ...(appointment.notes ? [["NTE", ["1", "", appointment.notes]]] : []),
+   patientSegment(patient, patientIdentifiers),
+   ["RGS", ["1"]],
+   [
+     "AIP",
+     [
+       "1",
+       "",
+       [doctor.id, doctor.username, "", "", "", "", "", "", SENDING_FACILITY],
+       "",
+       "",
+       start,
+       "",
+       "",
+       String(durationMinutes),
+       ["min"],
+       "",
+       status,
+     ],
+   ],
+ ];
+
+ return buildMessage({ type: ["SIU", trigger, "SIU_S12"], segments });
+};
+
+module.exports = {
+ FILLER_STATUS,
+ parseHl7DateTime,
+ readPatient,
+ readSchedule,
+ buildSiu,
+};
@@ -0,0 +1,134 @@
+/**
+* MLLP Transport
+* --------------
+* Minimal Lower Layer Protocol framing for HL7 v2 over TCP:
+* <VT> message <FS><CR> (0x0B ... 0x1C 0x0D).
+*
+* - createMllpServer: answers every framed message with the frame returned
+*   by the handler (messages on one connection are handled in order) and
+*   drops connections that send a message longer than the limit
+* - sendMllpMessage: sends one message and waits for the acknowledgement
+*/
+
+const net = require("net");
+
+const START_BLOCK = "\x0b";
+const END_BLOCK = "\x1c\x0d";
+const MAX_MESSAGE_LENGTH = 1024 * 1024; // Characters, same as the HTTP endpoint's 1mb
+
+/**
+* Wrap a message in an MLLP frame.
+*
+* @param {string} text - HL7 message
+* @returns {string}
+*/
+const frame = (text) => `${START_BLOCK}${text}${END_BLOCK}`;
+
+/**
+* Pull complete messages out of a receive buffer. Data outside a frame is
+* discarded.
+*
+* @param {string} buffer - Data received so far
+* @returns {{messages: Array<string>, rest: string}} Complete messages and
+*   the start of the next one
+*/
+const deframe = (buffer) => {
+ const messages = [];
+ let rest = buffer;
+
+ for (;;) {
+   const start = rest.indexOf(START_BLOCK);
+   const end = rest.indexOf(END_BLOCK, start + 1);
+   if (start === -1 || end === -1) break;
+   messages.push(rest.slice(start + 1, end));
+   rest = rest.slice(end + END_BLOCK.length);
+ }
+
+ const start = rest.indexOf(START_BLOCK);
+ return { messages, rest: start === -1 ? "" : rest.slice(start) };
+};
+
+/**
+* Create (but do not start) an MLLP server.
+*
+* @param {Function} handler - async (messageText) => acknowledgement text
+* @param {Object} [options]
+* @param {Function} [options.onError] - (messageText, error) => negative
+*   acknowledgement text, sent when the handler fails
+* @param {number} [options.maxMessageLength] - Longest message accepted, in
+*   characters; connections sending more are closed
+* @returns {net.Server}
+*/
+const createMllpServer = (handler, { onError, maxMessageLength = MAX_MESSAGE_LENGTH } = {}) =>
+ net.createServer((socket) => {
+   let buffer = "";
+   let queue = Promise.resolve();
+
+   const reply = (text) => {
+     if (!socket.destroyed) socket.write(frame(text));
+   };
+
+   socket.setEncoding("utf8");
+   socket.on("data", (chunk) => {
+     const { messages, rest } = deframe(buffer + chunk);
+     buffer = rest;
+
+     for (const message of messages) {
+       queue = queue
+         .then(() => handler(message))
+         .then(reply)
+         .catch((error) => {
+           console.error("MLLP handler error:", error);
+           if (onError) reply(onError(message, error));
+         })
+         .catch((error) => console.error("MLLP error reply failed:", error));
+     }
+
+     if (buffer.length > maxMessageLength) {
+       console.error(`MLLP message from ${socket.remoteAddress} exceeds ${maxMessageLength} characters; closing the connection`);
+       buffer = "";
+       socket.destroy();
+     }
+   });
+   socket.on("error", (error) => console.error("MLLP connection error:", error.message));
+ });
+
+/**
+* Send one message and wait for the acknowledgement.
+*
+* @param {Object} params
+* @param {string} params.host - Receiver host
+* @param {number} params.port - Receiver port
+* @param {string} params.text - HL7 message
+* @param {number} [params.timeoutMs=10000] - How long to wait for the ACK
+* @returns {Promise<string>} Acknowledgement text
+*/
+const sendMllpMessage = ({ host, port, text, timeoutMs = 10000 }) =>
+ new Promise((resolve, reject) => {
+   let buffer = "";
+   const socket = net.createConnection({ host, port });
+
+   socket.setEncoding("utf8");
+   socket.setTimeout(timeoutMs, () => {
+     socket.destroy();
+     reject(new Error(`No acknowledgement from ${host}:${port} within ${timeoutMs} ms`));
+   });
+   socket.on("connect", () => socket.write(frame(text)));
+   socket.on("data", (chunk) => {
+     const { messages } = deframe(buffer + chunk);
+     buffer += chunk;
+     if (messages.length) {
+       socket.end();
+       resolve(messages[0]);
+     }
+   });
+   socket.on("error", reject);
+ });
+
+module.exports = {
+ MAX_MESSAGE_LENGTH,
+ frame,
+ deframe,
+ createMllpServer,
+ sendMllpMessage,
+};
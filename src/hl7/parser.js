@@ -0,0 +1,140 @@
+/**
+* HL7 v2 Parser
+* -------------
+* Reads pipe-delimited (ER7) HL7 v2 messages.
+*
+* - Segments are separated by CR (LF and CRLF are accepted too)
+* - Delimiters come from MSH-1/MSH-2 (usually | ^ ~ \ &)
+* - Fields are numbered as in the standard: for MSH, MSH-1 is the field
+*   separator itself, so MSH-9 is the message type
+* - Escape sequences (\F\ \S\ \T\ \R\ \E\ \.br\) are decoded on read
+*/
+
+const { HttpError } = require("../utils/httpError");
+
+/**
+* Decode escape sequences in a value.
+*
+* @param {string} value - Raw value
+* @param {Object} delimiters - Message delimiters
+* @returns {string}
+*/
+const unescape = (value, delimiters) => {
+ const { escape } = delimiters;
+ if (!value.includes(escape)) return value;
+
+ const replacements = {
+   F: delimiters.field,
+   S: delimiters.component,
+   T: delimiters.subcomponent,
+   R: delimiters.repetition,
+   E: escape,
+   ".br": "\n",
+ };
+ const pattern = new RegExp(`\\${escape}(F|S|T|R|E|\\.br)\\${escape}`, "g");
+ return value.replace(pattern, (match, code) => replacements[code]);
+};
+
+/**
+* Parse an HL7 v2 message.
+*
+* @param {string} text - Message text
+* @returns {Object} Message with:
+*   - delimiters, segments ([{ name, fields }])
+*   - get("PID.3.1") → first value at that position (decoded), or ""
+*   - getAll("PID.3") → every repetition of a field (decoded component arrays)
+*   - getEach("NTE.3") → the value at that position in every segment of that name
+*   - segment("SCH") / segmentsNamed("NTE") → segment lookups
+*   - type ("SIU^S12"), controlId, version
+* @throws {HttpError} 400 when the text is not an HL7 message
+*/
+const parseMessage = (text) => {
+ const lines = String(text || "")
+   .replace(/^\uFEFF/, "")
+   .split(/\r\n|\r|\n/)
+   .map((line) => line.trim())
+   .filter(Boolean);
+
+ if (!lines.length || !lines[0].startsWith("MSH") || lines[0].length < 8) {
+   throw new HttpError(400, "Message must start with an MSH segment");
+ }
+
+ const header = lines[0];
+ const delimiters = {
+   field: header[3],
+   component: header[4],
+   repetition: header[5],
+   escape: header[6],
+   subcomponent: header[7],
+ };
+
+ const segments = lines.map((line) => {
+   const parts = line.split(delimiters.field);
+   const name = parts[0];
+   // MSH-1 is the field separator, so MSH fields are shifted by one
+   const fields = name === "MSH" ? [name, delimiters.field, ...parts.slice(1)] : parts;
+   return { name, fields };
+ });
+
+ const segmentsNamed = (name) => segments.filter((s) => s.name === name);
+ const segment = (name) => segmentsNamed(name)[0] || null;
+
+ /**
+  * Split a raw field into repetitions → components → subcomponents.
+  */
+ const explode = (raw, isEncodingField) => {
+   if (isEncodingField) return [[[raw]]];
+   return raw
+     .split(delimiters.repetition)
+     .map((repetition) =>
+       repetition
+         .split(delimiters.component)
+         .map((component) =>
+           component.split(delimiters.subcomponent).map((v) => unescape(v, delimiters))
+         )
+     );
+ };
+
+ const locate = (path, seg) => {
+   const [name, field, component, subcomponent] = path.split(".");
+   if (seg === undefined) seg = segment(name);
+   const raw = seg ? seg.fields[Number(field)] || "" : "";
+   const isEncodingField = name === "MSH" && Number(field) <= 2;
+   return {
+     repetitions: explode(raw, isEncodingField),
+     component: component ? Number(component) : null,
+     subcomponent: subcomponent ? Number(subcomponent) : 1,
+   };
+ };
+
+ const get = (path, seg) => {
+   const { repetitions, component, subcomponent } = locate(path, seg);
+   const components = repetitions[0] || [];
+   return ((components[(component || 1) - 1] || [])[subcomponent - 1] || "").trim();
+ };
+
+ const getAll = (path) =>
+   locate(path).repetitions
+     .map((components) => components.map((subs) => (subs[0] || "").trim()))
+     .filter((components) => components.some(Boolean));
+
+ const getEach = (path) =>
+   segmentsNamed(path.split(".")[0])
+     .map((seg) => get(path, seg))
+     .filter(Boolean);
+
+ return {
+   delimiters,
+   segments,
+   segment,
+   segmentsNamed,
+   get,
+   getAll,
+   getEach,
+   type: [get("MSH.9.1"), get("MSH.9.2")].filter(Boolean).join("^"),
+   controlId: get("MSH.10"),
+   version: get("MSH.12"),
+ };
+};
+
+module.exports = { parseMessage };
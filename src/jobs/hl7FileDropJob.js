@@ -0,0 +1,87 @@
+/**
+* HL7 File Drop Job
+* -----------------
+* Periodically imports HL7 v2 messages dropped as files into
+* HL7_INBOUND_DIR (one message per file, *.hl7 or *.txt), for interfaces
+* that exchange files instead of connecting over MLLP.
+*
+* - The acknowledgement is written to ack/<file>.ack
+* - The file is moved to processed/ when accepted, otherwise to error/
+*
+* Disabled unless HL7_INBOUND_DIR is set. Interval is configurable with
+* HL7_FILE_POLL_MS (default 10s).
+*/
+
+const fs = require("fs/promises");
+const path = require("path");
+const { processInboundMessage } = require("../services/hl7Service");
+
+const INBOUND_DIR = process.env.HL7_INBOUND_DIR;
+const INTERVAL_MS = Number(process.env.HL7_FILE_POLL_MS || 10000);
+
+let timer = null;
+let running = false;
+
+/**
+* Import one file and file it away with its acknowledgement.
+*/
+const importFile = async (name) => {
+ const source = path.join(INBOUND_DIR, name);
+ const text = await fs.readFile(source, "utf8");
+ const { ack, message } = await processInboundMessage(text, { transport: "file" });
+
+ await fs.writeFile(path.join(INBOUND_DIR, "ack", `${name}.ack`), ack);
+ const target = message && message.status === "accepted" ? "processed" : "error";
+ await fs.rename(source, path.join(INBOUND_DIR, target, name));
+ return target;
+};
+
+/**
+* Run one pass, skipping it if the previous pass is still busy.
+*/
+const runOnce = async () => {
+ if (running) return;
+ running = true;
+ try {
+   for (const dir of ["ack", "processed", "error"]) {
+     await fs.mkdir(path.join(INBOUND_DIR, dir), { recursive: true });
+   }
+
+   const entries = await fs.readdir(INBOUND_DIR, { withFileTypes: true });
+   const names = entries
+     .filter((entry) => entry.isFile() && /\.(hl7|txt)$/i.test(entry.name))
+     .map((entry) => entry.name)
+     .sort(); // Oldest first when files are named by time or sequence
+
+   const counts = { processed: 0, error: 0 };
+   for (const name of names) {
+     counts[await importFile(name)] += 1;
+   }
+   if (names.length) {
+     console.log(`📥 HL7 file drop: ${counts.processed} message(s) applied, ${counts.error} failed`);
+   }
+ } catch (error) {
+   console.error("HL7 file drop job error:", error);
+ } finally {
+   running = false;
+ }
+};
+
+/**
+* Start the periodic job (no-op if already started or not configured).
+*/
+const startHl7FileDropJob = () => {
+ if (timer || !INBOUND_DIR) return;
+ timer = setInterval(runOnce, INTERVAL_MS);
+ timer.unref(); // Do not keep the process alive just for this job
+};
+
+/**
+* Stop the periodic job (used on shutdown).
+*/
+const stopHl7FileDropJob = () => {
+ clearInterval(timer);
+ timer = null;
+};
+
+module.exports = { startHl7FileDropJob, stopHl7FileDropJob, runOnce };
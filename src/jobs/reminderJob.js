@@ -0,0 +1,60 @@
+/**
+* Reminder Job
+* ------------
+* Periodically sends appointment reminders that are due and schedules
+* reminders that are missing.
+*
+* Interval is configurable with REMINDER_JOB_INTERVAL_MS (default 60s).
+* Reminders are claimed in the database before they are sent, so the job
+* can be restarted (or run on several servers) without double-sending.
+*/
+
+const {
+ scheduleMissingReminders,
+ sendDueReminders,
+} = require("../services/reminderService");
+
+const INTERVAL_MS = Number(process.env.REMINDER_JOB_INTERVAL_MS || 60000);
+
+let timer = null;
+let running = false;
+
+/**
+* Run one pass, skipping it if the previous pass is still busy.
+*/
+const runOnce = async () => {
+ if (running) return;
+ running = true;
+ try {
+   const scheduled = await scheduleMissingReminders();
+   const { sent, dropped } = await sendDueReminders();
+   if (scheduled || sent || dropped) {
+     console.log(`⏰ Reminders: ${sent} sent, ${dropped} dropped, ${scheduled} appointment(s) scheduled`);
+   }
+ } catch (error) {
+   console.error("Reminder job error:", error);
+ } finally {
+   running = false;
+ }
+};
+
+/**
+* Start the periodic job (no-op if already started). The first pass runs
+* right away so reminders that fell due while the server was down go out.
+*/
+const startReminderJob = () => {
+ if (timer) return;
+ timer = setInterval(runOnce, INTERVAL_MS);
+ timer.unref(); // Do not keep the process alive just for this job
+ runOnce();
+};
+
+/**
+* Stop the periodic job (used on shutdown).
+*/
+const stopReminderJob = () => {
+ clearInterval(timer);
+ timer = null;
+};
+
+module.exports = { startReminderJob, stopReminderJob, runOnce };
@@ -0,0 +1,52 @@
+/**
+* Waitlist Job
+* ------------
+* Periodically passes lapsed slot offers to the next patient in line and
+* expires waitlist entries whose date range is over.
+*
+* Interval is configurable with WAITLIST_JOB_INTERVAL_MS (default 60s).
+*/
+
+const { processExpiredOffers } = require("../services/waitlistService");
+
+const INTERVAL_MS = Number(process.env.WAITLIST_JOB_INTERVAL_MS || 60000);
+
+let timer = null;
+let running = false;
+
+/**
+* Run one pass, skipping it if the previous pass is still busy.
+*/
+const runOnce = async () => {
+ if (running) return;
+ running = true;
+ try {
+   const { lapsed, expired } = await processExpiredOffers();
+   if (lapsed || expired) {
+     console.log(`⏳ Waitlist: ${lapsed} lapsed offer(s) passed on, ${expired} entr(ies) expired`);
+   }
+ } catch (error) {
+   console.error("Waitlist job error:", error);
+ } finally {
+   running = false;
+ }
+};
+
+/**
+* Start the periodic job (no-op if already started).
+*/
+const startWaitlistJob = () => {
+ if (timer) return;
+ timer = setInterval(runOnce, INTERVAL_MS);
+ timer.unref(); // Do not keep the process alive just for this job
+};
+
+/**
+* Stop the periodic job (used on shutdown).
+*/
+const stopWaitlistJob = () => {
+ clearInterval(timer);
+ timer = null;
+};
+
+module.exports = { startWaitlistJob, stopWaitlistJob, runOnce };
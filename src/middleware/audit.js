@@ -0,0 +1,97 @@
+/**
+* PHI Access Audit Middleware
+*
+* Writes one audit log entry for every request to a route that reads or
+* changes patient-related data, once the response has been sent (so the
+* outcome is known, and refused requests are logged too).
+*
+* Controllers can name a record the route did not know up front (e.g., the
+* appointment just booked) with `res.locals.auditResourceId`, the patient
+* with `res.locals.auditPatientId`, and add details of the change (e.g., a
+* role change) with `res.locals.auditDetails`. Routes authenticated by a
+* secret link instead of a login name the link's owner as the actor with
+* `res.locals.auditActor`.
+*/
+
+const {
+ appendAuditEntry,
+ resolvePatientId,
+ outcomeOf,
+} = require("../services/auditService"); // Hash-chained audit log
+
+// HTTP method → audit action
+const ACTIONS = {
+ GET: "read",
+ HEAD: "read",
+ POST: "create",
+ PUT: "update",
+ PATCH: "update",
+ DELETE: "delete",
+};
+
+/**
+* Middleware factory to audit access to one resource type.
+*
+* Place it before requirePermission so denied requests are recorded.
+*
+* @function auditAccess
+* @param {string} resourceType - e.g. "appointment", "user", "profile"
+* @param {Object} [options]
+* @param {string} [options.action] - Overrides the action derived from the method
+* @param {string} [options.param] - Route parameter holding the record ID
+*   (default: id, userId or seriesId)
+* @param {boolean} [options.self] - The record is the caller's own (e.g., profile)
+* @param {string} [options.secretParam] - Route parameter holding a secret
+*   (e.g., a link token); it is replaced by its name in the logged path
+* @returns {Function} Express middleware function
+*/
+const auditAccess = (resourceType, options = {}) => {
+ return (req, res, next) => {
+   // Route parameters are only reliable while this route is handling the request
+   const params = { ...req.params };
+   const paramId = options.param
+     ? params[options.param]
+     : params.id || params.userId || params.seriesId;
+   const secret = options.secretParam ? params[options.secretParam] : null;
+   let path = req.originalUrl.split("?")[0];
+   if (secret) path = path.replace(secret, `:${options.secretParam}`);
+
+   res.on("finish", async () => {
+     try {
+       const actor = req.user || res.locals.auditActor || null;
+       const resourceId =
+         res.locals.auditResourceId ||
+         paramId ||
+         (options.self && actor ? actor.id : null);
+       const query = Object.keys(req.query || {}).length ? { query: req.query } : {};
+       const details = res.locals.auditDetails ? { ...query, ...res.locals.auditDetails } : query;
+
+       await appendAuditEntry({
+         actorId: actor ? actor.id : null,
+         actorRole: actor ? actor.role : null,
+         action: options.action || ACTIONS[req.method] || req.method.toLowerCase(),
+         resourceType,
+         resourceId: resourceId ? String(resourceId) : null,
+         patientId:
+           res.locals.auditPatientId ||
+           (await resolvePatientId(resourceType, resourceId, actor)),
+         ipAddress: req.ip,
+         userAgent: (req.get("user-agent") || "").slice(0, 512) || null,
+         method: req.method,
+         path: path.slice(0, 512),
+         statusCode: res.statusCode,
+         outcome: outcomeOf(res.statusCode),
+         details,
+       });
+     } catch (error) {
+       // The response is already sent; losing an entry must at least be visible
+       console.error("Audit log error:", error);
+     }
+   });
+
+   next();
+ };
+};
+
+// Export middleware so it can be used in routes
+module.exports = { auditAccess };
@@ -1,13 +1,21 @@
 
 const jwt = require("jsonwebtoken"); // Import the jsonwebtoken library to handle JWT operations
 const { User } = require("../models"); // Import the User model from Sequelize for database queries
+const { findActiveSession } = require("../services/tokenService"); // Server-side session lookup
+const { isMfaRequired } = require("../services/mfaService"); // MFA policy (mandatory roles)
 
 /**
 * Middleware to verify JWT tokens and authenticate users.
 *
 * This function ensures that a request has a valid JWT before allowing
 * access to protected routes. It checks the Authorization header,
-* verifies the token, and attaches the authenticated user to the request object.
+* verifies the token, checks that its session has not been revoked (logout,
+* refresh-token reuse, ...), and attaches the authenticated user and session
+* to the request object. Accounts that are not active (doctors awaiting
+* approval, rejected applications) are refused with 403.
+*
+* Users whose role requires MFA (MFA_REQUIRED_ROLES) but who have not enrolled
+* yet are refused with 403, except on routes marked with allowMfaSetup.
 *
 * @function authenticateToken
 * @param {Object} req - Express request object
@@ -33,6 +41,15 @@ const authenticateToken = async (req, res, next) => {
    // Verify the token using the secret key defined in environment variables
    const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+   // Reject tokens whose session was revoked (or tokens issued before sessions existed)
+   const session = await findActiveSession(decoded.sid);
+   if (!session || session.userId !== decoded.userId) {
+     return res.status(401).json({
+       success: false,
+       message: "Session has been revoked - please log in again",
+     });
+   }
+
    // Find the user from the database based on the decoded token's userId
    // We do not include password for security
    const user = await User.findByPk(decoded.userId);
@@ -45,8 +62,27 @@ const authenticateToken = async (req, res, next) => {
      });
    }
 
+   // Accounts awaiting approval, rejected or suspended cannot use their tokens
+   if (user.status !== "active") {
+     return res.status(403).json({
+       success: false,
+       message: "This account is not active",
+       code: "ACCOUNT_NOT_ACTIVE",
+     });
+   }
+
    // Attach the user object to the request so it can be accessed in the next middleware/route
    req.user = user;
+   req.authSession = session; // Current login session (used by logout)
+
+   // Enforce the MFA policy: mandatory roles must enroll before doing anything else
+   if (!req.allowMfaSetup && isMfaRequired(user) && !user.mfaEnabled) {
+     return res.status(403).json({
+       success: false,
+       message: "Multi-factor authentication is required for your role. Enroll at POST /api/auth/mfa/enroll",
+       code: "MFA_ENROLLMENT_REQUIRED",
+     });
+   }
 
    // Call next() to pass control to the next middleware or route handler
    next();
@@ -79,5 +115,17 @@ const authenticateToken = async (req, res, next) => {
  }
 };
 
+/**
+* Middleware to mark a route as reachable before MFA enrollment
+* (profile, logout, password change and the MFA endpoints themselves).
+* Must run before authenticateToken.
+*
+* @function allowMfaSetup
+*/
+const allowMfaSetup = (req, res, next) => {
+ req.allowMfaSetup = true;
+ next();
+};
+
 // Export middleware so it can be used in routes
-module.exports = { authenticateToken };
+module.exports = { authenticateToken, allowMfaSetup };
@@ -0,0 +1,37 @@
+/**
+* Email Verification Middleware
+*
+* Blocks actions that need a confirmed email address (booking appointments,
+* series and waitlist slots) until the user has clicked the verification
+* link. Must run after authenticateToken.
+*/
+
+/**
+* Middleware to require a verified email address.
+*
+* @function requireVerifiedEmail
+* @param {Object} req - Express request object
+* @param {Object} res - Express response object
+* @param {Function} next - Express next middleware function
+*/
+const requireVerifiedEmail = (req, res, next) => {
+ if (!req.user) {
+   return res.status(401).json({
+     success: false,
+     message: "Authentication required",
+   });
+ }
+
+ if (!req.user.emailVerifiedAt) {
+   return res.status(403).json({
+     success: false,
+     message: "Please verify your email address before booking. Request a new link at POST /api/auth/resend-verification",
+     code: "EMAIL_NOT_VERIFIED",
+   });
+ }
+
+ next();
+};
+
+// Export middleware so it can be used in routes
+module.exports = { requireVerifiedEmail };
@@ -0,0 +1,51 @@
+/**
+* FHIR Response Middleware
+*
+* Makes every response under /fhir/R4 a FHIR response, including the ones
+* produced by the shared middleware (authenticateToken, requirePermission,
+* ...) that answer with our usual `{ success, message }` body:
+*
+* - Content-Type is application/fhir+json
+* - Error bodies that are not FHIR resources become an OperationOutcome
+*/
+
+const { operationOutcome } = require("../fhir/responses"); // OperationOutcome builder
+
+/**
+* Middleware to send FHIR JSON and OperationOutcome error bodies.
+*
+* @function fhirResponses
+* @param {Object} req - Express request object
+* @param {Object} res - Express response object
+* @param {Function} next - Express next middleware function
+*/
+const fhirResponses = (req, res, next) => {
+ const json = res.json.bind(res);
+
+ res.json = (body) => {
+   res.type("application/fhir+json");
+   if (res.statusCode >= 400 && body && !body.resourceType) {
+     return json(operationOutcome(res.statusCode, body.message, body.errors));
+   }
+   return json(body);
+ };
+
+ next();
+};
+
+/**
+* Error handler for the FHIR router (malformed JSON bodies, unexpected errors).
+*
+* @function fhirErrorHandler
+*/
+const fhirErrorHandler = (err, req, res, next) => {
+ const status = err.status || err.statusCode || 500;
+ if (status >= 500) console.error("FHIR error:", err);
+
+ res
+   .status(status)
+   .json(operationOutcome(status, status >= 500 ? "Internal server error" : err.message));
+};
+
+// Export middleware so it can be used in routes
+module.exports = { fhirResponses, fhirErrorHandler };
@@ -0,0 +1,64 @@
+/**
+* Rate Limit Middleware
+* ---------------------
+* Limits how many requests one IP address may make in a time window.
+* Counters live in the rate-limit store (memory or database, see
+* services/rateLimitStore.js), so the limit holds across instances when the
+* database store is used.
+*
+* Adds RateLimit-Limit / RateLimit-Remaining headers and answers 429 with
+* Retry-After once the limit is reached. If the store fails the request is
+* let through (a broken limiter must not take the API down).
+*/
+
+const { getRateLimitStore } = require("../services/rateLimitStore");
+const { logSecurityEvent } = require("../utils/securityLog");
+
+/**
+* Middleware factory for a per-IP rate limit.
+*
+* @function rateLimit
+* @param {Object} options
+* @param {string} options.name - Limiter name (part of the store key)
+* @param {number} options.windowMs - Window length in milliseconds
+* @param {number} options.max - Requests allowed per window
+* @returns {Function} Express middleware function
+*/
+const rateLimit = ({ name, windowMs, max }) => {
+ return async (req, res, next) => {
+   let entry;
+   try {
+     entry = await getRateLimitStore().increment(`${name}:ip:${req.ip}`, windowMs);
+   } catch (error) {
+     console.error("Rate limit store error:", error);
+     return next();
+   }
+
+   res.set("RateLimit-Limit", String(max));
+   res.set("RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+
+   if (entry.count > max) {
+     const retryAfter = Math.max(1, Math.ceil((entry.expiresAt.getTime() - Date.now()) / 1000));
+     if (entry.count === max + 1) {
+       logSecurityEvent("rate_limit_exceeded", { limiter: name, ip: req.ip, path: req.originalUrl });
+     }
+     res.set("Retry-After", String(retryAfter));
+     return res.status(429).json({
+       success: false,
+       message: "Too many requests. Please try again later.",
+     });
+   }
+
+   next();
+ };
+};
+
+// Limit for /api/auth/* (AUTH_RATE_LIMIT_MAX requests per AUTH_RATE_LIMIT_WINDOW_MINUTES)
+const authRateLimit = rateLimit({
+ name: "auth",
+ windowMs: Number(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES || 15) * 60000,
+ max: Number(process.env.AUTH_RATE_LIMIT_MAX || 100),
+});
+
+// Export middleware so it can be used in app.js and routes
+module.exports = { rateLimit, authRateLimit };
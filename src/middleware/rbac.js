@@ -2,14 +2,17 @@
 * Role-Based Access Control (RBAC) Middleware
 *
 * This middleware is used to restrict access to specific routes
-* depending on the role of the authenticated user.
+* depending on the permissions granted to the authenticated user's role
+* (see config/permissions.json).
 *
 * Example:
-*   - Only "admin" can delete users
-*   - "admin" and "patient" can view reports
-*   - "doctor" has more limited access
+*   - Only roles with "user:delete:any" can delete users
+*   - Roles with "appointment:cancel" (own or any) reach the cancel route;
+*     the controller checks that the appointment is theirs
 */
 
+const { hasPermission } = require("../services/authorization"); // Role → permission checks
+
 /**
 * Middleware factory to check if a user has the required role(s).
 *
@@ -52,19 +55,40 @@ const requireRole = (allowedRoles) => {
     };
    };
    
-   /**
-   * Predefined role-based middleware for convenience
-   *
-   * These are shortcuts for common role combinations
-   */
-   const requireAdmin = requireRole(["admin"]); // Only admins can access
-   const requireDoctor = requireRole(["admin", "doctor"]); // Admins and doctors
-   const requirePatient = requireRole(["admin", "patient", "doctor"]); // Admins, patients, and doctors
-   
-   // Export all middlewares so they can be used in route files
-   module.exports = {
-    requireRole,
-    requireAdmin,
-    requireDoctor,
-    requirePatient,
-   };
\ No newline at end of file
+/**
+* Middleware factory to check that the user's role grants permission(s).
+*
+* Permissions are "resource:action" (either scope is enough - the controller
+* then checks ownership of the record) or "resource:action:scope" (that scope
+* is required, e.g. "user:delete:any" for admin-wide actions).
+*
+* @function requirePermission
+* @param {...string} permissions - Permissions the user must all hold
+* @returns {Function} Express middleware function
+*/
+const requirePermission = (...permissions) => {
+ return (req, res, next) => {
+   if (!req.user) {
+     return res.status(401).json({
+       success: false,
+       message: "Authentication required",
+     });
+   }
+
+   const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+   if (missing.length) {
+     return res.status(403).json({
+       success: false,
+       message: `Access denied. Missing permission: ${missing.join(", ")}`,
+     });
+   }
+
+   next();
+ };
+};
+
+// Export all middlewares so they can be used in route files
+module.exports = {
+ requireRole,
+ requirePermission,
+};
@@ -0,0 +1,217 @@
+"use strict";
+
+/**
+ * Appointment Model
+ *
+ * Represents a visit booked by a patient with a doctor.
+ *
+ * Features:
+ * - Mirrors the "Appointments" table created by the migration
+ * - Links a patient and a doctor (both rows in the Users table)
+ * - Tracks the lifecycle status (see services/appointmentLifecycle.js)
+ * - Reason and notes are encrypted at rest (see utils/fieldEncryption.js)
+ */
+
+const { Model } = require("sequelize");
+const { encryptAttributes } = require("../utils/fieldEncryption");
+
+// Every status an appointment can be in
+const STATUSES = [
+  "pending",
+  "confirmed",
+  "checked_in",
+  "completed",
+  "cancelled",
+  "no_show",
+  "rescheduled",
+];
+
+// Statuses that occupy a doctor's slot (the others free it again)
+const ACTIVE_STATUSES = ["pending", "confirmed", "checked_in"];
+
+module.exports = (sequelize, DataTypes) => {
+  class Appointment extends Model {
+    static STATUSES = STATUSES;
+    static ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      // Patient who booked the appointment
+      Appointment.belongsTo(models.User, {
+        as: "patient",
+        foreignKey: "patientId",
+      });
+
+      // Doctor the appointment is booked with
+      Appointment.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "doctorId",
+      });
+
+      // Reschedule chain: the new appointment points back to the original
+      Appointment.belongsTo(models.Appointment, {
+        as: "rescheduledFrom",
+        foreignKey: "rescheduledFromId",
+      });
+      Appointment.hasOne(models.Appointment, {
+        as: "rescheduledTo",
+        foreignKey: "rescheduledFromId",
+      });
+
+      // Recurring series this appointment is an occurrence of
+      Appointment.belongsTo(models.AppointmentSeries, {
+        as: "series",
+        foreignKey: "seriesId",
+      });
+
+      // Audit trail of status changes
+      Appointment.hasMany(models.AppointmentStatusHistory, {
+        as: "statusHistory",
+        foreignKey: "appointmentId",
+        onDelete: "CASCADE",
+      });
+
+      // Scheduled reminders (only while confirmed)
+      Appointment.hasMany(models.AppointmentReminder, {
+        as: "reminders",
+        foreignKey: "appointmentId",
+        onDelete: "CASCADE",
+      });
+
+      // Clinical record written by the doctor after the visit
+      Appointment.hasOne(models.Encounter, {
+        as: "encounter",
+        foreignKey: "appointmentId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  Appointment.init(
+    {
+      // Unique appointment ID (UUID)
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Patient who booked the appointment
+      patientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Doctor with whom the appointment is booked
+      doctorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Lifecycle status (pending by default, changed only through transitions)
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: "pending",
+        validate: {
+          isIn: {
+            args: [STATUSES],
+            msg: `Status must be one of: ${STATUSES.join(", ")}`,
+          },
+        },
+      },
+
+      // Appointment date (YYYY-MM-DD)
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        validate: {
+          isDate: {
+            msg: "Date must be a valid date (YYYY-MM-DD)",
+          },
+        },
+      },
+
+      // Appointment time (HH:MM:SS)
+      time: {
+        type: DataTypes.TIME,
+        allowNull: false,
+      },
+
+      // Reason for the visit (provided by patient)
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: "Reason is required",
+          },
+        },
+      },
+
+      // Optional notes (could be added by admin or doctor)
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // Original appointment when this one was created by a reschedule
+      rescheduledFromId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Recurring series this appointment belongs to (if any)
+      seriesId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // iCalendar SEQUENCE: bumped whenever the status, date or time changes
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // When the patient confirmed they will attend (from a reminder link)
+      attendanceConfirmedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "Appointment", // Table name will be `Appointments`
+
+      hooks: {
+        /**
+         * Bump the iCalendar sequence so calendar apps pick up the change.
+         */
+        beforeUpdate: (appointment) => {
+          if (["status", "date", "time"].some((field) => appointment.changed(field))) {
+            appointment.sequence = (appointment.sequence || 0) + 1;
+          }
+        },
+      },
+      indexes: [
+        {
+          // One active appointment per doctor slot (prevents double-booking)
+          name: "appointments_doctor_slot_active_unique",
+          unique: true,
+          fields: ["doctorId", "date", "time"],
+          where: { status: ACTIVE_STATUSES },
+        },
+      ],
+    }
+  );
+
+  // Encrypted at rest, decrypted transparently on read
+  encryptAttributes(Appointment, ["reason", "notes"]);
+
+  return Appointment;
+};
@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * AppointmentReminder Model
+ *
+ * One scheduled reminder for a confirmed appointment (e.g., 48h before).
+ *
+ * Features:
+ * - One row per appointment and offset, so a reminder can never be
+ *   scheduled twice
+ * - Status moves pending → sent/failed/cancelled exactly once; the reminder
+ *   job claims a row by updating it from "pending" before delivering it
+ * - `channels` records where the reminder was delivered
+ */
+
+const { Model } = require("sequelize");
+
+const STATUSES = ["pending", "sent", "failed", "cancelled"];
+
+module.exports = (sequelize, DataTypes) => {
+  class AppointmentReminder extends Model {
+    static STATUSES = STATUSES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      AppointmentReminder.belongsTo(models.Appointment, {
+        as: "appointment",
+        foreignKey: "appointmentId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  AppointmentReminder.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Appointment the reminder is for
+      appointmentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // How long before the appointment the reminder is sent
+      offsetMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // When the reminder is due
+      sendAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      // When the reminder was sent (or given up on)
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Channels the reminder was delivered on (e.g., ["email", "inApp"])
+      channels: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "AppointmentReminder", // Table name will be `AppointmentReminders`
+      indexes: [
+        { unique: true, fields: ["appointmentId", "offsetMinutes"] },
+        { fields: ["status", "sendAt"] },
+      ],
+    }
+  );
+
+  return AppointmentReminder;
+};
@@ -0,0 +1,124 @@
+"use strict";
+
+/**
+ * AppointmentSeries Model
+ *
+ * Represents a recurring set of appointments (e.g., weekly follow-ups)
+ * booked in one go from an RRULE-style recurrence rule.
+ *
+ * Features:
+ * - Stores the rule (frequency, interval, count or until) and the RRULE text
+ * - Each occurrence is a regular Appointment with seriesId pointing here
+ * - status becomes "cancelled" once every remaining occurrence is cancelled
+ */
+
+const { Model } = require("sequelize");
+const { encryptAttributes } = require("../utils/fieldEncryption");
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+module.exports = (sequelize, DataTypes) => {
+  class AppointmentSeries extends Model {
+    static FREQUENCIES = FREQUENCIES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      AppointmentSeries.belongsTo(models.User, {
+        as: "patient",
+        foreignKey: "patientId",
+      });
+      AppointmentSeries.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "doctorId",
+      });
+      AppointmentSeries.hasMany(models.Appointment, {
+        as: "occurrences",
+        foreignKey: "seriesId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  AppointmentSeries.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Patient the series is for
+      patientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Doctor the series is booked with
+      doctorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Recurrence rule
+      frequency: {
+        type: DataTypes.ENUM(...FREQUENCIES),
+        allowNull: false,
+      },
+      interval: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      count: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      until: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+
+      // Canonical RRULE text (e.g., "FREQ=WEEKLY;INTERVAL=1;COUNT=6")
+      rrule: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // First occurrence and the time every occurrence starts at
+      startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      time: {
+        type: DataTypes.TIME,
+        allowNull: false,
+      },
+
+      // Reason copied to every occurrence
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+
+      status: {
+        type: DataTypes.ENUM("active", "cancelled"),
+        allowNull: false,
+        defaultValue: "active",
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "AppointmentSeries",
+      tableName: "AppointmentSeries",
+    }
+  );
+
+  // Encrypted at rest, decrypted transparently on read
+  encryptAttributes(AppointmentSeries, ["reason"]);
+
+  return AppointmentSeries;
+};
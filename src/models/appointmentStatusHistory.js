@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * AppointmentStatusHistory Model
+ *
+ * Append-only audit trail of appointment status changes.
+ *
+ * Features:
+ * - One row per transition (e.g., pending → confirmed)
+ * - Records who made the change (actor + role), when, and why
+ * - The first row of every appointment has fromStatus = null (booking)
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class AppointmentStatusHistory extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      AppointmentStatusHistory.belongsTo(models.Appointment, {
+        as: "appointment",
+        foreignKey: "appointmentId",
+      });
+      AppointmentStatusHistory.belongsTo(models.User, {
+        as: "actor",
+        foreignKey: "actorId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  AppointmentStatusHistory.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Appointment whose status changed
+      appointmentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Status before the change (null when the appointment was created)
+      fromStatus: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Status after the change
+      toStatus: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // User who made the change (null for automatic/system changes)
+      actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Role of the actor at the time of the change
+      actorRole: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Optional explanation (e.g., cancellation reason)
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "AppointmentStatusHistory",
+      tableName: "AppointmentStatusHistories",
+      updatedAt: false, // History rows are never updated
+    }
+  );
+
+  return AppointmentStatusHistory;
+};
@@ -0,0 +1,168 @@
+"use strict";
+
+/**
+ * AuditLog Model
+ *
+ * One access to patient-related data (user list, appointments, profiles,
+ * waitlist): who did what to which record, for which patient, from where,
+ * and whether it succeeded.
+ *
+ * Features:
+ * - Append-only: updates and deletes are refused here and by a database
+ *   trigger (see the create-audit-logs migration)
+ * - Tamper evidence: every entry stores the hash of the previous entry and
+ *   its own hash over both, so editing or removing a row breaks the chain
+ *   (see services/auditService.js)
+ * - actorId/patientId are plain IDs (no foreign keys) so entries survive
+ *   the deletion of the users they mention
+ */
+
+const { Model } = require("sequelize");
+
+// Outcomes derived from the response status
+const OUTCOMES = ["success", "denied", "not_found", "failure", "error"];
+
+const appendOnly = () => {
+  throw new Error("Audit log entries cannot be changed or deleted");
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class AuditLog extends Model {
+    static OUTCOMES = OUTCOMES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      AuditLog.belongsTo(models.User, {
+        as: "actor",
+        foreignKey: "actorId",
+        constraints: false,
+      });
+      AuditLog.belongsTo(models.User, {
+        as: "patient",
+        foreignKey: "patientId",
+        constraints: false,
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  AuditLog.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Position in the hash chain (1, 2, 3, ... without gaps)
+      sequence: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        unique: true,
+      },
+
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Who (null for unauthenticated requests)
+      actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      actorRole: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+      },
+
+      // What: read, create, update, delete or a named action (e.g., sign)
+      action: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+      },
+      resourceType: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+      },
+      resourceId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Whose data (null when not tied to one patient, e.g., the user list)
+      patientId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Where from
+      ipAddress: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+
+      // Request and result
+      method: {
+        type: DataTypes.STRING(8),
+        allowNull: false,
+      },
+      path: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+      },
+      statusCode: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      outcome: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        validate: { isIn: [OUTCOMES] },
+      },
+
+      // Extra context (e.g., query filters)
+      details: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+
+      // SHA-256 of the previous entry (zeros for the first one) and of this one
+      prevHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "AuditLog", // Table name will be `AuditLogs`
+      updatedAt: false, // Entries never change
+      hooks: {
+        beforeUpdate: appendOnly,
+        beforeDestroy: appendOnly,
+        beforeBulkUpdate: appendOnly,
+        beforeBulkDestroy: appendOnly,
+      },
+      indexes: [
+        { fields: ["patientId", "occurredAt"] },
+        { fields: ["actorId", "occurredAt"] },
+        { fields: ["occurredAt"] },
+      ],
+    }
+  );
+
+  return AuditLog;
+};
@@ -0,0 +1,77 @@
+"use strict";
+
+/**
+ * CalendarFeedToken Model
+ *
+ * Secret token behind a user's subscribable calendar feed URL.
+ *
+ * Features:
+ * - One feed per user; creating a new one replaces (revokes) the old one
+ * - Only the SHA-256 hash of the token is stored
+ * - Deleting the row revokes the feed immediately
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class CalendarFeedToken extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      CalendarFeedToken.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+    }
+
+    /**
+     * Customize JSON output.
+     * Never expose the token hash in API responses.
+     */
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.tokenHash;
+      return values;
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  CalendarFeedToken.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Owner of the feed (one feed per user)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+
+      // SHA-256 hash of the feed token
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      // Last time a calendar app fetched the feed
+      lastAccessedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "CalendarFeedToken", // Table name will be `CalendarFeedTokens`
+    }
+  );
+
+  return CalendarFeedToken;
+};
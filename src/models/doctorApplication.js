@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * DoctorApplication Model
+ *
+ * A doctor's request to join, reviewed by an admin.
+ *
+ * Features:
+ * - One application per applicant account (status pending_approval until
+ *   an admin decides)
+ * - Keeps the credentials the admin checks (license number, specialty)
+ * - Records who approved or rejected it, when, and why
+ */
+
+const { Model } = require("sequelize");
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+module.exports = (sequelize, DataTypes) => {
+  class DoctorApplication extends Model {
+    static STATUSES = STATUSES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      DoctorApplication.belongsTo(models.User, {
+        as: "applicant",
+        foreignKey: "userId",
+      });
+      DoctorApplication.belongsTo(models.User, {
+        as: "reviewedBy",
+        foreignKey: "reviewedById",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  DoctorApplication.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Applicant's account
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+
+      // Medical license number (checked by the reviewing admin)
+      licenseNumber: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: "License number is required",
+          },
+        },
+      },
+
+      specialty: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Optional note to the reviewer
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      // Review
+      reviewedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      rejectionReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "DoctorApplication", // Table name will be `DoctorApplications`
+    }
+  );
+
+  return DoctorApplication;
+};
@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * DoctorInvitation Model
+ *
+ * Admin-issued link that lets a doctor create their own account.
+ *
+ * Features:
+ * - Bound to the email address it was sent to
+ * - Only the SHA-256 hash of the token is stored
+ * - Single use: `acceptedAt` is set when the doctor signs up
+ * - Expires after DOCTOR_INVITATION_TTL_DAYS or when revoked by an admin
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class DoctorInvitation extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      DoctorInvitation.belongsTo(models.User, {
+        as: "invitedBy",
+        foreignKey: "invitedById",
+      });
+      DoctorInvitation.belongsTo(models.User, {
+        as: "acceptedUser",
+        foreignKey: "acceptedUserId",
+      });
+    }
+
+    /**
+     * Current state derived from the timestamps.
+     *
+     * @returns {string} pending, accepted, revoked or expired
+     */
+    getState() {
+      if (this.acceptedAt) return "accepted";
+      if (this.revokedAt) return "revoked";
+      if (this.expiresAt <= new Date()) return "expired";
+      return "pending";
+    }
+
+    /**
+     * Customize JSON output.
+     * Never expose the token hash; include the derived state.
+     */
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.tokenHash;
+      values.state = this.getState();
+      return values;
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  DoctorInvitation.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Address the invitation was sent to
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          isEmail: {
+            msg: "Must be a valid email address",
+          },
+        },
+      },
+
+      // SHA-256 hash of the invitation token
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      // Admin who sent it
+      invitedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Set when the doctor signs up
+      acceptedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      acceptedUserId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Set when an admin withdraws the invitation
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "DoctorInvitation", // Table name will be `DoctorInvitations`
+      indexes: [{ fields: ["email"] }],
+    }
+  );
+
+  return DoctorInvitation;
+};
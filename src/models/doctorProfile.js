@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * DoctorProfile Model
+ *
+ * Professional details of a doctor, linked one-to-one to their User and
+ * shown in the provider directory (GET /api/doctors).
+ *
+ * Features:
+ * - Specialty, credentials, license number and a short bio
+ * - Languages spoken (lowercase language codes) and accepted insurance
+ * - Clinic location (name and postal address)
+ * - Created from the doctor application when it is approved; input is
+ *   validated in services/doctorProfileService.js
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class DoctorProfile extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      DoctorProfile.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "userId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  DoctorProfile.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // The doctor (one profile per user)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+
+      // e.g., "Cardiology"
+      specialty: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // e.g., "MD, FACC"
+      credentials: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+
+      // Medical license number (from the approved application; changed by admins)
+      licenseNumber: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      bio: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // Lowercase BCP 47 language tags (e.g., ["en", "es"])
+      languages: {
+        type: DataTypes.ARRAY(DataTypes.STRING(35)),
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      // { name, line1, line2, city, state, postalCode, country }
+      clinicLocation: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+
+      // Insurance providers accepted (e.g., ["Acme Health", "Medicare"])
+      acceptedInsurance: {
+        type: DataTypes.ARRAY(DataTypes.STRING(100)),
+        allowNull: false,
+        defaultValue: [],
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "DoctorProfile", // Table name will be `DoctorProfiles`
+      indexes: [
+        { fields: ["specialty"] },
+        { fields: ["languages"], using: "gin" },
+      ],
+    }
+  );
+
+  return DoctorProfile;
+};
@@ -0,0 +1,108 @@
+"use strict";
+
+/**
+ * DoctorSchedule Model
+ *
+ * Represents a doctor's regular working hours for one day of the week.
+ *
+ * Features:
+ * - One row per doctor per weekday (0 = Sunday … 6 = Saturday)
+ * - Working window (startTime → endTime) split into fixed-length slots
+ * - Optional breaks inside the window (e.g., lunch) that are never bookable
+ */
+
+const { Model } = require("sequelize");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+module.exports = (sequelize, DataTypes) => {
+  class DoctorSchedule extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      DoctorSchedule.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "doctorId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  DoctorSchedule.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Doctor who owns these working hours
+      doctorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Day of the week (0 = Sunday … 6 = Saturday)
+      dayOfWeek: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: { args: [0], msg: "dayOfWeek must be between 0 and 6" },
+          max: { args: [6], msg: "dayOfWeek must be between 0 and 6" },
+        },
+      },
+
+      // Start of the working window (HH:MM:SS)
+      startTime: {
+        type: DataTypes.TIME,
+        allowNull: false,
+      },
+
+      // End of the working window (HH:MM:SS)
+      endTime: {
+        type: DataTypes.TIME,
+        allowNull: false,
+      },
+
+      // Length of one bookable slot, in minutes
+      slotDuration: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30,
+        validate: {
+          min: { args: [5], msg: "slotDuration must be at least 5 minutes" },
+          max: { args: [480], msg: "slotDuration must be at most 480 minutes" },
+        },
+      },
+
+      // Breaks inside the working window: [{ start: "12:00", end: "13:00" }]
+      breaks: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          isValidBreaks(value) {
+            if (!Array.isArray(value)) {
+              throw new Error("breaks must be an array");
+            }
+            value.forEach((b) => {
+              if (!b || !TIME_PATTERN.test(b.start) || !TIME_PATTERN.test(b.end)) {
+                throw new Error("Each break needs a start and end time (HH:MM)");
+              }
+            });
+          },
+        },
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "DoctorSchedule", // Table name will be `DoctorSchedules`
+      indexes: [{ unique: true, fields: ["doctorId", "dayOfWeek"] }],
+    }
+  );
+
+  return DoctorSchedule;
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Encounter Model
+ *
+ * The clinical record of one completed appointment, written by its doctor.
+ *
+ * Features:
+ * - One encounter per appointment
+ * - Content lives in numbered EncounterVersions: version 1 is the original
+ *   note, later versions are amendments; signed versions never change
+ * - status is "draft" until the first version is signed, then "final"
+ * - signedVersion points at the latest signed version (what patients see)
+ */
+
+const { Model } = require("sequelize");
+
+const STATUSES = ["draft", "final"];
+
+module.exports = (sequelize, DataTypes) => {
+  class Encounter extends Model {
+    static STATUSES = STATUSES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      Encounter.belongsTo(models.Appointment, {
+        as: "appointment",
+        foreignKey: "appointmentId",
+      });
+      Encounter.belongsTo(models.User, {
+        as: "patient",
+        foreignKey: "patientId",
+      });
+      Encounter.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "doctorId",
+      });
+
+      // Original note and amendments, oldest first
+      Encounter.hasMany(models.EncounterVersion, {
+        as: "versions",
+        foreignKey: "encounterId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  Encounter.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Completed appointment the record belongs to
+      appointmentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+
+      // Copied from the appointment for ownership checks and listings
+      patientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      doctorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: "draft",
+      },
+
+      // Highest version number (signed or still a draft)
+      currentVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+
+      // Latest signed version (null until the first signature)
+      signedVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+
+      // When version 1 was signed
+      finalizedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "Encounter", // Table name will be `Encounters`
+      indexes: [
+        { fields: ["patientId", "finalizedAt"] },
+        { fields: ["doctorId"] },
+      ],
+    }
+  );
+
+  return Encounter;
+};
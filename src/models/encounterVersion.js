@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ * EncounterVersion Model
+ *
+ * One version of an encounter's content: the original note (version 1) or
+ * an amendment.
+ *
+ * Features:
+ * - Structured SOAP note (subjective, objective, assessment, plan)
+ * - ICD-10 coded diagnoses and vital signs (validated in
+ *   services/encounterService.js)
+ * - Signed by its author: signatureHash covers the content, author and time
+ * - Signed versions are immutable (updates and deletes are refused)
+ * - Clinical content is encrypted at rest (see utils/fieldEncryption.js)
+ */
+
+const { Model } = require("sequelize");
+const { encryptAttributes } = require("../utils/fieldEncryption");
+
+// previous() holds the stored value, so signing a draft is still allowed
+const refuseSignedChange = (version) => {
+  if (version.previous("signedAt")) {
+    throw new Error("Signed encounter versions cannot be changed");
+  }
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class EncounterVersion extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      EncounterVersion.belongsTo(models.Encounter, {
+        as: "encounter",
+        foreignKey: "encounterId",
+      });
+
+      // Doctor who wrote (and signs) this version
+      EncounterVersion.belongsTo(models.User, {
+        as: "author",
+        foreignKey: "authorId",
+      });
+    }
+
+    /**
+     * Whether the version has been signed.
+     *
+     * @returns {boolean}
+     */
+    isSigned() {
+      return Boolean(this.signedAt);
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  EncounterVersion.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      encounterId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // 1 for the original note, then 2, 3, ... for amendments
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // SOAP note
+      subjective: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      objective: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      assessment: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      plan: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // [{ code: "E11.9", description, primary }]
+      diagnoses: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+
+      // { heightCm, weightKg, temperatureC, heartRate, ... }
+      vitals: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+
+      authorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Why the record was amended (null for version 1)
+      amendmentReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // Signature (null while the version is a draft)
+      signedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      signatureHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "EncounterVersion", // Table name will be `EncounterVersions`
+      hooks: {
+        beforeUpdate: refuseSignedChange,
+        beforeDestroy: refuseSignedChange,
+      },
+      indexes: [{ unique: true, fields: ["encounterId", "version"] }],
+    }
+  );
+
+  // Encrypted at rest, decrypted transparently on read
+  encryptAttributes(EncounterVersion, [
+    "subjective",
+    "objective",
+    "assessment",
+    "plan",
+    "diagnoses",
+    "vitals",
+    "amendmentReason",
+  ]);
+
+  return EncounterVersion;
+};
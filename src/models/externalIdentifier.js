@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * ExternalIdentifier Model
+ *
+ * Maps identifiers assigned by external systems to our records, e.g. an
+ * EHR's medical record number to a patient, or a placer appointment ID to
+ * an appointment.
+ *
+ * Features:
+ * - system is the assigning authority or namespace (e.g., "EHR-MRN")
+ * - A (resourceType, system, value) triple points to exactly one record
+ * - A record can carry identifiers from several systems
+ */
+
+const { Model } = require("sequelize");
+
+const RESOURCE_TYPES = ["user", "appointment"];
+
+module.exports = (sequelize, DataTypes) => {
+  class ExternalIdentifier extends Model {
+    static RESOURCE_TYPES = RESOURCE_TYPES;
+  }
+
+  // --------------------- Model Definition ---------------------
+  ExternalIdentifier.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Kind of record the identifier points to
+      resourceType: {
+        type: DataTypes.ENUM(...RESOURCE_TYPES),
+        allowNull: false,
+      },
+
+      // Our record's ID
+      resourceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Assigning authority / namespace
+      system: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: "",
+      },
+
+      value: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "Identifier value is required" },
+        },
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "ExternalIdentifier", // Table name will be `ExternalIdentifiers`
+      indexes: [
+        { unique: true, fields: ["resourceType", "system", "value"] },
+        { fields: ["resourceType", "resourceId"] },
+      ],
+    }
+  );
+
+  return ExternalIdentifier;
+};
@@ -0,0 +1,185 @@
+"use strict";
+
+/**
+ * Hl7Message Model
+ *
+ * Log of HL7 v2 messages exchanged with external systems (EHRs, practice
+ * management and scheduling interfaces).
+ *
+ * Features:
+ * - One row per inbound or outbound message, with the acknowledgement
+ * - Inbound messages are unique per sender and control ID (MSH-10), so a
+ *   retransmitted message is answered with the stored acknowledgement
+ *   instead of being applied twice
+ * - Message and acknowledgement text contain PHI and are encrypted at rest
+ *
+ * Statuses:
+ * - Inbound:  received → accepted (AA) | error (AE) | rejected (AR)
+ * - Outbound: pending → sent (file drop) | acknowledged (AA) |
+ *             error (AE) | rejected (AR) | failed (not delivered)
+ */
+
+const { Model } = require("sequelize");
+const { encryptAttributes } = require("../utils/fieldEncryption");
+
+const DIRECTIONS = ["inbound", "outbound"];
+const TRANSPORTS = ["http", "mllp", "file"];
+const STATUSES = [
+  "received",
+  "accepted",
+  "error",
+  "rejected",
+  "pending",
+  "sent",
+  "acknowledged",
+  "failed",
+];
+
+module.exports = (sequelize, DataTypes) => {
+  class Hl7Message extends Model {
+    static DIRECTIONS = DIRECTIONS;
+    static TRANSPORTS = TRANSPORTS;
+    static STATUSES = STATUSES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      Hl7Message.belongsTo(models.Appointment, {
+        as: "appointment",
+        foreignKey: "appointmentId",
+        constraints: false,
+      });
+      Hl7Message.belongsTo(models.User, {
+        as: "patient",
+        foreignKey: "patientId",
+        constraints: false,
+      });
+      Hl7Message.belongsTo(models.User, {
+        as: "submittedBy",
+        foreignKey: "submittedById",
+        constraints: false,
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  Hl7Message.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      direction: {
+        type: DataTypes.ENUM(...DIRECTIONS),
+        allowNull: false,
+      },
+
+      // How the message arrived or was delivered
+      transport: {
+        type: DataTypes.ENUM(...TRANSPORTS),
+        allowNull: false,
+      },
+
+      // MSH-9 (e.g., "SIU^S12")
+      messageType: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+
+      // MSH-10
+      controlId: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+
+      // MSH-3 / MSH-4 (the sender; ourselves for outbound messages)
+      sendingApplication: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: "",
+      },
+      sendingFacility: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        defaultValue: "",
+      },
+
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+      },
+
+      // MSA-1 of the acknowledgement (AA, AE or AR)
+      ackCode: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+      },
+
+      // Message and acknowledgement text
+      payload: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      ackPayload: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // Why processing or delivery failed
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // What the message was about
+      appointmentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      patientId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Interface account that posted an inbound message over HTTP
+      submittedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+
+      // Delivery attempts (outbound)
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "Hl7Message", // Table name will be `Hl7Messages`
+      indexes: [
+        {
+          unique: true,
+          fields: ["direction", "sendingApplication", "sendingFacility", "controlId"],
+        },
+        { fields: ["status", "createdAt"] },
+        { fields: ["appointmentId"] },
+      ],
+    }
+  );
+
+  // Encrypted at rest, decrypted transparently on read
+  encryptAttributes(Hl7Message, ["payload", "ackPayload"]);
+
+  return Hl7Message;
+};
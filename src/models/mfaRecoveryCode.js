@@ -0,0 +1,66 @@
+"use strict";
+
+/**
+ * MfaRecoveryCode Model
+ *
+ * One-time code that replaces the authenticator app when it is lost.
+ *
+ * Features:
+ * - Ten codes are issued when MFA is enabled (or regenerated)
+ * - Only the SHA-256 hash of each code is stored
+ * - `usedAt` is set when a code is used; it never works again
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class MfaRecoveryCode extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      MfaRecoveryCode.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  MfaRecoveryCode.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Owner of the code
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // SHA-256 hash of the normalized code
+      codeHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+
+      // Set when the code is used
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "MfaRecoveryCode", // Table name will be `MfaRecoveryCodes`
+      indexes: [{ fields: ["userId"] }],
+    }
+  );
+
+  return MfaRecoveryCode;
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * Notification Model
+ *
+ * An in-app notification shown to a user (e.g., "Your appointment was
+ * confirmed").
+ *
+ * Features:
+ * - Title/body rendered from the event template at send time
+ * - `data` keeps machine-readable context (e.g., appointmentId)
+ * - readAt is null until the user marks the notification as read
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class Notification extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      Notification.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  Notification.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Recipient
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Event that produced the notification (e.g., "confirmed")
+      event: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+
+      // Machine-readable context (e.g., { appointmentId })
+      data: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+
+      // When the user read it (null = unread)
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "Notification", // Table name will be `Notifications`
+      indexes: [{ fields: ["userId", "createdAt"] }],
+    }
+  );
+
+  return Notification;
+};
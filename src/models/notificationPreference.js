@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * NotificationPreference Model
+ *
+ * A user's choice of notification channels.
+ *
+ * Features:
+ * - `channels` switches each channel on or off for every event
+ *   (default: email and in-app on, SMS off)
+ * - `events` overrides the channel switches per event,
+ *   e.g. { "booked": { "email": false } }
+ * - SMS goes to `phoneNumber` (E.164, e.g. +639171234567)
+ *
+ * Users without a row get the defaults.
+ */
+
+const { Model } = require("sequelize");
+
+const CHANNELS = ["email", "sms", "inApp"];
+const DEFAULT_CHANNELS = { email: true, sms: false, inApp: true };
+
+module.exports = (sequelize, DataTypes) => {
+  class NotificationPreference extends Model {
+    static CHANNELS = CHANNELS;
+    static DEFAULT_CHANNELS = DEFAULT_CHANNELS;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      NotificationPreference.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+    }
+
+    /**
+     * Whether a channel is enabled for an event.
+     *
+     * @param {string} event - Event name (e.g., "confirmed")
+     * @param {string} channel - Channel name (email, sms, inApp)
+     * @returns {boolean}
+     */
+    allows(event, channel) {
+      const override = (this.events || {})[event];
+      if (override && typeof override[channel] === "boolean") {
+        return override[channel];
+      }
+      return Boolean({ ...DEFAULT_CHANNELS, ...this.channels }[channel]);
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  NotificationPreference.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Owner (one row per user)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+
+      // Channel switches for every event
+      channels: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: DEFAULT_CHANNELS,
+      },
+
+      // Per-event overrides: { event: { channel: boolean } }
+      events: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+
+      // Destination for SMS (E.164)
+      phoneNumber: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          is: {
+            args: /^\+[1-9]\d{6,14}$/,
+            msg: "Phone number must be in international format (e.g., +639171234567)",
+          },
+        },
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "NotificationPreference", // Table name will be `NotificationPreferences`
+    }
+  );
+
+  return NotificationPreference;
+};
@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * PasswordResetToken Model
+ *
+ * Single-use token emailed to a user who forgot their password.
+ *
+ * Features:
+ * - Only the SHA-256 hash of the token is stored
+ * - Expires after PASSWORD_RESET_TOKEN_TTL_MINUTES
+ * - `usedAt` is set when the token is redeemed (or superseded by a newer
+ *   request), after which it no longer works
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+    }
+
+    /**
+     * Customize JSON output.
+     * Never expose the token hash in API responses.
+     */
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.tokenHash;
+      return values;
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  PasswordResetToken.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // User whose password can be reset
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // SHA-256 hash of the token
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Set once the token is redeemed or superseded
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // IP address the reset was requested from
+      requestedIp: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "PasswordResetToken", // Table name will be `PasswordResetTokens`
+      indexes: [{ fields: ["userId"] }],
+    }
+  );
+
+  return PasswordResetToken;
+};
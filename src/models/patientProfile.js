@@ -0,0 +1,222 @@
+"use strict";
+
+/**
+ * PatientProfile Model
+ *
+ * Demographic details of a patient, linked one-to-one to their User.
+ *
+ * Features:
+ * - Legal name, date of birth, sex, phone, postal address, emergency
+ *   contact, preferred language and insurance member details
+ * - Booking requires a complete profile (see REQUIRED_FIELDS and
+ *   missingFields()); insurance is optional for self-paying patients
+ * - Identifying details are encrypted at rest (see utils/fieldEncryption.js);
+ *   phone and insurance member ID have blind indexes for exact-match lookups
+ * - Input is validated in services/patientProfileService.js
+ */
+
+const { Model } = require("sequelize");
+const { encryptAttributes } = require("../utils/fieldEncryption");
+
+// Administrative sex, as in FHIR (Patient.gender) and HL7 table 0001
+const SEXES = ["female", "male", "other", "unknown"];
+
+// Needed before the patient can book
+const REQUIRED_FIELDS = [
+  "legalFirstName",
+  "legalLastName",
+  "dateOfBirth",
+  "sex",
+  "phone",
+  "address",
+  "emergencyContact",
+];
+
+module.exports = (sequelize, DataTypes) => {
+  class PatientProfile extends Model {
+    static SEXES = SEXES;
+    static REQUIRED_FIELDS = REQUIRED_FIELDS;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      PatientProfile.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+    }
+
+    /**
+     * Required fields that are still empty.
+     *
+     * @returns {Array<string>}
+     */
+    missingFields() {
+      return REQUIRED_FIELDS.filter((field) => !this.get(field));
+    }
+
+    /**
+     * Whether the profile has everything booking needs.
+     *
+     * @returns {boolean}
+     */
+    isComplete() {
+      return this.missingFields().length === 0;
+    }
+
+    /**
+     * Full legal name ("First Middle Last").
+     *
+     * @returns {string}
+     */
+    getLegalName() {
+      return [this.legalFirstName, this.legalMiddleName, this.legalLastName]
+        .filter(Boolean)
+        .join(" ");
+    }
+
+    /**
+     * Customize JSON output: blind indexes are internal, completeness is
+     * useful to clients.
+     *
+     * @returns {Object}
+     */
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.phoneIndex;
+      delete values.insuranceMemberIdIndex;
+      values.missingFields = this.missingFields();
+      values.complete = values.missingFields.length === 0;
+      return values;
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  PatientProfile.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // The patient (one profile per user)
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+      },
+
+      // Legal name as on official documents
+      legalFirstName: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      legalMiddleName: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      legalLastName: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // YYYY-MM-DD (text, because it is stored encrypted)
+      dateOfBirth: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      sex: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        validate: {
+          isIn: {
+            args: [SEXES],
+            msg: `Sex must be one of: ${SEXES.join(", ")}`,
+          },
+        },
+      },
+
+      // Phone number in E.164 form (e.g., +15551234567)
+      phone: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      phoneIndex: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+
+      // { line1, line2, city, state, postalCode, country }
+      address: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+
+      // { name, relationship, phone }
+      emergencyContact: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+
+      // BCP 47 language tag (e.g., "en", "es", "pt-BR")
+      preferredLanguage: {
+        type: DataTypes.STRING(35),
+        allowNull: true,
+      },
+
+      // Insurance (all empty for self-paying patients)
+      insuranceProvider: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      insurancePlan: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      insuranceMemberId: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      insuranceMemberIdIndex: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      insuranceGroupNumber: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "PatientProfile", // Table name will be `PatientProfiles`
+      indexes: [
+        { fields: ["phoneIndex"] },
+        { fields: ["insuranceMemberIdIndex"] },
+      ],
+    }
+  );
+
+  // Encrypted at rest, decrypted transparently on read
+  encryptAttributes(
+    PatientProfile,
+    [
+      "legalFirstName",
+      "legalMiddleName",
+      "legalLastName",
+      "dateOfBirth",
+      "phone",
+      "address",
+      "emergencyContact",
+      "insuranceMemberId",
+      "insuranceGroupNumber",
+    ],
+    { blindIndexes: { phone: "phoneIndex", insuranceMemberId: "insuranceMemberIdIndex" } }
+  );
+
+  return PatientProfile;
+};
@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * RateLimitEntry Model
+ *
+ * Counter behind the database rate-limit store (RATE_LIMIT_STORE=database),
+ * shared by every server instance.
+ *
+ * Features:
+ * - One row per key (e.g., "login:account:jane@example.com")
+ * - `count` counts hits in the window ending at `expiresAt`
+ * - `blockedUntil` refuses the key until then (progressive delay, lockout)
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class RateLimitEntry extends Model {}
+
+  // --------------------- Model Definition ---------------------
+  RateLimitEntry.init(
+    {
+      // Limited subject, e.g. "auth:ip:203.0.113.7"
+      key: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Hits in the current window
+      count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // End of the current window
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Refuse the key until this time (null = not blocked)
+      blockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "RateLimitEntry", // Table name will be `RateLimitEntries`
+      timestamps: false,
+    }
+  );
+
+  return RateLimitEntry;
+};
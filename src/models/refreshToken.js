@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * RefreshToken Model
+ *
+ * A single-use refresh token. Exchanging it marks it used and issues its
+ * replacement in the same session (rotation).
+ *
+ * Features:
+ * - Only the SHA-256 hash of the token is stored
+ * - `usedAt` is set on exchange; presenting a used token again means it was
+ *   stolen, and the whole session is revoked
+ * - `replacedById` links each token to its successor
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      RefreshToken.belongsTo(models.UserSession, {
+        as: "session",
+        foreignKey: "sessionId",
+      });
+    }
+
+    /**
+     * Customize JSON output.
+     * Never expose the token hash in API responses.
+     */
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.tokenHash;
+      return values;
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  RefreshToken.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Session (token family) the token belongs to
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // SHA-256 hash of the token
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+
+      // Set when the token is exchanged for a new one
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Token issued in exchange for this one
+      replacedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "RefreshToken", // Table name will be `RefreshTokens`
+    }
+  );
+
+  return RefreshToken;
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * ScheduleException Model
+ *
+ * Represents a one-off change to a doctor's regular working hours,
+ * such as a vacation day or an afternoon off.
+ *
+ * Features:
+ * - Applies to a single date
+ * - When startTime/endTime are empty the whole day is unavailable
+ * - Otherwise only the given time window is blocked
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class ScheduleException extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      ScheduleException.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "doctorId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  ScheduleException.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Doctor who is unavailable
+      doctorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Date the exception applies to (YYYY-MM-DD)
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        validate: {
+          isDate: { msg: "Date must be a valid date (YYYY-MM-DD)" },
+        },
+      },
+
+      // Start of the blocked window (null = whole day)
+      startTime: {
+        type: DataTypes.TIME,
+        allowNull: true,
+      },
+
+      // End of the blocked window (null = whole day)
+      endTime: {
+        type: DataTypes.TIME,
+        allowNull: true,
+      },
+
+      // Optional explanation (e.g., "Vacation", "Conference")
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "ScheduleException", // Table name will be `ScheduleExceptions`
+    }
+  );
+
+  return ScheduleException;
+};
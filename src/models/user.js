@@ -7,7 +7,11 @@
  *
  * Features:
  * - Stores username, email, password, and role
- * - Validates input (length, email format, uniqueness, role restrictions)
+ * - Optional TOTP multi-factor authentication (see services/mfaService.js)
+ * - Email verification status (see services/emailVerificationService.js)
+ * - Account status (doctor applications wait for admin approval; admins
+ *   can suspend an account without deleting it)
+ * - Validates input (length, email format, uniqueness, configured roles)
  * - Hashes passwords automatically before saving
  * - Provides helper methods:
  *    - validatePassword(): Compare entered password with stored hash
@@ -16,18 +20,106 @@
 
 const { Model } = require("sequelize");
 const bcrypt = require("bcryptjs");
+const { ROLE_NAMES } = require("../config/permissions");
+
+// Account statuses (doctors who applied wait in pending_approval; suspended
+// accounts are blocked by an admin)
+const STATUSES = ["active", "pending_approval", "rejected", "suspended"];
 
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
+    static STATUSES = STATUSES;
+
     /**
      * Define model associations.
      * Called automatically by models/index.js
      *
-     * Example:
-     *   User.hasMany(models.Post);
+     * - A patient has many appointments (Appointment.patientId)
+     * - A doctor has many appointments (Appointment.doctorId)
+     * - A doctor has weekly schedules and schedule exceptions
+     * - A user has notifications and notification preferences
+     * - A user has login sessions
      */
     static associate(models) {
-      // Add relationships here if needed
+      // Appointments booked by this user as a patient
+      User.hasMany(models.Appointment, {
+        as: "patientAppointments",
+        foreignKey: "patientId",
+        onDelete: "CASCADE",
+      });
+
+      // Appointments booked with this user as the doctor
+      User.hasMany(models.Appointment, {
+        as: "doctorAppointments",
+        foreignKey: "doctorId",
+        onDelete: "CASCADE",
+      });
+
+      // Weekly working hours and one-off exceptions (doctors only)
+      User.hasMany(models.DoctorSchedule, {
+        as: "schedules",
+        foreignKey: "doctorId",
+        onDelete: "CASCADE",
+      });
+      User.hasMany(models.ScheduleException, {
+        as: "scheduleExceptions",
+        foreignKey: "doctorId",
+        onDelete: "CASCADE",
+      });
+
+      // In-app notifications and notification channel preferences
+      User.hasMany(models.Notification, {
+        as: "notifications",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+      User.hasOne(models.NotificationPreference, {
+        as: "notificationPreference",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+
+      // Login sessions (each with its own refresh-token family)
+      User.hasMany(models.UserSession, {
+        as: "sessions",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+
+      // Outstanding password reset tokens
+      User.hasMany(models.PasswordResetToken, {
+        as: "passwordResetTokens",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+
+      // One-time MFA recovery codes
+      User.hasMany(models.MfaRecoveryCode, {
+        as: "mfaRecoveryCodes",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+
+      // Demographic profile (patients only)
+      User.hasOne(models.PatientProfile, {
+        as: "patientProfile",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+
+      // Specialty, languages, clinic and the like (doctors only)
+      User.hasOne(models.DoctorProfile, {
+        as: "doctorProfile",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
+
+      // Application to join as a doctor (self sign-up)
+      User.hasOne(models.DoctorApplication, {
+        as: "doctorApplication",
+        foreignKey: "userId",
+        onDelete: "CASCADE",
+      });
     }
 
     /**
@@ -50,6 +142,8 @@ module.exports = (sequelize, DataTypes) => {
     toJSON() {
       const values = { ...this.get() };
       delete values.password; // Never expose password in API response
+      delete values.mfaSecret; // Nor the TOTP secret
+      delete values.mfaLastUsedStep;
       return values;
     }
   }
@@ -57,6 +151,14 @@ module.exports = (sequelize, DataTypes) => {
   // --------------------- Model Definition ---------------------
   User.init(
     {
+      // Unique user ID (UUID, matches the Users migration)
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
       // Unique username (required, 3–50 chars)
       username: {
         type: DataTypes.STRING,
@@ -98,18 +200,56 @@ module.exports = (sequelize, DataTypes) => {
         },
       },
 
-      // User role (restricted to admin, patient, or doctor)
+      // User role (one of the roles in config/permissions.json)
       role: {
-        type: DataTypes.ENUM("admin", "patient", "doctor"),
+        type: DataTypes.STRING(32),
         allowNull: false,
         defaultValue: "patient", // Default role for new users
         validate: {
           isIn: {
-            args: [["admin", "patient", "doctor"]],
-            msg: "Role must be admin, patient, or doctor",
+            args: [ROLE_NAMES],
+            msg: `Role must be one of: ${ROLE_NAMES.join(", ")}`,
           },
         },
       },
+
+      // Account status: only active accounts can log in
+      status: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+        defaultValue: "active",
+        validate: {
+          isIn: {
+            args: [STATUSES],
+            msg: `Status must be one of: ${STATUSES.join(", ")}`,
+          },
+        },
+      },
+
+      // When the user confirmed their email address (null = unverified)
+      emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // TOTP multi-factor authentication (enabled once the first code is verified)
+      mfaEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      // Base32 TOTP secret (set at enrollment)
+      mfaSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+
+      // Last accepted TOTP time step (a code cannot be used twice)
+      mfaLastUsedStep: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
     },
     {
       sequelize, // Sequelize instance
@@ -0,0 +1,99 @@
+"use strict";
+
+/**
+ * UserSession Model
+ *
+ * One login on one device. Every access token carries its session ID
+ * (`sid`), and a session's refresh tokens form one rotation family.
+ *
+ * Features:
+ * - Revoking the session (logout, refresh-token reuse, password change)
+ *   immediately invalidates its access and refresh tokens
+ * - Records the device (user agent, IP) and when it was last refreshed
+ */
+
+const { Model } = require("sequelize");
+
+module.exports = (sequelize, DataTypes) => {
+  class UserSession extends Model {
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      UserSession.belongsTo(models.User, {
+        as: "user",
+        foreignKey: "userId",
+      });
+
+      // Refresh tokens issued in this session (the rotation family)
+      UserSession.hasMany(models.RefreshToken, {
+        as: "refreshTokens",
+        foreignKey: "sessionId",
+        onDelete: "CASCADE",
+      });
+    }
+
+    /**
+     * Whether tokens from this session are still accepted.
+     *
+     * @returns {boolean}
+     */
+    isActive() {
+      return !this.revokedAt;
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  UserSession.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // User who logged in
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Device details captured at login
+      userAgent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+      ipAddress: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+
+      // Last time a refresh token was exchanged
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Set when the session ends; tokens are rejected from then on
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Why the session ended (e.g., "logout", "refresh_token_reuse")
+      revokedReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "UserSession", // Table name will be `UserSessions`
+      indexes: [{ fields: ["userId"] }],
+    }
+  );
+
+  return UserSession;
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * WaitlistEntry Model
+ *
+ * Represents a patient waiting for a free slot with a doctor within a
+ * date range.
+ *
+ * Features:
+ * - Queue order is first come, first served (createdAt)
+ * - When a slot is freed it is offered to the next waiting patient and held
+ *   for them until offerExpiresAt
+ * - offeredDate/offeredTime keep the last offered slot, so a patient who
+ *   declined or let an offer lapse is not offered the same slot again
+ *
+ * Statuses:
+ * - waiting   → in the queue
+ * - offered   → a slot is held for the patient
+ * - booked    → the patient accepted and an appointment was created
+ * - cancelled → the patient left the waitlist or an admin removed the entry
+ * - expired   → the date range passed without a booking
+ */
+
+const { Model } = require("sequelize");
+const { encryptAttributes } = require("../utils/fieldEncryption");
+
+const STATUSES = ["waiting", "offered", "booked", "cancelled", "expired"];
+
+module.exports = (sequelize, DataTypes) => {
+  class WaitlistEntry extends Model {
+    static STATUSES = STATUSES;
+
+    /**
+     * Define model associations.
+     * Called automatically by models/index.js
+     */
+    static associate(models) {
+      WaitlistEntry.belongsTo(models.User, {
+        as: "patient",
+        foreignKey: "patientId",
+      });
+      WaitlistEntry.belongsTo(models.User, {
+        as: "doctor",
+        foreignKey: "doctorId",
+      });
+      WaitlistEntry.belongsTo(models.Appointment, {
+        as: "appointment",
+        foreignKey: "appointmentId",
+      });
+    }
+  }
+
+  // --------------------- Model Definition ---------------------
+  WaitlistEntry.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+
+      // Patient who is waiting
+      patientId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Doctor the patient wants to see
+      doctorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+
+      // Acceptable date range (inclusive)
+      fromDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      toDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // Reason for the visit (used when the offer is accepted)
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "Reason is required" },
+        },
+      },
+
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: "waiting",
+      },
+
+      // Last slot offered to the patient
+      offeredDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      offeredTime: {
+        type: DataTypes.TIME,
+        allowNull: true,
+      },
+
+      // The slot is held for the patient until this moment
+      offerExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Appointment created when the offer was accepted
+      appointmentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize, // Sequelize instance
+      modelName: "WaitlistEntry", // Table name will be `WaitlistEntries`
+      indexes: [
+        { fields: ["doctorId", "status", "createdAt"] },
+        { fields: ["patientId"] },
+      ],
+    }
+  );
+
+  // Encrypted at rest, decrypted transparently on read
+  encryptAttributes(WaitlistEntry, ["reason"]);
+
+  return WaitlistEntry;
+};
@@ -0,0 +1,24 @@
+/**
+* Email Channel
+* -------------
+* Delivers notifications through the mailer transport.
+*/
+
+const { sendMail } = require("../transports/mailer");
+
+module.exports = {
+ name: "email",
+
+ /**
+  * Whether the recipient can be reached on this channel.
+  */
+ canDeliver: ({ recipient }) => Boolean(recipient.email),
+
+ /**
+  * @param {Object} params
+  * @param {Object} params.recipient - User receiving the notification
+  * @param {Object} params.message - Rendered email template { subject, text }
+  */
+ deliver: ({ recipient, message }) =>
+   sendMail({ to: recipient.email, subject: message.subject, text: message.text }),
+};
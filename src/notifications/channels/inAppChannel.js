@@ -0,0 +1,33 @@
+/**
+* In-App Channel
+* --------------
+* Stores notifications in the database for the in-app inbox
+* (see /api/notifications).
+*/
+
+const { Notification } = require("../../models");
+
+module.exports = {
+ name: "inApp",
+
+ /**
+  * Every user has an inbox.
+  */
+ canDeliver: () => true,
+
+ /**
+  * @param {Object} params
+  * @param {Object} params.recipient - User receiving the notification
+  * @param {string} params.event - Event name
+  * @param {Object} params.message - Rendered in-app template { title, body }
+  * @param {Object} params.data - Machine-readable context
+  */
+ deliver: ({ recipient, event, message, data }) =>
+   Notification.create({
+     userId: recipient.id,
+     event,
+     title: message.title,
+     body: message.body,
+     data,
+   }),
+};
@@ -0,0 +1,25 @@
+/**
+* SMS Channel
+* -----------
+* Delivers notifications through the SMS adapter to the phone number in the
+* recipient's notification preferences.
+*/
+
+const { sendSms } = require("../transports/sms");
+
+module.exports = {
+ name: "sms",
+
+ /**
+  * Whether the recipient can be reached on this channel.
+  */
+ canDeliver: ({ preference }) => Boolean(preference && preference.phoneNumber),
+
+ /**
+  * @param {Object} params
+  * @param {Object} params.preference - Recipient's NotificationPreference
+  * @param {Object} params.message - Rendered SMS template { text }
+  */
+ deliver: ({ preference, message }) =>
+   sendSms({ to: preference.phoneNumber, body: message.text }),
+};
@@ -0,0 +1,201 @@
+/**
+* Notification Service
+* --------------------
+* Tells patients and doctors what happened to their appointments.
+*
+* - Channels (email, sms, inApp) are pluggable: each one decides whether it
+*   can reach a recipient and delivers a rendered template
+* - Templates are per event and per channel (see templates.js)
+* - Every recipient's NotificationPreference decides which channels they get
+* - The person who made the change is not notified about it
+*
+* A failing channel is logged and does not stop the other channels.
+*/
+
+const {
+ Appointment,
+ AppointmentSeries,
+ NotificationPreference,
+ User,
+} = require("../models");
+const { onAppointmentEvent } = require("../services/appointmentEvents");
+const { render } = require("./templates");
+
+const channels = new Map();
+
+/**
+* Add (or replace) a channel.
+*
+* @param {Object} channel - { name, canDeliver(params), deliver(params) }
+*/
+const registerChannel = (channel) => {
+ channels.set(channel.name, channel);
+};
+
+registerChannel(require("./channels/emailChannel"));
+registerChannel(require("./channels/smsChannel"));
+registerChannel(require("./channels/inAppChannel"));
+
+const participantAttributes = ["id", "username", "email", "role"];
+
+/**
+* Format an appointment's date and time for messages (e.g., "2026-10-20 09:00").
+*/
+const formatWhen = (appointment) =>
+ `${appointment.date} ${String(appointment.time).slice(0, 5)}`;
+
+/**
+* Send one event to one user on every channel they allow.
+*
+* @param {Object} params
+* @param {string} params.event - Event name (booked, confirmed, cancelled, rescheduled)
+* @param {Object} params.recipient - User to notify
+* @param {Object} params.context - Template context (recipient is added here)
+* @param {Object} [params.data] - Machine-readable context stored with in-app notifications
+* @returns {Promise<Array<string>>} Channels the notification was delivered on
+*/
+const notify = async ({ event, recipient, context, data = {} }) => {
+ const preference = await NotificationPreference.findOne({
+   where: { userId: recipient.id },
+ });
+ const allows = (channel) =>
+   preference
+     ? preference.allows(event, channel)
+     : Boolean(NotificationPreference.DEFAULT_CHANNELS[channel]);
+
+ const delivered = [];
+ for (const channel of channels.values()) {
+   const params = { event, recipient, preference, data };
+   if (!allows(channel.name) || !channel.canDeliver(params)) continue;
+
+   const message = render(event, channel.name, { ...context, recipient });
+   if (!message) continue;
+
+   try {
+     await channel.deliver({ ...params, message });
+     delivered.push(channel.name);
+   } catch (error) {
+     console.error(`Notification "${event}" via ${channel.name} to ${recipient.id} failed:`, error);
+   }
+ }
+ return delivered;
+};
+
+/**
+* Notify an appointment's patient and doctor (except the actor).
+*
+* @param {string} event - Event name
+* @param {Object} appointment - Appointment the event is about
+* @param {Object} [extra]
+* @param {Object} [extra.actor] - User who made the change
+* @param {Object} [extra.previous] - Original appointment (reschedules)
+* @param {string} [extra.reason] - Reason given for the change
+*/
+const notifyParticipants = async (event, appointment, { actor, previous, reason } = {}) => {
+ const full = await Appointment.findByPk(appointment.id, {
+   include: [
+     { model: User, as: "patient", attributes: participantAttributes },
+     { model: User, as: "doctor", attributes: participantAttributes },
+   ],
+ });
+ if (!full) return;
+
+ const recipients = [full.patient, full.doctor].filter(
+   (user) => user && (!actor || user.id !== actor.id)
+ );
+
+ for (const recipient of recipients) {
+   await notify({
+     event,
+     recipient,
+     context: {
+       appointment: full,
+       previous,
+       patientName: full.patient ? full.patient.username : "a patient",
+       doctorName: full.doctor ? full.doctor.username : "your doctor",
+       when: formatWhen(full),
+       previousWhen: previous ? formatWhen(previous) : null,
+       reason,
+       isDoctor: recipient.id === full.doctorId,
+     },
+     data: { appointmentId: full.id },
+   });
+ }
+};
+
+/**
+* Notify a series' patient and doctor (except the actor) of the occurrences
+* booked for it, in one message.
+*
+* @param {Object} series - AppointmentSeries that was booked
+* @param {Array<Object>} appointments - Occurrences booked, ordered by date
+* @param {Object} [extra]
+* @param {Object} [extra.actor] - User who booked the series
+*/
+const notifySeriesParticipants = async (series, appointments, { actor } = {}) => {
+ const full = await AppointmentSeries.findByPk(series.id, {
+   include: [
+     { model: User, as: "patient", attributes: participantAttributes },
+     { model: User, as: "doctor", attributes: participantAttributes },
+   ],
+ });
+ if (!full || !appointments.length) return;
+
+ const recipients = [full.patient, full.doctor].filter(
+   (user) => user && (!actor || user.id !== actor.id)
+ );
+ const dates = appointments.map(formatWhen);
+
+ for (const recipient of recipients) {
+   await notify({
+     event: "seriesBooked",
+     recipient,
+     context: {
+       series: full,
+       patientName: full.patient ? full.patient.username : "a patient",
+       doctorName: full.doctor ? full.doctor.username : "your doctor",
+       when: dates[0],
+       lastWhen: dates[dates.length - 1],
+       dates,
+       isDoctor: recipient.id === full.doctorId,
+     },
+     data: { seriesId: full.id, appointmentIds: appointments.map((appointment) => appointment.id) },
+   });
+ }
+};
+
+/**
+* Subscribe to appointment events. Called once from app.js.
+*
+* A reschedule raises both statusChanged (original → rescheduled) and
+* rescheduled; only the latter is sent so participants get one message.
+* Likewise occurrences of a series are announced together by seriesBooked
+* instead of one booked message each.
+*/
+const registerNotificationHandlers = () => {
+ onAppointmentEvent("booked", ({ appointment, actor }) => {
+   if (appointment.seriesId) return;
+   return notifyParticipants("booked", appointment, { actor });
+ });
+
+ onAppointmentEvent("seriesBooked", ({ series, appointments, actor }) =>
+   notifySeriesParticipants(series, appointments, { actor })
+ );
+
+ onAppointmentEvent("statusChanged", ({ appointment, toStatus, actor, reason }) => {
+   if (!["confirmed", "cancelled"].includes(toStatus)) return;
+   return notifyParticipants(toStatus, appointment, { actor, reason });
+ });
+
+ onAppointmentEvent("rescheduled", ({ original, appointment, actor }) =>
+   notifyParticipants("rescheduled", appointment, { actor, previous: original })
+ );
+};
+
+module.exports = {
+ registerChannel,
+ notify,
+ notifyParticipants,
+ notifySeriesParticipants,
+ registerNotificationHandlers,
+};
@@ -0,0 +1,155 @@
+/**
+* Notification Templates
+* ----------------------
+* Message text for every event and channel.
+*
+* Each template receives a context built by the notification service:
+*   { recipient, appointment, previous, patientName, doctorName, when,
+*     previousWhen, reason, isDoctor }
+* (reminders also get confirmUrl and cancelUrl; waitlist offers get when,
+* expiresAt, patientName and doctorName only; booked series get series,
+* when and lastWhen for the first and last occurrence, and dates for all
+* of them instead of appointment and previous)
+* and returns:
+* - email → { subject, text }
+* - sms   → { text }  (kept short, one segment where possible)
+* - inApp → { title, body }
+*/
+
+// "Dr. Santos" for patients, the patient's name for doctors
+const otherParty = (ctx) => (ctx.isDoctor ? ctx.patientName : `Dr. ${ctx.doctorName}`);
+
+const signature = "\n\n— Healthcare Systems";
+
+const templates = {
+ booked: {
+   email: (ctx) => ({
+     subject: `Appointment request received for ${ctx.when}`,
+     text: ctx.isDoctor
+       ? `Hello ${ctx.recipient.username},\n\n${ctx.patientName} booked an appointment with you on ${ctx.when}.` +
+         `${ctx.appointment.reason ? `\nReason: ${ctx.appointment.reason}` : ""}${signature}`
+       : `Hello ${ctx.recipient.username},\n\nYour appointment with Dr. ${ctx.doctorName} on ${ctx.when} ` +
+         `has been booked and is waiting for confirmation.${signature}`,
+   }),
+   sms: (ctx) => ({
+     text: `Appointment with ${otherParty(ctx)} on ${ctx.when} booked (pending confirmation).`,
+   }),
+   inApp: (ctx) => ({
+     title: "Appointment booked",
+     body: `Appointment with ${otherParty(ctx)} on ${ctx.when} is pending confirmation.`,
+   }),
+ },
+
+ seriesBooked: {
+   email: (ctx) => ({
+     subject: `${ctx.dates.length} appointments booked from ${ctx.when}`,
+     text: (ctx.isDoctor
+       ? `Hello ${ctx.recipient.username},\n\n${ctx.patientName} booked a series of ${ctx.dates.length} ` +
+         `appointments with you:\n\n`
+       : `Hello ${ctx.recipient.username},\n\nYour series of ${ctx.dates.length} appointments with ` +
+         `Dr. ${ctx.doctorName} has been booked and is waiting for confirmation:\n\n`) +
+       ctx.dates.map((when) => `- ${when}`).join("\n") +
+       `${ctx.isDoctor && ctx.series.reason ? `\n\nReason: ${ctx.series.reason}` : ""}${signature}`,
+   }),
+   sms: (ctx) => ({
+     text: `${ctx.dates.length} appointments with ${otherParty(ctx)} from ${ctx.when} to ${ctx.lastWhen} booked (pending confirmation).`,
+   }),
+   inApp: (ctx) => ({
+     title: "Appointment series booked",
+     body: `${ctx.dates.length} appointments with ${otherParty(ctx)} from ${ctx.when} to ${ctx.lastWhen} are pending confirmation.`,
+   }),
+ },
+
+ confirmed: {
+   email: (ctx) => ({
+     subject: `Appointment confirmed for ${ctx.when}`,
+     text: `Hello ${ctx.recipient.username},\n\nYour appointment with ${otherParty(ctx)} on ${ctx.when} ` +
+       `has been confirmed.${signature}`,
+   }),
+   sms: (ctx) => ({
+     text: `Confirmed: appointment with ${otherParty(ctx)} on ${ctx.when}.`,
+   }),
+   inApp: (ctx) => ({
+     title: "Appointment confirmed",
+     body: `Your appointment with ${otherParty(ctx)} on ${ctx.when} is confirmed.`,
+   }),
+ },
+
+ cancelled: {
+   email: (ctx) => ({
+     subject: `Appointment on ${ctx.when} cancelled`,
+     text: `Hello ${ctx.recipient.username},\n\nYour appointment with ${otherParty(ctx)} on ${ctx.when} ` +
+       `has been cancelled.${ctx.reason ? `\nReason: ${ctx.reason}` : ""}${signature}`,
+   }),
+   sms: (ctx) => ({
+     text: `Cancelled: appointment with ${otherParty(ctx)} on ${ctx.when}.`,
+   }),
+   inApp: (ctx) => ({
+     title: "Appointment cancelled",
+     body: `Your appointment with ${otherParty(ctx)} on ${ctx.when} was cancelled.` +
+       `${ctx.reason ? ` Reason: ${ctx.reason}` : ""}`,
+   }),
+ },
+
+ rescheduled: {
+   email: (ctx) => ({
+     subject: `Appointment moved to ${ctx.when}`,
+     text: `Hello ${ctx.recipient.username},\n\nYour appointment with ${otherParty(ctx)} ` +
+       `has been moved from ${ctx.previousWhen} to ${ctx.when}.${signature}`,
+   }),
+   sms: (ctx) => ({
+     text: `Rescheduled: appointment with ${otherParty(ctx)} moved from ${ctx.previousWhen} to ${ctx.when}.`,
+   }),
+   inApp: (ctx) => ({
+     title: "Appointment rescheduled",
+     body: `Your appointment with ${otherParty(ctx)} moved from ${ctx.previousWhen} to ${ctx.when}.`,
+   }),
+ },
+
+ // Sent to patients only, by email or in-app (no SMS template)
+ reminder: {
+   email: (ctx) => ({
+     subject: `Reminder: appointment with Dr. ${ctx.doctorName} on ${ctx.when}`,
+     text: `Hello ${ctx.recipient.username},\n\nThis is a reminder of your appointment with ` +
+       `Dr. ${ctx.doctorName} on ${ctx.when}.\n\n` +
+       `Confirm you will attend: ${ctx.confirmUrl}\n` +
+       `Cannot make it? Cancel here: ${ctx.cancelUrl}${signature}`,
+   }),
+   inApp: (ctx) => ({
+     title: "Appointment reminder",
+     body: `Your appointment with Dr. ${ctx.doctorName} is on ${ctx.when}.`,
+   }),
+ },
+
+ // Sent to the waitlisted patient a freed slot is held for
+ waitlistOffer: {
+   email: (ctx) => ({
+     subject: `A slot with Dr. ${ctx.doctorName} on ${ctx.when} is available`,
+     text: `Hello ${ctx.recipient.username},\n\nA slot with Dr. ${ctx.doctorName} on ${ctx.when} ` +
+       `has opened up and is held for you until ${ctx.expiresAt}.\n\n` +
+       `Accept or decline it from your waitlist; after that it is offered to the next patient.${signature}`,
+   }),
+   sms: (ctx) => ({
+     text: `Slot with Dr. ${ctx.doctorName} on ${ctx.when} held for you until ${ctx.expiresAt}. Accept it from your waitlist.`,
+   }),
+   inApp: (ctx) => ({
+     title: "Waitlist slot available",
+     body: `A slot with Dr. ${ctx.doctorName} on ${ctx.when} is held for you until ${ctx.expiresAt}.`,
+   }),
+ },
+};
+
+/**
+* Render an event's message for one channel.
+*
+* @param {string} event - Event name (booked, confirmed, cancelled, rescheduled)
+* @param {string} channel - Channel name (email, sms, inApp)
+* @param {Object} ctx - Template context
+* @returns {Object|null} Rendered message, or null when there is no template
+*/
+const render = (event, channel, ctx) => {
+ const template = (templates[event] || {})[channel];
+ return template ? template(ctx) : null;
+};
+
+module.exports = { EVENTS: Object.keys(templates), templates, render };
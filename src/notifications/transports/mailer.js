@@ -0,0 +1,104 @@
+/**
+* Mailer
+* ------
+* Pluggable email transport shared by notifications and account emails.
+*
+* Transport is chosen with MAIL_TRANSPORT:
+* - "smtp"   → nodemailer over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER,
+*              SMTP_PASS, SMTP_SECURE); point it at a local SMTP sink
+*              such as MailHog in development
+* - "memory" → keeps messages in memory (see getSentMail), for tests
+* - "log"    → prints messages to the console (default)
+*
+* "memory" and "log" are refused when NODE_ENV is "production": bodies hold
+* patient details and account links, and nothing would be delivered.
+*
+* Code can also swap the transport at runtime with setMailTransport().
+*/
+
+const nodemailer = require("nodemailer");
+
+const FROM = process.env.MAIL_FROM || "Healthcare Systems <no-reply@healthcare.local>";
+
+const sentMail = []; // Used by the "memory" transport
+
+/**
+* Built-in transports. Each exposes `sendMail(message)` like nodemailer.
+*/
+const transports = {
+ smtp: () =>
+   nodemailer.createTransport({
+     host: process.env.SMTP_HOST || "localhost",
+     port: Number(process.env.SMTP_PORT || 1025),
+     secure: process.env.SMTP_SECURE === "true",
+     ...(process.env.SMTP_USER && {
+       auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+     }),
+   }),
+ memory: () => {
+   if (process.env.NODE_ENV === "production") {
+     throw new Error('MAIL_TRANSPORT "memory" keeps message bodies and is disabled in production; use "smtp"');
+   }
+   return {
+     sendMail: async (message) => {
+       sentMail.push(message);
+       return { messageId: `memory-${sentMail.length}` };
+     },
+   };
+ },
+ log: () => {
+   if (process.env.NODE_ENV === "production") {
+     throw new Error('MAIL_TRANSPORT "log" prints message bodies and is disabled in production; use "smtp"');
+   }
+   return {
+     sendMail: async (message) => {
+       console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+       return { messageId: `log-${Date.now()}` };
+     },
+   };
+ },
+};
+
+let transport = null;
+
+/**
+* Get the active transport, creating it from MAIL_TRANSPORT on first use.
+*/
+const getTransport = () => {
+ if (!transport) {
+   const create = transports[process.env.MAIL_TRANSPORT || "log"];
+   if (!create) {
+     throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+   }
+   transport = create();
+ }
+ return transport;
+};
+
+/**
+* Replace the active transport (any object with an async sendMail method).
+*
+* @param {Object|string} next - Transport object, or a built-in name
+*/
+const setMailTransport = (next) => {
+ transport = typeof next === "string" ? transports[next]() : next;
+};
+
+/**
+* Send an email.
+*
+* @param {Object} message
+* @param {string} message.to - Recipient address
+* @param {string} message.subject - Subject line
+* @param {string} message.text - Plain-text body
+* @param {string} [message.html] - Optional HTML body
+* @returns {Promise<Object>} Transport result (includes messageId)
+*/
+const sendMail = (message) => getTransport().sendMail({ from: FROM, ...message });
+
+/**
+* Messages captured by the "memory" transport.
+*/
+const getSentMail = () => sentMail;
+
+module.exports = { sendMail, setMailTransport, getSentMail };
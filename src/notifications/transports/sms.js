@@ -0,0 +1,107 @@
+/**
+* SMS Adapters
+* ------------
+* Provider-agnostic SMS sending. Every adapter exposes
+* `send({ to, body })` and resolves with `{ id }`.
+*
+* Adapter is chosen with SMS_PROVIDER:
+* - "twilio" → Twilio REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+* - "fake"   → keeps messages in memory (see getSentSms), for tests
+* - "log"    → prints messages to the console (default)
+*
+* "fake" and "log" are refused when NODE_ENV is "production": bodies hold
+* patient details, and nothing would be delivered.
+*
+* Code can also swap the adapter at runtime with setSmsAdapter().
+*/
+
+const sentSms = []; // Used by the "fake" adapter
+
+const adapters = {
+ twilio: () => ({
+   send: async ({ to, body }) => {
+     const sid = process.env.TWILIO_ACCOUNT_SID;
+     const auth = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString("base64");
+     const response = await fetch(
+       `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+       {
+         method: "POST",
+         headers: {
+           Authorization: `Basic ${auth}`,
+           "Content-Type": "application/x-www-form-urlencoded",
+         },
+         body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: body }),
+       },
+     );
+     if (!response.ok) {
+       throw new Error(`Twilio responded with ${response.status}`);
+     }
+     const result = await response.json();
+     return { id: result.sid };
+   },
+ }),
+ fake: () => {
+   if (process.env.NODE_ENV === "production") {
+     throw new Error('SMS_PROVIDER "fake" keeps message bodies and is disabled in production; use "twilio"');
+   }
+   return {
+     send: async (message) => {
+       sentSms.push(message);
+       return { id: `fake-${sentSms.length}` };
+     },
+   };
+ },
+ log: () => {
+   if (process.env.NODE_ENV === "production") {
+     throw new Error('SMS_PROVIDER "log" prints message bodies and is disabled in production; use "twilio"');
+   }
+   return {
+     send: async ({ to, body }) => {
+       console.log(`📱 SMS to ${to}: ${body}`);
+       return { id: `log-${Date.now()}` };
+     },
+   };
+ },
+};
+
+let adapter = null;
+
+/**
+* Get the active adapter, creating it from SMS_PROVIDER on first use.
+*/
+const getAdapter = () => {
+ if (!adapter) {
+   const create = adapters[process.env.SMS_PROVIDER || "log"];
+   if (!create) {
+     throw new Error(`Unknown SMS_PROVIDER "${process.env.SMS_PROVIDER}"`);
+   }
+   adapter = create();
+ }
+ return adapter;
+};
+
+/**
+* Replace the active adapter (any object with an async send method).
+*
+* @param {Object|string} next - Adapter object, or a built-in name
+*/
+const setSmsAdapter = (next) => {
+ adapter = typeof next === "string" ? adapters[next]() : next;
+};
+
+/**
+* Send a text message.
+*
+* @param {Object} message
+* @param {string} message.to - Phone number in E.164 format
+* @param {string} message.body - Message text
+* @returns {Promise<{id: string}>}
+*/
+const sendSms = (message) => getAdapter().send(message);
+
+/**
+* Messages captured by the "fake" adapter.
+*/
+const getSentSms = () => sentSms;
+
+module.exports = { sendSms, setSmsAdapter, getSentSms };
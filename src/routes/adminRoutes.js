@@ -5,8 +5,13 @@
 *
 * Features:
 * - All routes are protected by authentication middleware
-* - Only users with the "admin" role can access these routes
-* - Provides endpoints for dashboard data and user management
+* - Each route requires a permission with the "any" scope (admins hold
+*   them all; see config/permissions.json)
+* - Access to users, appointments and waitlists is written to the PHI
+*   access audit log, which admins can search and verify
+* - Provides endpoints for dashboard data, user management,
+*   appointments, waitlists, the HL7 message log and doctor onboarding
+*   (invitations, applications, directory profiles)
 */
 
 const express = require("express"); 
@@ -14,9 +19,43 @@ const {
    getDashboard,
    getAllUsers,
    deleteUser,
+   updateUser,
+   suspendUser,
+   reactivateUser,
+   getUserLockStatus,
+   unlockUser,
+   updateEmailVerification,
+   updateDoctorProfile,
+   createUser,
+   getAllAppointments,
+   confirmAppointment,
+   cancelAppointment,
+   getPermissions,
 } = require("../controllers/adminController"); // Controller functions for admin features
+const {
+   getAllWaitlistEntries,
+   removeWaitlistEntry,
+} = require("../controllers/waitlistController"); // Controller functions for the waitlist
+const {
+   createInvitation,
+   getInvitations,
+   revokeInvitation,
+   getApplications,
+   approveApplication,
+   rejectApplication,
+} = require("../controllers/doctorOnboardingController"); // Controller functions for doctor onboarding
+const {
+   getAuditLog,
+   verifyAuditLog,
+} = require("../controllers/auditController"); // Controller functions for the audit log
+const {
+   getHl7Messages,
+   getHl7Message,
+   resendHl7Message,
+} = require("../controllers/hl7Controller"); // Controller functions for the HL7 message log
 const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
-const { requireAdmin } = require("../middleware/rbac"); // Middleware to enforce admin role
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
 
 const router = express.Router(); // Initialize Express Router
 
@@ -26,33 +65,273 @@ const router = express.Router(); // Initialize Express Router
 // Ensures the request has a valid JWT token
 router.use(authenticateToken);
 
-// Apply role-based access control middleware to ALL admin routes
-// Ensures the authenticated user has the "admin" role
-router.use(requireAdmin);
-
 // ---------------------- Routes ----------------------
 
 /**
 * @route   GET /api/admin/dashboard
 * @desc    Fetch admin dashboard data (e.g., stats, system info)
-* @access  Private (Admin only)
+* @access  Private (requires dashboard:read:any)
 */
-router.get("/dashboard", getDashboard);
+router.get("/dashboard", requirePermission("dashboard:read:any"), getDashboard);
 
 /**
 * @route   GET /api/admin/users
-* @desc    Retrieve a list of all users in the system
-* @access  Private (Admin only)
+* @desc    Search users (newest first unless sorted otherwise)
+* @query   {string} [q] - Text in the username or email
+* @query   {string} [role] - Role name
+* @query   {string} [status] - active, pending_approval, rejected or suspended
+* @query   {string} [createdFrom] - Created on or after (YYYY-MM-DD)
+* @query   {string} [createdTo] - Created on or before (YYYY-MM-DD)
+* @query   {string} [sort] - createdAt, username, email, role or status
+* @query   {string} [order] - asc or desc (default desc)
+* @query   {number} [page] - Page number (default 1)
+* @query   {number} [limit] - Page size (default 50, max 200)
+* @access  Private (requires user:read:any)
 */
-router.get("/users", getAllUsers);
+router.get("/users", auditAccess("user"), requirePermission("user:read:any"), getAllUsers);
 
 /**
 * @route   DELETE /api/admin/users/:userId
 * @desc    Delete a specific user by userId
 * @param   {string} userId - The ID of the user to be deleted
-* @access  Private (Admin only)
+* @access  Private (requires user:delete:any)
+*/
+router.delete("/users/:userId", auditAccess("user"), requirePermission("user:delete:any"), deleteUser);
+
+/**
+* @route   PATCH /api/admin/users/:userId
+* @desc    Change a user's username, email or role
+* @param   {string} userId - The ID of the user
+* @body    {string} [username] - New username
+* @body    {string} [email] - New email address (has to be verified again)
+* @body    {string} [role] - New role (also requires role:assign:any)
+* @access  Private (requires user:update:any)
+*/
+router.patch("/users/:userId", auditAccess("user"), requirePermission("user:update:any"), updateUser);
+
+/**
+* @route   POST /api/admin/users/:userId/suspend
+* @desc    Suspend an account: login is blocked and sessions end, data is kept
+* @param   {string} userId - The ID of the user
+* @body    {string} [reason] - Why (recorded in the audit log)
+* @access  Private (requires user:suspend:any)
+*/
+router.post("/users/:userId/suspend", auditAccess("user", { action: "suspend" }), requirePermission("user:suspend:any"), suspendUser);
+
+/**
+* @route   POST /api/admin/users/:userId/reactivate
+* @desc    Let a suspended user log in again
+* @param   {string} userId - The ID of the user
+* @access  Private (requires user:suspend:any)
+*/
+router.post("/users/:userId/reactivate", auditAccess("user", { action: "reactivate" }), requirePermission("user:suspend:any"), reactivateUser);
+
+/**
+* @route   GET /api/admin/users/:userId/lock
+* @desc    Show failed login attempts and lockout for a user
+* @param   {string} userId - The ID of the user
+* @access  Private (requires user:read:any)
+*/
+router.get("/users/:userId/lock", auditAccess("user"), requirePermission("user:read:any"), getUserLockStatus);
+
+/**
+* @route   POST /api/admin/users/:userId/unlock
+* @desc    Unlock an account locked by failed login attempts
+* @param   {string} userId - The ID of the user to unlock
+* @access  Private (requires user:unlock:any)
+*/
+router.post("/users/:userId/unlock", auditAccess("user", { action: "update" }), requirePermission("user:unlock:any"), unlockUser);
+
+/**
+* @route   PUT /api/admin/users/:userId/email-verification
+* @desc    Mark a user's email address as verified or unverified
+* @param   {string} userId - The ID of the user
+* @body    {boolean} verified - New verification status
+* @access  Private (requires user:verify_email:any)
+*/
+router.put("/users/:userId/email-verification", auditAccess("user"), requirePermission("user:verify_email:any"), updateEmailVerification);
+
+/**
+* @route   POST /api/admin/users
+* @desc    Create a new admin, doctor or patient account
+* @body    {string} username - Unique username
+* @body    {string} email - User email
+* @body    {string} password - Initial password
+* @body    {string} role - "admin", "doctor" or "patient"
+* @access  Private (requires user:create:any)
+*/
+router.post("/users", auditAccess("user"), requirePermission("user:create:any"), createUser);
+
+/**
+* @route   GET /api/admin/appointments
+* @desc    Retrieve all appointments with patient and doctor details
+* @access  Private (requires appointment:read:any)
+*/
+router.get("/appointments", auditAccess("appointment"), requirePermission("appointment:read:any"), getAllAppointments);
+
+/**
+* @route   PUT /api/admin/appointments/:id/confirm
+* @desc    Confirm a pending appointment
+* @param   {string} id - The ID of the appointment to confirm
+* @access  Private (requires appointment:confirm:any)
+*/
+router.put("/appointments/:id/confirm", auditAccess("appointment"), requirePermission("appointment:confirm:any"), confirmAppointment);
+
+/**
+* @route   PUT /api/admin/appointments/:id/cancel
+* @desc    Cancel an appointment
+* @param   {string} id - The ID of the appointment to cancel
+* @access  Private (requires appointment:cancel:any)
+*/
+router.put("/appointments/:id/cancel", auditAccess("appointment"), requirePermission("appointment:cancel:any"), cancelAppointment);
+
+/**
+* @route   GET /api/admin/waitlist
+* @desc    List waitlist entries in queue order
+* @query   {string} [doctorId] - Only entries for this doctor
+* @query   {string} [status] - Only entries with this status
+* @access  Private (requires waitlist:read:any)
+*/
+router.get("/waitlist", auditAccess("waitlist"), requirePermission("waitlist:read:any"), getAllWaitlistEntries);
+
+/**
+* @route   DELETE /api/admin/waitlist/:id
+* @desc    Remove a waitlist entry (a held slot passes to the next patient)
+* @param   {string} id - The ID of the waitlist entry
+* @access  Private (requires waitlist:cancel:any)
+*/
+router.delete("/waitlist/:id", auditAccess("waitlist"), requirePermission("waitlist:cancel:any"), removeWaitlistEntry);
+
+/**
+* @route   GET /api/admin/permissions
+* @desc    Show the role → permission matrix
+* @access  Private (requires permission:read:any)
+*/
+router.get("/permissions", requirePermission("permission:read:any"), getPermissions);
+
+// ---------------------- Audit Log ----------------------
+
+/**
+* @route   GET /api/admin/audit-log
+* @desc    Search the PHI access audit log (newest first)
+* @query   {string} [patientId] - Whose data was accessed
+* @query   {string} [actorId] - Who accessed it
+* @query   {string} [from] - Earliest time (ISO 8601)
+* @query   {string} [to] - Latest time (ISO 8601)
+* @query   {string} [resourceType] - e.g. appointment, user, profile
+* @query   {string} [action] - read, create, update or delete
+* @query   {string} [outcome] - success, denied, not_found, failure or error
+* @query   {number} [page] - Page number (default 1)
+* @query   {number} [limit] - Page size (default 50, max 200)
+* @access  Private (requires audit:read:any)
+*/
+router.get("/audit-log", auditAccess("audit_log"), requirePermission("audit:read:any"), getAuditLog);
+
+/**
+* @route   GET /api/admin/audit-log/verify
+* @desc    Check the audit log hash chain for tampering
+* @access  Private (requires audit:read:any)
+*/
+router.get("/audit-log/verify", requirePermission("audit:read:any"), verifyAuditLog);
+
+// ---------------------- HL7 Interface ----------------------
+
+/**
+* @route   GET /api/admin/hl7-messages
+* @desc    Search the HL7 message log (newest first)
+* @query   {string} [direction] - inbound or outbound
+* @query   {string} [status] - e.g. accepted, error, rejected, sent, acknowledged, failed
+* @query   {string} [messageType] - e.g. SIU^S12
+* @query   {string} [controlId] - Message control ID (MSH-10)
+* @query   {string} [appointmentId] - Appointment the message was about
+* @query   {string} [patientId] - Patient the message was about
+* @query   {number} [page] - Page number (default 1)
+* @query   {number} [limit] - Page size (default 50, max 200)
+* @access  Private (requires hl7_message:read:any)
+*/
+router.get("/hl7-messages", auditAccess("hl7_message"), requirePermission("hl7_message:read:any"), getHl7Messages);
+
+/**
+* @route   GET /api/admin/hl7-messages/:id
+* @desc    Show one message with its acknowledgement
+* @param   {string} id - The ID of the message
+* @access  Private (requires hl7_message:read:any)
+*/
+router.get("/hl7-messages/:id", auditAccess("hl7_message"), requirePermission("hl7_message:read:any"), getHl7Message);
+
+/**
+* @route   POST /api/admin/hl7-messages/:id/resend
+* @desc    Deliver an outbound message again
+* @param   {string} id - The ID of the message
+* @access  Private (requires hl7_message:send:any)
+*/
+router.post("/hl7-messages/:id/resend", auditAccess("hl7_message", { action: "update" }), requirePermission("hl7_message:send:any"), resendHl7Message);
+
+// ---------------------- Doctor Onboarding ----------------------
+
+/**
+* @route   POST /api/admin/doctor-invitations
+* @desc    Email a single-use doctor signup link
+* @body    {string} email - Doctor's email address
+* @access  Private (requires doctor_invitation:manage:any)
+*/
+router.post("/doctor-invitations", requirePermission("doctor_invitation:manage:any"), createInvitation);
+
+/**
+* @route   GET /api/admin/doctor-invitations
+* @desc    List doctor invitations (newest first)
+* @query   {boolean} [open] - Only invitations that can still be used
+* @access  Private (requires doctor_invitation:manage:any)
+*/
+router.get("/doctor-invitations", requirePermission("doctor_invitation:manage:any"), getInvitations);
+
+/**
+* @route   DELETE /api/admin/doctor-invitations/:id
+* @desc    Revoke an unused doctor invitation
+* @param   {string} id - The ID of the invitation
+* @access  Private (requires doctor_invitation:manage:any)
+*/
+router.delete("/doctor-invitations/:id", requirePermission("doctor_invitation:manage:any"), revokeInvitation);
+
+/**
+* @route   GET /api/admin/doctor-applications
+* @desc    List doctor applications (oldest first)
+* @query   {string} [status] - pending, approved or rejected
+* @access  Private (requires doctor_application:review:any)
+*/
+router.get("/doctor-applications", requirePermission("doctor_application:review:any"), getApplications);
+
+/**
+* @route   PUT /api/admin/doctor-applications/:id/approve
+* @desc    Approve a pending application (the doctor can log in and gets a directory profile)
+* @param   {string} id - The ID of the application
+* @access  Private (requires doctor_application:review:any)
+*/
+router.put("/doctor-applications/:id/approve", requirePermission("doctor_application:review:any"), approveApplication);
+
+/**
+* @route   PUT /api/admin/doctor-applications/:id/reject
+* @desc    Reject a pending application
+* @param   {string} id - The ID of the application
+* @body    {string} [reason] - Explanation sent to the applicant
+* @access  Private (requires doctor_application:review:any)
+*/
+router.put("/doctor-applications/:id/reject", requirePermission("doctor_application:review:any"), rejectApplication);
+
+/**
+* @route   PUT /api/admin/doctors/:doctorId/profile
+* @desc    Update a doctor's directory profile, including the license number
+* @param   {string} doctorId - The doctor's user ID
+* @body    {string} [licenseNumber] - Medical license number
+* @body    {string} [specialty] - Specialty (e.g., Cardiology)
+* @body    {string} [credentials] - Credentials (e.g., MD, FACC)
+* @body    {string} [bio] - Short biography
+* @body    {Array<string>} [languages] - Language codes spoken
+* @body    {Object} [clinicLocation] - { name, line1, line2, city, state, postalCode, country }
+* @body    {Array<string>} [acceptedInsurance] - Insurance providers accepted
+* @access  Private (requires doctor_profile:update:any)
 */
-router.delete("/users/:userId", deleteUser);
+router.put("/doctors/:doctorId/profile", requirePermission("doctor_profile:update:any"), updateDoctorProfile);
 
 // Export the router for use in app.js
 module.exports = router;
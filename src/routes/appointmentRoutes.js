@@ -0,0 +1,99 @@
+/**
+* Appointment Routes
+* ------------------
+* This router handles appointment endpoints shared by every role.
+*
+* Features:
+* - All routes are protected by authentication middleware
+* - Status history, rescheduling and .ics download
+* - Recurring series: view, cancel or reschedule "this" or "following"
+* - Each route requires a permission; ownership is checked per appointment
+*   ("own" scope: patients and doctors only see their own appointments,
+*   "any" scope: admins see all)
+* - Every request is written to the PHI access audit log
+*/
+
+const express = require("express");
+const {
+   getAppointmentHistory,
+   rescheduleAppointment,
+} = require("../controllers/appointmentController"); // Controller functions for appointments
+const {
+   getSeries,
+   cancelSeriesOccurrences,
+   rescheduleSeriesOccurrences,
+} = require("../controllers/seriesController"); // Controller functions for recurring series
+const { downloadAppointmentIcs } = require("../controllers/calendarController"); // Controller functions for calendar export
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Middleware ----------------------
+
+// Apply authentication middleware to ALL appointment routes
+router.use(authenticateToken);
+
+// ---------------------- Routes ----------------------
+
+/**
+* @route   GET /api/appointments/series/:seriesId
+* @desc    Get a recurring series and its occurrences
+* @param   {string} seriesId - The ID of the series
+* @access  Private (Participants of the series, Admin)
+*/
+router.get("/series/:seriesId", auditAccess("series"), requirePermission("appointment:read"), getSeries);
+
+/**
+* @route   PUT /api/appointments/series/:seriesId/cancel
+* @desc    Cancel one occurrence or it and all following ones
+* @param   {string} seriesId - The ID of the series
+* @body    {string} appointmentId - Occurrence to start from
+* @body    {string} scope - "this" or "following"
+* @body    {string} [reason] - Optional cancellation reason
+* @access  Private (Participants of the series, Admin)
+*/
+router.put("/series/:seriesId/cancel", auditAccess("series"), requirePermission("appointment:cancel"), cancelSeriesOccurrences);
+
+/**
+* @route   PATCH /api/appointments/series/:seriesId/reschedule
+* @desc    Reschedule one occurrence or it and all following ones
+* @param   {string} seriesId - The ID of the series
+* @body    {string} appointmentId - Occurrence to start from
+* @body    {string} scope - "this" or "following"
+* @body    {string} date - New date of the first targeted occurrence
+* @body    {string} time - New time (HH:MM)
+* @access  Private (Participants of the series, Admin)
+*/
+router.patch("/series/:seriesId/reschedule", auditAccess("series"), requirePermission("appointment:reschedule"), rescheduleSeriesOccurrences);
+
+/**
+* @route   GET /api/appointments/:id/history
+* @desc    Get the status audit trail of one appointment
+* @param   {string} id - The ID of the appointment
+* @access  Private (Participants of the appointment, Admin)
+*/
+router.get("/:id/history", auditAccess("appointment"), requirePermission("appointment:read"), getAppointmentHistory);
+
+/**
+* @route   PATCH /api/appointments/:id/reschedule
+* @desc    Move an appointment to a new free slot with the same doctor
+* @param   {string} id - The ID of the appointment
+* @body    {string} date - New date (YYYY-MM-DD)
+* @body    {string} time - New time (HH:MM)
+* @body    {string} [reason] - Optional reason stored in the history
+* @access  Private (Participants of the appointment, Admin)
+*/
+router.patch("/:id/reschedule", auditAccess("appointment"), requirePermission("appointment:reschedule"), rescheduleAppointment);
+
+/**
+* @route   GET /api/appointments/:id/ics
+* @desc    Download one appointment as an iCalendar (.ics) file
+* @param   {string} id - The ID of the appointment
+* @access  Private (Participants of the appointment, Admin)
+*/
+router.get("/:id/ics", auditAccess("appointment"), requirePermission("appointment:read"), downloadAppointmentIcs);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -4,18 +4,49 @@
 * This router handles user authentication and profile-related endpoints.
 *
 * Features:
-* - Register new users
-* - Login existing users (JWT-based authentication)
-* - Fetch the currently logged-in user's profile
+* - Register new patients; doctors apply for approval or accept an admin invitation
+* - Login existing users (short-lived JWT + rotating refresh token)
+* - Refresh tokens and log out (server-side session revocation)
+* - Forgotten password reset by email and password change
+* - TOTP multi-factor authentication (enrollment, two-step login, recovery codes)
+* - Email address verification
+* - Fetch the currently logged-in user's profile; patients edit their
+*   demographic profile, doctors their directory profile
 */
 
 const express = require("express");
 const {
    register,
    login,
+   loginMfa,
+   refresh,
+   logout,
+   forgotPassword,
+   resetPassword,
+   changePassword,
+   verifyEmail,
+   resendVerificationEmail,
    getProfile,
+   updateProfile,
 } = require("../controllers/authController"); // Controller functions for authentication
-const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const {
+   getMfaStatus,
+   enroll,
+   verify,
+   disable,
+   regenerateCodes,
+} = require("../controllers/mfaController"); // Controller functions for MFA
+const {
+   applyForDoctorAccount,
+   getInvitation,
+   acceptInvitation,
+} = require("../controllers/doctorOnboardingController"); // Controller functions for doctor signup
+const { authenticateToken, allowMfaSetup } = require("../middleware/auth"); // Middleware for JWT authentication
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+
+// Account routes stay reachable for users who still have to enroll in MFA
+const authenticateAccount = [allowMfaSetup, authenticateToken];
 
 const router = express.Router(); // Initialize Express Router
 
@@ -23,7 +54,7 @@ const router = express.Router(); // Initialize Express Router
 
 /**
 * @route   POST /api/auth/register
-* @desc    Register a new user
+* @desc    Register a new patient (any other role is refused)
 * @body    {string} username - Unique username
 * @body    {string} email - User email
 * @body    {string} password - User password
@@ -31,23 +62,207 @@ const router = express.Router(); // Initialize Express Router
 */
 router.post("/register", register);
 
+// ---------------------- Doctor Onboarding ----------------------
+
+/**
+* @route   POST /api/auth/register/doctor
+* @desc    Apply for a doctor account (no login until an admin approves it)
+* @body    {string} username - Unique username
+* @body    {string} email - User email
+* @body    {string} password - User password
+* @body    {string} licenseNumber - Medical license number
+* @body    {string} [specialty] - Specialty
+* @body    {string} [message] - Note for the reviewing admin
+* @access  Public (no authentication required)
+*/
+router.post("/register/doctor", applyForDoctorAccount);
+
+/**
+* @route   GET /api/auth/invitations/:token
+* @desc    Show the email address and expiry of a doctor invitation
+* @param   {string} token - Token from the invitation link
+* @access  Public (link holder)
+*/
+router.get("/invitations/:token", getInvitation);
+
+/**
+* @route   POST /api/auth/register/invitation
+* @desc    Create a doctor account from an admin invitation
+* @body    {string} token - Token from the invitation link
+* @body    {string} username - Unique username
+* @body    {string} password - User password
+* @access  Public (link holder)
+*/
+router.post("/register/invitation", acceptInvitation);
+
 /**
 * @route   POST /api/auth/login
-* @desc    Login a user and return JWT token
+* @desc    Login a user and return an access token and a refresh token
+*          (or, with MFA enabled, an mfaToken for POST /api/auth/login/mfa)
 * @body    {string} email - User email
 * @body    {string} password - User password
-* @returns {string} token - JWT token for authenticated requests
+* @returns {string} token - Short-lived JWT for authenticated requests
+* @returns {string} refreshToken - Single-use token for POST /api/auth/refresh
 * @access  Public (no authentication required)
 */
 router.post("/login", login);
 
+/**
+* @route   POST /api/auth/login/mfa
+* @desc    Second login step for users with MFA
+* @body    {string} mfaToken - Challenge token from POST /api/auth/login
+* @body    {string} [code] - 6-digit code from the authenticator app
+* @body    {string} [recoveryCode] - One-time recovery code (instead of code)
+* @access  Public (MFA challenge holder)
+*/
+router.post("/login/mfa", loginMfa);
+
+/**
+* @route   POST /api/auth/refresh
+* @desc    Exchange a refresh token for a new token pair (old token stops working)
+* @body    {string} refreshToken - Refresh token from login or the last refresh
+* @access  Public (refresh token holder)
+*/
+router.post("/refresh", refresh);
+
+/**
+* @route   POST /api/auth/logout
+* @desc    Revoke the current session, or every session with allDevices
+* @header  {string} Authorization - Bearer JWT token
+* @body    {boolean} [allDevices] - Log out of all devices
+* @access  Private (requires valid authentication)
+*/
+router.post("/logout", authenticateAccount, logout);
+
+/**
+* @route   POST /api/auth/forgot-password
+* @desc    Email a password reset link (same response whether or not the email exists)
+* @body    {string} email - Account email
+* @access  Public (no authentication required)
+*/
+router.post("/forgot-password", forgotPassword);
+
+/**
+* @route   POST /api/auth/reset-password
+* @desc    Set a new password using the token from the reset email
+* @body    {string} token - Reset token
+* @body    {string} newPassword - New password
+* @access  Public (reset token holder)
+*/
+router.post("/reset-password", resetPassword);
+
+/**
+* @route   PUT /api/auth/change-password
+* @desc    Change the password (other sessions are logged out)
+* @header  {string} Authorization - Bearer JWT token
+* @body    {string} currentPassword - Current password
+* @body    {string} newPassword - New password
+* @access  Private (requires valid authentication)
+*/
+router.put("/change-password", authenticateAccount, changePassword);
+
+// ---------------------- Email Verification ----------------------
+
+/**
+* @route   GET /api/auth/verify-email
+* @desc    Verify the email address (link from the verification email)
+* @query   {string} token - Signed verification token
+* @access  Public (link holder)
+*/
+router.get("/verify-email", verifyEmail);
+
+/**
+* @route   POST /api/auth/verify-email
+* @desc    Verify the email address (for frontends that post the token)
+* @body    {string} token - Signed verification token
+* @access  Public (link holder)
+*/
+router.post("/verify-email", verifyEmail);
+
+/**
+* @route   POST /api/auth/resend-verification
+* @desc    Email a new verification link
+* @header  {string} Authorization - Bearer JWT token
+* @access  Private (requires valid authentication)
+*/
+router.post("/resend-verification", authenticateAccount, resendVerificationEmail);
+
+// ---------------------- MFA ----------------------
+
+/**
+* @route   GET /api/auth/mfa
+* @desc    MFA status (enabled, required for the role, recovery codes left)
+* @access  Private (requires valid authentication)
+*/
+router.get("/mfa", authenticateAccount, getMfaStatus);
+
+/**
+* @route   POST /api/auth/mfa/enroll
+* @desc    Start enrollment: returns a TOTP secret and otpauth:// URI
+* @access  Private (requires valid authentication)
+*/
+router.post("/mfa/enroll", authenticateAccount, enroll);
+
+/**
+* @route   POST /api/auth/mfa/verify
+* @desc    Verify the first code, enable MFA and return recovery codes
+* @body    {string} code - 6-digit code from the authenticator app
+* @access  Private (requires valid authentication)
+*/
+router.post("/mfa/verify", authenticateAccount, verify);
+
+/**
+* @route   POST /api/auth/mfa/disable
+* @desc    Disable MFA
+* @body    {string} password - Current password
+* @body    {string} [code] - 6-digit code (or recoveryCode)
+* @body    {string} [recoveryCode] - One-time recovery code
+* @access  Private (requires valid authentication)
+*/
+router.post("/mfa/disable", authenticateAccount, disable);
+
+/**
+* @route   POST /api/auth/mfa/recovery-codes
+* @desc    Replace all recovery codes
+* @body    {string} code - 6-digit code from the authenticator app
+* @access  Private (requires valid authentication)
+*/
+router.post("/mfa/recovery-codes", authenticateAccount, regenerateCodes);
+
 /**
 * @route   GET /api/auth/profile
 * @desc    Get the current authenticated user's profile
 * @header  {string} Authorization - Bearer JWT token
 * @access  Private (requires valid authentication)
 */
-router.get("/profile", authenticateToken, getProfile);
+router.get("/profile", auditAccess("profile", { self: true }), authenticateAccount, getProfile);
+
+/**
+* @route   PUT /api/auth/profile
+* @desc    Update the current patient's demographic profile (or doctor's directory profile)
+* @header  {string} Authorization - Bearer JWT token
+* @body    {string} [legalFirstName] - Legal first name
+* @body    {string} [legalMiddleName] - Legal middle name
+* @body    {string} [legalLastName] - Legal last name
+* @body    {string} [dateOfBirth] - Date of birth (YYYY-MM-DD)
+* @body    {string} [sex] - female, male, other or unknown
+* @body    {string} [phone] - Phone number (e.g., +15551234567)
+* @body    {Object} [address] - { line1, line2, city, state, postalCode, country }
+* @body    {Object} [emergencyContact] - { name, relationship, phone }
+* @body    {string} [preferredLanguage] - Language code (e.g., en, es)
+* @body    {string} [insuranceProvider] - Insurance company
+* @body    {string} [insurancePlan] - Plan name
+* @body    {string} [insuranceMemberId] - Member ID on the insurance card
+* @body    {string} [insuranceGroupNumber] - Group number on the insurance card
+* @body    {string} [specialty] - Doctors: specialty (e.g., Cardiology)
+* @body    {string} [credentials] - Doctors: credentials (e.g., MD, FACC)
+* @body    {string} [bio] - Doctors: short biography
+* @body    {Array<string>} [languages] - Doctors: language codes spoken
+* @body    {Object} [clinicLocation] - Doctors: { name, line1, line2, city, state, postalCode, country }
+* @body    {Array<string>} [acceptedInsurance] - Doctors: insurance providers accepted
+* @access  Private (requires profile:update)
+*/
+router.put("/profile", auditAccess("profile", { self: true }), authenticateAccount, requirePermission("profile:update"), updateProfile);
 
 // Export router to be mounted in app.js
 module.exports = router;
\ No newline at end of file
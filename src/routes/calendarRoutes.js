@@ -0,0 +1,62 @@
+/**
+* Calendar Routes
+* ---------------
+* This router handles subscribable calendar feeds.
+*
+* Features:
+* - Public feed endpoint authenticated by a secret URL token (not the JWT),
+*   so calendar apps can subscribe without logging in
+* - Doctors and patients create, rotate and revoke their feed URL
+*/
+
+const express = require("express");
+const {
+   getFeedStatus,
+   createFeed,
+   revokeFeed,
+   getFeed,
+} = require("../controllers/calendarController"); // Controller functions for calendar export
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Public Routes ----------------------
+
+/**
+* @route   GET /api/calendar/feed/:token.ics
+* @desc    iCalendar feed for calendar app subscriptions
+* @param   {string} token - Secret feed token
+* @access  Public (token holder)
+*/
+router.get("/feed/:token.ics", auditAccess("appointment", { secretParam: "token" }), getFeed);
+
+// ---------------------- Protected Routes ----------------------
+
+// Feeds belong to the people on the appointments ("calendar:feed": doctors and patients)
+router.use(authenticateToken);
+
+/**
+* @route   GET /api/calendar/feed
+* @desc    Check whether the user has an active calendar feed
+* @access  Private (Doctor, Patient)
+*/
+router.get("/feed", requirePermission("calendar:feed"), getFeedStatus);
+
+/**
+* @route   POST /api/calendar/feed
+* @desc    Create or rotate the calendar feed URL (old URL stops working)
+* @access  Private (Doctor, Patient)
+*/
+router.post("/feed", requirePermission("calendar:feed"), createFeed);
+
+/**
+* @route   DELETE /api/calendar/feed
+* @desc    Revoke the calendar feed URL
+* @access  Private (Doctor, Patient)
+*/
+router.delete("/feed", requirePermission("calendar:feed"), revokeFeed);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+* Doctor Directory Routes
+* -----------------------
+* This router exposes doctor information that patients need for booking.
+*
+* Features:
+* - Search doctors by specialty, language, availability and free text
+* - A doctor's profile and next open slot
+* - Open slots of a doctor for a date range
+*/
+
+const express = require("express");
+const { getDoctorSlots } = require("../controllers/scheduleController"); // Controller functions for schedules
+const { getDoctors, getDoctor } = require("../controllers/directoryController"); // Controller functions for the directory
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Routes ----------------------
+
+/**
+* @route   GET /api/doctors
+* @desc    Search the provider directory
+* @query   {string} [q] - Text in the username, specialty, credentials or bio
+* @query   {string} [specialty] - Specialty (exact, case-insensitive)
+* @query   {string} [language] - Language code (e.g., en, es)
+* @query   {string} [availableBy] - Only doctors with an open slot on or before this date (YYYY-MM-DD)
+* @query   {number} [page] - Page (default 1)
+* @query   {number} [limit] - Page size (default 20, max 100)
+* @access  Private (Patient)
+*/
+router.get("/", authenticateToken, requirePermission("schedule:read"), getDoctors);
+
+/**
+* @route   GET /api/doctors/:id
+* @desc    Get a doctor's profile and next open slot
+* @param   {string} id - The doctor's user ID
+* @access  Private (Patient)
+*/
+router.get("/:id", authenticateToken, requirePermission("schedule:read"), getDoctor);
+
+/**
+* @route   GET /api/doctors/:id/slots
+* @desc    List a doctor's open slots between two dates
+* @param   {string} id - The doctor's user ID
+* @query   {string} from - First date (YYYY-MM-DD, default today)
+* @query   {string} to - Last date (YYYY-MM-DD, default from + 13 days)
+* @access  Private (Patient)
+*/
+router.get("/:id/slots", authenticateToken, requirePermission("schedule:read"), getDoctorSlots);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,176 @@
+/**
+* Doctor Routes
+* -------------
+* This router handles doctor-facing appointment endpoints.
+*
+* Features:
+* - All routes are protected by authentication middleware
+* - Each route requires a permission (doctors hold them with the "own" scope)
+* - Appointment requests are written to the PHI access audit log
+* - Doctors view the appointments booked with them and move them
+*   through the visit lifecycle (cancel, check-in, complete, no-show)
+* - Doctors manage their weekly working hours and exceptions
+* - Doctors write, sign and amend clinical records of completed visits
+*/
+
+const express = require("express");
+const {
+   getMyAppointments,
+   cancelAppointment,
+   checkInAppointment,
+   completeAppointment,
+   markNoShow,
+} = require("../controllers/doctorController"); // Controller functions for doctor features
+const {
+   getMySchedule,
+   updateMySchedule,
+   addScheduleException,
+   deleteScheduleException,
+} = require("../controllers/scheduleController"); // Controller functions for working hours
+const {
+   createEncounter,
+   getEncounter,
+   updateEncounter,
+   signEncounter,
+   amendEncounter,
+} = require("../controllers/encounterController"); // Controller functions for clinical records
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Middleware ----------------------
+
+// Apply authentication middleware to ALL doctor routes
+router.use(authenticateToken);
+
+// ---------------------- Routes ----------------------
+
+/**
+* @route   GET /api/doctor/appointments
+* @desc    List appointments booked with the logged-in doctor
+* @access  Private (Doctor only)
+*/
+router.get("/appointments", auditAccess("appointment"), requirePermission("appointment:read"), getMyAppointments);
+
+/**
+* @route   PUT /api/doctor/appointments/:id/cancel
+* @desc    Cancel one of the doctor's own appointments
+* @param   {string} id - The ID of the appointment to cancel
+* @access  Private (Doctor only)
+*/
+router.put("/appointments/:id/cancel", auditAccess("appointment"), requirePermission("appointment:cancel"), cancelAppointment);
+
+/**
+* @route   PUT /api/doctor/appointments/:id/check-in
+* @desc    Check the patient in for a confirmed appointment
+* @param   {string} id - The ID of the appointment
+* @access  Private (Doctor only)
+*/
+router.put("/appointments/:id/check-in", auditAccess("appointment"), requirePermission("appointment:check_in"), checkInAppointment);
+
+/**
+* @route   PUT /api/doctor/appointments/:id/complete
+* @desc    Mark a checked-in appointment as completed
+* @param   {string} id - The ID of the appointment
+* @access  Private (Doctor only)
+*/
+router.put("/appointments/:id/complete", auditAccess("appointment"), requirePermission("appointment:complete"), completeAppointment);
+
+/**
+* @route   PUT /api/doctor/appointments/:id/no-show
+* @desc    Mark a confirmed appointment as a no-show
+* @param   {string} id - The ID of the appointment
+* @access  Private (Doctor only)
+*/
+router.put("/appointments/:id/no-show", auditAccess("appointment"), requirePermission("appointment:no_show"), markNoShow);
+
+// ---------------------- Clinical Records ----------------------
+
+/**
+* @route   POST /api/doctor/appointments/:id/encounter
+* @desc    Create the clinical record (draft) of a completed appointment
+* @param   {string} id - The ID of the appointment
+* @body    {string} [subjective] - SOAP: patient-reported history
+* @body    {string} [objective] - SOAP: examination findings
+* @body    {string} [assessment] - SOAP: clinical assessment
+* @body    {string} [plan] - SOAP: treatment plan
+* @body    {Array} [diagnoses] - [{ code (ICD-10), description, primary }]
+* @body    {Object} [vitals] - { heightCm, weightKg, temperatureC, heartRate,
+*          respiratoryRate, systolicBp, diastolicBp, oxygenSaturation, painScore }
+* @access  Private (Treating doctor)
+*/
+router.post("/appointments/:id/encounter", auditAccess("encounter"), requirePermission("encounter:create"), createEncounter);
+
+/**
+* @route   GET /api/doctor/encounters/:id
+* @desc    View a clinical record with every version, drafts included
+* @param   {string} id - The ID of the encounter
+* @access  Private (Treating doctor)
+*/
+router.get("/encounters/:id", auditAccess("encounter"), requirePermission("encounter:read"), getEncounter);
+
+/**
+* @route   PUT /api/doctor/encounters/:id
+* @desc    Edit the unsigned draft (original note or pending amendment)
+* @param   {string} id - The ID of the encounter
+* @body    {Object} fields - Any of the fields accepted on creation
+* @access  Private (Treating doctor)
+*/
+router.put("/encounters/:id", auditAccess("encounter"), requirePermission("encounter:update"), updateEncounter);
+
+/**
+* @route   POST /api/doctor/encounters/:id/sign
+* @desc    Sign the current draft (it can no longer change)
+* @param   {string} id - The ID of the encounter
+* @access  Private (Author of the draft)
+*/
+router.post("/encounters/:id/sign", auditAccess("encounter", { action: "sign" }), requirePermission("encounter:sign"), signEncounter);
+
+/**
+* @route   POST /api/doctor/encounters/:id/amendments
+* @desc    Start an amendment of a signed record (new draft version)
+* @param   {string} id - The ID of the encounter
+* @body    {string} amendmentReason - Why the record is amended
+* @body    {Object} fields - Fields to change
+* @access  Private (Treating doctor)
+*/
+router.post("/encounters/:id/amendments", auditAccess("encounter", { action: "amend" }), requirePermission("encounter:update"), amendEncounter);
+
+/**
+* @route   GET /api/doctor/schedule
+* @desc    Get the doctor's weekly working hours and upcoming exceptions
+* @access  Private (Doctor only)
+*/
+router.get("/schedule", requirePermission("schedule:manage"), getMySchedule);
+
+/**
+* @route   PUT /api/doctor/schedule
+* @desc    Replace the doctor's weekly working hours
+* @body    {Array} days - [{ dayOfWeek, startTime, endTime, slotDuration, breaks }]
+* @access  Private (Doctor only)
+*/
+router.put("/schedule", requirePermission("schedule:manage"), updateMySchedule);
+
+/**
+* @route   POST /api/doctor/schedule/exceptions
+* @desc    Block a whole day or a time window (e.g., vacation)
+* @body    {string} date - Date to block (YYYY-MM-DD)
+* @body    {string} [startTime] - Start of the blocked window (omit for whole day)
+* @body    {string} [endTime] - End of the blocked window (omit for whole day)
+* @body    {string} [reason] - Optional explanation
+* @access  Private (Doctor only)
+*/
+router.post("/schedule/exceptions", requirePermission("schedule:manage"), addScheduleException);
+
+/**
+* @route   DELETE /api/doctor/schedule/exceptions/:id
+* @desc    Remove one of the doctor's schedule exceptions
+* @param   {string} id - The ID of the exception
+* @access  Private (Doctor only)
+*/
+router.delete("/schedule/exceptions/:id", requirePermission("schedule:manage"), deleteScheduleException);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,158 @@
+/**
+* FHIR R4 Routes
+* --------------
+* This router exposes patients, doctors, appointments and schedules as FHIR
+* R4 resources for EHR partners.
+*
+* Features:
+* - CapabilityStatement at /metadata (public)
+* - Every other route uses the same JWT authentication and permissions as
+*   the REST API
+* - Responses are application/fhir+json; errors are OperationOutcome bodies
+* - Patient and Appointment access is written to the PHI access audit log
+*/
+
+const express = require("express");
+const {
+   getCapabilityStatement,
+   readPatient,
+   searchPatients,
+   readPractitioner,
+   searchPractitioners,
+   readAppointment,
+   searchAppointments,
+   createAppointment,
+   readSchedule,
+   searchSchedules,
+   searchSlots,
+} = require("../controllers/fhirController"); // Controller functions for the FHIR facade
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+const { requireVerifiedEmail } = require("../middleware/emailVerification"); // Booking needs a verified email
+const { fhirResponses, fhirErrorHandler } = require("../middleware/fhir"); // FHIR content type and OperationOutcome errors
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Middleware ----------------------
+
+// FHIR JSON responses and OperationOutcome error bodies on every route
+router.use(fhirResponses);
+
+// FHIR clients send application/fhir+json, which the app-wide parser skips
+router.use(express.json({ type: ["application/fhir+json", "application/json"], limit: "1mb" }));
+
+// ---------------------- Routes ----------------------
+
+/**
+* @route   GET /fhir/R4/metadata
+* @desc    CapabilityStatement (supported resources and search parameters)
+* @access  Public
+*/
+router.get("/metadata", getCapabilityStatement);
+
+// Everything below requires a valid access token
+router.use(authenticateToken);
+
+/**
+* @route   GET /fhir/R4/Patient
+* @desc    Search patients visible to the caller
+* @query   {string} [_id] - Patient ID(s)
+* @query   {string} [name] - Part of the name
+* @query   {string} [email] - Exact email address
+* @access  Private (requires patient:read)
+*/
+router.get("/Patient", auditAccess("user"), requirePermission("patient:read"), searchPatients);
+
+/**
+* @route   GET /fhir/R4/Patient/:id
+* @desc    Read one patient
+* @param   {string} id - The patient's user ID
+* @access  Private (requires patient:read)
+*/
+router.get("/Patient/:id", auditAccess("user"), requirePermission("patient:read"), readPatient);
+
+/**
+* @route   GET /fhir/R4/Practitioner
+* @desc    Search doctors
+* @query   {string} [_id] - Practitioner ID(s)
+* @query   {string} [name] - Part of the name
+* @access  Private (requires schedule:read)
+*/
+router.get("/Practitioner", requirePermission("schedule:read"), searchPractitioners);
+
+/**
+* @route   GET /fhir/R4/Practitioner/:id
+* @desc    Read one doctor
+* @param   {string} id - The doctor's user ID
+* @access  Private (requires schedule:read)
+*/
+router.get("/Practitioner/:id", requirePermission("schedule:read"), readPractitioner);
+
+/**
+* @route   GET /fhir/R4/Appointment
+* @desc    Search appointments visible to the caller
+* @query   {string} [patient] - Patient reference (Patient/<id>)
+* @query   {string} [practitioner] - Practitioner reference (Practitioner/<id>)
+* @query   {string} [actor] - Patient or Practitioner reference
+* @query   {string} [date] - Date with optional prefix (e.g., ge2026-10-01), repeatable
+* @query   {string} [status] - FHIR status code(s), comma-separated
+* @access  Private (requires appointment:read)
+*/
+router.get("/Appointment", auditAccess("appointment"), requirePermission("appointment:read"), searchAppointments);
+
+/**
+* @route   GET /fhir/R4/Appointment/:id
+* @desc    Read one appointment
+* @param   {string} id - The appointment ID
+* @access  Private (requires appointment:read)
+*/
+router.get("/Appointment/:id", auditAccess("appointment"), requirePermission("appointment:read"), readAppointment);
+
+/**
+* @route   POST /fhir/R4/Appointment
+* @desc    Book an appointment (starts as pending)
+* @body    {Object} FHIR Appointment with slot (or start + Practitioner participant) and description
+* @access  Private (requires appointment:book, verified email)
+*/
+router.post("/Appointment", auditAccess("appointment"), requirePermission("appointment:book"), requireVerifiedEmail, createAppointment);
+
+/**
+* @route   GET /fhir/R4/Schedule
+* @desc    Search doctors' schedules
+* @query   {string} [actor] - Practitioner reference
+* @access  Private (requires schedule:read)
+*/
+router.get("/Schedule", requirePermission("schedule:read"), searchSchedules);
+
+/**
+* @route   GET /fhir/R4/Schedule/:id
+* @desc    Read a doctor's schedule
+* @param   {string} id - The doctor's user ID
+* @access  Private (requires schedule:read)
+*/
+router.get("/Schedule/:id", requirePermission("schedule:read"), readSchedule);
+
+/**
+* @route   GET /fhir/R4/Slot
+* @desc    Search free slots of a schedule
+* @query   {string} schedule - Schedule reference (Schedule/<id>)
+* @query   {string} [start] - Range bounds with ge/gt/le/lt prefixes (default next 14 days)
+* @query   {string} [status] - Only "free" is supported
+* @access  Private (requires schedule:read)
+*/
+router.get("/Slot", requirePermission("schedule:read"), searchSlots);
+
+// Unknown resource types and unsupported interactions
+router.use((req, res) => {
+ res.status(404).json({
+   success: false,
+   message: `Unsupported FHIR interaction: ${req.method} ${req.path}`,
+ });
+});
+
+// Malformed bodies and unexpected errors
+router.use(fhirErrorHandler);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+* HL7 v2 Routes
+* -------------
+* This router accepts HL7 v2 messages from external systems (EHRs,
+* practice management and scheduling interfaces) over HTTP.
+*
+* Features:
+* - Raw ER7 bodies (application/hl7-v2 or text/plain)
+* - Requires a valid JWT of an account with "hl7_message:submit:any" (e.g., the
+*   "interface" role)
+* - Responds with the HL7 acknowledgement
+* - Every submission is written to the PHI access audit log
+*
+* The same messages can be delivered over MLLP (HL7_MLLP_PORT) or as files
+* (HL7_INBOUND_DIR); see services/hl7Service.js.
+*/
+
+const express = require("express");
+const { receiveMessage } = require("../controllers/hl7Controller"); // Controller functions for the HL7 interface
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Middleware ----------------------
+
+// Apply authentication middleware to ALL HL7 routes
+router.use(authenticateToken);
+
+// HL7 messages are plain text, which the app-wide parsers skip
+router.use(
+ express.text({
+   type: ["application/hl7-v2", "x-application/hl7-v2+er7", "text/plain"],
+   limit: "1mb",
+ }),
+);
+
+// ---------------------- Routes ----------------------
+
+/**
+* @route   POST /api/hl7/messages
+* @desc    Apply an SIU^S12/S14/S15 or ADT^A04/A08 message and return its ACK
+* @body    {string} HL7 v2 message (ER7)
+* @access  Private (requires hl7_message:submit:any)
+*/
+router.post("/messages", auditAccess("hl7_message"), requirePermission("hl7_message:submit:any"), receiveMessage);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+* Notification Routes
+* -------------------
+* This router handles the in-app notification inbox and notification
+* preferences.
+*
+* Features:
+* - Every logged-in user (admin, doctor, patient) has an inbox
+* - Users choose which channels (email, SMS, in-app) they are notified on
+*/
+
+const express = require("express");
+const {
+   getMyNotifications,
+   markNotificationRead,
+   markAllNotificationsRead,
+   getMyPreferences,
+   updateMyPreferences,
+} = require("../controllers/notificationController"); // Controller functions for notifications
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+
+const router = express.Router(); // Initialize Express Router
+
+// Apply authentication to all routes in this router
+router.use(authenticateToken);
+
+// ---------------------- Preferences ----------------------
+
+/**
+* @route   GET /api/notifications/preferences
+* @desc    Get the user's notification preferences
+* @access  Private (All roles)
+*/
+router.get("/preferences", getMyPreferences);
+
+/**
+* @route   PUT /api/notifications/preferences
+* @desc    Update notification channels, per-event overrides and phone number
+* @body    { channels?: { email, sms, inApp }, events?: { [event]: { [channel]: boolean } }, phoneNumber?: string }
+* @access  Private (All roles)
+*/
+router.put("/preferences", updateMyPreferences);
+
+// ---------------------- Inbox ----------------------
+
+/**
+* @route   GET /api/notifications
+* @desc    List the user's in-app notifications (?unread=true for unread only)
+* @access  Private (All roles)
+*/
+router.get("/", auditAccess("appointment"), getMyNotifications);
+
+/**
+* @route   PUT /api/notifications/read-all
+* @desc    Mark all notifications as read
+* @access  Private (All roles)
+*/
+router.put("/read-all", markAllNotificationsRead);
+
+/**
+* @route   PUT /api/notifications/:id/read
+* @desc    Mark one notification as read
+* @param   {string} id - Notification ID
+* @access  Private (Owner)
+*/
+router.put("/:id/read", markNotificationRead);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+* Patient Routes
+* --------------
+* This router handles patient-facing appointment endpoints.
+*
+* Features:
+* - All routes are protected by authentication middleware
+* - Each route requires a permission (patients hold them with the "own" scope)
+* - Every request is written to the PHI access audit log
+* - Patients book, view and cancel their own appointments
+* - Patients book recurring appointment series
+* - Patients join doctor waitlists and answer slot offers
+* - Patients read their own finalized clinical records
+*/
+
+const express = require("express");
+const {
+   bookAppointment,
+   getMyAppointments,
+   cancelMyAppointment,
+} = require("../controllers/appointmentController"); // Controller functions for patient appointments
+const {
+   joinWaitlist,
+   getMyWaitlist,
+   acceptWaitlistOffer,
+   declineWaitlistOffer,
+   leaveWaitlist,
+} = require("../controllers/waitlistController"); // Controller functions for the waitlist
+const { bookSeries } = require("../controllers/seriesController"); // Controller functions for recurring series
+const {
+   getMyEncounters,
+   getEncounter,
+} = require("../controllers/encounterController"); // Controller functions for clinical records
+const { authenticateToken } = require("../middleware/auth"); // Middleware for JWT authentication
+const { requirePermission } = require("../middleware/rbac"); // Middleware to enforce permissions
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+const { requireVerifiedEmail } = require("../middleware/emailVerification"); // Booking needs a verified email
+
+const router = express.Router(); // Initialize Express Router
+
+// ---------------------- Middleware ----------------------
+
+// Apply authentication middleware to ALL patient routes
+router.use(authenticateToken);
+
+// ---------------------- Routes ----------------------
+
+/**
+* @route   POST /api/patient/appointments
+* @desc    Book a new appointment (status starts as pending)
+* @body    {string} doctorId - ID of the doctor to book with
+* @body    {string} date - Appointment date (YYYY-MM-DD)
+* @body    {string} time - Appointment time (HH:MM)
+* @body    {string} reason - Reason for the visit
+* @access  Private (Patient, verified email)
+*/
+router.post("/appointments", auditAccess("appointment"), requirePermission("appointment:book"), requireVerifiedEmail, bookAppointment);
+
+/**
+* @route   GET /api/patient/appointments
+* @desc    List the logged-in patient's appointments
+* @access  Private (Patient)
+*/
+router.get("/appointments", auditAccess("appointment"), requirePermission("appointment:read"), getMyAppointments);
+
+/**
+* @route   PUT /api/patient/appointments/:id/cancel
+* @desc    Cancel one of the patient's own appointments
+* @param   {string} id - The ID of the appointment to cancel
+* @body    {string} [reason] - Optional cancellation reason
+* @access  Private (Patient)
+*/
+router.put("/appointments/:id/cancel", auditAccess("appointment"), requirePermission("appointment:cancel"), cancelMyAppointment);
+
+/**
+* @route   POST /api/patient/series
+* @desc    Book a recurring series of appointments
+* @body    {string} doctorId - ID of the doctor to book with
+* @body    {string} startDate - First occurrence (YYYY-MM-DD)
+* @body    {string} time - Start time of every occurrence (HH:MM)
+* @body    {string|Object} rrule - e.g. "FREQ=WEEKLY;INTERVAL=1;COUNT=6"
+* @body    {string} reason - Reason for the visits
+* @access  Private (Patient, verified email)
+*/
+router.post("/series", auditAccess("series"), requirePermission("appointment:book"), requireVerifiedEmail, bookSeries);
+
+/**
+* @route   POST /api/patient/waitlist
+* @desc    Join a doctor's waitlist for a date range
+* @body    {string} doctorId - ID of the doctor
+* @body    {string} fromDate - First acceptable date (YYYY-MM-DD)
+* @body    {string} toDate - Last acceptable date (YYYY-MM-DD)
+* @body    {string} reason - Reason for the visit
+* @access  Private (Patient, verified email)
+*/
+router.post("/waitlist", auditAccess("waitlist"), requirePermission("waitlist:join"), requireVerifiedEmail, joinWaitlist);
+
+/**
+* @route   GET /api/patient/waitlist
+* @desc    List the patient's waitlist entries (including open offers)
+* @access  Private (Patient)
+*/
+router.get("/waitlist", auditAccess("waitlist"), requirePermission("waitlist:read"), getMyWaitlist);
+
+/**
+* @route   POST /api/patient/waitlist/:id/accept
+* @desc    Accept the slot offered on a waitlist entry and book it
+* @param   {string} id - The ID of the waitlist entry
+* @access  Private (Patient, verified email)
+*/
+router.post("/waitlist/:id/accept", auditAccess("waitlist", { action: "update" }), requirePermission("waitlist:join"), requireVerifiedEmail, acceptWaitlistOffer);
+
+/**
+* @route   POST /api/patient/waitlist/:id/decline
+* @desc    Decline the offered slot (stay on the waitlist)
+* @param   {string} id - The ID of the waitlist entry
+* @access  Private (Patient)
+*/
+router.post("/waitlist/:id/decline", auditAccess("waitlist", { action: "update" }), requirePermission("waitlist:join"), declineWaitlistOffer);
+
+/**
+* @route   DELETE /api/patient/waitlist/:id
+* @desc    Leave a waitlist
+* @param   {string} id - The ID of the waitlist entry
+* @access  Private (Patient)
+*/
+router.delete("/waitlist/:id", auditAccess("waitlist"), requirePermission("waitlist:cancel"), leaveWaitlist);
+
+/**
+* @route   GET /api/patient/encounters
+* @desc    List the patient's finalized clinical records (newest first)
+* @access  Private (Patient)
+*/
+router.get("/encounters", auditAccess("encounter"), requirePermission("encounter:read"), getMyEncounters);
+
+/**
+* @route   GET /api/patient/encounters/:id
+* @desc    View one finalized clinical record (signed versions only)
+* @param   {string} id - The ID of the encounter
+* @access  Private (Patient)
+*/
+router.get("/encounters/:id", auditAccess("encounter"), requirePermission("encounter:read"), getEncounter);
+
+// Export router to be mounted in app.js
+module.exports = router;
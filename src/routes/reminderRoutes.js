@@ -0,0 +1,38 @@
+/**
+* Reminder Routes
+* ---------------
+* This router handles the signed links in appointment reminders.
+*
+* Features:
+* - Public: the signed token in the URL identifies the patient and the
+*   appointment, so no login is needed
+* - GET previews the action, POST carries it out
+*/
+
+const express = require("express");
+const {
+   getReminderAction,
+   postReminderAction,
+} = require("../controllers/reminderController"); // Controller functions for reminder links
+const { auditAccess } = require("../middleware/audit"); // PHI access audit log
+
+const router = express.Router(); // Initialize Express Router
+
+/**
+* @route   GET /api/reminders/:token
+* @desc    Preview a reminder link (confirm or cancel) and its appointment
+* @param   {string} token - Signed reminder link token
+* @access  Public (link holder)
+*/
+router.get("/:token", auditAccess("appointment", { secretParam: "token" }), getReminderAction);
+
+/**
+* @route   POST /api/reminders/:token
+* @desc    Confirm attendance or cancel the appointment, as the link says
+* @param   {string} token - Signed reminder link token
+* @access  Public (link holder)
+*/
+router.post("/:token", auditAccess("appointment", { action: "update", secretParam: "token" }), postReminderAction);
+
+// Export router to be mounted in app.js
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Appointment Events
+ * ------------------
+ * In-process event bus for things that happen to appointments, so features
+ * like the waitlist can react without the controllers knowing about them.
+ *
+ * Events:
+ * - "booked"        { appointment, actor }
+ * - "statusChanged" { appointment, fromStatus, toStatus, actor, reason }
+ * - "rescheduled"   { original, appointment, actor }
+ * - "seriesBooked"  { series, appointments, actor }  (after the "booked"
+ *   event of each occurrence)
+ *
+ * Events raised inside a transaction are only delivered after it commits,
+ * so listeners never see changes that were rolled back.
+ */
+
+const { EventEmitter } = require("events");
+
+const appointmentEvents = new EventEmitter();
+
+/**
+ * Emit an event now, or after `transaction` commits when one is given.
+ *
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Object} [transaction] - Sequelize transaction the change belongs to
+ */
+const emitAppointmentEvent = (event, payload, transaction) => {
+  const fire = () => appointmentEvents.emit(event, payload);
+  if (transaction) {
+    transaction.afterCommit(fire);
+  } else {
+    fire();
+  }
+};
+
+/**
+ * Subscribe an async handler to an event. Errors are logged instead of
+ * surfacing as unhandled rejections (the request that raised the event has
+ * already succeeded).
+ *
+ * @param {string} event - Event name
+ * @param {Function} handler - async (payload) => void
+ */
+const onAppointmentEvent = (event, handler) => {
+  appointmentEvents.on(event, async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Appointment event "${event}" handler error:`, error);
+    }
+  });
+};
+
+module.exports = {
+  appointmentEvents,
+  emitAppointmentEvent,
+  onAppointmentEvent,
+};
@@ -0,0 +1,162 @@
+/**
+ * Appointment Lifecycle
+ * ---------------------
+ * The single place where an appointment's status may change.
+ *
+ *   pending ──► confirmed ──► checked_in ──► completed
+ *      │            │
+ *      │            ├──► no_show
+ *      ├────────────┼──► cancelled
+ *      └────────────┴──► rescheduled
+ *
+ * Each transition names the permission needed to perform it (see
+ * config/permissions.json). With the "own" scope users may only act on
+ * appointments they take part in; with "any" on every appointment. Every
+ * change is written to AppointmentStatusHistory in the same transaction and
+ * raises a "statusChanged" event once that transaction commits.
+ */
+
+const { AppointmentStatusHistory, sequelize } = require("../models");
+const { HttpError } = require("../utils/httpError");
+const { authorize, can } = require("./authorization");
+const { emitAppointmentEvent } = require("./appointmentEvents");
+
+// Allowed transitions: from → to → permission needed to perform it
+const TRANSITIONS = {
+  pending: {
+    confirmed: "appointment:confirm",
+    cancelled: "appointment:cancel",
+    rescheduled: "appointment:reschedule",
+  },
+  confirmed: {
+    checked_in: "appointment:check_in",
+    no_show: "appointment:no_show",
+    cancelled: "appointment:cancel",
+    rescheduled: "appointment:reschedule",
+  },
+  checked_in: {
+    completed: "appointment:complete",
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {},
+  rescheduled: {},
+};
+
+/**
+ * List the statuses a user may move an appointment to from its current status.
+ *
+ * @param {Object} appointment - Appointment instance
+ * @param {Object} user - Authenticated user
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (appointment, user) => {
+  const targets = TRANSITIONS[appointment.status] || {};
+  return Object.keys(targets).filter((to) => can(user, targets[to], appointment));
+};
+
+/**
+ * Write one row to the status history.
+ *
+ * @param {Object} params
+ * @param {string} params.appointmentId - Appointment that changed
+ * @param {string|null} params.fromStatus - Previous status (null on creation)
+ * @param {string} params.toStatus - New status
+ * @param {Object} [params.actor] - User who made the change (omit for system changes)
+ * @param {string} [params.reason] - Optional explanation
+ * @param {Object} [params.transaction] - Transaction to write in
+ * @returns {Promise<Object>} The history row
+ */
+const recordStatusChange = ({
+  appointmentId,
+  fromStatus,
+  toStatus,
+  actor,
+  reason,
+  transaction,
+}) => {
+  return AppointmentStatusHistory.create(
+    {
+      appointmentId,
+      fromStatus,
+      toStatus,
+      actorId: actor ? actor.id : null,
+      actorRole: actor ? actor.role : "system",
+      reason: reason || null,
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Move an appointment to a new status, enforcing the lifecycle rules.
+ *
+ * The appointment row is re-read with a row lock so two concurrent changes
+ * (e.g., confirm and cancel) cannot both succeed from the same state.
+ *
+ * @param {Object} appointment - Appointment instance
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {Object} [options.actor] - User performing the change (omit for system changes)
+ * @param {string} [options.reason] - Optional explanation stored in the history
+ * @param {Object} [options.transaction] - Existing transaction to join
+ * @returns {Promise<Object>} The updated appointment
+ * @throws {HttpError} 403 when the actor lacks the permission, 409 for an invalid transition
+ */
+const transitionAppointment = async (appointment, toStatus, options = {}) => {
+  const { actor, reason } = options;
+
+  const run = async (transaction) => {
+    await appointment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    const fromStatus = appointment.status;
+
+    if (actor && !can(actor, "appointment:read", appointment)) {
+      throw new HttpError(403, "You are not authorized to change this appointment");
+    }
+
+    const permission = (TRANSITIONS[fromStatus] || {})[toStatus];
+    if (!permission) {
+      throw new HttpError(
+        409,
+        `Cannot change appointment status from ${fromStatus} to ${toStatus}`
+      );
+    }
+    if (actor) {
+      authorize(
+        actor,
+        permission,
+        appointment,
+        `You are not allowed to change this appointment to ${toStatus}`
+      );
+    }
+
+    appointment.status = toStatus;
+    await appointment.save({ transaction });
+    await recordStatusChange({
+      appointmentId: appointment.id,
+      fromStatus,
+      toStatus,
+      actor,
+      reason,
+      transaction,
+    });
+    emitAppointmentEvent(
+      "statusChanged",
+      { appointment, fromStatus, toStatus, actor, reason },
+      transaction
+    );
+
+    return appointment;
+  };
+
+  return options.transaction
+    ? run(options.transaction)
+    : sequelize.transaction(run);
+};
+
+module.exports = {
+  TRANSITIONS,
+  getAllowedTransitions,
+  recordStatusChange,
+  transitionAppointment,
+};
@@ -0,0 +1,256 @@
+/**
+ * Audit Service
+ * -------------
+ * Append-only, hash-chained log of access to patient-related data.
+ *
+ * - Every entry stores `prevHash` (the hash of the entry before it) and
+ *   `hash` = SHA-256(prevHash + canonical JSON of its own fields), so any
+ *   edited, removed or re-ordered row breaks the chain from there on
+ * - Appends are serialized with a Postgres advisory lock so two requests
+ *   can never chain onto the same predecessor
+ * - verifyAuditChain walks the whole chain and reports the first bad entry
+ */
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const {
+  Appointment,
+  AppointmentSeries,
+  AuditLog,
+  Encounter,
+  User,
+  WaitlistEntry,
+  sequelize,
+} = require("../models");
+const { stableStringify } = require("../utils/canonicalJson");
+
+// prevHash of the first entry
+const GENESIS_HASH = "0".repeat(64);
+
+// Advisory lock key reserved for appending to the audit chain
+const CHAIN_LOCK_KEY = 7304251;
+
+// Fields covered by the hash, in hashing order
+const HASHED_FIELDS = [
+  "sequence",
+  "occurredAt",
+  "actorId",
+  "actorRole",
+  "action",
+  "resourceType",
+  "resourceId",
+  "patientId",
+  "ipAddress",
+  "userAgent",
+  "method",
+  "path",
+  "statusCode",
+  "outcome",
+  "details",
+];
+
+/**
+ * Hash of an entry chained onto prevHash.
+ *
+ * @param {Object} entry - Entry fields (instance or plain object)
+ * @param {string} prevHash - Hash of the previous entry
+ * @returns {string} Hex SHA-256
+ */
+const computeHash = (entry, prevHash) => {
+  const values = HASHED_FIELDS.map((field) => {
+    const value = entry[field];
+    if (value === undefined || value === null) return null;
+    if (field === "sequence") return String(value);
+    if (field === "occurredAt") return new Date(value).toISOString();
+    return value;
+  });
+
+  return crypto
+    .createHash("sha256")
+    .update(prevHash + stableStringify(values))
+    .digest("hex");
+};
+
+/**
+ * Append one entry to the chain.
+ *
+ * @param {Object} fields - AuditLog fields except sequence and hashes
+ * @returns {Promise<Object>} The stored entry
+ */
+const appendAuditEntry = (fields) =>
+  sequelize.transaction(async (transaction) => {
+    await sequelize.query("SELECT pg_advisory_xact_lock(:key)", {
+      replacements: { key: CHAIN_LOCK_KEY },
+      transaction,
+    });
+
+    const last = await AuditLog.findOne({
+      attributes: ["sequence", "hash"],
+      order: [["sequence", "DESC"]],
+      transaction,
+    });
+
+    const entry = {
+      ...fields,
+      sequence: last ? Number(last.sequence) + 1 : 1,
+      occurredAt: fields.occurredAt || new Date(),
+      details: fields.details || {},
+      prevHash: last ? last.hash : GENESIS_HASH,
+    };
+    entry.hash = computeHash(entry, entry.prevHash);
+
+    return AuditLog.create(entry, { transaction });
+  });
+
+// Reads the patientId column of a record
+const patientColumnOf = (Model) => async (id) => {
+  const record = await Model.findByPk(id, { attributes: ["patientId"] });
+  return record ? record.patientId : null;
+};
+
+// Resource type → (id) => owning patient's ID
+const PATIENT_RESOLVERS = {
+  appointment: patientColumnOf(Appointment),
+  encounter: patientColumnOf(Encounter),
+  series: patientColumnOf(AppointmentSeries),
+  waitlist: patientColumnOf(WaitlistEntry),
+  user: async (id) => {
+    const user = await User.findByPk(id, { attributes: ["id", "role"] });
+    return user && user.role === "patient" ? user.id : null;
+  },
+};
+
+/**
+ * Work out whose data a request touched: the owner of the record, or the
+ * patient themselves when a patient works on their own data.
+ *
+ * @param {string} resourceType - Resource type
+ * @param {string|null} resourceId - Record ID, if the request named one
+ * @param {Object|null} actor - Authenticated user
+ * @returns {Promise<string|null>}
+ */
+const resolvePatientId = async (resourceType, resourceId, actor) => {
+  const resolver = PATIENT_RESOLVERS[resourceType];
+  if (resolver && resourceId) {
+    try {
+      const patientId = await resolver(resourceId);
+      if (patientId) return patientId;
+    } catch (error) {
+      // Malformed IDs (the request itself failed) fall through
+    }
+  }
+  return actor && actor.role === "patient" ? actor.id : null;
+};
+
+/**
+ * Outcome recorded for a response status.
+ *
+ * @param {number} statusCode - HTTP status
+ * @returns {string}
+ */
+const outcomeOf = (statusCode) => {
+  if (statusCode < 400) return "success";
+  if (statusCode === 401 || statusCode === 403) return "denied";
+  if (statusCode === 404) return "not_found";
+  if (statusCode < 500) return "failure";
+  return "error";
+};
+
+/**
+ * Search the audit log, newest first.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.patientId] - Whose data was accessed
+ * @param {string} [filters.actorId] - Who accessed it
+ * @param {Date} [filters.from] - Earliest occurredAt
+ * @param {Date} [filters.to] - Latest occurredAt
+ * @param {string} [filters.resourceType] - e.g. "appointment"
+ * @param {string} [filters.action] - read, create, update or delete
+ * @param {string} [filters.outcome] - e.g. "denied"
+ * @param {number} [filters.page] - 1-based page
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{rows: Array<Object>, count: number}>}
+ */
+const queryAuditLog = ({
+  patientId,
+  actorId,
+  from,
+  to,
+  resourceType,
+  action,
+  outcome,
+  page = 1,
+  limit = 50,
+}) =>
+  AuditLog.findAndCountAll({
+    where: {
+      ...(patientId && { patientId }),
+      ...(actorId && { actorId }),
+      ...(resourceType && { resourceType }),
+      ...(action && { action }),
+      ...(outcome && { outcome }),
+      ...((from || to) && {
+        occurredAt: {
+          ...(from && { [Op.gte]: from }),
+          ...(to && { [Op.lte]: to }),
+        },
+      }),
+    },
+    include: [
+      { model: User, as: "actor", attributes: ["id", "username", "email", "role"] },
+      { model: User, as: "patient", attributes: ["id", "username", "email"] },
+    ],
+    order: [["sequence", "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+/**
+ * Recompute the whole chain.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Entries read per query
+ * @returns {Promise<{valid: boolean, checked: number, brokenAt?: {sequence: number, reason: string}}>}
+ */
+const verifyAuditChain = async ({ batchSize = 1000 } = {}) => {
+  let prevHash = GENESIS_HASH;
+  let expected = 1;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await AuditLog.findAll({
+      where: { sequence: { [Op.gte]: expected } },
+      order: [["sequence", "ASC"]],
+      limit: batchSize,
+    });
+    if (!batch.length) break;
+
+    for (const entry of batch) {
+      const sequence = Number(entry.sequence);
+      let reason = null;
+      if (sequence !== expected) reason = `entry ${expected} is missing`;
+      else if (entry.prevHash !== prevHash) reason = "prevHash does not match the previous entry";
+      else if (entry.hash !== computeHash(entry, prevHash)) reason = "entry contents do not match its hash";
+
+      if (reason) {
+        return { valid: false, checked, brokenAt: { sequence: expected, reason } };
+      }
+
+      prevHash = entry.hash;
+      expected += 1;
+      checked += 1;
+    }
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeHash,
+  appendAuditEntry,
+  resolvePatientId,
+  outcomeOf,
+  queryAuditLog,
+  verifyAuditChain,
+};
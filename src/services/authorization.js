@@ -0,0 +1,159 @@
+/**
+ * Authorization
+ * -------------
+ * Permission checks on top of the role → permission matrix
+ * (config/permissions.js), with ownership policies for "own" permissions.
+ *
+ * - hasPermission(user, "appointment:cancel") → the role holds it at any scope
+ * - hasPermission(user, "appointment:cancel:any") → the role holds that scope
+ * - can(user, "appointment:cancel", appointment) → "any", or "own" and the
+ *   user owns the appointment
+ * - authorize(...) → like can, but throws HttpError 403
+ *
+ * Routes check the permission up front with requirePermission
+ * (middleware/rbac.js); controllers and services check ownership once the
+ * record is loaded.
+ */
+
+const { ROLES, permissionsFor } = require("../config/permissions");
+const { HttpError } = require("../utils/httpError");
+
+// Resource → (user, record) => whether the user owns the record
+const OWNERSHIP_POLICIES = {
+  // Series carry patientId/doctorId too and use the appointment permissions
+  appointment: (user, record) => record.patientId === user.id || record.doctorId === user.id,
+  encounter: (user, record) => record.patientId === user.id || record.doctorId === user.id,
+  waitlist: (user, record) => record.patientId === user.id,
+  schedule: (user, record) => record.doctorId === user.id,
+  user: (user, record) => record.id === user.id,
+  // Patient records: the patient, and the doctors in `careTeamIds` (loaded by the caller)
+  patient: (user, record) =>
+    record.id === user.id || (record.careTeamIds || []).includes(user.id),
+};
+
+/**
+ * Add or replace the ownership policy of a resource. Resources without a
+ * policy are owned through their `userId`.
+ *
+ * @param {string} resource - Resource name (first permission segment)
+ * @param {Function} policy - (user, record) => boolean
+ */
+const registerOwnershipPolicy = (resource, policy) => {
+  OWNERSHIP_POLICIES[resource] = policy;
+};
+
+/**
+ * Split a permission into its parts. The scope is optional.
+ *
+ * @param {string} permission - e.g. "appointment:cancel" or "user:delete:any"
+ * @returns {{resource: string, action: string, scope: string|undefined}}
+ */
+const parsePermission = (permission) => {
+  const [resource, action, scope] = permission.split(":");
+  return { resource, action, scope };
+};
+
+/**
+ * Whether the user's role grants resource:action at the given scope.
+ */
+const grants = (user, resource, action, scope) =>
+  Boolean(user) &&
+  permissionsFor(user.role).some((granted) => {
+    const g = parsePermission(granted);
+    return (
+      (g.resource === "*" || g.resource === resource) &&
+      (g.action === "*" || g.action === action) &&
+      g.scope === scope
+    );
+  });
+
+/**
+ * Whether the user owns a record of the given resource.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} resource - Resource name
+ * @param {Object} record - Record to check
+ * @returns {boolean}
+ */
+const owns = (user, resource, record) => {
+  const policy = OWNERSHIP_POLICIES[resource];
+  return policy ? policy(user, record) : record.userId === user.id;
+};
+
+/**
+ * Whether the user's role holds a permission. Without a scope, either
+ * scope counts.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - "resource:action" or "resource:action:scope"
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+  const { resource, action, scope } = parsePermission(permission);
+  if (scope) return grants(user, resource, action, scope);
+  return grants(user, resource, action, "any") || grants(user, resource, action, "own");
+};
+
+/**
+ * Whether the user may perform an action, optionally on a specific record.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - "resource:action" (any scope) or with a scope
+ * @param {Object} [record] - Record acted on; "own" requires the user to own it
+ * @returns {boolean}
+ */
+const can = (user, permission, record) => {
+  const { resource, action, scope } = parsePermission(permission);
+
+  if (scope !== "own" && grants(user, resource, action, "any")) return true;
+  if (scope === "any" || !grants(user, resource, action, "own")) return false;
+  return record === undefined || owns(user, resource, record);
+};
+
+/**
+ * Like can, but throws when the action is not allowed.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission to check
+ * @param {Object} [record] - Record acted on
+ * @param {string} [message] - Message for the 403 response
+ * @throws {HttpError} 403 when the action is not allowed
+ */
+const authorize = (user, permission, record, message) => {
+  if (can(user, permission, record)) return;
+
+  const { resource, action } = parsePermission(permission);
+  throw new HttpError(
+    403,
+    message || `You are not allowed to ${action.replace(/_/g, " ")} this ${resource.replace(/_/g, " ")}`
+  );
+};
+
+/**
+ * The configured role → permission matrix, plus the reverse view
+ * (permission → roles holding it).
+ *
+ * @returns {{roles: Object, permissions: Object<string, Array<string>>}}
+ */
+const getPermissionMatrix = () => {
+  const permissions = {};
+  for (const [role, definition] of Object.entries(ROLES)) {
+    for (const permission of definition.permissions) {
+      (permissions[permission] = permissions[permission] || []).push(role);
+    }
+  }
+
+  const sorted = Object.keys(permissions)
+    .sort()
+    .reduce((result, permission) => ({ ...result, [permission]: permissions[permission] }), {});
+
+  return { roles: ROLES, permissions: sorted };
+};
+
+module.exports = {
+  registerOwnershipPolicy,
+  hasPermission,
+  can,
+  authorize,
+  getPermissionMatrix,
+};
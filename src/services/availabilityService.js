@@ -0,0 +1,413 @@
+/**
+ * Availability Service
+ * --------------------
+ * Turns a doctor's weekly working hours, breaks and one-off exceptions into
+ * bookable time slots, and checks whether a requested slot can be booked.
+ *
+ * Dates are plain "YYYY-MM-DD" strings and times "HH:MM:SS" strings, exactly
+ * as Postgres returns DATEONLY and TIME columns, interpreted in clinic-local time.
+ *
+ * A slot is taken when an active appointment occupies it, or when it is held
+ * for a waitlisted patient by an unexpired offer (see waitlistService).
+ */
+
+const { Op } = require("sequelize");
+const {
+  Appointment,
+  DoctorSchedule,
+  ScheduleException,
+  User,
+  WaitlistEntry,
+} = require("../models");
+const { HttpError } = require("../utils/httpError");
+
+// Longest range a single slots request may cover
+const MAX_RANGE_DAYS = 62;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ---------------------- Date & Time Helpers ----------------------
+
+/**
+ * Normalize "HH:MM" or "HH:MM:SS" to "HH:MM:SS".
+ *
+ * @param {string} value - Time string
+ * @returns {string|null} Normalized time, or null when invalid
+ */
+const normalizeTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value || ""));
+  if (!match) return null;
+  return `${match[1].padStart(2, "0")}:${match[2]}:${match[3] || "00"}`;
+};
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format.
+ *
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(String(value || ""))) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => {
+  const hours = String(Math.floor(total / 60)).padStart(2, "0");
+  const minutes = String(total % 60).padStart(2, "0");
+  return `${hours}:${minutes}:00`;
+};
+
+/**
+ * Add a number of days to a YYYY-MM-DD date string.
+ */
+const addDays = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+};
+
+/**
+ * Day of the week for a YYYY-MM-DD date (0 = Sunday … 6 = Saturday).
+ */
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Today's date in clinic-local time (YYYY-MM-DD).
+ */
+const today = () => {
+  const now = new Date();
+  const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+/**
+ * Whether a slot (local date + time) has already started.
+ */
+const isInPast = (date, time) => new Date(`${date}T${time}`) <= new Date();
+
+// ---------------------- Slot Generation ----------------------
+
+/**
+ * Split one day's working hours into slot start times, skipping breaks and
+ * exception windows. Pure function: no database access.
+ *
+ * @param {Object} schedule - DoctorSchedule row (or plain object) for the weekday
+ * @param {Array<Object>} exceptions - ScheduleException rows for that date
+ * @returns {Array<string>} Slot start times ("HH:MM:SS")
+ */
+const buildDaySlots = (schedule, exceptions = []) => {
+  if (!schedule) return [];
+
+  // A whole-day exception (no time window) blocks every slot
+  if (exceptions.some((e) => !e.startTime || !e.endTime)) return [];
+
+  const blocked = [
+    ...(schedule.breaks || []).map((b) => [b.start, b.end]),
+    ...exceptions.map((e) => [e.startTime, e.endTime]),
+  ].map(([start, end]) => [toMinutes(start), toMinutes(end)]);
+
+  const duration = schedule.slotDuration;
+  const dayEnd = toMinutes(schedule.endTime);
+  const slots = [];
+
+  for (
+    let start = toMinutes(schedule.startTime);
+    start + duration <= dayEnd;
+    start += duration
+  ) {
+    const end = start + duration;
+    const overlaps = blocked.some(([bStart, bEnd]) => start < bEnd && end > bStart);
+    if (!overlaps) slots.push(fromMinutes(start));
+  }
+
+  return slots;
+};
+
+/**
+ * Load a user and make sure they are a doctor.
+ *
+ * @param {string} doctorId - User ID
+ * @param {Object} [options] - Sequelize query options (e.g., transaction)
+ * @returns {Promise<Object>} Doctor user instance
+ * @throws {HttpError} 404 when no doctor has this ID
+ */
+const findDoctor = async (doctorId, options = {}) => {
+  // Malformed IDs would otherwise surface as a Postgres cast error
+  if (!UUID_PATTERN.test(String(doctorId))) {
+    throw new HttpError(404, "Doctor not found");
+  }
+
+  const doctor = await User.findOne({
+    where: { id: doctorId, role: "doctor" },
+    ...options,
+  });
+  if (!doctor) {
+    throw new HttpError(404, "Doctor not found");
+  }
+  return doctor;
+};
+
+/**
+ * Find unexpired waitlist offers holding a doctor's slots.
+ *
+ * @param {Object} where - Extra conditions (doctorId, date range, …)
+ * @param {Object} [options]
+ * @param {string} [options.patientId] - Holds for this patient do not count
+ * @param {Object} [options.transaction] - Transaction to read in
+ * @returns {Promise<Array<Object>>} WaitlistEntry rows
+ */
+const findHeldSlots = (where, { patientId, transaction } = {}) => {
+  return WaitlistEntry.findAll({
+    where: {
+      ...where,
+      status: "offered",
+      offerExpiresAt: { [Op.gt]: new Date() },
+      ...(patientId && { patientId: { [Op.ne]: patientId } }),
+    },
+    attributes: ["offeredDate", "offeredTime"],
+    transaction,
+  });
+};
+
+/**
+ * List the open slots of a doctor between two dates (inclusive).
+ *
+ * @param {string} doctorId - Doctor's user ID
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {string} [options.patientId] - Viewer; slots held for them stay visible
+ * @returns {Promise<Array<{date: string, time: string, endTime: string}>>}
+ * @throws {HttpError} 400 for an invalid range, 404 for an unknown doctor
+ */
+const getAvailableSlots = async (doctorId, from, to, options = {}) => {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw new HttpError(400, "from and to must be valid dates (YYYY-MM-DD)");
+  }
+  if (from > to) {
+    throw new HttpError(400, "from must be on or before to");
+  }
+  if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+    throw new HttpError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  await findDoctor(doctorId);
+
+  const [schedules, exceptions, booked, held] = await Promise.all([
+    DoctorSchedule.findAll({ where: { doctorId } }),
+    ScheduleException.findAll({
+      where: { doctorId, date: { [Op.between]: [from, to] } },
+    }),
+    Appointment.findAll({
+      where: {
+        doctorId,
+        date: { [Op.between]: [from, to] },
+        status: { [Op.in]: Appointment.ACTIVE_STATUSES },
+      },
+      attributes: ["date", "time"],
+    }),
+    findHeldSlots(
+      { doctorId, offeredDate: { [Op.between]: [from, to] } },
+      { patientId: options.patientId }
+    ),
+  ]);
+
+  const scheduleByDay = new Map(schedules.map((s) => [s.dayOfWeek, s]));
+  const bookedKeys = new Set([
+    ...booked.map((a) => `${a.date} ${a.time}`),
+    ...held.map((h) => `${h.offeredDate} ${h.offeredTime}`),
+  ]);
+  const slots = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const schedule = scheduleByDay.get(getDayOfWeek(date));
+    const dayExceptions = exceptions.filter((e) => e.date === date);
+
+    buildDaySlots(schedule, dayExceptions).forEach((time) => {
+      if (bookedKeys.has(`${date} ${time}`) || isInPast(date, time)) return;
+      slots.push({
+        date,
+        time,
+        endTime: fromMinutes(toMinutes(time) + schedule.slotDuration),
+      });
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Find a doctor's first open slot from today up to a given date.
+ *
+ * @param {string} doctorId - Doctor's user ID
+ * @param {Object} [options]
+ * @param {string} [options.to] - Last date to look at (YYYY-MM-DD, default
+ *   and at most today + MAX_RANGE_DAYS - 1)
+ * @param {string} [options.patientId] - Viewer; slots held for them count as open
+ * @returns {Promise<{date: string, time: string, endTime: string}|null>}
+ */
+const findNextAvailableSlot = async (doctorId, { to, patientId } = {}) => {
+  const from = today();
+  const last = addDays(from, MAX_RANGE_DAYS - 1);
+  const until = !to || to > last ? last : to;
+  if (until < from) return null;
+
+  const [slot] = await getAvailableSlots(doctorId, from, until, { patientId });
+  return slot || null;
+};
+
+/**
+ * Make sure a doctor can be booked at the given date and time: the slot must
+ * exist in the doctor's schedule, lie in the future and not be taken.
+ *
+ * @param {string} doctorId - Doctor's user ID
+ * @param {string} date - Requested date (YYYY-MM-DD)
+ * @param {string} time - Requested start time (HH:MM or HH:MM:SS)
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Transaction to run the checks in
+ * @param {string} [options.excludeAppointmentId] - Appointment to ignore when looking for clashes
+ * @param {string} [options.patientId] - Patient booking; a waitlist hold for them does not block
+ * @returns {Promise<{date: string, time: string}>} The normalized slot
+ * @throws {HttpError} 400 when the slot is invalid, 404 for an unknown doctor, 409 when taken
+ */
+const assertSlotBookable = async (doctorId, date, time, options = {}) => {
+  const { transaction, excludeAppointmentId, patientId } = options;
+  const normalizedTime = normalizeTime(time);
+
+  if (!isValidDate(date)) {
+    throw new HttpError(400, "Date must be a valid date (YYYY-MM-DD)");
+  }
+  if (!normalizedTime) {
+    throw new HttpError(400, "Time must be a valid time (HH:MM)");
+  }
+  if (isInPast(date, normalizedTime)) {
+    throw new HttpError(400, "Cannot book an appointment in the past");
+  }
+
+  await findDoctor(doctorId, { transaction });
+
+  const [schedule, exceptions] = await Promise.all([
+    DoctorSchedule.findOne({
+      where: { doctorId, dayOfWeek: getDayOfWeek(date) },
+      transaction,
+    }),
+    ScheduleException.findAll({ where: { doctorId, date }, transaction }),
+  ]);
+
+  if (!buildDaySlots(schedule, exceptions).includes(normalizedTime)) {
+    throw new HttpError(400, "The doctor is not available at the requested time");
+  }
+
+  const clash = await Appointment.findOne({
+    where: {
+      doctorId,
+      date,
+      time: normalizedTime,
+      status: { [Op.in]: Appointment.ACTIVE_STATUSES },
+      ...(excludeAppointmentId && { id: { [Op.ne]: excludeAppointmentId } }),
+    },
+    transaction,
+  });
+  if (clash) {
+    throw new HttpError(409, "This time slot is already booked");
+  }
+
+  const held = await findHeldSlots(
+    { doctorId, offeredDate: date, offeredTime: normalizedTime },
+    { patientId, transaction }
+  );
+  if (held.length) {
+    throw new HttpError(409, "This time slot is held for a waitlisted patient");
+  }
+
+  return { date, time: normalizedTime };
+};
+
+// ---------------------- Weekly Schedule Management ----------------------
+
+/**
+ * Validate a weekly schedule payload.
+ *
+ * @param {Array<Object>} days - [{ dayOfWeek, startTime, endTime, slotDuration, breaks }]
+ * @returns {Array<Object>} Normalized rows ready to be saved
+ * @throws {HttpError} 400 with a list of validation messages
+ */
+const normalizeWeeklySchedule = (days) => {
+  if (!Array.isArray(days)) {
+    throw new HttpError(400, "days must be an array");
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  const rows = days.map((day, index) => {
+    const label = `days[${index}]`;
+    if (!day || typeof day !== "object" || Array.isArray(day)) {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    const dayOfWeek = Number(day.dayOfWeek);
+    const startTime = normalizeTime(day.startTime);
+    const endTime = normalizeTime(day.endTime);
+    const slotDuration = day.slotDuration === undefined ? 30 : Number(day.slotDuration);
+    const listedBreaks = day.breaks === undefined || day.breaks === null ? [] : day.breaks;
+    if (!Array.isArray(listedBreaks)) {
+      errors.push(`${label}.breaks must be an array`);
+    }
+    const breaks = (Array.isArray(listedBreaks) ? listedBreaks : []).map((b) => ({
+      start: normalizeTime(b && b.start),
+      end: normalizeTime(b && b.end),
+    }));
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      errors.push(`${label}.dayOfWeek must be between 0 and 6`);
+    } else if (seen.has(dayOfWeek)) {
+      errors.push(`${label}.dayOfWeek ${dayOfWeek} is listed more than once`);
+    }
+    seen.add(dayOfWeek);
+
+    if (!startTime || !endTime || startTime >= endTime) {
+      errors.push(`${label} needs a startTime before its endTime (HH:MM)`);
+    }
+    if (!Number.isInteger(slotDuration) || slotDuration < 5 || slotDuration > 480) {
+      errors.push(`${label}.slotDuration must be between 5 and 480 minutes`);
+    }
+    breaks.forEach((b, i) => {
+      if (!b.start || !b.end || b.start >= b.end) {
+        errors.push(`${label}.breaks[${i}] needs a start before its end (HH:MM)`);
+      }
+    });
+
+    return { dayOfWeek, startTime, endTime, slotDuration, breaks };
+  });
+
+  if (errors.length) {
+    throw new HttpError(400, "Validation failed", errors);
+  }
+
+  return rows;
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  normalizeTime,
+  isValidDate,
+  addDays,
+  getDayOfWeek,
+  today,
+  buildDaySlots,
+  findDoctor,
+  getAvailableSlots,
+  findNextAvailableSlot,
+  assertSlotBookable,
+  normalizeWeeklySchedule,
+};
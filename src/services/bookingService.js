@@ -0,0 +1,216 @@
+/**
+ * Booking Service
+ * ---------------
+ * Creates appointments atomically so two patients can never hold the same
+ * doctor slot.
+ *
+ * Two layers of protection:
+ * 1. A transaction that locks the doctor's row (SELECT … FOR UPDATE), so
+ *    concurrent bookings for one doctor run one after another and each sees
+ *    the slots taken by the previous one.
+ * 2. The partial unique index `appointments_doctor_slot_active_unique` on
+ *    (doctorId, date, time) for active appointments, as a last line of defence.
+ *
+ * The losing request gets an HttpError with status 409.
+ */
+
+const { Appointment, sequelize } = require("../models");
+const { findDoctor, assertSlotBookable } = require("./availabilityService");
+const {
+  recordStatusChange,
+  transitionAppointment,
+} = require("./appointmentLifecycle");
+const { emitAppointmentEvent } = require("./appointmentEvents");
+const { HttpError } = require("../utils/httpError");
+const { can } = require("./authorization");
+const { assertProfileComplete } = require("./patientProfileService");
+
+const SLOT_TAKEN_MESSAGE = "This time slot is already booked";
+
+// Patients and doctors cannot reschedule closer than this to the visit
+// (roles with "appointment:reschedule_late" are exempt)
+const RESCHEDULE_CUTOFF_HOURS = Number(process.env.RESCHEDULE_CUTOFF_HOURS || 24);
+
+/**
+ * Run `work` inside a transaction that holds the doctor's row lock.
+ * Unique-constraint violations on the slot index are reported as 409.
+ *
+ * @param {string} doctorId - Doctor whose calendar is being changed
+ * @param {Function} work - async (transaction) => result
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Caller's transaction to lock and
+ *   work in (a new one is started otherwise)
+ * @returns {Promise<*>} Whatever `work` returns
+ */
+const withDoctorLock = async (doctorId, work, { transaction: outer } = {}) => {
+  const locked = async (transaction) => {
+    await findDoctor(doctorId, { transaction, lock: transaction.LOCK.UPDATE });
+    return work(transaction);
+  };
+
+  try {
+    return await (outer ? locked(outer) : sequelize.transaction(locked));
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      throw new HttpError(409, SLOT_TAKEN_MESSAGE);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Book a free slot for a patient.
+ *
+ * @param {Object} params
+ * @param {string} params.patientId - Patient the appointment is for
+ * @param {string} params.doctorId - Doctor to book with
+ * @param {string} params.date - Date (YYYY-MM-DD)
+ * @param {string} params.time - Start time (HH:MM or HH:MM:SS)
+ * @param {string} params.reason - Reason for the visit
+ * @param {string} [params.notes] - Optional notes
+ * @param {Object} [params.actor] - User making the booking (recorded in the status
+ *   history; bookings by a user need the patient's profile to be complete)
+ * @param {string} [params.seriesId] - Recurring series the booking belongs to
+ * @param {Object} [params.transaction] - Transaction to book in (e.g., with
+ *   other changes that must succeed or fail together)
+ * @returns {Promise<Object>} The created appointment (status "pending")
+ * @throws {HttpError} 400/404 for an invalid slot or doctor, 403 for an
+ *   incomplete patient profile, 409 when taken
+ */
+const bookSlot = async ({
+  patientId,
+  doctorId,
+  date,
+  time,
+  reason,
+  notes,
+  actor,
+  seriesId,
+  transaction: outer,
+}) => {
+  if (actor) await assertProfileComplete(patientId);
+
+  return withDoctorLock(doctorId, async (transaction) => {
+    const slot = await assertSlotBookable(doctorId, date, time, {
+      transaction,
+      patientId,
+    });
+
+    const appointment = await Appointment.create(
+      {
+        patientId,
+        doctorId,
+        date: slot.date,
+        time: slot.time,
+        reason,
+        notes,
+        status: "pending",
+        seriesId,
+      },
+      { transaction }
+    );
+
+    await recordStatusChange({
+      appointmentId: appointment.id,
+      fromStatus: null,
+      toStatus: appointment.status,
+      actor,
+      transaction,
+    });
+    emitAppointmentEvent("booked", { appointment, actor }, transaction);
+
+    return appointment;
+  }, { transaction: outer });
+};
+
+/**
+ * Move an appointment to a new date/time with the same doctor.
+ *
+ * The original appointment is marked "rescheduled" (its history is kept) and
+ * a new appointment is created in the new slot, carrying over the patient,
+ * reason, notes, status and series, and pointing back via `rescheduledFromId`.
+ *
+ * @param {Object} appointment - Appointment to move
+ * @param {Object} params
+ * @param {string} params.date - New date (YYYY-MM-DD)
+ * @param {string} params.time - New start time (HH:MM or HH:MM:SS)
+ * @param {Object} [params.actor] - User performing the reschedule (omit for
+ *   system changes, which are not bound by the cutoff window)
+ * @param {string} [params.reason] - Optional explanation stored in the history
+ * @returns {Promise<{original: Object, appointment: Object}>}
+ * @throws {HttpError} 400 inside the cutoff window or for an invalid slot,
+ *   403 when the actor may not reschedule, 409 when the slot is taken or
+ *   the appointment can no longer be rescheduled
+ */
+const rescheduleAppointment = async (appointment, { date, time, actor, reason }) => {
+  return withDoctorLock(appointment.doctorId, async (transaction) => {
+    await appointment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+    // Checked on the locked row, so a concurrent reschedule cannot move the
+    // visit into the cutoff window between the check and the update
+    const visitStart = new Date(`${appointment.date}T${appointment.time}`);
+    const hoursUntilVisit = (visitStart - new Date()) / 3600000;
+
+    if (actor && !can(actor, "appointment:reschedule_late") && hoursUntilVisit < RESCHEDULE_CUTOFF_HOURS) {
+      throw new HttpError(
+        400,
+        `Appointments cannot be rescheduled less than ${RESCHEDULE_CUTOFF_HOURS} hours before the visit`
+      );
+    }
+
+    const previousStatus = appointment.status;
+
+    // Validates ownership, role and current status (locks the row)
+    await transitionAppointment(appointment, "rescheduled", {
+      actor,
+      reason,
+      transaction,
+    });
+
+    const slot = await assertSlotBookable(appointment.doctorId, date, time, {
+      transaction,
+      patientId: appointment.patientId,
+    });
+    if (slot.date === appointment.date && slot.time === appointment.time) {
+      throw new HttpError(400, "The new time must differ from the current one");
+    }
+
+    const rescheduled = await Appointment.create(
+      {
+        patientId: appointment.patientId,
+        doctorId: appointment.doctorId,
+        date: slot.date,
+        time: slot.time,
+        reason: appointment.reason,
+        notes: appointment.notes,
+        status: previousStatus,
+        rescheduledFromId: appointment.id,
+        seriesId: appointment.seriesId,
+      },
+      { transaction }
+    );
+
+    await recordStatusChange({
+      appointmentId: rescheduled.id,
+      fromStatus: null,
+      toStatus: rescheduled.status,
+      actor,
+      reason: reason || `Rescheduled from ${appointment.date} ${appointment.time}`,
+      transaction,
+    });
+    emitAppointmentEvent(
+      "rescheduled",
+      { original: appointment, appointment: rescheduled, actor },
+      transaction
+    );
+
+    return { original: appointment, appointment: rescheduled };
+  });
+};
+
+module.exports = {
+  RESCHEDULE_CUTOFF_HOURS,
+  withDoctorLock,
+  bookSlot,
+  rescheduleAppointment,
+};
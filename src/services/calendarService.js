@@ -0,0 +1,202 @@
+/**
+ * Calendar Service
+ * ----------------
+ * Exports appointments as iCalendar (.ics) data and manages the secret
+ * tokens behind subscribable calendar feeds.
+ *
+ * - Every appointment keeps a stable UID, and its SEQUENCE goes up on every
+ *   change, so calendar apps update the existing event instead of adding one
+ * - Cancelled, no-show and rescheduled appointments stay in the feed with
+ *   STATUS:CANCELLED so subscribers see them disappear from their schedule
+ * - Feed URLs use an opaque random token (not the JWT) that the owner can
+ *   rotate or revoke at any time, and only work while the owner's account
+ *   is active
+ * - Feeds leave out the visit reason: whoever holds the URL can read them,
+ *   and calendar services that subscribe keep copies. Only .ics files the
+ *   user downloads while logged in include it
+ */
+
+const { Op } = require("sequelize");
+const {
+  Appointment,
+  CalendarFeedToken,
+  DoctorSchedule,
+  User,
+} = require("../models");
+const { addDays, today } = require("./availabilityService");
+const { buildCalendar } = require("../utils/icalendar");
+const { generateOpaqueToken, hashToken } = require("../utils/tokens");
+
+// Used when the doctor no longer has a schedule for that weekday
+const DEFAULT_DURATION_MINUTES = 30;
+
+// How far back a feed reaches (future appointments are always included)
+const FEED_HISTORY_DAYS = Number(process.env.CALENDAR_FEED_HISTORY_DAYS || 90);
+
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || "healthcare-systems";
+
+// Appointment status → VEVENT STATUS
+const EVENT_STATUS = {
+  pending: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  checked_in: "CONFIRMED",
+  completed: "CONFIRMED",
+  cancelled: "CANCELLED",
+  no_show: "CANCELLED",
+  rescheduled: "CANCELLED",
+};
+
+const participantAttributes = ["id", "username", "email"];
+
+/**
+ * Turn one appointment into a VEVENT description for the given viewer.
+ *
+ * @param {Object} appointment - Appointment with `patient` and `doctor` loaded
+ * @param {Object} viewer - User the calendar is for
+ * @param {number} durationMinutes - Visit length
+ * @param {boolean} includeReason - Put the visit reason in the description
+ * @returns {Object} Event accepted by utils/icalendar
+ */
+const toEvent = (appointment, viewer, durationMinutes, includeReason) => {
+  const start = new Date(`${appointment.date}T${appointment.time}`);
+  const isDoctor = viewer.id === appointment.doctorId;
+  const other = isDoctor ? appointment.patient : appointment.doctor;
+  const otherName = other ? other.username : "unknown";
+
+  return {
+    uid: `${appointment.id}@${UID_DOMAIN}`,
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60000),
+    stamp: appointment.updatedAt || new Date(),
+    sequence: appointment.sequence,
+    status: EVENT_STATUS[appointment.status] || "TENTATIVE",
+    summary: isDoctor
+      ? `Appointment with ${otherName}`
+      : `Appointment with Dr. ${otherName}`,
+    description: [
+      `Status: ${appointment.status}`,
+      includeReason && appointment.reason && `Reason: ${appointment.reason}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  };
+};
+
+/**
+ * Look up visit lengths from the doctors' weekly schedules.
+ *
+ * @param {Array<Object>} appointments - Appointments to size
+ * @returns {Promise<Function>} (appointment) => minutes
+ */
+const loadDurations = async (appointments) => {
+  const doctorIds = [...new Set(appointments.map((a) => a.doctorId))];
+  const schedules = doctorIds.length
+    ? await DoctorSchedule.findAll({ where: { doctorId: { [Op.in]: doctorIds } } })
+    : [];
+  const byKey = new Map(
+    schedules.map((s) => [`${s.doctorId}:${s.dayOfWeek}`, s.slotDuration])
+  );
+
+  return (appointment) => {
+    const weekday = new Date(`${appointment.date}T00:00:00Z`).getUTCDay();
+    return byKey.get(`${appointment.doctorId}:${weekday}`) || DEFAULT_DURATION_MINUTES;
+  };
+};
+
+/**
+ * Render appointments as an iCalendar document for a viewer.
+ *
+ * @param {Array<Object>} appointments - Appointments with `patient` and `doctor` loaded
+ * @param {Object} viewer - User the calendar is for
+ * @param {Object} [options] - Passed to buildCalendar (name, method)
+ * @param {boolean} [options.includeReason] - Include visit reasons (never
+ *   in feeds)
+ * @returns {Promise<string>} iCalendar text
+ */
+const renderCalendar = async (appointments, viewer, { includeReason = false, ...options } = {}) => {
+  const durationOf = await loadDurations(appointments);
+  const events = appointments.map((a) => toEvent(a, viewer, durationOf(a), includeReason));
+  return buildCalendar(events, options);
+};
+
+/**
+ * Appointments shown in a user's feed: their own, from FEED_HISTORY_DAYS
+ * ago onward, in every status (so cancellations propagate).
+ *
+ * @param {Object} user - Feed owner
+ * @returns {Promise<Array<Object>>}
+ */
+const findFeedAppointments = (user) => {
+  const ownerField = user.role === "doctor" ? "doctorId" : "patientId";
+
+  return Appointment.findAll({
+    where: {
+      [ownerField]: user.id,
+      date: { [Op.gte]: addDays(today(), -FEED_HISTORY_DAYS) },
+    },
+    include: [
+      { model: User, as: "patient", attributes: participantAttributes },
+      { model: User, as: "doctor", attributes: participantAttributes },
+    ],
+    order: [["date", "ASC"], ["time", "ASC"]],
+  });
+};
+
+/**
+ * Create (or rotate) the user's feed token. Any previous feed URL stops
+ * working immediately.
+ *
+ * @param {Object} user - Feed owner
+ * @returns {Promise<string>} The plain token (shown to the user once)
+ */
+const issueFeedToken = async (user) => {
+  const token = generateOpaqueToken();
+  const tokenHash = hashToken(token);
+
+  const existing = await CalendarFeedToken.findOne({ where: { userId: user.id } });
+  if (existing) {
+    await existing.update({ tokenHash, lastAccessedAt: null });
+  } else {
+    await CalendarFeedToken.create({ userId: user.id, tokenHash });
+  }
+
+  return token;
+};
+
+/**
+ * Revoke the user's feed token.
+ *
+ * @param {Object} user - Feed owner
+ * @returns {Promise<boolean>} Whether a feed existed
+ */
+const revokeFeedToken = async (user) => {
+  const deleted = await CalendarFeedToken.destroy({ where: { userId: user.id } });
+  return deleted > 0;
+};
+
+/**
+ * Resolve a feed token to its owner and record the access.
+ *
+ * @param {string} token - Plain token from the feed URL
+ * @returns {Promise<Object|null>} Owner, or null for an unknown/revoked
+ *   token or an owner whose account is not active
+ */
+const findUserByFeedToken = async (token) => {
+  const feed = await CalendarFeedToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [{ model: User, as: "user" }],
+  });
+  if (!feed || !feed.user || feed.user.status !== "active") return null;
+
+  await feed.update({ lastAccessedAt: new Date() });
+  return feed.user;
+};
+
+module.exports = {
+  loadDurations,
+  renderCalendar,
+  findFeedAppointments,
+  issueFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+};
@@ -0,0 +1,328 @@
+/**
+ * Doctor Onboarding Service
+ * -------------------------
+ * The two ways a doctor account comes into existence (public registration
+ * only ever creates patients):
+ *
+ * 1. Invitation: an admin invites an email address; the doctor opens the
+ *    emailed link and creates an active account (the link proves they own
+ *    the address). Links are single-use and expire after
+ *    DOCTOR_INVITATION_TTL_DAYS (default 7).
+ * 2. Application: a doctor signs up with their license details; the
+ *    account waits in "pending_approval" (no login) until an admin approves
+ *    or rejects it.
+ */
+
+const { Op } = require("sequelize");
+const {
+  DoctorApplication,
+  DoctorInvitation,
+  DoctorProfile,
+  User,
+  sequelize,
+} = require("../models");
+const { sendVerificationEmailSafely } = require("./emailVerificationService");
+const { sendMail } = require("../notifications/transports/mailer");
+const { generateOpaqueToken, hashToken } = require("../utils/tokens");
+const { logSecurityEvent } = require("../utils/securityLog");
+const { HttpError } = require("../utils/httpError");
+
+const INVITATION_TTL_DAYS = Number(process.env.DOCTOR_INVITATION_TTL_DAYS || 7);
+
+/**
+ * Link the invited doctor opens. The frontend page reads the token and
+ * posts it to /api/auth/register/invitation.
+ */
+const invitationUrl = (token) => {
+  const base = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+  return `${base}/accept-invitation?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send a doctor invitation. Earlier open invitations to the same address
+ * are revoked.
+ *
+ * The email is sent before the transaction commits, so when it cannot be
+ * delivered nothing is saved (earlier invitations stay open) and the admin
+ * can simply try again.
+ *
+ * @param {string} email - Doctor's email address
+ * @param {Object} admin - Admin sending the invitation
+ * @returns {Promise<Object>} The invitation
+ * @throws {HttpError} 400 without an email, 409 when an account already uses
+ *   it, 502 when the email could not be sent
+ */
+const inviteDoctor = async (email, admin) => {
+  const address = String(email || "").trim().toLowerCase();
+  if (!address) {
+    throw new HttpError(400, "Email is required");
+  }
+  if (await User.findOne({ where: { email: address } })) {
+    throw new HttpError(409, "An account with this email already exists");
+  }
+
+  const token = generateOpaqueToken();
+  const invitation = await sequelize.transaction(async (transaction) => {
+    await DoctorInvitation.update(
+      { revokedAt: new Date() },
+      {
+        where: { email: address, acceptedAt: null, revokedAt: null },
+        transaction,
+      }
+    );
+    const created = await DoctorInvitation.create(
+      {
+        email: address,
+        tokenHash: hashToken(token),
+        invitedById: admin.id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 86400000),
+      },
+      { transaction }
+    );
+
+    try {
+      await sendMail({
+        to: address,
+        subject: "You're invited to join Healthcare Systems as a doctor",
+        text:
+          `Hello,\n\n${admin.username} has invited you to join Healthcare Systems as a doctor.\n\n` +
+          `Create your account here (the link works once and expires in ${INVITATION_TTL_DAYS} days):\n\n` +
+          `${invitationUrl(token)}\n\n— Healthcare Systems`,
+      });
+    } catch (error) {
+      console.error("Doctor invitation email error:", error);
+      throw new HttpError(502, "The invitation email could not be sent. No invitation was created; please try again.");
+    }
+    return created;
+  });
+
+  logSecurityEvent("doctor_invited", { email: address, invitationId: invitation.id, adminId: admin.id });
+  return invitation;
+};
+
+/**
+ * Find the open invitation behind a token.
+ *
+ * @param {string} token - Token from the invitation link
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Transaction to lock the row in
+ * @returns {Promise<Object>} The invitation
+ * @throws {HttpError} 400 for an unknown, used, revoked or expired invitation
+ */
+const findOpenInvitation = async (token, { transaction } = {}) => {
+  const invitation = await DoctorInvitation.findOne({
+    where: { tokenHash: hashToken(String(token)) },
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE }),
+  });
+  if (!invitation || invitation.getState() !== "pending") {
+    throw new HttpError(400, "This invitation is invalid, already used or has expired");
+  }
+  return invitation;
+};
+
+/**
+ * Create a doctor account from an invitation.
+ *
+ * @param {Object} params
+ * @param {string} params.token - Token from the invitation link
+ * @param {string} params.username - Chosen username
+ * @param {string} params.password - Chosen password
+ * @returns {Promise<Object>} The new (active, verified) doctor
+ */
+const acceptInvitation = ({ token, username, password }) =>
+  sequelize.transaction(async (transaction) => {
+    const invitation = await findOpenInvitation(token, { transaction });
+
+    const doctor = await User.create(
+      {
+        username,
+        email: invitation.email,
+        password,
+        role: "doctor",
+        status: "active",
+        emailVerifiedAt: new Date(), // The link was delivered to this address
+      },
+      { transaction }
+    );
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUserId = doctor.id;
+    await invitation.save({ transaction });
+
+    return doctor;
+  });
+
+/**
+ * Withdraw an open invitation.
+ *
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object>} The invitation
+ * @throws {HttpError} 404 when missing, 409 when no longer open
+ */
+const revokeInvitation = async (invitationId) => {
+  const invitation = await DoctorInvitation.findByPk(invitationId);
+  if (!invitation) {
+    throw new HttpError(404, "Invitation not found");
+  }
+  if (invitation.getState() !== "pending") {
+    throw new HttpError(409, `Invitation is already ${invitation.getState()}`);
+  }
+
+  invitation.revokedAt = new Date();
+  await invitation.save();
+  return invitation;
+};
+
+/**
+ * Sign up as a doctor pending admin approval.
+ *
+ * @param {Object} params
+ * @param {string} params.username - Chosen username
+ * @param {string} params.email - Email address
+ * @param {string} params.password - Chosen password
+ * @param {string} params.licenseNumber - Medical license number
+ * @param {string} [params.specialty] - Specialty
+ * @param {string} [params.message] - Note to the reviewer
+ * @returns {Promise<{user: Object, application: Object}>}
+ */
+const applyAsDoctor = async ({ username, email, password, licenseNumber, specialty, message }) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const user = await User.create(
+      {
+        username,
+        email,
+        password,
+        role: "doctor",
+        status: "pending_approval",
+      },
+      { transaction }
+    );
+    const application = await DoctorApplication.create(
+      {
+        userId: user.id,
+        licenseNumber,
+        specialty: specialty || null,
+        message: message || null,
+      },
+      { transaction }
+    );
+    return { user, application };
+  });
+
+  await sendVerificationEmailSafely(result.user);
+  return result;
+};
+
+/**
+ * Approve or reject a pending doctor application.
+ *
+ * @param {string} applicationId - Application ID
+ * @param {string} decision - "approved" or "rejected"
+ * @param {Object} admin - Admin deciding
+ * @param {string} [reason] - Explanation (sent to the applicant on rejection)
+ * @returns {Promise<Object>} The application with its applicant
+ * @throws {HttpError} 404 when missing, 409 when already decided
+ */
+const reviewApplication = async (applicationId, decision, admin, reason) => {
+  const application = await sequelize.transaction(async (transaction) => {
+    const found = await DoctorApplication.findByPk(applicationId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!found) {
+      throw new HttpError(404, "Application not found");
+    }
+    if (found.status !== "pending") {
+      throw new HttpError(409, `Application is already ${found.status}`);
+    }
+
+    found.status = decision;
+    found.reviewedById = admin.id;
+    found.reviewedAt = new Date();
+    found.rejectionReason = decision === "rejected" ? reason || null : null;
+    await found.save({ transaction });
+
+    await User.update(
+      { status: decision === "approved" ? "active" : "rejected" },
+      { where: { id: found.userId }, transaction }
+    );
+
+    // Start the directory profile with the checked credentials
+    if (decision === "approved") {
+      await DoctorProfile.findOrCreate({
+        where: { userId: found.userId },
+        defaults: { licenseNumber: found.licenseNumber, specialty: found.specialty },
+        transaction,
+      });
+    }
+    return found;
+  });
+
+  const applicant = await User.findByPk(application.userId);
+  logSecurityEvent(`doctor_application_${decision}`, {
+    applicationId: application.id,
+    userId: application.userId,
+    adminId: admin.id,
+  });
+
+  if (applicant) {
+    await sendMail({
+      to: applicant.email,
+      subject:
+        decision === "approved"
+          ? "Your doctor account has been approved"
+          : "Your doctor application was not approved",
+      text:
+        decision === "approved"
+          ? `Hello ${applicant.username},\n\nYour application has been approved. You can now log in.\n\n— Healthcare Systems`
+          : `Hello ${applicant.username},\n\nUnfortunately your application was not approved.` +
+            `${reason ? `\nReason: ${reason}` : ""}\n\n— Healthcare Systems`,
+    }).catch((error) => console.error("Application decision email error:", error));
+  }
+
+  application.setDataValue("applicant", applicant);
+  return application;
+};
+
+/**
+ * List doctor applications, oldest first.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Only applications with this status
+ * @returns {Promise<Array<Object>>}
+ */
+const listApplications = ({ status } = {}) =>
+  DoctorApplication.findAll({
+    where: status ? { status } : {},
+    include: [{ model: User, as: "applicant", attributes: ["id", "username", "email", "status", "emailVerifiedAt"] }],
+    order: [["createdAt", "ASC"]],
+  });
+
+/**
+ * List invitations, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {boolean} [filters.openOnly] - Only invitations that can still be used
+ * @returns {Promise<Array<Object>>}
+ */
+const listInvitations = ({ openOnly } = {}) =>
+  DoctorInvitation.findAll({
+    where: openOnly
+      ? { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }
+      : {},
+    include: [{ model: User, as: "invitedBy", attributes: ["id", "username"] }],
+    order: [["createdAt", "DESC"]],
+  });
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  inviteDoctor,
+  findOpenInvitation,
+  acceptInvitation,
+  revokeInvitation,
+  applyAsDoctor,
+  reviewApplication,
+  listApplications,
+  listInvitations,
+};
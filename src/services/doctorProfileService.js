@@ -0,0 +1,317 @@
+/**
+ * Doctor Profile Service
+ * ----------------------
+ * Validates and stores doctors' professional profiles (DoctorProfile) and
+ * searches the provider directory.
+ *
+ * - Doctors edit their own profile (PUT /api/auth/profile); the license
+ *   number comes from their approved application and only admins change it
+ * - Fields left out of an update keep their value; null clears a field
+ * - The directory lists active doctors with their profile and next open slot
+ */
+
+const { Op } = require("sequelize");
+const { DoctorProfile, DoctorSchedule, User } = require("../models");
+const {
+  addDays,
+  findNextAvailableSlot,
+  getDayOfWeek,
+  today,
+} = require("./availabilityService");
+const { HttpError } = require("../utils/httpError");
+const { escapeLike } = require("../utils/like");
+
+const MAX_TEXT_LENGTH = 100;
+const MAX_BIO_LENGTH = 2000;
+const MAX_LANGUAGES = 10;
+const MAX_INSURANCE_ENTRIES = 50;
+
+// Next-slot lookups run this many at a time
+const AVAILABILITY_CONCURRENCY = 5;
+// With availableBy, at most this many matching doctors (by username) are
+// checked for an open slot
+const MAX_AVAILABILITY_CHECKS = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// BCP 47 language tag (e.g., "en", "es", "pt-br")
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+const LOCATION_FIELDS = ["name", "line1", "line2", "city", "state", "postalCode", "country"];
+const REQUIRED_LOCATION_FIELDS = ["line1", "city"];
+
+// Include for loading a doctor's profile alongside them
+const doctorProfileInclude = {
+  model: DoctorProfile,
+  as: "doctorProfile",
+  required: false,
+};
+
+/**
+ * Validate and normalize profile fields. Only fields present in `input`
+ * are returned; empty strings become null.
+ *
+ * @param {Object} input - Any of the DoctorProfile fields
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLicense] - Accept licenseNumber (admins)
+ * @returns {Object} Values ready to store
+ * @throws {HttpError} 400 listing every problem
+ */
+const normalizeDoctorProfile = (input, { allowLicense = false } = {}) => {
+  const errors = [];
+  const values = {};
+  const has = (field) => input[field] !== undefined;
+  const blank = (value) => value === undefined || value === null || value === "";
+
+  const text = (value, label, maxLength = MAX_TEXT_LENGTH) => {
+    if (blank(value)) return null;
+    if (typeof value !== "string") {
+      errors.push(`${label} must be text`);
+      return null;
+    }
+    if (value.trim().length > maxLength) {
+      errors.push(`${label} cannot exceed ${maxLength} characters`);
+    }
+    return value.trim() || null;
+  };
+
+  // Distinct, non-empty entries of a list of strings
+  const list = (value, label, maxEntries) => {
+    if (blank(value)) return [];
+    if (!Array.isArray(value)) {
+      errors.push(`${label} must be a list`);
+      return [];
+    }
+    if (value.length > maxEntries) {
+      errors.push(`${label} cannot have more than ${maxEntries} entries`);
+    }
+    const entries = value.map((entry, index) => text(entry, `${label}[${index}]`)).filter(Boolean);
+    return [...new Set(entries)];
+  };
+
+  if (has("specialty")) values.specialty = text(input.specialty, "specialty");
+  if (has("credentials")) values.credentials = text(input.credentials, "credentials");
+  if (has("bio")) values.bio = text(input.bio, "bio", MAX_BIO_LENGTH);
+
+  if (has("licenseNumber")) {
+    if (allowLicense) {
+      values.licenseNumber = text(input.licenseNumber, "licenseNumber");
+    } else {
+      errors.push("licenseNumber can only be changed by an admin");
+    }
+  }
+
+  if (has("languages")) {
+    const tags = list(input.languages, "languages", MAX_LANGUAGES).map((tag) => tag.toLowerCase());
+    values.languages = [...new Set(tags)];
+    const invalid = values.languages.filter((tag) => !LANGUAGE_PATTERN.test(tag));
+    if (invalid.length) {
+      errors.push(`languages must be language codes (e.g., en, es, pt-BR): ${invalid.join(", ")}`);
+    }
+  }
+
+  if (has("acceptedInsurance")) {
+    values.acceptedInsurance = list(input.acceptedInsurance, "acceptedInsurance", MAX_INSURANCE_ENTRIES);
+  }
+
+  if (has("clinicLocation")) {
+    const location = input.clinicLocation;
+    if (blank(location)) {
+      values.clinicLocation = null;
+    } else if (typeof location !== "object" || Array.isArray(location)) {
+      errors.push("clinicLocation must be an object");
+    } else {
+      values.clinicLocation = {};
+      for (const field of LOCATION_FIELDS) {
+        values.clinicLocation[field] = text(location[field], `clinicLocation.${field}`);
+      }
+      for (const field of REQUIRED_LOCATION_FIELDS) {
+        if (!values.clinicLocation[field]) errors.push(`clinicLocation.${field} is required`);
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, "Invalid profile", errors);
+  }
+  return values;
+};
+
+/**
+ * Load a doctor's profile (null when they have not started one).
+ *
+ * @param {string} userId - Doctor's user ID
+ * @param {Object} [options] - Passed to findOne (e.g., transaction)
+ * @returns {Promise<Object|null>}
+ */
+const getDoctorProfile = (userId, options = {}) =>
+  DoctorProfile.findOne({ where: { userId }, ...options });
+
+/**
+ * Create or update a doctor's profile.
+ *
+ * @param {string} userId - Doctor's user ID
+ * @param {Object} input - Profile fields to change
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLicense] - Accept licenseNumber (admins)
+ * @param {Object} [options.transaction] - Transaction to write in
+ * @returns {Promise<Object>} The saved profile
+ * @throws {HttpError} 400 for invalid input
+ */
+const saveDoctorProfile = async (userId, input, { allowLicense, transaction } = {}) => {
+  const values = normalizeDoctorProfile(input || {}, { allowLicense });
+
+  const [profile] = await DoctorProfile.findOrCreate({
+    where: { userId },
+    defaults: { userId },
+    transaction,
+  });
+
+  profile.set(values);
+  if (profile.changed()) await profile.save({ transaction });
+  return profile;
+};
+
+/**
+ * Add each doctor's next open slot (null when none in the search window).
+ */
+const withNextAvailable = async (doctors, { to, patientId } = {}) => {
+  const entries = [];
+  for (let i = 0; i < doctors.length; i += AVAILABILITY_CONCURRENCY) {
+    const batch = doctors.slice(i, i + AVAILABILITY_CONCURRENCY);
+    const slots = await Promise.all(
+      batch.map((doctor) => findNextAvailableSlot(doctor.id, { to, patientId }))
+    );
+    batch.forEach((doctor, index) => {
+      entries.push({ ...doctor.toJSON(), nextAvailable: slots[index] });
+    });
+  }
+  return entries;
+};
+
+/**
+ * Doctors with working hours on a weekday between today and `to`.
+ *
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} Doctor IDs
+ */
+const findScheduledDoctorIds = async (to) => {
+  const weekdays = new Set();
+  for (let date = today(); date <= to && weekdays.size < 7; date = addDays(date, 1)) {
+    weekdays.add(getDayOfWeek(date));
+  }
+  if (!weekdays.size) return [];
+
+  const schedules = await DoctorSchedule.findAll({
+    attributes: ["doctorId"],
+    where: { dayOfWeek: { [Op.in]: [...weekdays] } },
+    group: ["doctorId"],
+    raw: true,
+  });
+  return schedules.map((schedule) => schedule.doctorId);
+};
+
+/**
+ * Search the provider directory (active doctors, by username).
+ *
+ * @param {Object} filters
+ * @param {string} [filters.q] - Text in the username, specialty, credentials or bio
+ * @param {string} [filters.specialty] - Exact specialty (case-insensitive)
+ * @param {string} [filters.language] - Language code the doctor speaks
+ * @param {string} [filters.availableBy] - Only doctors with an open slot on
+ *   or before this date (YYYY-MM-DD); of the doctors with working hours in
+ *   that window, the first MAX_AVAILABILITY_CHECKS are checked
+ * @param {string} [filters.patientId] - Viewer; slots held for them count as open
+ * @param {number} [filters.page] - 1-based page
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{rows: Array<Object>, count: number}>} Doctors with their
+ *   profile and nextAvailable slot
+ */
+const searchDoctors = async ({
+  q,
+  specialty,
+  language,
+  availableBy,
+  patientId,
+  page = 1,
+  limit = 20,
+}) => {
+  const where = { role: "doctor", status: "active" };
+  if (q) {
+    const pattern = `%${escapeLike(q)}%`;
+    where[Op.or] = [
+      { username: { [Op.iLike]: pattern } },
+      { "$doctorProfile.specialty$": { [Op.iLike]: pattern } },
+      { "$doctorProfile.credentials$": { [Op.iLike]: pattern } },
+      { "$doctorProfile.bio$": { [Op.iLike]: pattern } },
+    ];
+  }
+
+  const profileWhere = {};
+  if (specialty) profileWhere.specialty = { [Op.iLike]: escapeLike(specialty) };
+  if (language) profileWhere.languages = { [Op.contains]: [language.toLowerCase()] };
+
+  const query = {
+    where,
+    attributes: ["id", "username"],
+    include: [
+      Object.keys(profileWhere).length
+        ? { ...doctorProfileInclude, where: profileWhere, required: true }
+        : doctorProfileInclude,
+    ],
+    order: [["username", "ASC"]],
+  };
+
+  if (!availableBy) {
+    const { rows, count } = await User.findAndCountAll({
+      ...query,
+      limit,
+      offset: (page - 1) * limit,
+    });
+    return { rows: await withNextAvailable(rows, { patientId }), count };
+  }
+
+  // Openings come from schedules, so matches are checked before paging;
+  // doctors who do not work in the window are left out up front
+  where.id = { [Op.in]: await findScheduledDoctorIds(availableBy) };
+  const candidates = await User.findAll({ ...query, limit: MAX_AVAILABILITY_CHECKS });
+  const doctors = await withNextAvailable(candidates, { to: availableBy, patientId });
+  const available = doctors.filter((doctor) => doctor.nextAvailable);
+  return {
+    rows: available.slice((page - 1) * limit, page * limit),
+    count: available.length,
+  };
+};
+
+/**
+ * Load one directory entry.
+ *
+ * @param {string} doctorId - Doctor's user ID
+ * @param {Object} [options]
+ * @param {string} [options.patientId] - Viewer; slots held for them count as open
+ * @returns {Promise<Object>} Doctor with profile and nextAvailable slot
+ * @throws {HttpError} 404 when no active doctor has this ID
+ */
+const getDirectoryEntry = async (doctorId, { patientId } = {}) => {
+  const doctor = UUID_PATTERN.test(String(doctorId))
+    ? await User.findOne({
+        where: { id: doctorId, role: "doctor", status: "active" },
+        attributes: ["id", "username"],
+        include: [doctorProfileInclude],
+      })
+    : null;
+  if (!doctor) {
+    throw new HttpError(404, "Doctor not found");
+  }
+
+  const [entry] = await withNextAvailable([doctor], { patientId });
+  return entry;
+};
+
+module.exports = {
+  doctorProfileInclude,
+  normalizeDoctorProfile,
+  getDoctorProfile,
+  saveDoctorProfile,
+  searchDoctors,
+  getDirectoryEntry,
+};
@@ -0,0 +1,148 @@
+/**
+ * Email Verification Service
+ * --------------------------
+ * Confirms that a user owns the email address they registered with.
+ *
+ * - New accounts start unverified and are emailed a signed link (JWT with
+ *   its own audience, valid for EMAIL_VERIFICATION_TTL, default 24h)
+ * - The link is bound to the address it was sent to, so it stops working
+ *   if the email changes
+ * - A new link can be requested once per RESEND_COOLDOWN_SECONDS
+ * - Unverified accounts cannot book (see middleware/emailVerification.js)
+ */
+
+const jwt = require("jsonwebtoken");
+const { User } = require("../models");
+const { getRateLimitStore } = require("./rateLimitStore");
+const { sendMail } = require("../notifications/transports/mailer");
+const { logSecurityEvent } = require("../utils/securityLog");
+const { HttpError } = require("../utils/httpError");
+
+const AUDIENCE = "email-verification";
+const TOKEN_TTL = process.env.EMAIL_VERIFICATION_TTL || "24h";
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Link the user clicks. It points at the API, which verifies on GET.
+ * PUBLIC_API_URL wins over localhost (set it in production).
+ */
+const verificationUrl = (token) => {
+  const base = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base.replace(/\/$/, "")}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email a verification link to a user.
+ *
+ * @param {Object} user - Unverified user
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign({ email: user.email }, process.env.JWT_SECRET, {
+    subject: user.id,
+    audience: AUDIENCE,
+    expiresIn: TOKEN_TTL,
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hello ${user.username},\n\n` +
+      `Please confirm your email address by opening this link:\n\n` +
+      `${verificationUrl(token)}\n\n` +
+      `You can book appointments once your address is confirmed.\n\n— Healthcare Systems`,
+  });
+};
+
+/**
+ * Send the verification email without failing the caller (registration
+ * succeeds even if the mail server is down; the user can resend later).
+ *
+ * @param {Object} user - Unverified user
+ */
+const sendVerificationEmailSafely = (user) =>
+  sendVerificationEmail(user).catch((error) =>
+    console.error("Verification email error:", error)
+  );
+
+/**
+ * Mark the user in a verification link as verified.
+ *
+ * @param {string} token - Token from the link
+ * @returns {Promise<{user: Object, alreadyVerified: boolean}>}
+ * @throws {HttpError} 400 for an invalid, expired or outdated link
+ */
+const verifyEmailToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(String(token), process.env.JWT_SECRET, { audience: AUDIENCE });
+  } catch (error) {
+    throw new HttpError(400, "This verification link is invalid or has expired");
+  }
+
+  const user = await User.findByPk(claims.sub);
+  if (!user || user.email !== claims.email) {
+    throw new HttpError(400, "This verification link is invalid or has expired");
+  }
+  if (user.emailVerifiedAt) {
+    return { user, alreadyVerified: true };
+  }
+
+  user.emailVerifiedAt = new Date();
+  await user.save();
+  return { user, alreadyVerified: false };
+};
+
+/**
+ * Send a fresh verification link to a logged-in user.
+ *
+ * @param {Object} user - Authenticated user
+ * @throws {HttpError} 409 when already verified, 429 during the cooldown
+ */
+const resendVerification = async (user) => {
+  if (user.emailVerifiedAt) {
+    throw new HttpError(409, "Email address is already verified");
+  }
+
+  const store = getRateLimitStore();
+  const key = `verify-email:user:${user.id}`;
+  const entry = await store.get(key);
+  if (entry && entry.blockedUntil && entry.blockedUntil > new Date()) {
+    const error = new HttpError(429, "Please wait before requesting another verification email");
+    error.retryAfter = Math.ceil((entry.blockedUntil.getTime() - Date.now()) / 1000);
+    throw error;
+  }
+  await store.block(key, new Date(Date.now() + RESEND_COOLDOWN_SECONDS * 1000));
+
+  await sendVerificationEmail(user);
+};
+
+/**
+ * Set a user's verification status by hand (admin override).
+ *
+ * @param {Object} user - Target user
+ * @param {boolean} verified - New status
+ * @param {Object} admin - Admin making the change
+ * @returns {Promise<Object>} The updated user
+ */
+const setEmailVerified = async (user, verified, admin) => {
+  user.emailVerifiedAt = verified ? user.emailVerifiedAt || new Date() : null;
+  await user.save();
+
+  logSecurityEvent("email_verification_override", {
+    userId: user.id,
+    email: user.email,
+    verified,
+    adminId: admin.id,
+  });
+  return user;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendVerificationEmailSafely,
+  verifyEmailToken,
+  resendVerification,
+  setEmailVerified,
+};
@@ -0,0 +1,433 @@
+/**
+ * Encounter Service
+ * -----------------
+ * Clinical records for completed appointments.
+ *
+ * Flow:
+ * 1. The appointment's doctor creates the encounter (version 1, a draft)
+ *    and edits it until it is ready.
+ * 2. The doctor signs it: the version is sealed with a signature hash and
+ *    the encounter becomes "final" (visible to the patient).
+ * 3. Corrections are amendments: a new version (with a reason) that starts
+ *    as a draft and is signed by its author. Earlier versions stay as they
+ *    were signed.
+ */
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { Encounter, EncounterVersion, User, sequelize } = require("../models");
+const { can } = require("./authorization");
+const { stableStringify } = require("../utils/canonicalJson");
+const { HttpError } = require("../utils/httpError");
+
+const SOAP_FIELDS = ["subjective", "objective", "assessment", "plan"];
+const MAX_NOTE_LENGTH = 20000;
+const MAX_DIAGNOSES = 20;
+
+// ICD-10(-CM) code: letter, two characters, optional dot and up to 4 more
+const ICD10_PATTERN = /^[A-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+
+// Vital sign → [min, max] accepted
+const VITAL_RANGES = {
+  heightCm: [20, 272],
+  weightKg: [0.3, 650],
+  temperatureC: [25, 45],
+  heartRate: [20, 300],
+  respiratoryRate: [4, 80],
+  systolicBp: [40, 300],
+  diastolicBp: [20, 200],
+  oxygenSaturation: [50, 100],
+  painScore: [0, 10],
+};
+
+const participantAttributes = ["id", "username", "email"];
+
+/**
+ * Bring an ICD-10 code to its dotted upper-case form ("e119" → "E11.9").
+ *
+ * @param {string} code - Code as entered
+ * @returns {string}
+ */
+const normalizeIcd10 = (code) => {
+  const compact = String(code || "").trim().toUpperCase().replace(".", "");
+  return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+};
+
+/**
+ * Validate and normalize the clinical content of a version. Fields left
+ * out keep their value from `base`.
+ *
+ * @param {Object} input - { subjective, objective, assessment, plan, diagnoses, vitals }
+ * @param {Object} [base] - Content to start from (e.g., the signed version being amended)
+ * @returns {Object} Content ready to store
+ * @throws {HttpError} 400 listing every problem
+ */
+const buildContent = (input, base = {}) => {
+  const errors = [];
+  const content = {};
+
+  for (const field of SOAP_FIELDS) {
+    const value = input[field] !== undefined ? input[field] : base[field];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      errors.push(`${field} must be text`);
+    } else if (value && value.length > MAX_NOTE_LENGTH) {
+      errors.push(`${field} cannot exceed ${MAX_NOTE_LENGTH} characters`);
+    }
+    content[field] = value || null;
+  }
+
+  const diagnoses = input.diagnoses !== undefined ? input.diagnoses : base.diagnoses || [];
+  if (!Array.isArray(diagnoses)) {
+    errors.push("diagnoses must be a list");
+  } else if (diagnoses.length > MAX_DIAGNOSES) {
+    errors.push(`No more than ${MAX_DIAGNOSES} diagnoses are allowed`);
+  } else {
+    content.diagnoses = diagnoses.map((diagnosis, i) => {
+      const code = normalizeIcd10(diagnosis && diagnosis.code);
+      if (!ICD10_PATTERN.test(code)) {
+        errors.push(`diagnoses[${i}].code must be an ICD-10 code (e.g., E11.9)`);
+      }
+      return {
+        code,
+        description: (diagnosis && diagnosis.description) || null,
+        primary: Boolean(diagnosis && diagnosis.primary),
+      };
+    });
+    if (content.diagnoses.filter((d) => d.primary).length > 1) {
+      errors.push("Only one diagnosis can be primary");
+    }
+  }
+
+  const vitals = input.vitals !== undefined ? input.vitals : base.vitals || {};
+  if (!vitals || typeof vitals !== "object" || Array.isArray(vitals)) {
+    errors.push("vitals must be an object");
+  } else {
+    content.vitals = {};
+    for (const [name, value] of Object.entries(vitals)) {
+      const range = VITAL_RANGES[name];
+      if (!range) {
+        errors.push(`Unknown vital sign: ${name}`);
+      } else if (value !== null) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < range[0] || number > range[1]) {
+          errors.push(`${name} must be between ${range[0]} and ${range[1]}`);
+        } else {
+          content.vitals[name] = number;
+        }
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, "Invalid encounter record", errors);
+  }
+  return content;
+};
+
+/**
+ * Load an encounter by ID, optionally locking it.
+ *
+ * @throws {HttpError} 404 when missing
+ */
+const findEncounter = async (encounterId, { transaction } = {}) => {
+  const encounter = await Encounter.findByPk(encounterId, {
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE }),
+  });
+  if (!encounter) {
+    throw new HttpError(404, "Encounter not found");
+  }
+  return encounter;
+};
+
+/**
+ * Load the newest version of an encounter.
+ */
+const findCurrentVersion = (encounter, { transaction } = {}) =>
+  EncounterVersion.findOne({
+    where: { encounterId: encounter.id, version: encounter.currentVersion },
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE }),
+  });
+
+/**
+ * Only the appointment's doctor writes the record.
+ *
+ * @throws {HttpError} 403 for anyone else
+ */
+const assertAuthor = (encounter, doctor, permission) => {
+  if (encounter.doctorId !== doctor.id || !can(doctor, permission, encounter)) {
+    throw new HttpError(403, "Only the treating doctor can write this record");
+  }
+};
+
+/**
+ * Start the clinical record of a completed appointment.
+ *
+ * @param {Object} appointment - Appointment instance
+ * @param {Object} doctor - Treating doctor
+ * @param {Object} input - Initial content (may be partial)
+ * @returns {Promise<{encounter: Object, version: Object}>}
+ * @throws {HttpError} 403 for other users, 409 when the appointment is not
+ *   completed or already has a record
+ */
+const createEncounter = (appointment, doctor, input) => {
+  if (appointment.doctorId !== doctor.id || !can(doctor, "encounter:create", appointment)) {
+    throw new HttpError(403, "Only the treating doctor can write this record");
+  }
+  if (appointment.status !== "completed") {
+    throw new HttpError(409, "Records can only be written for completed appointments");
+  }
+  const content = buildContent(input);
+
+  return sequelize.transaction(async (transaction) => {
+    const existing = await Encounter.findOne({
+      where: { appointmentId: appointment.id },
+      transaction,
+    });
+    if (existing) {
+      throw new HttpError(409, "This appointment already has a record; amend it instead");
+    }
+
+    const encounter = await Encounter.create(
+      {
+        appointmentId: appointment.id,
+        patientId: appointment.patientId,
+        doctorId: appointment.doctorId,
+      },
+      { transaction }
+    );
+    const version = await EncounterVersion.create(
+      { ...content, encounterId: encounter.id, version: 1, authorId: doctor.id },
+      { transaction }
+    );
+
+    return { encounter, version };
+  });
+};
+
+/**
+ * Edit the unsigned draft (the original note or a pending amendment).
+ *
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} doctor - Author of the draft
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>} The updated draft version
+ * @throws {HttpError} 409 when there is no draft
+ */
+const updateDraft = (encounterId, doctor, input) =>
+  sequelize.transaction(async (transaction) => {
+    const encounter = await findEncounter(encounterId, { transaction });
+    assertAuthor(encounter, doctor, "encounter:update");
+
+    const draft = await findCurrentVersion(encounter, { transaction });
+    if (draft.isSigned()) {
+      throw new HttpError(409, "The record is signed; create an amendment to change it");
+    }
+
+    const { amendmentReason } = input;
+    if (draft.version > 1 && amendmentReason !== undefined) {
+      if (!String(amendmentReason || "").trim()) {
+        throw new HttpError(400, "amendmentReason cannot be empty");
+      }
+      draft.amendmentReason = amendmentReason;
+    }
+
+    Object.assign(draft, buildContent(input, draft.get({ plain: true })));
+    await draft.save({ transaction });
+    return draft;
+  });
+
+/**
+ * Signature over a version: its content, number, author and signing time.
+ *
+ * @param {Object} version - EncounterVersion with signedAt set
+ * @returns {string} Hex SHA-256
+ */
+const computeSignature = (version) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        encounterId: version.encounterId,
+        version: version.version,
+        authorId: version.authorId,
+        signedAt: new Date(version.signedAt).toISOString(),
+        amendmentReason: version.amendmentReason || null,
+        ...SOAP_FIELDS.reduce((fields, field) => ({ ...fields, [field]: version[field] || null }), {}),
+        diagnoses: version.diagnoses,
+        vitals: version.vitals,
+      })
+    )
+    .digest("hex");
+
+/**
+ * Sign the current draft. Only its author can sign it.
+ *
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} doctor - Signing doctor
+ * @returns {Promise<{encounter: Object, version: Object}>}
+ * @throws {HttpError} 400 without an assessment, 403 for anyone but the
+ *   author, 409 when nothing is waiting to be signed
+ */
+const signEncounter = (encounterId, doctor) =>
+  sequelize.transaction(async (transaction) => {
+    const encounter = await findEncounter(encounterId, { transaction });
+    assertAuthor(encounter, doctor, "encounter:sign");
+
+    const version = await findCurrentVersion(encounter, { transaction });
+    if (version.isSigned()) {
+      throw new HttpError(409, "There is no unsigned version to sign");
+    }
+    if (version.authorId !== doctor.id) {
+      throw new HttpError(403, "Only the author of this version can sign it");
+    }
+    if (!version.assessment) {
+      throw new HttpError(400, "An assessment is required before signing");
+    }
+
+    version.signedAt = new Date();
+    version.signatureHash = computeSignature(version);
+    await version.save({ transaction });
+
+    encounter.status = "final";
+    encounter.signedVersion = version.version;
+    encounter.finalizedAt = encounter.finalizedAt || version.signedAt;
+    await encounter.save({ transaction });
+
+    return { encounter, version };
+  });
+
+/**
+ * Start an amendment of a signed record. The new version starts from the
+ * latest signed content with the given changes applied, and must then be
+ * signed.
+ *
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} doctor - Amending doctor
+ * @param {Object} input - Changes plus `amendmentReason`
+ * @returns {Promise<Object>} The new draft version
+ * @throws {HttpError} 400 without a reason, 409 when the record is still a
+ *   draft or an amendment is already pending
+ */
+const amendEncounter = (encounterId, doctor, input) =>
+  sequelize.transaction(async (transaction) => {
+    const encounter = await findEncounter(encounterId, { transaction });
+    assertAuthor(encounter, doctor, "encounter:update");
+
+    const reason = String(input.amendmentReason || "").trim();
+    if (!reason) {
+      throw new HttpError(400, "amendmentReason is required");
+    }
+
+    const current = await findCurrentVersion(encounter, { transaction });
+    if (!current.isSigned()) {
+      throw new HttpError(
+        409,
+        current.version === 1
+          ? "The record is still a draft; edit it instead"
+          : "An amendment is already waiting to be signed"
+      );
+    }
+
+    const version = await EncounterVersion.create(
+      {
+        ...buildContent(input, current.get({ plain: true })),
+        encounterId: encounter.id,
+        version: current.version + 1,
+        authorId: doctor.id,
+        amendmentReason: reason,
+      },
+      { transaction }
+    );
+
+    encounter.currentVersion = version.version;
+    await encounter.save({ transaction });
+    return version;
+  });
+
+/**
+ * Whether the viewer may see unsigned drafts (the treating doctor, or
+ * roles that read every record).
+ */
+const seesDrafts = (encounter, viewer) =>
+  encounter.doctorId === viewer.id || can(viewer, "encounter:read:any");
+
+/**
+ * Load an encounter as the viewer may see it: everything for the
+ * treating doctor (and "encounter:read:any"), signed versions only for the
+ * patient.
+ *
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} viewer - Authenticated user
+ * @returns {Promise<Object>} Encounter with `versions` (oldest first)
+ * @throws {HttpError} 404 when missing or not visible
+ */
+const getEncounterForViewer = async (encounterId, viewer) => {
+  const encounter = await Encounter.findByPk(encounterId, {
+    include: [
+      { model: User, as: "patient", attributes: participantAttributes },
+      { model: User, as: "doctor", attributes: participantAttributes },
+      {
+        model: EncounterVersion,
+        as: "versions",
+        include: [{ model: User, as: "author", attributes: ["id", "username"] }],
+      },
+    ],
+    order: [[{ model: EncounterVersion, as: "versions" }, "version", "ASC"]],
+  });
+
+  if (!encounter || !can(viewer, "encounter:read", encounter)) {
+    throw new HttpError(404, "Encounter not found");
+  }
+  if (seesDrafts(encounter, viewer)) return encounter;
+
+  if (encounter.status !== "final") {
+    throw new HttpError(404, "Encounter not found");
+  }
+  encounter.setDataValue("versions", encounter.versions.filter((v) => v.isSigned()));
+  return encounter;
+};
+
+/**
+ * A patient's finalized records, newest first, with the latest signed
+ * version of each.
+ *
+ * @param {Object} patient - Patient
+ * @returns {Promise<Array<Object>>}
+ */
+const listPatientEncounters = async (patient) => {
+  const encounters = await Encounter.findAll({
+    where: { patientId: patient.id, status: "final" },
+    include: [{ model: User, as: "doctor", attributes: participantAttributes }],
+    order: [["finalizedAt", "DESC"]],
+  });
+
+  const latest = encounters.length
+    ? await EncounterVersion.findAll({
+        where: {
+          [Op.or]: encounters.map((e) => ({ encounterId: e.id, version: e.signedVersion })),
+        },
+      })
+    : [];
+  const byEncounter = new Map(latest.map((v) => [v.encounterId, v]));
+
+  return encounters.map((encounter) => {
+    encounter.setDataValue("latestVersion", byEncounter.get(encounter.id) || null);
+    return encounter;
+  });
+};
+
+module.exports = {
+  ICD10_PATTERN,
+  VITAL_RANGES,
+  normalizeIcd10,
+  buildContent,
+  createEncounter,
+  updateDraft,
+  signEncounter,
+  amendEncounter,
+  computeSignature,
+  getEncounterForViewer,
+  listPatientEncounters,
+};
@@ -0,0 +1,465 @@
+/**
+ * FHIR Service
+ * ------------
+ * Reads, searches and creates the records behind the FHIR R4 facade
+ * (routes/fhirRoutes.js), applying the same permissions as the REST API.
+ *
+ * - Patients: the patient themselves, doctors they have appointments with
+ *   ("patient:read:own") and admins ("patient:read:any")
+ * - Practitioners, Schedules and Slots: anyone who may look up schedules
+ * - Appointments: participants ("appointment:read:own") and admins; new
+ *   appointments go through the normal booking rules (bookSlot)
+ *
+ * Search results are paged with `_count` (default 50, max 200) and `_offset`.
+ */
+
+const { Op } = require("sequelize");
+const { Appointment, DoctorSchedule, User } = require("../models");
+const {
+  MAX_RANGE_DAYS,
+  addDays,
+  findDoctor,
+  getAvailableSlots,
+  today,
+} = require("./availabilityService");
+const { bookSlot } = require("./bookingService");
+const { loadDurations } = require("./calendarService");
+const { profileInclude } = require("./patientProfileService");
+const { authorize, can } = require("./authorization");
+const fhir = require("../fhir/resources");
+const { HttpError } = require("../utils/httpError");
+const { escapeLike } = require("../utils/like");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// FHIR date prefix → Sequelize operator
+const DATE_PREFIXES = {
+  eq: Op.eq,
+  ne: Op.ne,
+  lt: Op.lt,
+  le: Op.lte,
+  gt: Op.gt,
+  ge: Op.gte,
+  eb: Op.lt,
+  sa: Op.gt,
+};
+
+const participantAttributes = ["id", "username"];
+
+// ---------------------- Search Parameter Helpers ----------------------
+
+/**
+ * All values of a search parameter (repeated and comma-separated).
+ *
+ * @param {Object} query - req.query
+ * @param {string} name - Parameter name
+ * @returns {Array<string>}
+ */
+const valuesOf = (query, name) =>
+  [].concat(query[name] === undefined ? [] : query[name])
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/**
+ * Read `_count` and `_offset`.
+ *
+ * @param {Object} query - req.query
+ * @returns {{limit: number, offset: number}}
+ */
+const pageOf = (query) => {
+  const count = Number(query._count || DEFAULT_PAGE_SIZE);
+  const offset = Number(query._offset || 0);
+  return {
+    limit: Number.isInteger(count) && count > 0 ? Math.min(count, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0,
+  };
+};
+
+/**
+ * IDs from reference parameters, rejecting malformed ones.
+ *
+ * @throws {HttpError} 400 when a reference is not a valid ID of the type
+ */
+const referencedIds = (query, name, type) =>
+  valuesOf(query, name).map((value) => {
+    const id = fhir.parseReference(value, type);
+    if (!id || !UUID_PATTERN.test(id)) {
+      throw new HttpError(400, `${name} must reference a ${type} (e.g., ${type}/<id>)`);
+    }
+    return id;
+  });
+
+/**
+ * Turn date parameters ("ge2026-10-01", "2026-10-20", ...) into conditions
+ * on a DATEONLY column. Only the date part of a dateTime is used.
+ *
+ * @param {Array<string>} values - Parameter values
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {Array<Array>} [operator, YYYY-MM-DD] pairs
+ * @throws {HttpError} 400 for an unknown prefix or an invalid date
+ */
+const dateConditions = (values, name) =>
+  values.map((value) => {
+    const match = /^(eq|ne|lt|le|gt|ge|sa|eb)?(\d{4}-\d{2}-\d{2})/.exec(value);
+    if (!match) {
+      throw new HttpError(400, `${name} must be a date (YYYY-MM-DD) with an optional eq, ne, lt, le, gt or ge prefix`);
+    }
+    return [DATE_PREFIXES[match[1] || "eq"], match[2]];
+  });
+
+/**
+ * Sequelize `where` for a DATEONLY column from date parameters.
+ */
+const dateWhere = (values, name) => {
+  const conditions = dateConditions(values, name);
+  return conditions.length
+    ? { [Op.and]: conditions.map(([op, date]) => ({ [op]: date })) }
+    : undefined;
+};
+
+// ---------------------- Patient ----------------------
+
+/**
+ * Doctors a patient has (had) appointments with.
+ *
+ * @param {string} patientId - Patient's user ID
+ * @returns {Promise<Array<string>>}
+ */
+const careTeamOf = async (patientId) => {
+  const appointments = await Appointment.findAll({
+    where: { patientId },
+    attributes: ["doctorId"],
+  });
+  return [...new Set(appointments.map((a) => a.doctorId))];
+};
+
+/**
+ * Read one Patient.
+ *
+ * @param {string} id - Patient's user ID
+ * @param {Object} viewer - Authenticated user
+ * @returns {Promise<Object>} FHIR Patient
+ * @throws {HttpError} 404 when missing or not visible to the viewer
+ */
+const readPatient = async (id, viewer) => {
+  const patient = UUID_PATTERN.test(String(id))
+    ? await User.findOne({ where: { id, role: "patient" }, include: [profileInclude] })
+    : null;
+  if (!patient) {
+    throw new HttpError(404, `Patient/${id} not found`);
+  }
+
+  const record = {
+    id: patient.id,
+    careTeamIds: can(viewer, "patient:read:any") ? [] : await careTeamOf(patient.id),
+  };
+  if (!can(viewer, "patient:read", record)) {
+    throw new HttpError(404, `Patient/${id} not found`);
+  }
+
+  return fhir.toPatient(patient);
+};
+
+/**
+ * Search Patients by _id, name and email.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} viewer - Authenticated user
+ * @returns {Promise<{resources: Array<Object>, total: number}>}
+ */
+const searchPatients = async (query, viewer) => {
+  const conditions = [];
+
+  const ids = valuesOf(query, "_id").filter((id) => UUID_PATTERN.test(id));
+  if (query._id !== undefined) conditions.push({ id: { [Op.in]: ids } });
+  if (query.name) conditions.push({ username: { [Op.iLike]: `%${escapeLike(query.name)}%` } });
+  if (query.email) conditions.push({ email: String(query.email).toLowerCase() });
+
+  // Without the "any" scope: themselves and the patients they have seen
+  if (!can(viewer, "patient:read:any")) {
+    const seen = await Appointment.findAll({
+      where: { doctorId: viewer.id },
+      attributes: ["patientId"],
+    });
+    conditions.push({ id: { [Op.in]: [viewer.id, ...seen.map((a) => a.patientId)] } });
+  }
+
+  const { rows, count } = await User.findAndCountAll({
+    where: { role: "patient", [Op.and]: conditions },
+    include: [profileInclude],
+    order: [["username", "ASC"]],
+    ...pageOf(query),
+  });
+
+  return { resources: rows.map(fhir.toPatient), total: count };
+};
+
+// ---------------------- Practitioner ----------------------
+
+/**
+ * Read one Practitioner.
+ *
+ * @param {string} id - Doctor's user ID
+ * @returns {Promise<Object>} FHIR Practitioner
+ * @throws {HttpError} 404 for an unknown doctor
+ */
+const readPractitioner = async (id) => fhir.toPractitioner(await findDoctor(id));
+
+/**
+ * Search active Practitioners by _id and name (suspended doctors and
+ * pending applications are left out, as in the provider directory).
+ *
+ * @param {Object} query - req.query
+ * @returns {Promise<{resources: Array<Object>, total: number}>}
+ */
+const searchPractitioners = async (query) => {
+  const conditions = [];
+  const ids = valuesOf(query, "_id").filter((id) => UUID_PATTERN.test(id));
+  if (query._id !== undefined) conditions.push({ id: { [Op.in]: ids } });
+  if (query.name) conditions.push({ username: { [Op.iLike]: `%${escapeLike(query.name)}%` } });
+
+  const { rows, count } = await User.findAndCountAll({
+    where: { role: "doctor", status: "active", [Op.and]: conditions },
+    order: [["username", "ASC"]],
+    ...pageOf(query),
+  });
+
+  return { resources: rows.map(fhir.toPractitioner), total: count };
+};
+
+// ---------------------- Appointment ----------------------
+
+const appointmentIncludes = [
+  { model: User, as: "patient", attributes: participantAttributes },
+  { model: User, as: "doctor", attributes: participantAttributes },
+];
+
+/**
+ * Map appointments to FHIR, with visit lengths from the doctors' schedules.
+ */
+const toAppointments = async (appointments) => {
+  const durationOf = await loadDurations(appointments);
+  return appointments.map((a) => fhir.toAppointment(a, durationOf(a)));
+};
+
+/**
+ * Read one Appointment.
+ *
+ * @param {string} id - Appointment ID
+ * @param {Object} viewer - Authenticated user
+ * @returns {Promise<Object>} FHIR Appointment
+ * @throws {HttpError} 404 when missing or not visible to the viewer
+ */
+const readAppointment = async (id, viewer) => {
+  const appointment = UUID_PATTERN.test(String(id))
+    ? await Appointment.findByPk(id, { include: appointmentIncludes })
+    : null;
+  if (!appointment || !can(viewer, "appointment:read", appointment)) {
+    throw new HttpError(404, `Appointment/${id} not found`);
+  }
+
+  const [resource] = await toAppointments([appointment]);
+  return resource;
+};
+
+/**
+ * Search Appointments by _id, patient, practitioner, actor, date and status.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} viewer - Authenticated user
+ * @returns {Promise<{resources: Array<Object>, total: number}>}
+ * @throws {HttpError} 400 for invalid parameters
+ */
+const searchAppointments = async (query, viewer) => {
+  const conditions = [];
+
+  if (query._id !== undefined) {
+    const ids = valuesOf(query, "_id").filter((id) => UUID_PATTERN.test(id));
+    conditions.push({ id: { [Op.in]: ids } });
+  }
+
+  const patientIds = referencedIds(query, "patient", "Patient");
+  if (patientIds.length) conditions.push({ patientId: { [Op.in]: patientIds } });
+
+  const doctorIds = referencedIds(query, "practitioner", "Practitioner");
+  if (doctorIds.length) conditions.push({ doctorId: { [Op.in]: doctorIds } });
+
+  for (const value of valuesOf(query, "actor")) {
+    const id = fhir.parseReference(value, value.includes("Practitioner/") ? "Practitioner" : "Patient");
+    if (!id || !UUID_PATTERN.test(id)) {
+      throw new HttpError(400, "actor must reference a Patient or Practitioner");
+    }
+    conditions.push({ [Op.or]: [{ patientId: id }, { doctorId: id }] });
+  }
+
+  const date = dateWhere(valuesOf(query, "date"), "date");
+  if (date) conditions.push({ date });
+
+  const codes = valuesOf(query, "status");
+  if (codes.length) {
+    const unknown = codes.filter((code) => !fhir.statusesFor(code).length);
+    if (unknown.length) {
+      throw new HttpError(400, `Unsupported Appointment status: ${unknown.join(", ")}`);
+    }
+    conditions.push({ status: { [Op.in]: codes.flatMap(fhir.statusesFor) } });
+  }
+
+  // Without the "any" scope: only appointments the viewer takes part in
+  if (!can(viewer, "appointment:read:any")) {
+    conditions.push({ [Op.or]: [{ patientId: viewer.id }, { doctorId: viewer.id }] });
+  }
+
+  const { rows, count } = await Appointment.findAndCountAll({
+    where: { [Op.and]: conditions },
+    include: appointmentIncludes,
+    order: [["date", "ASC"], ["time", "ASC"]],
+    ...pageOf(query),
+  });
+
+  return { resources: await toAppointments(rows), total: count };
+};
+
+/**
+ * Book an appointment from a FHIR Appointment resource.
+ *
+ * @param {Object} resource - FHIR Appointment from the request body
+ * @param {Object} viewer - Authenticated user booking it
+ * @returns {Promise<{appointment: Object, resource: Object}>}
+ * @throws {HttpError} 400 for an invalid resource, 403 when booking for
+ *   someone else, 404/409 from the booking rules
+ */
+const createAppointment = async (resource, viewer) => {
+  const request = fhir.fromAppointment(resource);
+  const patientId = request.patientId || viewer.id;
+
+  if (patientId !== viewer.id) {
+    authorize(viewer, "appointment:book:any", undefined, "You can only book appointments for yourself");
+  }
+
+  const booked = await bookSlot({
+    patientId,
+    doctorId: request.doctorId,
+    date: request.date,
+    time: request.time,
+    reason: request.reason,
+    actor: viewer,
+  });
+
+  const appointment = await Appointment.findByPk(booked.id, { include: appointmentIncludes });
+  const [created] = await toAppointments([appointment]);
+  return { appointment, resource: created };
+};
+
+// ---------------------- Schedule & Slot ----------------------
+
+/**
+ * Read one Schedule (a doctor's weekly hours).
+ *
+ * @param {string} id - Doctor's user ID
+ * @returns {Promise<Object>} FHIR Schedule
+ * @throws {HttpError} 404 for an unknown doctor
+ */
+const readSchedule = async (id) => {
+  const doctor = await findDoctor(id);
+  const days = await DoctorSchedule.findAll({ where: { doctorId: id } });
+  return fhir.toSchedule(doctor, days);
+};
+
+/**
+ * Search Schedules, optionally by actor (Practitioner).
+ *
+ * @param {Object} query - req.query
+ * @returns {Promise<{resources: Array<Object>, total: number}>}
+ */
+const searchSchedules = async (query) => {
+  const doctorIds = referencedIds(query, "actor", "Practitioner");
+
+  const { rows, count } = await User.findAndCountAll({
+    where: {
+      role: "doctor",
+      ...(doctorIds.length && { id: { [Op.in]: doctorIds } }),
+    },
+    order: [["username", "ASC"]],
+    ...pageOf(query),
+  });
+
+  const days = rows.length
+    ? await DoctorSchedule.findAll({ where: { doctorId: { [Op.in]: rows.map((d) => d.id) } } })
+    : [];
+
+  return {
+    resources: rows.map((doctor) =>
+      fhir.toSchedule(doctor, days.filter((d) => d.doctorId === doctor.id))
+    ),
+    total: count,
+  };
+};
+
+/**
+ * Search free Slots of one Schedule.
+ *
+ * `start` takes ge/gt (from) and le/lt (to) bounds; the default range is the
+ * next 14 days. Slots held for the viewer by a waitlist offer are included.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} viewer - Authenticated user
+ * @returns {Promise<{resources: Array<Object>, total: number}>}
+ * @throws {HttpError} 400 without a schedule or for an invalid range
+ */
+const searchSlots = async (query, viewer) => {
+  const [doctorId] = referencedIds(query, "schedule", "Schedule");
+  if (!doctorId) {
+    throw new HttpError(400, "The schedule parameter is required (e.g., schedule=Schedule/<id>)");
+  }
+
+  // Only free slots are listed
+  const statuses = valuesOf(query, "status");
+  if (statuses.length && !statuses.includes("free")) {
+    return { resources: [], total: 0 };
+  }
+
+  let from = today();
+  let to = null;
+  for (const [op, date] of dateConditions(valuesOf(query, "start"), "start")) {
+    if (op === Op.gte) from = date;
+    else if (op === Op.gt) from = addDays(date, 1);
+    else if (op === Op.lte) to = date;
+    else if (op === Op.lt) to = addDays(date, -1);
+    else if (op === Op.eq) from = to = date;
+    else throw new HttpError(400, "start only supports the eq, ge, gt, le and lt prefixes");
+  }
+  if (from < today()) from = today();
+  to = to || addDays(from, 13);
+  if (to > addDays(from, MAX_RANGE_DAYS - 1)) {
+    throw new HttpError(400, `The start range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  if (to < from) {
+    return { resources: [], total: 0 };
+  }
+
+  const slots = await getAvailableSlots(doctorId, from, to, { patientId: viewer.id });
+  const { limit, offset } = pageOf(query);
+
+  return {
+    resources: slots.slice(offset, offset + limit).map((slot) => fhir.toSlot(doctorId, slot)),
+    total: slots.length,
+  };
+};
+
+module.exports = {
+  pageOf,
+  readPatient,
+  searchPatients,
+  readPractitioner,
+  searchPractitioners,
+  readAppointment,
+  searchAppointments,
+  createAppointment,
+  readSchedule,
+  searchSchedules,
+  searchSlots,
+};
@@ -0,0 +1,805 @@
+/**
+ * HL7 v2 Interface Service
+ * ------------------------
+ * Exchanges scheduling and patient messages with external systems.
+ *
+ * Inbound (HTTP, MLLP listener or file drop):
+ * - SIU^S12 → book and confirm an appointment
+ * - SIU^S14 → reschedule it and/or update its reason and notes
+ * - SIU^S15 → cancel it
+ * - ADT^A04 / ADT^A08 → register or update a patient
+ *
+ * Every message is logged (Hl7Message) and answered with an ACK: AA when
+ * applied, AE when it could not be applied (unknown doctor, slot taken, …)
+ * and AR when it is malformed or of an unsupported type. A retransmitted
+ * message (same sender and MSH-10) gets the stored ACK and is not applied
+ * twice.
+ *
+ * Patients, doctors and appointments are matched on our own IDs (assigning
+ * authority HL7_SENDING_FACILITY, or a bare UUID) or on identifiers the
+ * sender assigned (ExternalIdentifier), e.g. its MRN or placer appointment
+ * ID. Unknown patients are matched by email and otherwise registered. The
+ * demographics in PID, NK1 and IN1 are stored in the patient's profile.
+ *
+ * Outbound: appointment events are sent as SIU messages when
+ * HL7_OUTBOUND_MODE is "file" (written to HL7_OUTBOUND_DIR) or "mllp" (sent
+ * to HL7_OUTBOUND_HOST:HL7_OUTBOUND_PORT). Changes made by an inbound
+ * message are not echoed back.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { Op } = require("sequelize");
+const {
+  Appointment,
+  ExternalIdentifier,
+  Hl7Message,
+  User,
+  sequelize,
+} = require("../models");
+const { bookSlot, rescheduleAppointment } = require("./bookingService");
+const { transitionAppointment } = require("./appointmentLifecycle");
+const { onAppointmentEvent } = require("./appointmentEvents");
+const { loadDurations } = require("./calendarService");
+const { profileInclude, savePatientProfile } = require("./patientProfileService");
+const { parseMessage } = require("../hl7/parser");
+const { SENDING_APPLICATION, SENDING_FACILITY, buildAck } = require("../hl7/generator");
+const { readPatient, readSchedule, buildSiu } = require("../hl7/messages");
+const { MAX_MESSAGE_LENGTH, createMllpServer, sendMllpMessage } = require("../hl7/mllp");
+const { HttpError } = require("../utils/httpError");
+
+const OUTBOUND_MODE = process.env.HL7_OUTBOUND_MODE || "off"; // "off", "file" or "mllp"
+const OUTBOUND_DIR = process.env.HL7_OUTBOUND_DIR || "hl7/outbound";
+const OUTBOUND_HOST = process.env.HL7_OUTBOUND_HOST || "localhost";
+const OUTBOUND_PORT = Number(process.env.HL7_OUTBOUND_PORT || 2575);
+const MLLP_PORT = Number(process.env.HL7_MLLP_PORT || 0); // 0 = no listener
+const MLLP_HOST = process.env.HL7_MLLP_HOST || "127.0.0.1"; // Interface to listen on
+const MLLP_MAX_MESSAGE_LENGTH = Number(process.env.HL7_MLLP_MAX_MESSAGE_LENGTH || MAX_MESSAGE_LENGTH);
+
+const DEFAULT_REASON = "Scheduled by external system";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Field position as listed in errors raised by requireField (e.g., "PID-3")
+const FIELD_POSITION = /^[A-Z][A-Z0-9]{2}-\d+$/;
+
+// Acknowledgement code → outbound message status
+const ACK_STATUSES = {
+  AA: "acknowledged",
+  CA: "acknowledged",
+  AE: "error",
+  CE: "error",
+  AR: "rejected",
+  CR: "rejected",
+};
+
+// Set while an inbound message is applied, so its changes are not sent back
+const inboundContext = new AsyncLocalStorage();
+
+// ---------------------- Matching ----------------------
+
+/**
+ * Reject a message that lacks a field we need (ERR code 101).
+ *
+ * @param {*} value - Field value
+ * @param {string} field - Field position (e.g., "PID-3")
+ * @param {string} description - What the field holds
+ * @returns {*} The value
+ */
+const requireField = (value, field, description) => {
+  if (!value) throw new HttpError(400, `${field} (${description}) is required`, [field]);
+  return value;
+};
+
+/**
+ * ERR code for an error raised while applying a message.
+ */
+const errorCodeOf = (error) => {
+  if (error.status === 404) return "unknownKey";
+  if (error.status === 409 && error.errors) return "duplicateKey";
+  if (error.status === 400 && error.errors) {
+    return error.errors.every((e) => FIELD_POSITION.test(e)) ? "requiredFieldMissing" : "dataTypeError";
+  }
+  return "internalError";
+};
+
+/**
+ * Whether an identifier is one we assigned (our facility or a bare UUID).
+ */
+const isLocalId = ({ value, authority }) =>
+  UUID_PATTERN.test(value) && (!authority || authority === SENDING_FACILITY);
+
+/**
+ * Find the record an external identifier points to.
+ *
+ * @param {string} resourceType - "user" or "appointment"
+ * @param {string} system - Assigning authority / namespace
+ * @param {string} value - Identifier value
+ * @param {Object} [transaction] - Transaction to read in
+ * @returns {Promise<string|null>} Our record's ID
+ */
+const findMappedId = async (resourceType, system, value, transaction) => {
+  const mapping = await ExternalIdentifier.findOne({
+    where: { resourceType, system: system || "", value },
+    transaction,
+  });
+  return mapping ? mapping.resourceId : null;
+};
+
+/**
+ * Remember external identifiers for a record (existing mappings are kept).
+ */
+const recordIdentifiers = async (resourceType, resourceId, identifiers, transaction) => {
+  for (const { value, authority } of identifiers) {
+    if (isLocalId({ value, authority })) continue;
+    await ExternalIdentifier.findOrCreate({
+      where: { resourceType, system: authority || "", value },
+      defaults: { resourceId },
+      transaction,
+    });
+  }
+};
+
+/**
+ * Pick a free username for a new patient, e.g. "jane.doe" or "jane.doe4821".
+ */
+const newUsername = async ({ givenName, familyName, email }) => {
+  const name =
+    [givenName, familyName]
+      .filter(Boolean)
+      .join(".")
+      .toLowerCase()
+      .replace(/[^a-z0-9.]/g, "")
+      .slice(0, 40) || email.split("@")[0].slice(0, 40);
+  const base = name.length >= 3 ? name : `patient.${name}`;
+
+  let username = base;
+  while (await User.findOne({ where: { username } })) {
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+};
+
+/**
+ * Store the demographics of a PID (with NK1 and IN1) in the patient's
+ * profile. Fields the message leaves empty keep their stored value.
+ *
+ * @throws {HttpError} 400 when a value is invalid (e.g., a malformed phone)
+ */
+const saveDemographics = async (patient, info, transaction) => {
+  const input = {
+    legalFirstName: info.givenName,
+    legalMiddleName: info.middleName,
+    legalLastName: info.familyName,
+    dateOfBirth: info.birthDate,
+    sex: info.sex,
+    phone: info.phone,
+    address: info.address,
+    emergencyContact: info.emergencyContact,
+    preferredLanguage: info.language,
+    ...info.insurance,
+  };
+  for (const field of Object.keys(input)) {
+    if (!input[field]) delete input[field];
+  }
+
+  try {
+    await savePatientProfile(patient.id, input, { transaction });
+  } catch (error) {
+    if (error.name !== "HttpError" || !error.errors) throw error;
+    throw new HttpError(400, `Invalid patient demographics: ${error.errors.join("; ")}`, error.errors);
+  }
+};
+
+/**
+ * Find the patient in the PID segment, registering unknown patients.
+ *
+ * Lookup order: our own patient ID, identifiers the sender assigned, email.
+ * The sender's identifiers are remembered for later messages, and the
+ * demographics are stored in the patient's profile.
+ *
+ * @param {Object} message - Parsed message
+ * @param {Object} [transaction] - Transaction to write in
+ * @returns {Promise<Object>} Patient user
+ * @throws {HttpError} 400 without PID-3 or (for a new patient) an email, or
+ *   with invalid demographics; 409 when the email belongs to a staff account
+ */
+const resolvePatient = async (message, transaction) => {
+  const info = readPatient(message);
+  requireField(info && info.identifiers.length, "PID-3", "patient identifier");
+
+  let patient = null;
+  for (const id of info.identifiers) {
+    const patientId = isLocalId(id)
+      ? id.value
+      : await findMappedId("user", id.authority, id.value, transaction);
+    if (patientId) {
+      patient = await User.findOne({ where: { id: patientId, role: "patient" }, transaction });
+    }
+    if (patient) break;
+  }
+
+  if (!patient && info.email) {
+    const existing = await User.findOne({ where: { email: info.email }, transaction });
+    if (existing && existing.role !== "patient") {
+      throw new HttpError(409, "PID-13 email belongs to a staff account", ["PID-13"]);
+    }
+    patient = existing;
+  }
+
+  if (!patient) {
+    requireField(info.email, "PID-13", "email address of a new patient");
+    patient = await User.create(
+      {
+        username: await newUsername(info),
+        email: info.email,
+        password: crypto.randomBytes(24).toString("base64url"), // Set via password reset
+        role: "patient",
+        status: "active",
+      },
+      { transaction }
+    );
+  }
+
+  await recordIdentifiers("user", patient.id, info.identifiers, transaction);
+  await saveDemographics(patient, info, transaction);
+  return patient;
+};
+
+/**
+ * Find the doctor named in AIP-3 (or PV1-7).
+ *
+ * @param {Object} schedule - readSchedule() result
+ * @returns {Promise<Object>} Doctor user
+ * @throws {HttpError} 400 without a doctor, 404 for an unknown one
+ */
+const resolveDoctor = async ({ doctor }) => {
+  requireField(doctor, "AIP-3", "doctor");
+
+  const doctorId = isLocalId(doctor)
+    ? doctor.value
+    : await findMappedId("user", doctor.authority, doctor.value);
+  const found = doctorId
+    ? await User.findOne({ where: { id: doctorId, role: "doctor", status: "active" } })
+    : null;
+
+  if (!found) {
+    throw new HttpError(404, `Unknown doctor ${doctor.value} in AIP-3`, ["AIP-3"]);
+  }
+  return found;
+};
+
+/**
+ * Find the appointment named by SCH-2 (our ID) or SCH-1 (the sender's ID).
+ *
+ * @param {Object} schedule - readSchedule() result
+ * @returns {Promise<Object>} Appointment
+ * @throws {HttpError} 400 without either ID, 404 for an unknown appointment
+ */
+const resolveAppointment = async ({ placerId, fillerId }) => {
+  requireField(placerId.value || fillerId.value, "SCH-1", "appointment ID");
+
+  let appointmentId = null;
+  if (isLocalId({ value: fillerId.value, authority: fillerId.namespace })) {
+    appointmentId = fillerId.value;
+  } else if (placerId.value) {
+    appointmentId = await findMappedId("appointment", placerId.namespace, placerId.value);
+  }
+
+  const appointment = appointmentId ? await Appointment.findByPk(appointmentId) : null;
+  if (!appointment) {
+    throw new HttpError(404, "Unknown appointment in SCH-1/SCH-2", ["SCH-2"]);
+  }
+  return appointment;
+};
+
+// ---------------------- Inbound Messages ----------------------
+
+/**
+ * SIU^S12: book the appointment and confirm it (unless SCH-25 is Pending).
+ *
+ * Runs in one transaction: the patient, the booking, the SCH-1 mapping and
+ * the confirmation are saved together or not at all, so a failed message
+ * can be resent safely. Two messages with the same SCH-1 cannot both book:
+ * the mapping's unique index makes the second one fail and roll back.
+ */
+const bookFromSiu = (message) =>
+  sequelize.transaction(async (transaction) => {
+    const schedule = readSchedule(message);
+    const start = requireField(schedule.start, "SCH-11", "appointment start");
+    const { placerId } = schedule;
+    const duplicate = () =>
+      new HttpError(409, "An appointment with this SCH-1 placer ID already exists", ["SCH-1"]);
+
+    if (
+      placerId.value &&
+      (await findMappedId("appointment", placerId.namespace, placerId.value, transaction))
+    ) {
+      throw duplicate();
+    }
+
+    const doctor = await resolveDoctor(schedule);
+    const patient = await resolvePatient(message, transaction);
+
+    const appointment = await bookSlot({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      date: start.date,
+      time: start.time,
+      reason: schedule.reason || DEFAULT_REASON,
+      notes: schedule.notes || undefined,
+      transaction,
+    });
+
+    if (placerId.value) {
+      try {
+        await ExternalIdentifier.create(
+          {
+            resourceType: "appointment",
+            resourceId: appointment.id,
+            system: placerId.namespace || "",
+            value: placerId.value,
+          },
+          { transaction }
+        );
+      } catch (error) {
+        if (error.name === "SequelizeUniqueConstraintError") throw duplicate();
+        throw error;
+      }
+    }
+    if (message.get("SCH.25.1") !== "Pending") {
+      await transitionAppointment(appointment, "confirmed", {
+        reason: "Booked by external system",
+        transaction,
+      });
+    }
+
+    return { appointmentId: appointment.id, patientId: patient.id };
+  });
+
+/**
+ * SIU^S14: move the appointment to a new start and/or update its details.
+ */
+const updateFromSiu = async (message) => {
+  const schedule = readSchedule(message);
+  let appointment = await resolveAppointment(schedule);
+  const { start } = schedule;
+
+  if (start && (start.date !== appointment.date || start.time !== appointment.time)) {
+    const original = appointment;
+    ({ appointment } = await rescheduleAppointment(original, {
+      date: start.date,
+      time: start.time,
+      reason: schedule.eventReason || "Rescheduled by external system",
+    }));
+    await ExternalIdentifier.update(
+      { resourceId: appointment.id },
+      { where: { resourceType: "appointment", resourceId: original.id } }
+    );
+  }
+
+  if (schedule.reason) appointment.reason = schedule.reason;
+  if (schedule.notes) appointment.notes = schedule.notes;
+  if (appointment.changed()) await appointment.save();
+
+  return { appointmentId: appointment.id, patientId: appointment.patientId };
+};
+
+/**
+ * SIU^S15: cancel the appointment (a repeated cancellation is accepted).
+ */
+const cancelFromSiu = async (message) => {
+  const schedule = readSchedule(message);
+  const appointment = await resolveAppointment(schedule);
+
+  if (appointment.status !== "cancelled") {
+    await transitionAppointment(appointment, "cancelled", {
+      reason: schedule.eventReason || "Cancelled by external system",
+    });
+  }
+
+  return { appointmentId: appointment.id, patientId: appointment.patientId };
+};
+
+/**
+ * ADT^A04 / ADT^A08: register the patient or update their email and
+ * demographics.
+ */
+const upsertFromAdt = async (message) => {
+  const patient = await resolvePatient(message);
+  const { email } = readPatient(message);
+
+  if (email && email !== patient.email) {
+    const taken = await User.findOne({ where: { email, id: { [Op.ne]: patient.id } } });
+    if (taken) {
+      throw new HttpError(409, "PID-13 email belongs to another account", ["PID-13"]);
+    }
+    patient.email = email;
+    patient.emailVerifiedAt = null;
+    await patient.save();
+  }
+
+  return { patientId: patient.id };
+};
+
+// Message type (MSH-9.1^MSH-9.2) → handler
+const INBOUND_HANDLERS = {
+  "SIU^S12": bookFromSiu,
+  "SIU^S14": updateFromSiu,
+  "SIU^S15": cancelFromSiu,
+  "ADT^A04": upsertFromAdt,
+  "ADT^A08": upsertFromAdt,
+};
+
+/**
+ * Log a message that is rejected before it is applied.
+ */
+const rejectInbound = async (text, transport, submittedBy, parsed, reason, errorCode) => {
+  const ack = buildAck(parsed, "AR", reason, errorCode);
+  const message = await Hl7Message.create({
+    direction: "inbound",
+    transport,
+    messageType: parsed ? parsed.type || null : null,
+    controlId: parsed ? parsed.controlId || null : null,
+    sendingApplication: parsed ? parsed.get("MSH.3") : "",
+    sendingFacility: parsed ? parsed.get("MSH.4") : "",
+    status: "rejected",
+    ackCode: "AR",
+    payload: text,
+    ackPayload: ack.text,
+    errorMessage: reason,
+    submittedById: submittedBy ? submittedBy.id : null,
+    processedAt: new Date(),
+  });
+  return { ack: ack.text, message };
+};
+
+/**
+ * Apply one inbound message and build its acknowledgement.
+ *
+ * @param {string} text - Message text
+ * @param {Object} [options]
+ * @param {string} [options.transport="http"] - "http", "mllp" or "file"
+ * @param {Object} [options.submittedBy] - Interface account that posted it
+ * @returns {Promise<{ack: string, message: Object}>} ACK text and log entry
+ */
+const processInboundMessage = async (text, { transport = "http", submittedBy } = {}) => {
+  text = String(text || "");
+
+  let parsed;
+  try {
+    parsed = parseMessage(text);
+  } catch (error) {
+    if (error.name !== "HttpError") throw error;
+    return rejectInbound(text, transport, submittedBy, null, error.message, "requiredFieldMissing");
+  }
+
+  if (!parsed.controlId) {
+    return rejectInbound(text, transport, submittedBy, parsed, "MSH-10 (message control ID) is required", "requiredFieldMissing");
+  }
+
+  const sender = {
+    direction: "inbound",
+    sendingApplication: parsed.get("MSH.3"),
+    sendingFacility: parsed.get("MSH.4"),
+    controlId: parsed.controlId,
+  };
+
+  // A retransmission is answered with the original acknowledgement
+  const previous = await Hl7Message.findOne({ where: sender });
+  if (previous) {
+    return {
+      ack: previous.ackPayload || buildAck(parsed, "AE", "Message is still being processed").text,
+      message: previous,
+    };
+  }
+
+  const handler = INBOUND_HANDLERS[parsed.type];
+  if (!handler) {
+    const known = ["SIU", "ADT"].includes(parsed.get("MSH.9.1"));
+    return rejectInbound(
+      text,
+      transport,
+      submittedBy,
+      parsed,
+      `Unsupported message type ${parsed.type || "(none)"}`,
+      known ? "unsupportedEventCode" : "unsupportedMessageType"
+    );
+  }
+
+  let message;
+  try {
+    message = await Hl7Message.create({
+      ...sender,
+      transport,
+      messageType: parsed.type,
+      status: "received",
+      payload: text,
+      submittedById: submittedBy ? submittedBy.id : null,
+    });
+  } catch (error) {
+    if (error.name !== "SequelizeUniqueConstraintError") throw error;
+    // The same message arrived twice at once
+    return { ack: buildAck(parsed, "AE", "Message is still being processed").text, message: null };
+  }
+
+  let ack;
+  try {
+    const result = await inboundContext.run({ messageId: message.id }, () => handler(parsed));
+    ack = buildAck(parsed, "AA", "Message applied");
+    Object.assign(message, { status: "accepted", ackCode: "AA", ...result });
+  } catch (error) {
+    if (error.name !== "HttpError") console.error("HL7 inbound message error:", error);
+    const reason = error.name === "HttpError" ? error.message : "Application internal error";
+    ack = buildAck(parsed, "AE", reason, errorCodeOf(error));
+    Object.assign(message, { status: "error", ackCode: "AE", errorMessage: reason });
+  }
+
+  message.ackPayload = ack.text;
+  message.processedAt = new Date();
+  await message.save();
+
+  return { ack: ack.text, message };
+};
+
+// ---------------------- Outbound Messages ----------------------
+
+/**
+ * Deliver an outbound message over its transport and record the outcome.
+ *
+ * @param {Object} message - Hl7Message (direction "outbound")
+ * @returns {Promise<Object>} The updated message
+ */
+const deliverMessage = async (message) => {
+  message.attempts += 1;
+
+  try {
+    if (message.transport === "file") {
+      await fs.mkdir(OUTBOUND_DIR, { recursive: true });
+      await fs.writeFile(path.join(OUTBOUND_DIR, `${message.controlId}.hl7`), message.payload);
+      message.status = "sent";
+      message.errorMessage = null;
+    } else {
+      const ackText = await sendMllpMessage({
+        host: OUTBOUND_HOST,
+        port: OUTBOUND_PORT,
+        text: message.payload,
+      });
+      const ack = parseMessage(ackText);
+      const ackCode = ack.get("MSA.1");
+
+      message.ackCode = ackCode || null;
+      message.ackPayload = ackText;
+      message.status = ACK_STATUSES[ackCode] || "error";
+      message.errorMessage =
+        message.status === "acknowledged" ? null : ack.get("ERR.8") || ack.get("MSA.3") || "Not acknowledged";
+    }
+  } catch (error) {
+    message.status = "failed";
+    message.errorMessage = error.message;
+  }
+
+  message.processedAt = new Date();
+  await message.save();
+  return message;
+};
+
+/**
+ * Build, log and deliver an SIU message for an appointment.
+ *
+ * @param {string} trigger - "S12", "S14" or "S15"
+ * @param {Object} appointment - Appointment
+ * @param {string} [eventReason] - SCH-6 (e.g., why it was cancelled)
+ * @returns {Promise<Object>} The logged message
+ */
+const sendAppointmentMessage = async (trigger, appointment, eventReason) => {
+  const attributes = ["id", "username", "email"];
+  const [patient, doctor, identifiers, durationOf] = await Promise.all([
+    User.findByPk(appointment.patientId, { attributes, include: [profileInclude] }),
+    User.findByPk(appointment.doctorId, { attributes }),
+    ExternalIdentifier.findAll({
+      where: {
+        [Op.or]: [
+          { resourceType: "user", resourceId: appointment.patientId },
+          { resourceType: "appointment", resourceId: appointment.id },
+        ],
+      },
+    }),
+    loadDurations([appointment]),
+  ]);
+
+  const placer = identifiers.find((id) => id.resourceType === "appointment");
+  const { text, controlId } = buildSiu({
+    trigger,
+    appointment,
+    patient,
+    doctor,
+    durationMinutes: durationOf(appointment),
+    patientIdentifiers: identifiers.filter((id) => id.resourceType === "user"),
+    placerId: placer && { value: placer.value, system: placer.system },
+    eventReason,
+  });
+
+  const message = await Hl7Message.create({
+    direction: "outbound",
+    transport: OUTBOUND_MODE,
+    messageType: `SIU^${trigger}`,
+    controlId,
+    sendingApplication: SENDING_APPLICATION,
+    sendingFacility: SENDING_FACILITY,
+    status: "pending",
+    payload: text,
+    appointmentId: appointment.id,
+    patientId: appointment.patientId,
+  });
+
+  return deliverMessage(message);
+};
+
+/**
+ * Send a logged outbound message again (e.g., after the receiver was down).
+ *
+ * @param {string} messageId - Hl7Message ID
+ * @returns {Promise<Object>} The updated message
+ * @throws {HttpError} 404 when missing, 400 for inbound messages,
+ *   409 when outbound delivery is disabled
+ */
+const resendMessage = async (messageId) => {
+  const message = await Hl7Message.findByPk(messageId);
+  if (!message) {
+    throw new HttpError(404, "HL7 message not found");
+  }
+  if (message.direction !== "outbound") {
+    throw new HttpError(400, "Only outbound messages can be resent");
+  }
+  if (!["file", "mllp"].includes(OUTBOUND_MODE)) {
+    throw new HttpError(409, "Outbound HL7 delivery is disabled");
+  }
+
+  message.transport = OUTBOUND_MODE;
+  return deliverMessage(message);
+};
+
+/**
+ * Search the message log (newest first).
+ *
+ * @param {Object} filters
+ * @param {string} [filters.direction] - "inbound" or "outbound"
+ * @param {string} [filters.status] - Message status
+ * @param {string} [filters.messageType] - e.g. "SIU^S12"
+ * @param {string} [filters.controlId] - MSH-10
+ * @param {string} [filters.appointmentId] - Appointment the message was about
+ * @param {string} [filters.patientId] - Patient the message was about
+ * @param {number} [filters.page] - 1-based page
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{rows: Array<Object>, count: number}>} Entries without payloads
+ */
+const listMessages = ({
+  direction,
+  status,
+  messageType,
+  controlId,
+  appointmentId,
+  patientId,
+  page = 1,
+  limit = 50,
+}) => {
+  const where = {};
+  if (direction) where.direction = direction;
+  if (status) where.status = status;
+  if (messageType) where.messageType = messageType;
+  if (controlId) where.controlId = controlId;
+  if (appointmentId) where.appointmentId = appointmentId;
+  if (patientId) where.patientId = patientId;
+
+  return Hl7Message.findAndCountAll({
+    where,
+    attributes: { exclude: ["payload", "ackPayload"] },
+    order: [["createdAt", "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+};
+
+/**
+ * Keep placer IDs on the current appointment when it is rescheduled, and
+ * send appointment changes to the external system when outbound delivery is
+ * enabled. Called once from app.js.
+ */
+const registerHl7Handlers = () => {
+  onAppointmentEvent("rescheduled", async ({ original, appointment }) => {
+    await ExternalIdentifier.update(
+      { resourceId: appointment.id },
+      { where: { resourceType: "appointment", resourceId: original.id } }
+    );
+  });
+
+  if (!["file", "mllp"].includes(OUTBOUND_MODE)) return;
+
+  // Changes made by an inbound message are not echoed back
+  const outbound = (handler) => (payload) => {
+    if (inboundContext.getStore()) return;
+    return handler(payload);
+  };
+
+  onAppointmentEvent("booked", outbound(({ appointment }) => sendAppointmentMessage("S12", appointment)));
+
+  onAppointmentEvent(
+    "statusChanged",
+    outbound(({ appointment, toStatus, reason }) => {
+      if (toStatus === "rescheduled") return; // Sent with the "rescheduled" event
+      if (toStatus === "cancelled") return sendAppointmentMessage("S15", appointment, reason);
+      return sendAppointmentMessage("S14", appointment);
+    })
+  );
+
+  onAppointmentEvent(
+    "rescheduled",
+    outbound(async ({ original, appointment }) => {
+      await sendAppointmentMessage("S15", original, `Rescheduled to ${appointment.date} ${appointment.time}`);
+      await sendAppointmentMessage("S12", appointment);
+    })
+  );
+};
+
+// ---------------------- MLLP Listener ----------------------
+
+let mllpServer = null;
+
+/**
+ * Negative acknowledgement for a message that could not be processed at all
+ * (e.g., the database is down): AE, or AR when it cannot even be parsed.
+ */
+const internalErrorAck = (text) => {
+  let parsed = null;
+  try {
+    parsed = parseMessage(text);
+  } catch (error) {
+    // Answered without the original's control ID
+  }
+  return buildAck(parsed, parsed ? "AE" : "AR", "Application internal error", "internalError").text;
+};
+
+/**
+ * Accept inbound messages over MLLP on HL7_MLLP_HOST:HL7_MLLP_PORT (no-op
+ * when the port is unset). Only local connections are accepted unless
+ * HL7_MLLP_HOST names another interface.
+ */
+const startMllpListener = () => {
+  if (!MLLP_PORT || mllpServer) return;
+
+  mllpServer = createMllpServer(
+    async (text) => {
+      const { ack } = await processInboundMessage(text, { transport: "mllp" });
+      return ack;
+    },
+    {
+      onError: internalErrorAck,
+      maxMessageLength: MLLP_MAX_MESSAGE_LENGTH,
+    }
+  );
+  mllpServer.on("error", (error) => console.error("HL7 MLLP listener error:", error));
+  mllpServer.listen(MLLP_PORT, MLLP_HOST, () => {
+    console.log(`🏥 HL7 MLLP listener on ${MLLP_HOST}:${MLLP_PORT}`);
+  });
+};
+
+/**
+ * Stop the MLLP listener (used on shutdown).
+ */
+const stopMllpListener = () => {
+  if (mllpServer) mllpServer.close();
+  mllpServer = null;
+};
+
+module.exports = {
+  OUTBOUND_MODE,
+  processInboundMessage,
+  sendAppointmentMessage,
+  resendMessage,
+  listMessages,
+  registerHl7Handlers,
+  startMllpListener,
+  stopMllpListener,
+};
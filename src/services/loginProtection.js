@@ -0,0 +1,182 @@
+/**
+ * Login Protection
+ * ----------------
+ * Slows down and stops password (and MFA code) guessing.
+ *
+ * Per account (keyed by email, so unknown emails behave the same):
+ * - From LOGIN_DELAY_AFTER failures (default 2) each further failure makes
+ *   the account wait before the next attempt: 1s, 2s, 4s, ... up to 60s
+ * - LOGIN_MAX_FAILURES failures (default 5) within
+ *   LOGIN_FAILURE_WINDOW_MINUTES (default 15) lock the account for
+ *   LOGIN_LOCKOUT_MINUTES (default 15)
+ * - A successful login clears the failures
+ *
+ * Per IP: LOGIN_IP_MAX_FAILURES failures (default 50) in the window block
+ * the IP for the lockout period (password spraying across accounts).
+ *
+ * Attempts made while waiting or locked are refused with 429 and a
+ * Retry-After header, without checking the password.
+ *
+ * Each attempt on an account is counted (atomically) before the password is
+ * checked, and the delay or lockout it would earn by failing is applied
+ * straight away; a successful login clears both. Guesses sent in parallel
+ * therefore cannot all get past the check before the first failure is
+ * recorded. A correct password that still needs an MFA code counts as an
+ * attempt until the second step completes the login.
+ */
+
+const { getRateLimitStore } = require("./rateLimitStore");
+const { logSecurityEvent } = require("../utils/securityLog");
+const { HttpError } = require("../utils/httpError");
+
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 50);
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER || 2);
+const MAX_DELAY_SECONDS = 60;
+const WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15) * 60000;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60000;
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * 429 for a key that is blocked until `blockedUntil`.
+ */
+const blockedError = (message, blockedUntil) => {
+  const error = new HttpError(429, `${message}. Try again later.`);
+  error.retryAfter = Math.max(1, Math.ceil((blockedUntil.getTime() - Date.now()) / 1000));
+  return error;
+};
+
+const IP_MESSAGE = "Too many failed login attempts from this address";
+const ACCOUNT_MESSAGE = "Too many failed login attempts for this account";
+
+/**
+ * Count a login attempt before the password (or MFA code) is checked.
+ *
+ * Refuses the attempt if the account or IP is waiting or locked, then
+ * applies the delay or lockout the attempt earns should it fail. An attempt
+ * past LOGIN_DELAY_AFTER is only let through once the delay earned by the
+ * one before it has been set and has run out.
+ *
+ * @param {Object} params
+ * @param {string} params.email - Email being logged in to
+ * @param {string} params.ip - Client IP
+ * @returns {Promise<number>} Attempts on the account in the current window,
+ *   including this one (pass to recordLoginFailure)
+ * @throws {HttpError} 429 with `retryAfter` (seconds)
+ */
+const reserveLoginAttempt = async ({ email, ip }) => {
+  const store = getRateLimitStore();
+  const now = Date.now();
+
+  for (const [key, message] of [
+    [ipKey(ip), IP_MESSAGE],
+    [accountKey(email), ACCOUNT_MESSAGE],
+  ]) {
+    const entry = await store.get(key);
+    if (entry && entry.blockedUntil && entry.blockedUntil.getTime() > now) {
+      throw blockedError(message, entry.blockedUntil);
+    }
+  }
+
+  const account = await store.increment(accountKey(email), WINDOW_MS);
+  if (
+    account.count > DELAY_AFTER &&
+    (!account.blockedUntil || account.blockedUntil.getTime() > now)
+  ) {
+    // A parallel attempt got here first and its delay applies to this one
+    throw blockedError(ACCOUNT_MESSAGE, account.blockedUntil || new Date(now + 1000));
+  }
+
+  if (account.count >= MAX_FAILURES) {
+    await store.block(accountKey(email), new Date(now + LOCKOUT_MS));
+  } else if (account.count >= DELAY_AFTER) {
+    const seconds = Math.min(2 ** (account.count - DELAY_AFTER), MAX_DELAY_SECONDS);
+    await store.block(accountKey(email), new Date(now + seconds * 1000));
+  }
+
+  return account.count;
+};
+
+/**
+ * Record a failed attempt: counts it against the IP and logs a lockout
+ * (the account side was counted by reserveLoginAttempt).
+ *
+ * @param {Object} params
+ * @param {string} params.email - Email being logged in to
+ * @param {string} params.ip - Client IP
+ * @param {number} params.attempt - Value returned by reserveLoginAttempt
+ * @param {string} [params.userId] - Account ID when the email exists
+ * @param {string} [params.stage] - "password" or "mfa"
+ */
+const recordLoginFailure = async ({ email, ip, attempt, userId, stage = "password" }) => {
+  const store = getRateLimitStore();
+
+  if (attempt >= MAX_FAILURES) {
+    logSecurityEvent("account_locked", {
+      email,
+      userId: userId || null,
+      ip,
+      stage,
+      failures: attempt,
+      lockedForMinutes: LOCKOUT_MS / 60000,
+    });
+  }
+
+  const address = await store.increment(ipKey(ip), WINDOW_MS);
+  if (address.count >= IP_MAX_FAILURES) {
+    await store.block(ipKey(ip), new Date(Date.now() + LOCKOUT_MS));
+    logSecurityEvent("ip_blocked", { ip, failures: address.count });
+  }
+};
+
+/**
+ * Clear an account's failures after a successful login.
+ *
+ * @param {string} email - Account email
+ */
+const recordLoginSuccess = (email) => getRateLimitStore().reset(accountKey(email));
+
+/**
+ * Lockout status of an account.
+ *
+ * @param {string} email - Account email
+ * @returns {Promise<{failures: number, lockedUntil: Date|null}>}
+ */
+const getLockStatus = async (email) => {
+  const entry = await getRateLimitStore().get(accountKey(email));
+  const lockedUntil =
+    entry && entry.blockedUntil && entry.blockedUntil.getTime() > Date.now()
+      ? entry.blockedUntil
+      : null;
+  return { failures: entry ? entry.count : 0, lockedUntil };
+};
+
+/**
+ * Unlock an account (admin action) and record it in the security log.
+ *
+ * @param {Object} user - Account to unlock
+ * @param {Object} admin - Admin performing the unlock
+ * @returns {Promise<boolean>} Whether the account was locked
+ */
+const unlockAccount = async (user, admin) => {
+  const { lockedUntil } = await getLockStatus(user.email);
+  await getRateLimitStore().reset(accountKey(user.email));
+
+  logSecurityEvent("account_unlocked", {
+    userId: user.id,
+    email: user.email,
+    adminId: admin.id,
+    wasLocked: Boolean(lockedUntil),
+  });
+  return Boolean(lockedUntil);
+};
+
+module.exports = {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockStatus,
+  unlockAccount,
+};
@@ -0,0 +1,295 @@
+/**
+ * MFA Service
+ * -----------
+ * TOTP multi-factor authentication (RFC 6238) with one-time recovery codes.
+ *
+ * Flow:
+ * 1. Enroll: a secret is generated and returned with an otpauth:// URI
+ *    (shown as a QR code). MFA is not active yet.
+ * 2. Verify: the first code from the app turns MFA on and returns ten
+ *    recovery codes (shown once).
+ * 3. Login: users with MFA get a short-lived challenge token instead of a
+ *    session, and exchange it with a code (or a recovery code) at
+ *    POST /api/auth/login/mfa.
+ *
+ * Roles listed in MFA_REQUIRED_ROLES (default "admin,doctor") must enroll
+ * before they can use anything outside /api/auth.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { MfaRecoveryCode, User, sequelize } = require("../models");
+const { buildOtpauthUri, generateSecret, verifyCode } = require("../utils/totp");
+const { hashToken } = require("../utils/tokens");
+const { HttpError } = require("../utils/httpError");
+
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES ?? "admin,doctor")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const ISSUER = process.env.MFA_ISSUER || "Healthcare Systems";
+const RECOVERY_CODE_COUNT = 10;
+
+// Challenge tokens prove the password step only; the audience keeps them
+// from being accepted as access tokens
+const CHALLENGE_AUDIENCE = "mfa-login";
+const CHALLENGE_TTL = "5m";
+
+/**
+ * Whether the user's role must use MFA.
+ *
+ * @param {Object} user - User instance
+ * @returns {boolean}
+ */
+const isMfaRequired = (user) => MFA_REQUIRED_ROLES.includes(user.role);
+
+/**
+ * Normalize a recovery code for hashing ("ABCD-1234" → "abcd1234").
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Replace the user's recovery codes with a fresh set.
+ *
+ * @returns {Promise<Array<string>>} The plain codes (shown once)
+ */
+const issueRecoveryCodes = async (user, transaction) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await MfaRecoveryCode.destroy({ where: { userId: user.id }, transaction });
+  await MfaRecoveryCode.bulkCreate(
+    codes.map((code) => ({
+      userId: user.id,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+    })),
+    { transaction }
+  );
+  return codes;
+};
+
+/**
+ * Check a TOTP code and remember its time step so it cannot be replayed.
+ *
+ * @returns {Promise<boolean>}
+ */
+const consumeTotp = async (user, code, transaction) => {
+  const step = verifyCode(user.mfaSecret, code);
+  if (step === null) return false;
+  if (user.mfaLastUsedStep !== null && step <= Number(user.mfaLastUsedStep)) return false;
+
+  user.mfaLastUsedStep = step;
+  await user.save({ transaction });
+  return true;
+};
+
+/**
+ * Use one recovery code.
+ *
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (user, recoveryCode, transaction) => {
+  const [used] = await MfaRecoveryCode.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        userId: user.id,
+        codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null,
+      },
+      transaction,
+    }
+  );
+  return used > 0;
+};
+
+/**
+ * Verify a second factor: a TOTP code or a recovery code.
+ *
+ * The user row is locked so the same code cannot be accepted twice by
+ * concurrent requests.
+ *
+ * @param {Object} user - User with MFA enabled
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - One-time recovery code
+ * @returns {Promise<{method: string, remainingRecoveryCodes?: number}>}
+ * @throws {HttpError} 400 when no factor is given, 401 when it is wrong
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!code && !recoveryCode) {
+    throw new HttpError(400, "An authentication code or recovery code is required");
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const locked = await User.findByPk(user.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!locked || !locked.mfaEnabled) return null;
+
+    if (code) {
+      return (await consumeTotp(locked, code, transaction)) ? { method: "totp" } : null;
+    }
+    if (!(await consumeRecoveryCode(locked, recoveryCode, transaction))) return null;
+
+    const remaining = await MfaRecoveryCode.count({
+      where: { userId: locked.id, usedAt: null },
+      transaction,
+    });
+    return { method: "recovery_code", remainingRecoveryCodes: remaining };
+  });
+
+  if (!result) throw new HttpError(401, "Invalid authentication code");
+  return result;
+};
+
+/**
+ * Start (or restart) enrollment with a new secret. MFA stays off until
+ * confirmEnrollment succeeds.
+ *
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {HttpError} 409 when MFA is already enabled
+ */
+const startEnrollment = async (user) => {
+  if (user.mfaEnabled) {
+    throw new HttpError(409, "MFA is already enabled; disable it first to enroll a new device");
+  }
+
+  user.mfaSecret = generateSecret();
+  user.mfaLastUsedStep = null;
+  await user.save();
+
+  return {
+    secret: user.mfaSecret,
+    otpauthUri: buildOtpauthUri({ secret: user.mfaSecret, account: user.email, issuer: ISSUER }),
+  };
+};
+
+/**
+ * Finish enrollment with the first code from the authenticator app.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Array<string>>} Recovery codes (shown once)
+ * @throws {HttpError} 409 when there is nothing to verify, 401 for a wrong code
+ */
+const confirmEnrollment = (user, code) =>
+  sequelize.transaction(async (transaction) => {
+    const locked = await User.findByPk(user.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (locked.mfaEnabled) {
+      throw new HttpError(409, "MFA is already enabled");
+    }
+    if (!locked.mfaSecret) {
+      throw new HttpError(409, "Start enrollment first (POST /api/auth/mfa/enroll)");
+    }
+    if (!(await consumeTotp(locked, code, transaction))) {
+      throw new HttpError(401, "Invalid authentication code");
+    }
+
+    locked.mfaEnabled = true;
+    await locked.save({ transaction });
+    return issueRecoveryCodes(locked, transaction);
+  });
+
+/**
+ * Turn MFA off. Requires the password and a second factor.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} params
+ * @param {string} params.password - Current password
+ * @param {string} [params.code] - TOTP code
+ * @param {string} [params.recoveryCode] - Recovery code
+ * @returns {Promise<void>}
+ * @throws {HttpError} 409 when MFA is off, 401 for a wrong password or code
+ */
+const disableMfa = async (user, { password, code, recoveryCode }) => {
+  if (!user.mfaEnabled) {
+    throw new HttpError(409, "MFA is not enabled");
+  }
+  if (!(await user.validatePassword(String(password || "")))) {
+    throw new HttpError(401, "Password is incorrect");
+  }
+  await verifySecondFactor(user, { code, recoveryCode });
+
+  await sequelize.transaction(async (transaction) => {
+    await User.update(
+      { mfaEnabled: false, mfaSecret: null, mfaLastUsedStep: null },
+      { where: { id: user.id }, transaction }
+    );
+    await MfaRecoveryCode.destroy({ where: { userId: user.id }, transaction });
+  });
+};
+
+/**
+ * Replace all recovery codes (e.g., after using several).
+ *
+ * @param {Object} user - Authenticated user with MFA enabled
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} New recovery codes (shown once)
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.mfaEnabled) {
+    throw new HttpError(409, "MFA is not enabled");
+  }
+  if (!code) {
+    throw new HttpError(400, "An authentication code is required");
+  }
+  await verifySecondFactor(user, { code });
+  return sequelize.transaction((transaction) => issueRecoveryCodes(user, transaction));
+};
+
+/**
+ * Issue the challenge token returned by the password step of login.
+ *
+ * @param {Object} user - User who passed the password check
+ * @returns {string}
+ */
+const createMfaChallenge = (user) =>
+  jwt.sign({}, process.env.JWT_SECRET, {
+    subject: user.id,
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TTL,
+  });
+
+/**
+ * Resolve a challenge token to its user.
+ *
+ * @param {string} token - Challenge token from the password step
+ * @returns {Promise<Object>} The user
+ * @throws {HttpError} 401 for an invalid or expired challenge
+ */
+const resolveMfaChallenge = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(String(token), process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    throw new HttpError(401, "MFA challenge is invalid or has expired; log in again");
+  }
+
+  const user = await User.findByPk(claims.sub);
+  // The account may have been suspended since the password step
+  if (!user || !user.mfaEnabled || user.status !== "active") {
+    throw new HttpError(401, "MFA challenge is invalid or has expired; log in again");
+  }
+  return user;
+};
+
+module.exports = {
+  MFA_REQUIRED_ROLES,
+  isMfaRequired,
+  verifySecondFactor,
+  startEnrollment,
+  confirmEnrollment,
+  disableMfa,
+  regenerateRecoveryCodes,
+  createMfaChallenge,
+  resolveMfaChallenge,
+};
@@ -0,0 +1,166 @@
+/**
+ * Password Service
+ * ----------------
+ * Self-service password reset and password change.
+ *
+ * - Forgot password: a single-use token (stored hashed) is emailed through
+ *   the mailer and expires after PASSWORD_RESET_TOKEN_TTL_MINUTES (default
+ *   60). Requesting a new one invalidates the previous ones
+ * - The response never reveals whether an email address is registered
+ * - Any password change (reset or change) revokes every session of the
+ *   user, so stolen tokens stop working
+ */
+
+const { Op } = require("sequelize");
+const { PasswordResetToken, User, sequelize } = require("../models");
+const { revokeAllSessions } = require("./tokenService");
+const { sendMail } = require("../notifications/transports/mailer");
+const { generateOpaqueToken, hashToken } = require("../utils/tokens");
+const { HttpError } = require("../utils/httpError");
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60);
+
+/**
+ * Link the user opens to choose a new password. The frontend page reads the
+ * token from the query string and posts it to /api/auth/reset-password.
+ */
+const resetUrl = (token) => {
+  const base = process.env.PASSWORD_RESET_URL ||
+    `${(process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "")}/reset-password`;
+  return `${base}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Issue a reset token for the user with this address and email the link.
+ * Does nothing for unknown addresses.
+ */
+const sendResetLink = async (email, ipAddress) => {
+  const user = await User.findOne({ where: { email: String(email).trim() } });
+  if (!user) return;
+
+  const token = generateOpaqueToken();
+
+  await sequelize.transaction(async (transaction) => {
+    // Only the newest link works
+    await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, usedAt: null }, transaction }
+    );
+    await PasswordResetToken.create(
+      {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60000),
+        requestedIp: ipAddress || null,
+      },
+      { transaction }
+    );
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hello ${user.username},\n\n` +
+      `Someone (hopefully you) asked to reset your password. Open this link ` +
+      `within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:\n\n` +
+      `${resetUrl(token)}\n\n` +
+      `If you did not ask for this, you can ignore this email; your password ` +
+      `stays the same.\n\n— Healthcare Systems`,
+  });
+};
+
+/**
+ * Email a password reset link if the address belongs to a user.
+ * Silently does nothing otherwise.
+ *
+ * Never rejects: failures are logged. Request handlers should answer
+ * without awaiting it, so neither the response time nor an error reveals
+ * whether the address is registered.
+ *
+ * @param {string} email - Address entered on the "forgot password" form
+ * @param {Object} [options]
+ * @param {string} [options.ipAddress] - Requesting IP (stored for auditing)
+ * @returns {Promise<void>} Settles once the link has been sent (or skipped)
+ */
+const requestPasswordReset = (email, { ipAddress } = {}) =>
+  sendResetLink(email, ipAddress).catch((error) =>
+    console.error("Password reset request error:", error)
+  );
+
+/**
+ * Set a new password with a reset token.
+ *
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password (validated by the User model)
+ * @returns {Promise<Object>} The user
+ * @throws {HttpError} 400 for an invalid, used or expired token
+ */
+const resetPassword = async (token, newPassword) => {
+  const user = await sequelize.transaction(async (transaction) => {
+    const record = await PasswordResetToken.findOne({
+      where: {
+        tokenHash: hashToken(String(token)),
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!record) {
+      throw new HttpError(400, "This password reset link is invalid or has expired");
+    }
+
+    const owner = await User.findByPk(record.userId, { transaction });
+    if (!owner) {
+      throw new HttpError(400, "This password reset link is invalid or has expired");
+    }
+
+    owner.password = newPassword;
+    await owner.save({ transaction });
+
+    record.usedAt = new Date();
+    await record.save({ transaction });
+    return owner;
+  });
+
+  await revokeAllSessions(user.id, "password_reset");
+  return user;
+};
+
+/**
+ * Change a logged-in user's password.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} currentPassword - Password they use today
+ * @param {string} newPassword - New password (validated by the User model)
+ * @returns {Promise<Object>} The user
+ * @throws {HttpError} 400 when the new password equals the current one,
+ *   401 when the current password is wrong
+ */
+const changePassword = async (user, currentPassword, newPassword) => {
+  const account = await User.findByPk(user.id);
+
+  if (!(await account.validatePassword(String(currentPassword)))) {
+    throw new HttpError(401, "Current password is incorrect");
+  }
+  if (currentPassword === newPassword) {
+    throw new HttpError(400, "New password must be different from the current password");
+  }
+
+  account.password = newPassword;
+  await account.save();
+  await PasswordResetToken.update(
+    { usedAt: new Date() },
+    { where: { userId: account.id, usedAt: null } }
+  );
+  await revokeAllSessions(account.id, "password_changed");
+  return account;
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,244 @@
+/**
+ * Patient Profile Service
+ * -----------------------
+ * Validates and stores patients' demographic profiles (PatientProfile).
+ *
+ * - Patients edit their own profile (PUT /api/auth/profile); HL7 ADT/SIU
+ *   messages fill it from the PID, NK1 and IN1 segments
+ * - Fields left out of an update keep their value; null clears a field
+ * - Booking requires a complete profile (assertProfileComplete)
+ */
+
+const { PatientProfile, User } = require("../models");
+const { HttpError } = require("../utils/httpError");
+
+const MAX_TEXT_LENGTH = 100;
+
+// Digits with an optional leading +, after removing spaces, dots, dashes and brackets
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// BCP 47 language tag (e.g., "en", "es", "pt-BR")
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const NAME_FIELDS = ["legalFirstName", "legalMiddleName", "legalLastName"];
+const INSURANCE_FIELDS = [
+  "insuranceProvider",
+  "insurancePlan",
+  "insuranceMemberId",
+  "insuranceGroupNumber",
+];
+const ADDRESS_FIELDS = ["line1", "line2", "city", "state", "postalCode", "country"];
+const REQUIRED_ADDRESS_FIELDS = ["line1", "city", "postalCode", "country"];
+
+// Profile columns that are not returned to clients
+const HIDDEN_ATTRIBUTES = ["phoneIndex", "insuranceMemberIdIndex"];
+
+// Include for loading a user's profile alongside them
+const profileInclude = {
+  model: PatientProfile,
+  as: "patientProfile",
+  attributes: { exclude: HIDDEN_ATTRIBUTES },
+  required: false,
+};
+
+/**
+ * Bring a phone number to its compact form ("+1 (555) 123-4567" → "+15551234567").
+ *
+ * @param {string} value - Phone number as entered
+ * @returns {string}
+ */
+const normalizePhone = (value) => String(value).trim().replace(/[\s().-]/g, "");
+
+/**
+ * Check a date of birth: a real date, not in the future, not before 1900.
+ */
+const isValidBirthDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return (
+    !isNaN(date) &&
+    date.toISOString().slice(0, 10) === value &&
+    value >= "1900-01-01" &&
+    date <= new Date()
+  );
+};
+
+/**
+ * Validate and normalize profile fields. Only fields present in `input`
+ * are returned; empty strings become null.
+ *
+ * @param {Object} input - Any of the PatientProfile fields
+ * @returns {Object} Values ready to store
+ * @throws {HttpError} 400 listing every problem
+ */
+const normalizeProfile = (input) => {
+  const errors = [];
+  const values = {};
+  const has = (field) => input[field] !== undefined;
+  const blank = (value) => value === undefined || value === null || value === "";
+
+  const text = (field, value, label = field) => {
+    if (blank(value)) return null;
+    if (typeof value !== "string") {
+      errors.push(`${label} must be text`);
+      return null;
+    }
+    if (value.trim().length > MAX_TEXT_LENGTH) {
+      errors.push(`${label} cannot exceed ${MAX_TEXT_LENGTH} characters`);
+    }
+    return value.trim() || null;
+  };
+
+  const phone = (value, label) => {
+    const number = text(label, value);
+    if (number === null) return null;
+    if (!PHONE_PATTERN.test(normalizePhone(number))) {
+      errors.push(`${label} must be a phone number (e.g., +15551234567)`);
+      return null;
+    }
+    return normalizePhone(number);
+  };
+
+  for (const field of [...NAME_FIELDS, ...INSURANCE_FIELDS]) {
+    if (has(field)) values[field] = text(field, input[field]);
+  }
+
+  if (has("dateOfBirth")) {
+    values.dateOfBirth = blank(input.dateOfBirth) ? null : String(input.dateOfBirth).trim();
+    if (values.dateOfBirth && !isValidBirthDate(values.dateOfBirth)) {
+      errors.push("dateOfBirth must be a valid past date (YYYY-MM-DD)");
+    }
+  }
+
+  if (has("sex")) {
+    values.sex = blank(input.sex) ? null : String(input.sex).trim().toLowerCase();
+    if (values.sex && !PatientProfile.SEXES.includes(values.sex)) {
+      errors.push(`sex must be one of: ${PatientProfile.SEXES.join(", ")}`);
+    }
+  }
+
+  if (has("phone")) values.phone = phone(input.phone, "phone");
+
+  if (has("preferredLanguage")) {
+    values.preferredLanguage = text("preferredLanguage", input.preferredLanguage);
+    if (values.preferredLanguage && !LANGUAGE_PATTERN.test(values.preferredLanguage)) {
+      errors.push("preferredLanguage must be a language code (e.g., en, es, pt-BR)");
+    }
+  }
+
+  if (has("address")) {
+    const address = input.address;
+    if (blank(address)) {
+      values.address = null;
+    } else if (typeof address !== "object" || Array.isArray(address)) {
+      errors.push("address must be an object");
+    } else {
+      values.address = {};
+      for (const field of ADDRESS_FIELDS) {
+        values.address[field] = text(field, address[field], `address.${field}`);
+      }
+      for (const field of REQUIRED_ADDRESS_FIELDS) {
+        if (!values.address[field]) errors.push(`address.${field} is required`);
+      }
+    }
+  }
+
+  if (has("emergencyContact")) {
+    const contact = input.emergencyContact;
+    if (blank(contact)) {
+      values.emergencyContact = null;
+    } else if (typeof contact !== "object" || Array.isArray(contact)) {
+      errors.push("emergencyContact must be an object");
+    } else {
+      values.emergencyContact = {
+        name: text("name", contact.name, "emergencyContact.name"),
+        relationship: text("relationship", contact.relationship, "emergencyContact.relationship"),
+        phone: phone(contact.phone, "emergencyContact.phone"),
+      };
+      if (!values.emergencyContact.name) errors.push("emergencyContact.name is required");
+      if (!contact.phone) errors.push("emergencyContact.phone is required");
+    }
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, "Invalid profile", errors);
+  }
+  return values;
+};
+
+/**
+ * Load a patient's profile (null when they have not started one).
+ *
+ * @param {string} userId - Patient's user ID
+ * @param {Object} [options] - Passed to findOne (e.g., transaction)
+ * @returns {Promise<Object|null>}
+ */
+const getPatientProfile = (userId, options = {}) =>
+  PatientProfile.findOne({ where: { userId }, ...options });
+
+/**
+ * Create or update a patient's profile.
+ *
+ * @param {string} userId - Patient's user ID
+ * @param {Object} input - Profile fields to change
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Transaction to write in
+ * @returns {Promise<Object>} The saved profile
+ * @throws {HttpError} 400 for invalid input
+ */
+const savePatientProfile = async (userId, input, { transaction } = {}) => {
+  const values = normalizeProfile(input || {});
+
+  const [profile] = await PatientProfile.findOrCreate({
+    where: { userId },
+    defaults: { userId },
+    transaction,
+  });
+
+  profile.set(values);
+  if (profile.insuranceMemberId && !profile.insuranceProvider) {
+    throw new HttpError(400, "Invalid profile", [
+      "insuranceProvider is required with an insurance member ID",
+    ]);
+  }
+
+  if (profile.changed()) await profile.save({ transaction });
+  return profile;
+};
+
+/**
+ * Refuse to book for a patient whose profile is incomplete.
+ *
+ * Only applies to users with the patient role (staff booking for themselves
+ * have no patient profile).
+ *
+ * @param {string} patientId - Patient the booking is for
+ * @throws {HttpError} 403 listing the missing fields
+ */
+const assertProfileComplete = async (patientId) => {
+  const patient = await User.findByPk(patientId, {
+    attributes: ["id", "role"],
+    include: [profileInclude],
+  });
+  if (!patient || patient.role !== "patient") return;
+
+  const missing = patient.patientProfile
+    ? patient.patientProfile.missingFields()
+    : PatientProfile.REQUIRED_FIELDS;
+  if (missing.length) {
+    throw new HttpError(
+      403,
+      "Please complete your profile before booking (PUT /api/auth/profile)",
+      missing.map((field) => `${field} is required`)
+    );
+  }
+};
+
+module.exports = {
+  profileInclude,
+  normalizePhone,
+  normalizeProfile,
+  getPatientProfile,
+  savePatientProfile,
+  assertProfileComplete,
+};
@@ -0,0 +1,170 @@
+/**
+ * Rate Limit Store
+ * ----------------
+ * Counters for rate limiting and login throttling.
+ *
+ * Store is chosen with RATE_LIMIT_STORE:
+ * - "memory"   → per-process Map (default; fine for a single instance)
+ * - "database" → RateLimitEntries table, shared by every instance
+ *
+ * Every store implements:
+ * - increment(key, windowMs) → entry   (starts a new window when expired)
+ * - get(key)                 → entry or null
+ * - block(key, until)        → refuse the key until a time
+ * - reset(key)               → forget the key
+ * where entry = { count, expiresAt: Date, blockedUntil: Date|null }.
+ */
+
+const { Op } = require("sequelize");
+const { RateLimitEntry, sequelize } = require("../models");
+
+/**
+ * When an entry can be forgotten: after its window and any block.
+ */
+const endOf = (entry) =>
+  Math.max(entry.expiresAt.getTime(), entry.blockedUntil ? entry.blockedUntil.getTime() : 0);
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && endOf(entry) <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop forgotten entries now and then so the Map cannot grow forever
+  const sweep = () => {
+    for (const key of entries.keys()) live(key);
+  };
+  setInterval(sweep, 60000).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key);
+      if (!entry) {
+        const created = { count: 1, expiresAt: new Date(now + windowMs), blockedUntil: null };
+        entries.set(key, created);
+        return { ...created };
+      }
+      if (entry.expiresAt.getTime() <= now) {
+        entry.count = 0;
+        entry.expiresAt = new Date(now + windowMs);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async block(key, until) {
+      const entry = live(key);
+      if (entry) {
+        entry.blockedUntil = until;
+      } else {
+        entries.set(key, { count: 0, expiresAt: new Date(), blockedUntil: until });
+      }
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+const createDatabaseStore = () => {
+  let calls = 0;
+
+  // Delete forgotten rows every 100 increments
+  const prune = () =>
+    RateLimitEntry.destroy({
+      where: {
+        expiresAt: { [Op.lte]: new Date() },
+        [Op.or]: [{ blockedUntil: null }, { blockedUntil: { [Op.lte]: new Date() } }],
+      },
+    }).catch((error) => console.error("Rate limit prune error:", error));
+
+  return {
+    async increment(key, windowMs) {
+      calls += 1;
+      if (calls % 100 === 0) prune();
+
+      const now = new Date();
+      const [rows] = await sequelize.query(
+        `INSERT INTO "RateLimitEntries" ("key", "count", "expiresAt", "blockedUntil")
+         VALUES (:key, 1, :expiresAt, NULL)
+         ON CONFLICT ("key") DO UPDATE SET
+           "count" = CASE WHEN "RateLimitEntries"."expiresAt" <= :now
+             THEN 1 ELSE "RateLimitEntries"."count" + 1 END,
+           "expiresAt" = CASE WHEN "RateLimitEntries"."expiresAt" <= :now
+             THEN EXCLUDED."expiresAt" ELSE "RateLimitEntries"."expiresAt" END
+         RETURNING "count", "expiresAt", "blockedUntil"`,
+        { replacements: { key, now, expiresAt: new Date(now.getTime() + windowMs) } }
+      );
+      const row = rows[0];
+      return {
+        count: Number(row.count),
+        expiresAt: new Date(row.expiresAt),
+        blockedUntil: row.blockedUntil ? new Date(row.blockedUntil) : null,
+      };
+    },
+
+    async get(key) {
+      const entry = await RateLimitEntry.findByPk(key);
+      if (!entry || endOf(entry) <= Date.now()) return null;
+      return { count: entry.count, expiresAt: entry.expiresAt, blockedUntil: entry.blockedUntil };
+    },
+
+    async block(key, until) {
+      await sequelize.query(
+        `INSERT INTO "RateLimitEntries" ("key", "count", "expiresAt", "blockedUntil")
+         VALUES (:key, 0, :now, :until)
+         ON CONFLICT ("key") DO UPDATE SET "blockedUntil" = EXCLUDED."blockedUntil"`,
+        { replacements: { key, now: new Date(), until } }
+      );
+    },
+
+    async reset(key) {
+      await RateLimitEntry.destroy({ where: { key } });
+    },
+  };
+};
+
+const STORES = { memory: createMemoryStore, database: createDatabaseStore };
+
+let store = null;
+
+/**
+ * Get the active store, creating it from RATE_LIMIT_STORE on first use.
+ *
+ * @returns {Object}
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    const create = STORES[process.env.RATE_LIMIT_STORE || "memory"];
+    if (!create) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${process.env.RATE_LIMIT_STORE}"`);
+    }
+    store = create();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store (any object implementing the interface above),
+ * or select a built-in one by name.
+ *
+ * @param {Object|string} next - Store object or "memory"/"database"
+ */
+const setRateLimitStore = (next) => {
+  store = typeof next === "string" ? STORES[next]() : next;
+};
+
+module.exports = { getRateLimitStore, setRateLimitStore };
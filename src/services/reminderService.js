@@ -0,0 +1,338 @@
+/**
+ * Reminder Service
+ * ----------------
+ * Reminds patients of confirmed appointments at fixed offsets before the
+ * visit (REMINDER_OFFSETS, default "48h,2h").
+ *
+ * - Reminders are scheduled when an appointment is confirmed and cancelled
+ *   when it leaves "confirmed" (cancelled, rescheduled, ...)
+ * - The reminder job also schedules reminders that are missing (e.g., the
+ *   server stopped before the "confirmed" event was handled)
+ * - Sending is at most once: the job claims a reminder by moving it out of
+ *   "pending" while holding the appointment row lock, and only then delivers
+ *   it, so a restart or a second server never sends it again and a
+ *   cancellation can never race a reminder out the door
+ * - Each reminder carries signed links that let the patient confirm they
+ *   will attend or cancel without logging in
+ */
+
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const {
+  Appointment,
+  AppointmentReminder,
+  User,
+  sequelize,
+} = require("../models");
+const { addDays, today } = require("./availabilityService");
+const { onAppointmentEvent } = require("./appointmentEvents");
+const { transitionAppointment } = require("./appointmentLifecycle");
+const { notify } = require("../notifications");
+const { HttpError } = require("../utils/httpError");
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440 };
+
+/**
+ * Parse an offset list such as "48h,2h" or "1d,90m" into minutes
+ * (largest first).
+ *
+ * @param {string} value - Comma-separated offsets (m, h or d)
+ * @returns {Array<number>}
+ * @throws {Error} For an unreadable offset (a configuration error)
+ */
+const parseOffsets = (value) => {
+  const offsets = String(value)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(\d+)\s*([mhd])$/i.exec(part);
+      if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid reminder offset "${part}" (use e.g. 48h, 90m or 1d)`);
+      }
+      return Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+    });
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || "48h,2h");
+
+// Signed links are verified with this audience so they can never be used
+// as login tokens (and login tokens cannot be used as links)
+const LINK_AUDIENCE = "appointment-reminder";
+const LINK_ACTIONS = ["confirm", "cancel"];
+const LINK_SECRET = () => process.env.REMINDER_LINK_SECRET || process.env.JWT_SECRET;
+
+const startOf = (appointment) => new Date(`${appointment.date}T${appointment.time}`);
+
+/**
+ * Create the reminders for a confirmed appointment. Offsets whose time has
+ * already passed are skipped; existing reminders are left alone.
+ *
+ * @param {Object} appointment - Confirmed appointment
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Transaction to write in
+ * @returns {Promise<number>} Number of reminders due in the future
+ */
+const scheduleReminders = async (appointment, { transaction } = {}) => {
+  const start = startOf(appointment);
+  const now = Date.now();
+
+  const rows = REMINDER_OFFSETS.map((offsetMinutes) => ({
+    appointmentId: appointment.id,
+    offsetMinutes,
+    sendAt: new Date(start.getTime() - offsetMinutes * 60000),
+  })).filter((row) => row.sendAt.getTime() > now);
+
+  if (rows.length) {
+    await AppointmentReminder.bulkCreate(rows, { ignoreDuplicates: true, transaction });
+  }
+  return rows.length;
+};
+
+/**
+ * Cancel every reminder of an appointment that has not gone out yet.
+ *
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Transaction to write in
+ * @returns {Promise<number>} Number of reminders cancelled
+ */
+const cancelReminders = async (appointmentId, { transaction } = {}) => {
+  const [cancelled] = await AppointmentReminder.update(
+    { status: "cancelled" },
+    { where: { appointmentId, status: "pending" }, transaction }
+  );
+  return cancelled;
+};
+
+/**
+ * Schedule reminders for confirmed appointments inside the reminder window
+ * that have none yet. Run by the reminder job.
+ *
+ * @returns {Promise<number>} Number of appointments scheduled
+ */
+const scheduleMissingReminders = async () => {
+  if (!REMINDER_OFFSETS.length) return 0;
+  const windowDays = Math.ceil(REMINDER_OFFSETS[0] / 1440) + 1;
+
+  const appointments = await Appointment.findAll({
+    where: {
+      status: "confirmed",
+      date: { [Op.between]: [today(), addDays(today(), windowDays)] },
+    },
+    include: [{ model: AppointmentReminder, as: "reminders", attributes: ["id"] }],
+  });
+
+  let scheduled = 0;
+  for (const appointment of appointments) {
+    if (appointment.reminders.length || startOf(appointment) <= new Date()) continue;
+    if (await scheduleReminders(appointment)) scheduled += 1;
+  }
+  return scheduled;
+};
+
+/**
+ * Create a signed link token for a reminder action. It expires when the
+ * appointment starts.
+ *
+ * @param {Object} appointment - Appointment the link acts on
+ * @param {string} action - "confirm" or "cancel"
+ * @returns {string}
+ */
+const createActionToken = (appointment, action) => {
+  const expiresIn = Math.max(
+    60,
+    Math.floor((startOf(appointment).getTime() - Date.now()) / 1000)
+  );
+  return jwt.sign(
+    { appointmentId: appointment.id, action },
+    LINK_SECRET(),
+    { subject: appointment.patientId, audience: LINK_AUDIENCE, expiresIn }
+  );
+};
+
+/**
+ * Link the patient opens from a reminder. The frontend page reads the token,
+ * shows the action with GET /api/reminders/:token and posts it to the same
+ * URL once the patient confirms (a plain GET changes nothing, so link
+ * scanners in mail clients cannot trigger it).
+ */
+const actionUrl = (token) => {
+  const base = (process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+  return `${base}/appointment-reminder?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Resolve a reminder link token to its action, appointment and patient.
+ *
+ * @param {string} token - Token from the link
+ * @returns {Promise<{action: string, appointment: Object, patient: Object}>}
+ * @throws {HttpError} 400 for an invalid or expired link, 403 when the
+ *   patient's account is not active, 404 when the appointment no longer
+ *   exists
+ */
+const resolveActionToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, LINK_SECRET(), { audience: LINK_AUDIENCE });
+  } catch (error) {
+    throw new HttpError(400, "This reminder link is invalid or has expired");
+  }
+  if (!LINK_ACTIONS.includes(claims.action)) {
+    throw new HttpError(400, "This reminder link is invalid or has expired");
+  }
+
+  const appointment = await Appointment.findOne({
+    where: { id: claims.appointmentId, patientId: claims.sub },
+    include: [{ model: User, as: "doctor", attributes: ["id", "username"] }],
+  });
+  const patient = await User.findByPk(claims.sub);
+  if (!appointment || !patient) {
+    throw new HttpError(404, "Appointment not found");
+  }
+  if (patient.status !== "active") {
+    throw new HttpError(403, "This account is not active");
+  }
+
+  return { action: claims.action, appointment, patient };
+};
+
+/**
+ * Carry out a reminder link: confirm attendance or cancel the appointment.
+ *
+ * @param {Object} link - Resolved link (see resolveActionToken)
+ * @param {string} link.action - "confirm" or "cancel"
+ * @param {Object} link.appointment - Appointment the link is for
+ * @param {Object} link.patient - Patient the link was sent to
+ * @returns {Promise<{action: string, appointment: Object}>}
+ * @throws {HttpError} 409 when the appointment is no longer confirmed
+ */
+const performReminderAction = async ({ action, appointment, patient }) => {
+  if (action === "cancel") {
+    await transitionAppointment(appointment, "cancelled", {
+      actor: patient,
+      reason: "Cancelled from reminder link",
+    });
+    return { action, appointment };
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await appointment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (appointment.status !== "confirmed") {
+      throw new HttpError(409, `Appointment is ${appointment.status} and can no longer be confirmed`);
+    }
+    if (!appointment.attendanceConfirmedAt) {
+      appointment.attendanceConfirmedAt = new Date();
+      await appointment.save({ transaction });
+    }
+  });
+  return { action, appointment };
+};
+
+/**
+ * Claim a due reminder. The appointment row is locked so a concurrent
+ * cancellation either happens first (the reminder is dropped) or waits
+ * until the reminder has been claimed.
+ *
+ * @param {Object} reminder - Pending reminder
+ * @returns {Promise<Object|null>} The appointment to remind about, or null
+ *   when the reminder was dropped or another worker claimed it
+ */
+const claimReminder = (reminder) =>
+  sequelize.transaction(async (transaction) => {
+    const appointment = await Appointment.findByPk(reminder.appointmentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const valid =
+      appointment &&
+      appointment.status === "confirmed" &&
+      startOf(appointment) > new Date();
+
+    const [claimed] = await AppointmentReminder.update(
+      valid ? { status: "sent", sentAt: new Date() } : { status: "cancelled" },
+      { where: { id: reminder.id, status: "pending" }, transaction }
+    );
+    return claimed && valid ? appointment : null;
+  });
+
+/**
+ * Send every reminder that is due. Run by the reminder job.
+ *
+ * @returns {Promise<{sent: number, dropped: number}>}
+ */
+const sendDueReminders = async () => {
+  const due = await AppointmentReminder.findAll({
+    where: { status: "pending", sendAt: { [Op.lte]: new Date() } },
+    order: [["sendAt", "ASC"]],
+    limit: 100,
+  });
+
+  let sent = 0;
+  for (const reminder of due) {
+    const appointment = await claimReminder(reminder);
+    if (!appointment) continue;
+
+    const patient = await User.findByPk(appointment.patientId);
+    const doctor = await User.findByPk(appointment.doctorId);
+    const confirmUrl = actionUrl(createActionToken(appointment, "confirm"));
+    const cancelUrl = actionUrl(createActionToken(appointment, "cancel"));
+    const channels = patient
+      ? await notify({
+          event: "reminder",
+          recipient: patient,
+          context: {
+            appointment,
+            patientName: patient.username,
+            doctorName: doctor ? doctor.username : "your doctor",
+            when: `${appointment.date} ${String(appointment.time).slice(0, 5)}`,
+            isDoctor: false,
+            confirmUrl,
+            cancelUrl,
+          },
+          data: { appointmentId: appointment.id, confirmUrl, cancelUrl },
+        })
+      : [];
+
+    // Never retried: a half-delivered reminder is better than a duplicate
+    await reminder.update({ status: channels.length ? "sent" : "failed", channels });
+    if (channels.length) sent += 1;
+  }
+
+  return { sent, dropped: due.length - sent };
+};
+
+/**
+ * Keep reminders in step with appointment changes. Called once from app.js.
+ */
+const registerReminderHandlers = () => {
+  onAppointmentEvent("statusChanged", async ({ appointment, fromStatus, toStatus }) => {
+    if (toStatus === "confirmed") {
+      await scheduleReminders(appointment);
+    } else if (fromStatus === "confirmed") {
+      await cancelReminders(appointment.id);
+    }
+  });
+
+  // A reschedule keeps the status, so a confirmed appointment moved to a new
+  // slot gets reminders for its new time
+  onAppointmentEvent("rescheduled", async ({ appointment }) => {
+    if (appointment.status === "confirmed") {
+      await scheduleReminders(appointment);
+    }
+  });
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  scheduleReminders,
+  cancelReminders,
+  scheduleMissingReminders,
+  resolveActionToken,
+  performReminderAction,
+  sendDueReminders,
+  registerReminderHandlers,
+};
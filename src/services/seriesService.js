@@ -0,0 +1,371 @@
+/**
+ * Series Service
+ * --------------
+ * Books, cancels and reschedules recurring appointment series.
+ *
+ * Recurrence rules follow the RRULE subset of RFC 5545 that clinics need:
+ *   FREQ=DAILY|WEEKLY|MONTHLY;INTERVAL=n;COUNT=n   or   …;UNTIL=YYYYMMDD
+ * Exactly one of COUNT and UNTIL is required, and a series is capped at
+ * MAX_OCCURRENCES. Monthly rules skip months that lack the start day
+ * (e.g., the 31st), as RFC 5545 does.
+ *
+ * Each occurrence is booked on its own (see bookingService), so occurrences
+ * that clash with existing bookings are reported instead of failing the
+ * whole series. Participants get one notification for the booked series
+ * rather than one per occurrence.
+ */
+
+const { Op } = require("sequelize");
+const { Appointment, AppointmentSeries } = require("../models");
+const {
+  addDays,
+  findDoctor,
+  isValidDate,
+  normalizeTime,
+} = require("./availabilityService");
+const { bookSlot, rescheduleAppointment } = require("./bookingService");
+const { transitionAppointment } = require("./appointmentLifecycle");
+const { emitAppointmentEvent } = require("./appointmentEvents");
+const { assertProfileComplete } = require("./patientProfileService");
+const { HttpError } = require("../utils/httpError");
+
+// Upper bound on occurrences per series
+const MAX_OCCURRENCES = 52;
+
+// Occurrences that can still be cancelled or rescheduled
+const CHANGEABLE_STATUSES = ["pending", "confirmed"];
+
+// ---------------------- Recurrence Rules ----------------------
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;COUNT=6") or rule object
+ * ({ frequency, interval, count, until }) into a normalized rule.
+ *
+ * @param {string|Object} input - Recurrence rule
+ * @returns {{frequency: string, interval: number, count: number|null, until: string|null, rrule: string}}
+ * @throws {HttpError} 400 with a list of validation messages
+ */
+const parseRecurrenceRule = (input) => {
+  let raw = input;
+
+  if (typeof input === "string") {
+    raw = {};
+    input
+      .replace(/^RRULE:/i, "")
+      .split(";")
+      .filter(Boolean)
+      .forEach((part) => {
+        const [key, value] = part.split("=");
+        raw[String(key).trim().toLowerCase()] = value && value.trim();
+      });
+    raw.frequency = raw.freq;
+  }
+
+  if (!raw || typeof raw !== "object") {
+    throw new HttpError(400, "rrule is required");
+  }
+
+  const errors = [];
+  const frequency = String(raw.frequency || "").toUpperCase();
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  const count = raw.count === undefined || raw.count === null ? null : Number(raw.count);
+  let until = raw.until || null;
+
+  // Accept both RRULE (YYYYMMDD) and ISO (YYYY-MM-DD) dates for UNTIL
+  if (until && /^\d{8}/.test(until)) {
+    until = `${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`;
+  }
+
+  if (!AppointmentSeries.FREQUENCIES.includes(frequency)) {
+    errors.push(`FREQ must be one of: ${AppointmentSeries.FREQUENCIES.join(", ")}`);
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    errors.push("INTERVAL must be a whole number between 1 and 12");
+  }
+  if ((count === null) === (until === null)) {
+    errors.push("Exactly one of COUNT or UNTIL is required");
+  }
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    errors.push(`COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  if (until !== null && !isValidDate(until)) {
+    errors.push("UNTIL must be a valid date (YYYYMMDD or YYYY-MM-DD)");
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, "Invalid recurrence rule", errors);
+  }
+
+  const rrule = [
+    `FREQ=${frequency}`,
+    `INTERVAL=${interval}`,
+    count !== null ? `COUNT=${count}` : `UNTIL=${until.replace(/-/g, "")}`,
+  ].join(";");
+
+  return { frequency, interval, count, until, rrule };
+};
+
+/**
+ * Add months to a date, returning null when the day does not exist in the
+ * target month (so Jan 31 + 1 month is skipped rather than clamped).
+ */
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, day));
+  if (target.getUTCDate() !== day) return null;
+  return target.toISOString().slice(0, 10);
+};
+
+/**
+ * List the occurrence dates of a rule starting on startDate.
+ *
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {Object} rule - Rule from parseRecurrenceRule
+ * @returns {Array<string>} Dates (YYYY-MM-DD), at most MAX_OCCURRENCES
+ */
+const expandOccurrences = (startDate, rule) => {
+  const limit = rule.count || MAX_OCCURRENCES;
+  const dates = [];
+
+  // Monthly rules may skip months, so bound the number of steps as well
+  for (let step = 0; dates.length < limit && step < MAX_OCCURRENCES * 2; step++) {
+    let date;
+    if (rule.frequency === "DAILY") date = addDays(startDate, step * rule.interval);
+    if (rule.frequency === "WEEKLY") date = addDays(startDate, step * rule.interval * 7);
+    if (rule.frequency === "MONTHLY") date = addMonths(startDate, step * rule.interval);
+
+    if (date === null) continue;
+    if (rule.until && date > rule.until) break;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+// ---------------------- Booking ----------------------
+
+/**
+ * Book a recurring series of appointments.
+ *
+ * @param {Object} params
+ * @param {string} params.patientId - Patient the series is for
+ * @param {string} params.doctorId - Doctor to book with
+ * @param {string} params.startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} params.time - Start time of every occurrence
+ * @param {string|Object} params.rrule - Recurrence rule
+ * @param {string} params.reason - Reason for the visits
+ * @param {Object} params.actor - User making the booking
+ * @returns {Promise<{series: Object, appointments: Array<Object>, conflicts: Array<Object>}>}
+ * @throws {HttpError} 400 for invalid input, 403 for an incomplete patient
+ *   profile, 404 for an unknown doctor, 409 when no occurrence could be booked
+ */
+const bookSeries = async ({ patientId, doctorId, startDate, time, rrule, reason, actor }) => {
+  const rule = parseRecurrenceRule(rrule);
+  const normalizedTime = normalizeTime(time);
+
+  if (!isValidDate(startDate)) {
+    throw new HttpError(400, "startDate must be a valid date (YYYY-MM-DD)");
+  }
+  if (!normalizedTime) {
+    throw new HttpError(400, "Time must be a valid time (HH:MM)");
+  }
+
+  await findDoctor(doctorId);
+  await assertProfileComplete(patientId);
+
+  const dates = expandOccurrences(startDate, rule);
+  const series = await AppointmentSeries.create({
+    patientId,
+    doctorId,
+    ...rule,
+    startDate,
+    time: normalizedTime,
+    reason,
+  });
+
+  const appointments = [];
+  const conflicts = [];
+
+  for (const date of dates) {
+    try {
+      appointments.push(
+        await bookSlot({
+          patientId,
+          doctorId,
+          date,
+          time: normalizedTime,
+          reason,
+          actor,
+          seriesId: series.id,
+        })
+      );
+    } catch (error) {
+      if (error.name !== "HttpError") throw error;
+      conflicts.push({ date, time: normalizedTime, message: error.message });
+    }
+  }
+
+  if (!appointments.length) {
+    await series.destroy();
+    throw new HttpError(409, "None of the occurrences could be booked", conflicts.map(
+      (c) => `${c.date} ${c.time}: ${c.message}`
+    ));
+  }
+
+  emitAppointmentEvent("seriesBooked", { series, appointments, actor });
+  return { series, appointments, conflicts };
+};
+
+// ---------------------- Changing Occurrences ----------------------
+
+/**
+ * Resolve the occurrences targeted by a "this" or "following" change.
+ *
+ * @param {Object} series - AppointmentSeries instance
+ * @param {string} appointmentId - Occurrence the change starts from
+ * @param {string} scope - "this" or "following"
+ * @returns {Promise<Array<Object>>} Appointments, ordered by date
+ * @throws {HttpError} 400 for an unknown scope, 404 when the occurrence is not in the series
+ */
+const findTargetOccurrences = async (series, appointmentId, scope) => {
+  if (!["this", "following"].includes(scope)) {
+    throw new HttpError(400, 'scope must be "this" or "following"');
+  }
+
+  const anchor = await Appointment.findOne({
+    where: { id: appointmentId, seriesId: series.id },
+  });
+  if (!anchor) {
+    throw new HttpError(404, "Occurrence not found in this series");
+  }
+  if (scope === "this") return [anchor];
+
+  return Appointment.findAll({
+    where: {
+      seriesId: series.id,
+      status: { [Op.in]: CHANGEABLE_STATUSES },
+      [Op.or]: [
+        { date: { [Op.gt]: anchor.date } },
+        { date: anchor.date, time: { [Op.gte]: anchor.time } },
+      ],
+    },
+    order: [["date", "ASC"], ["time", "ASC"]],
+  });
+};
+
+/**
+ * Mark the series cancelled once no occurrence is left to attend.
+ */
+const refreshSeriesStatus = async (series) => {
+  const remaining = await Appointment.count({
+    where: { seriesId: series.id, status: { [Op.in]: Appointment.ACTIVE_STATUSES } },
+  });
+  if (!remaining && series.status !== "cancelled") {
+    series.status = "cancelled";
+    await series.save();
+  }
+};
+
+/**
+ * Cancel one occurrence, or it and every later one.
+ *
+ * @param {Object} series - AppointmentSeries instance
+ * @param {Object} params
+ * @param {string} params.appointmentId - Occurrence to start from
+ * @param {string} params.scope - "this" or "following"
+ * @param {Object} params.actor - User cancelling
+ * @param {string} [params.reason] - Optional cancellation reason
+ * @returns {Promise<{cancelled: Array<Object>, failed: Array<Object>}>}
+ */
+const cancelOccurrences = async (series, { appointmentId, scope, actor, reason }) => {
+  const targets = await findTargetOccurrences(series, appointmentId, scope);
+  const cancelled = [];
+  const failed = [];
+
+  for (const appointment of targets) {
+    try {
+      cancelled.push(
+        await transitionAppointment(appointment, "cancelled", { actor, reason })
+      );
+    } catch (error) {
+      if (error.name !== "HttpError") throw error;
+      failed.push({ appointmentId: appointment.id, date: appointment.date, message: error.message });
+    }
+  }
+
+  await refreshSeriesStatus(series);
+  return { cancelled, failed };
+};
+
+/**
+ * Reschedule one occurrence, or it and every later one.
+ *
+ * For "following", every targeted occurrence moves by the same number of
+ * days as the first one and starts at the new time. Occurrences are moved
+ * in the direction of travel (latest first when moving later) so that an
+ * occurrence never collides with one of its own siblings' old slots.
+ *
+ * @param {Object} series - AppointmentSeries instance
+ * @param {Object} params
+ * @param {string} params.appointmentId - Occurrence to start from
+ * @param {string} params.scope - "this" or "following"
+ * @param {string} params.date - New date for the first targeted occurrence
+ * @param {string} params.time - New start time
+ * @param {Object} params.actor - User rescheduling
+ * @param {string} [params.reason] - Optional reason stored in the history
+ * @returns {Promise<{rescheduled: Array<Object>, conflicts: Array<Object>}>}
+ */
+const rescheduleOccurrences = async (
+  series,
+  { appointmentId, scope, date, time, actor, reason }
+) => {
+  if (!isValidDate(date)) {
+    throw new HttpError(400, "Date must be a valid date (YYYY-MM-DD)");
+  }
+
+  const targets = await findTargetOccurrences(series, appointmentId, scope);
+  if (!targets.length) {
+    return { rescheduled: [], conflicts: [] };
+  }
+
+  const offsetDays = Math.round(
+    (new Date(`${date}T00:00:00Z`) - new Date(`${targets[0].date}T00:00:00Z`)) / 86400000
+  );
+  const ordered = offsetDays > 0 ? [...targets].reverse() : targets;
+
+  const rescheduled = [];
+  const conflicts = [];
+
+  for (const appointment of ordered) {
+    const newDate = addDays(appointment.date, offsetDays);
+    try {
+      const result = await rescheduleAppointment(appointment, {
+        date: newDate,
+        time,
+        actor,
+        reason,
+      });
+      rescheduled.push(result.appointment);
+    } catch (error) {
+      if (error.name !== "HttpError") throw error;
+      conflicts.push({
+        appointmentId: appointment.id,
+        date: newDate,
+        time,
+        message: error.message,
+      });
+    }
+  }
+
+  rescheduled.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+  return { rescheduled, conflicts };
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  expandOccurrences,
+  bookSeries,
+  cancelOccurrences,
+  rescheduleOccurrences,
+};
@@ -0,0 +1,202 @@
+/**
+ * Token Service
+ * -------------
+ * Issues and revokes the tokens that keep a user logged in.
+ *
+ * - Access token: short-lived JWT (ACCESS_TOKEN_EXPIRES_IN, default 15m) carrying
+ *   the session ID (`sid`); authenticateToken rejects it as soon as the
+ *   session is revoked
+ * - Refresh token: opaque, single-use, stored hashed, valid for
+ *   REFRESH_TOKEN_TTL_DAYS (default 30) and replaced on every refresh
+ * - All refresh tokens of one login belong to one session (the token
+ *   family). Presenting a token that was already exchanged means someone
+ *   kept a copy, so the whole session is revoked
+ */
+
+const jwt = require("jsonwebtoken");
+const { RefreshToken, UserSession, User, sequelize } = require("../models");
+const { generateOpaqueToken, hashToken } = require("../utils/tokens");
+const { HttpError } = require("../utils/httpError");
+const { logSecurityEvent } = require("../utils/securityLog");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+/**
+ * Sign an access token for a user's session.
+ *
+ * @param {Object} user - User instance
+ * @param {Object} session - UserSession the token belongs to
+ * @returns {string} JWT
+ */
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sid: session.id,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL,
+    }
+  );
+};
+
+/**
+ * Create a refresh token in a session.
+ *
+ * @returns {Promise<{token: string, record: Object}>} Plain token and its row
+ */
+const createRefreshToken = async (session, transaction) => {
+  const token = generateOpaqueToken();
+  const record = await RefreshToken.create(
+    {
+      sessionId: session.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+    },
+    { transaction }
+  );
+  return { token, record };
+};
+
+/**
+ * The token pair returned to clients.
+ */
+const tokenResponse = (user, session, refreshToken) => ({
+  token: generateAccessToken(user, session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+/**
+ * Start a new session for a user (login, registration).
+ *
+ * @param {Object} user - User logging in
+ * @param {Object} [device]
+ * @param {string} [device.userAgent] - User-Agent header
+ * @param {string} [device.ipAddress] - Client IP
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ */
+const issueTokens = (user, { userAgent, ipAddress } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const session = await UserSession.create(
+      {
+        userId: user.id,
+        userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+        ipAddress: ipAddress || null,
+      },
+      { transaction }
+    );
+    const { token } = await createRefreshToken(session, transaction);
+    return tokenResponse(user, session, token);
+  });
+
+/**
+ * End one session.
+ *
+ * @param {string} sessionId - Session to revoke
+ * @param {string} reason - Why (e.g., "logout")
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const [revoked] = await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+  return revoked > 0;
+};
+
+/**
+ * End every session of a user (logout everywhere, password change, ...).
+ *
+ * @param {string} userId - User whose sessions end
+ * @param {string} reason - Why
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const [revoked] = await UserSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null } }
+  );
+  return revoked;
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ *
+ * The token row is locked so two concurrent refreshes with the same token
+ * cannot both succeed; the loser is treated as reuse.
+ *
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ * @throws {HttpError} 401 for an unknown, expired or reused token, or a
+ *   revoked session
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const result = await sequelize.transaction(async (transaction) => {
+    const record = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(String(refreshToken)) },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!record) return { error: "Invalid refresh token" };
+
+    const session = await UserSession.findByPk(record.sessionId, { transaction });
+    if (!session || !session.isActive()) return { error: "Session has been revoked" };
+
+    if (record.usedAt) {
+      // Reuse: revoke the family (committed even though the request fails)
+      session.revokedAt = new Date();
+      session.revokedReason = "refresh_token_reuse";
+      await session.save({ transaction });
+      logSecurityEvent("refresh_token_reuse", {
+        userId: session.userId,
+        sessionId: session.id,
+      });
+      return { error: "Refresh token has already been used; session revoked" };
+    }
+    if (record.expiresAt <= new Date()) return { error: "Refresh token expired" };
+
+    const user = await User.findByPk(session.userId, { transaction });
+    if (!user) return { error: "Invalid refresh token" };
+
+    const next = await createRefreshToken(session, transaction);
+    record.usedAt = new Date();
+    record.replacedById = next.record.id;
+    await record.save({ transaction });
+
+    session.lastUsedAt = new Date();
+    await session.save({ transaction });
+
+    return { tokens: tokenResponse(user, session, next.token) };
+  });
+
+  if (result.error) throw new HttpError(401, result.error);
+  return result.tokens;
+};
+
+/**
+ * Find the session behind an access token's `sid`, if it is still active.
+ *
+ * @param {string} sessionId - `sid` claim
+ * @returns {Promise<Object|null>}
+ */
+const findActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await UserSession.findByPk(sessionId);
+  return session && session.isActive() ? session : null;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+};
@@ -0,0 +1,322 @@
+/**
+ * User Administration Service
+ * ---------------------------
+ * Admin-side user management: searching users, editing accounts, changing
+ * roles and suspending or reactivating accounts.
+ *
+ * - Suspension blocks login and ends every session, but keeps the account
+ *   and its appointments and records; reactivation lets the user log in again
+ * - The last active admin can never be demoted, suspended or deleted
+ * - Users with clinical records (encounters) cannot be deleted, only
+ *   suspended
+ * - Role and status changes are written to the security log
+ */
+
+const { Op } = require("sequelize");
+const { Appointment, User, sequelize } = require("../models");
+const { ROLE_NAMES } = require("../config/permissions");
+const { revokeAllSessions } = require("./tokenService");
+const { sendVerificationEmailSafely } = require("./emailVerificationService");
+const { profileInclude } = require("./patientProfileService");
+const { today } = require("./availabilityService");
+const { logSecurityEvent } = require("../utils/securityLog");
+const { HttpError } = require("../utils/httpError");
+const { escapeLike } = require("../utils/like");
+
+// Columns the user list can be sorted by
+const SORT_FIELDS = ["createdAt", "username", "email", "role", "status"];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Search users.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.q] - Text in the username or email
+ * @param {string} [filters.role] - Role name
+ * @param {string} [filters.status] - Account status
+ * @param {string} [filters.createdFrom] - Created on or after (YYYY-MM-DD, clinic-local)
+ * @param {string} [filters.createdTo] - Created on or before (YYYY-MM-DD, clinic-local)
+ * @param {string} [filters.sort] - One of SORT_FIELDS (default createdAt)
+ * @param {string} [filters.order] - "asc" or "desc" (default desc)
+ * @param {number} [filters.page] - 1-based page
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{rows: Array<Object>, count: number}>} Users (patients
+ *   with their demographic profile)
+ */
+const listUsers = ({
+  q,
+  role,
+  status,
+  createdFrom,
+  createdTo,
+  sort = "createdAt",
+  order = "desc",
+  page = 1,
+  limit = 50,
+}) => {
+  const where = {};
+  if (role) where.role = role;
+  if (status) where.status = status;
+  if (q) {
+    const pattern = `%${escapeLike(q)}%`;
+    where[Op.or] = [
+      { username: { [Op.iLike]: pattern } },
+      { email: { [Op.iLike]: pattern } },
+    ];
+  }
+  if (createdFrom || createdTo) {
+    where.createdAt = {};
+    if (createdFrom) where.createdAt[Op.gte] = new Date(`${createdFrom}T00:00:00`);
+    if (createdTo) where.createdAt[Op.lte] = new Date(`${createdTo}T23:59:59.999`);
+  }
+
+  return User.findAndCountAll({
+    where,
+    include: [profileInclude],
+    // Ties (e.g., same role) keep a stable order across pages
+    order: [[sort, order.toUpperCase()], ["id", "ASC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+};
+
+/**
+ * Lock every active admin (in ID order) until the transaction ends.
+ *
+ * @param {Object} [transaction] - Transaction to lock in (no lock without one)
+ * @returns {Promise<Array<Object>>} The active admins (IDs only)
+ */
+const lockActiveAdmins = (transaction) =>
+  User.findAll({
+    where: { role: "admin", status: "active" },
+    attributes: ["id"],
+    order: [["id", "ASC"]],
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE }),
+  });
+
+/**
+ * Load a user for a change, locked until the transaction ends.
+ *
+ * The active admins are locked first, so changes that also lock them (see
+ * assertNotLastAdmin) always take the locks in the same order: two admins
+ * changing each other wait for one another instead of deadlocking.
+ *
+ * @throws {HttpError} 404 when missing
+ */
+const lockUser = async (userId, transaction) => {
+  await lockActiveAdmins(transaction);
+  const user = UUID_PATTERN.test(String(userId))
+    ? await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE })
+    : null;
+  if (!user) {
+    throw new HttpError(404, "User not found");
+  }
+  return user;
+};
+
+/**
+ * Refuse a change that would leave the clinic without an active admin.
+ *
+ * Locks every active admin so two admins cannot demote or suspend each
+ * other at the same time.
+ *
+ * @param {Object} user - User about to lose admin access
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Transaction the change runs in
+ * @throws {HttpError} 409 when they are the last active admin
+ */
+const assertNotLastAdmin = async (user, { transaction } = {}) => {
+  if (user.role !== "admin" || user.status !== "active") return;
+
+  const admins = await lockActiveAdmins(transaction);
+  if (!admins.some((admin) => admin.id !== user.id)) {
+    throw new HttpError(409, "The last active admin cannot be demoted, suspended or deleted");
+  }
+};
+
+/**
+ * Edit a user's account details and/or role.
+ *
+ * A new email address has to be verified again. A doctor keeps their role
+ * while they have upcoming appointments.
+ *
+ * @param {string} userId - User to change
+ * @param {Object} changes - Any of { username, email, role }
+ * @param {Object} admin - Admin making the change
+ * @returns {Promise<{user: Object, changes: Object}>} The user and what
+ *   changed ({ field: { from, to } })
+ * @throws {HttpError} 400 for invalid input or a change of their own role,
+ *   404 when missing, 409 for the last admin or a doctor with appointments
+ */
+const updateUser = async (userId, { username, email, role }, admin) => {
+  if (role !== undefined && !ROLE_NAMES.includes(role)) {
+    throw new HttpError(400, `Role must be one of: ${ROLE_NAMES.join(", ")}`);
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const user = await lockUser(userId, transaction);
+
+    if (role !== undefined && role !== user.role) {
+      if (user.id === admin.id) {
+        throw new HttpError(400, "Cannot change your own role");
+      }
+      await assertNotLastAdmin(user, { transaction });
+
+      if (user.role === "doctor") {
+        const upcoming = await Appointment.count({
+          where: {
+            doctorId: user.id,
+            status: { [Op.in]: Appointment.ACTIVE_STATUSES },
+            date: { [Op.gte]: today() },
+          },
+          transaction,
+        });
+        if (upcoming) {
+          throw new HttpError(
+            409,
+            `Doctor has ${upcoming} upcoming appointment(s); cancel or move them before changing their role`
+          );
+        }
+      }
+      user.role = role;
+    }
+
+    if (username !== undefined) user.username = String(username).trim();
+    if (email !== undefined) {
+      const address = String(email).trim().toLowerCase();
+      if (address !== user.email) {
+        user.email = address;
+        user.emailVerifiedAt = null; // The owner of the new address has to confirm it
+      }
+    }
+
+    const changes = {};
+    for (const field of user.changed() || []) {
+      if (field === "emailVerifiedAt") continue;
+      changes[field] = { from: user.previous(field), to: user.get(field) };
+    }
+    if (Object.keys(changes).length) await user.save({ transaction });
+    return { user, changes };
+  });
+
+  const { user, changes } = result;
+  if (changes.role) {
+    logSecurityEvent("role_changed", {
+      userId: user.id,
+      from: changes.role.from,
+      to: changes.role.to,
+      adminId: admin.id,
+    });
+  }
+  if (changes.email) {
+    logSecurityEvent("email_changed_by_admin", {
+      userId: user.id,
+      from: changes.email.from,
+      to: changes.email.to,
+      adminId: admin.id,
+    });
+    await sendVerificationEmailSafely(user);
+  }
+  return result;
+};
+
+/**
+ * Suspend an active account: login is refused and every session ends.
+ *
+ * @param {string} userId - User to suspend
+ * @param {Object} admin - Admin suspending them
+ * @param {string} [reason] - Why (security log)
+ * @returns {Promise<Object>} The user
+ * @throws {HttpError} 400 for their own account, 404 when missing, 409 when
+ *   not active or the last admin
+ */
+const suspendUser = async (userId, admin, reason) => {
+  const user = await sequelize.transaction(async (transaction) => {
+    const found = await lockUser(userId, transaction);
+    if (found.id === admin.id) {
+      throw new HttpError(400, "Cannot suspend your own account");
+    }
+    if (found.status !== "active") {
+      throw new HttpError(409, `Only active accounts can be suspended (this one is ${found.status})`);
+    }
+    await assertNotLastAdmin(found, { transaction });
+
+    found.status = "suspended";
+    await found.save({ transaction });
+    return found;
+  });
+
+  const sessionsRevoked = await revokeAllSessions(user.id, "suspended");
+  logSecurityEvent("user_suspended", {
+    userId: user.id,
+    adminId: admin.id,
+    reason: reason || null,
+    sessionsRevoked,
+  });
+  return user;
+};
+
+/**
+ * Let a suspended user log in again.
+ *
+ * @param {string} userId - User to reactivate
+ * @param {Object} admin - Admin reactivating them
+ * @returns {Promise<Object>} The user
+ * @throws {HttpError} 404 when missing, 409 when not suspended
+ */
+const reactivateUser = async (userId, admin) => {
+  const user = await sequelize.transaction(async (transaction) => {
+    const found = await lockUser(userId, transaction);
+    if (found.status !== "suspended") {
+      throw new HttpError(409, `Only suspended accounts can be reactivated (this one is ${found.status})`);
+    }
+
+    found.status = "active";
+    await found.save({ transaction });
+    return found;
+  });
+
+  logSecurityEvent("user_reactivated", { userId: user.id, adminId: admin.id });
+  return user;
+};
+
+/**
+ * Delete an account and everything that cascades from it (appointments,
+ * sessions, profile).
+ *
+ * @param {string} userId - User to delete
+ * @param {Object} admin - Admin deleting them
+ * @throws {HttpError} 400 for their own account, 404 when missing, 409 for
+ *   the last admin or a user with clinical records
+ */
+const deleteUser = async (userId, admin) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      const user = await lockUser(userId, transaction);
+      if (user.id === admin.id) {
+        throw new HttpError(400, "Cannot delete your own account");
+      }
+      await assertNotLastAdmin(user, { transaction });
+
+      await user.destroy({ transaction });
+    });
+  } catch (error) {
+    // Clinical records (encounters) must be retained
+    if (error.name === "SequelizeForeignKeyConstraintError") {
+      throw new HttpError(409, "User has clinical records and cannot be deleted");
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  SORT_FIELDS,
+  listUsers,
+  assertNotLastAdmin,
+  updateUser,
+  suspendUser,
+  reactivateUser,
+  deleteUser,
+};
@@ -0,0 +1,384 @@
+/**
+ * Waitlist Service
+ * ----------------
+ * Lets patients queue for a fully booked doctor and hands freed slots to
+ * them in arrival order.
+ *
+ * Flow:
+ * 1. A patient joins the waitlist for a doctor and a date range.
+ * 2. When an appointment is cancelled (or moved away by a reschedule) its
+ *    slot is offered to the first waiting patient whose range covers it.
+ *    The slot is held for them for WAITLIST_OFFER_HOLD_MINUTES, and they are
+ *    notified of the offer and when it expires.
+ * 3. The patient accepts (the slot is booked for them) or declines; an
+ *    offer that is not answered in time lapses. In both of the latter cases
+ *    the slot passes to the next patient in line.
+ */
+
+const { Op } = require("sequelize");
+const { Appointment, User, WaitlistEntry, sequelize } = require("../models");
+const {
+  MAX_RANGE_DAYS,
+  addDays,
+  findDoctor,
+  isValidDate,
+  today,
+} = require("./availabilityService");
+const { bookSlot, withDoctorLock } = require("./bookingService");
+const { onAppointmentEvent } = require("./appointmentEvents");
+const { assertProfileComplete } = require("./patientProfileService");
+const { notify } = require("../notifications");
+const { HttpError } = require("../utils/httpError");
+
+// How long a freed slot is held for the patient it was offered to
+const OFFER_HOLD_MINUTES = Number(process.env.WAITLIST_OFFER_HOLD_MINUTES || 120);
+
+/**
+ * Add a patient to a doctor's waitlist.
+ *
+ * @param {Object} params
+ * @param {string} params.patientId - Patient joining the waitlist
+ * @param {string} params.doctorId - Doctor they want to see
+ * @param {string} params.fromDate - First acceptable date (YYYY-MM-DD)
+ * @param {string} params.toDate - Last acceptable date (YYYY-MM-DD)
+ * @param {string} params.reason - Reason for the visit
+ * @returns {Promise<Object>} The new entry
+ * @throws {HttpError} 400 for invalid dates, 403 for an incomplete patient
+ *   profile, 404 for an unknown doctor, 409 when the patient is already
+ *   waiting for this doctor
+ */
+const joinWaitlist = async ({ patientId, doctorId, fromDate, toDate, reason }) => {
+  if (!isValidDate(fromDate) || !isValidDate(toDate) || fromDate > toDate) {
+    throw new HttpError(400, "fromDate and toDate must be valid dates (YYYY-MM-DD), fromDate first");
+  }
+  if (fromDate < today()) {
+    throw new HttpError(400, "fromDate cannot be in the past");
+  }
+  if (addDays(fromDate, MAX_RANGE_DAYS - 1) < toDate) {
+    throw new HttpError(400, `Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  await findDoctor(doctorId);
+  await assertProfileComplete(patientId); // The offer is booked on acceptance
+
+  const existing = await WaitlistEntry.findOne({
+    where: { patientId, doctorId, status: { [Op.in]: ["waiting", "offered"] } },
+  });
+  if (existing) {
+    throw new HttpError(409, "You are already on this doctor's waitlist");
+  }
+
+  return WaitlistEntry.create({ patientId, doctorId, fromDate, toDate, reason });
+};
+
+/**
+ * Format a time for messages in clinic-local time (e.g., "2026-10-20 11:30").
+ */
+const formatLocal = (date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16).replace("T", " ");
+
+/**
+ * Tell a patient about the slot offered to them and when the offer lapses.
+ * Failures are logged: the offer stands either way and is listed in
+ * GET /api/patient/waitlist.
+ *
+ * @param {Object} entry - WaitlistEntry that received the offer
+ */
+const notifyOffer = async (entry) => {
+  try {
+    const [patient, doctor] = await Promise.all([
+      User.findByPk(entry.patientId),
+      User.findByPk(entry.doctorId),
+    ]);
+    if (!patient) return;
+
+    await notify({
+      event: "waitlistOffer",
+      recipient: patient,
+      context: {
+        patientName: patient.username,
+        doctorName: doctor ? doctor.username : "your doctor",
+        when: `${entry.offeredDate} ${String(entry.offeredTime).slice(0, 5)}`,
+        expiresAt: formatLocal(entry.offerExpiresAt),
+        isDoctor: false,
+      },
+      data: { waitlistEntryId: entry.id, offerExpiresAt: entry.offerExpiresAt },
+    });
+  } catch (error) {
+    console.error(`Waitlist offer notification for entry ${entry.id} failed:`, error);
+  }
+};
+
+/**
+ * Offer a freed slot to the next waiting patient and notify them.
+ *
+ * Skips patients whose last offer was this very slot (they declined it or
+ * let it lapse) and patients who already have an active appointment then.
+ *
+ * @param {Object} slot
+ * @param {string} slot.doctorId - Doctor whose slot was freed
+ * @param {string} slot.date - Date (YYYY-MM-DD)
+ * @param {string} slot.time - Start time (HH:MM:SS)
+ * @returns {Promise<Object|null>} The entry that received the offer, if any
+ */
+const offerFreedSlot = async ({ doctorId, date, time }) => {
+  if (new Date(`${date}T${time}`) <= new Date()) return null;
+
+  const offered = await withDoctorLock(doctorId, async (transaction) => {
+    // Someone may have booked the slot (or be holding it) in the meantime
+    const taken = await Appointment.findOne({
+      where: {
+        doctorId,
+        date,
+        time,
+        status: { [Op.in]: Appointment.ACTIVE_STATUSES },
+      },
+      transaction,
+    });
+    const held = await WaitlistEntry.findOne({
+      where: {
+        doctorId,
+        status: "offered",
+        offeredDate: date,
+        offeredTime: time,
+        offerExpiresAt: { [Op.gt]: new Date() },
+      },
+      transaction,
+    });
+    if (taken || held) return null;
+
+    const candidates = await WaitlistEntry.findAll({
+      where: {
+        doctorId,
+        status: "waiting",
+        fromDate: { [Op.lte]: date },
+        toDate: { [Op.gte]: date },
+        [Op.or]: [
+          { offeredDate: null },
+          { offeredDate: { [Op.ne]: date } },
+          { offeredTime: { [Op.ne]: time } },
+        ],
+      },
+      order: [["createdAt", "ASC"]],
+      transaction,
+    });
+
+    for (const entry of candidates) {
+      const busy = await Appointment.findOne({
+        where: {
+          patientId: entry.patientId,
+          date,
+          time,
+          status: { [Op.in]: Appointment.ACTIVE_STATUSES },
+        },
+        transaction,
+      });
+      if (busy) continue;
+
+      entry.status = "offered";
+      entry.offeredDate = date;
+      entry.offeredTime = time;
+      entry.offerExpiresAt = new Date(Date.now() + OFFER_HOLD_MINUTES * 60000);
+      await entry.save({ transaction });
+      return entry;
+    }
+
+    return null;
+  });
+
+  if (offered) await notifyOffer(offered);
+  return offered;
+};
+
+/**
+ * Give up an offer (declined, lapsed or withdrawn) and pass the slot on.
+ *
+ * The entry is locked and re-checked first: an offer that was accepted or
+ * released in the meantime is left alone, so the slot is never offered
+ * twice.
+ *
+ * @param {Object} entry - WaitlistEntry with status "offered"
+ * @param {string} nextStatus - "waiting" (stay in line) or "cancelled"
+ * @param {Object} [options]
+ * @param {boolean} [options.lapsed] - Release only an offer that has expired
+ *   (otherwise only one that is still live)
+ * @returns {Promise<Object|null>} The updated entry, or null when the offer
+ *   was no longer in that state
+ */
+const releaseOffer = async (entry, nextStatus, { lapsed = false } = {}) => {
+  const released = await sequelize.transaction(async (transaction) => {
+    const current = await WaitlistEntry.findByPk(entry.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!current || current.status !== "offered") return null;
+    if ((current.offerExpiresAt <= new Date()) !== lapsed) return null;
+
+    current.status = nextStatus;
+    current.offerExpiresAt = null;
+    await current.save({ transaction });
+    return current;
+  });
+
+  if (released) {
+    await offerFreedSlot({
+      doctorId: released.doctorId,
+      date: released.offeredDate,
+      time: released.offeredTime,
+    });
+  }
+  return released;
+};
+
+/**
+ * Find a patient's own entry that currently holds an offer (locked until
+ * the transaction ends, when one is given).
+ *
+ * @throws {HttpError} 404 when missing, 409 when there is no live offer
+ */
+const findLiveOffer = async (entryId, patientId, transaction) => {
+  const entry = await WaitlistEntry.findOne({
+    where: { id: entryId, patientId },
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE }),
+  });
+  if (!entry) {
+    throw new HttpError(404, "Waitlist entry not found");
+  }
+  if (entry.status !== "offered" || entry.offerExpiresAt <= new Date()) {
+    throw new HttpError(409, "There is no open slot offer on this waitlist entry");
+  }
+  return entry;
+};
+
+/**
+ * Accept the slot offered on a waitlist entry and book it. The entry is
+ * locked and the booking made in one transaction, so the offer cannot lapse
+ * or be accepted twice in the meantime.
+ *
+ * @param {string} entryId - WaitlistEntry ID
+ * @param {Object} actor - Patient accepting the offer
+ * @returns {Promise<{entry: Object, appointment: Object}>}
+ */
+const acceptOffer = (entryId, actor) =>
+  sequelize.transaction(async (transaction) => {
+    const entry = await findLiveOffer(entryId, actor.id, transaction);
+
+    const appointment = await bookSlot({
+      patientId: entry.patientId,
+      doctorId: entry.doctorId,
+      date: entry.offeredDate,
+      time: entry.offeredTime,
+      reason: entry.reason,
+      actor,
+      transaction,
+    });
+
+    entry.status = "booked";
+    entry.appointmentId = appointment.id;
+    entry.offerExpiresAt = null;
+    await entry.save({ transaction });
+
+    return { entry, appointment };
+  });
+
+/**
+ * Decline the slot offered on a waitlist entry. The patient stays in line.
+ *
+ * @param {string} entryId - WaitlistEntry ID
+ * @param {Object} actor - Patient declining the offer
+ * @returns {Promise<Object>} The updated entry
+ * @throws {HttpError} 404 when missing, 409 when there is no live offer
+ *   (including one accepted while declining)
+ */
+const declineOffer = async (entryId, actor) => {
+  const entry = await findLiveOffer(entryId, actor.id);
+  const released = await releaseOffer(entry, "waiting");
+  if (!released) {
+    throw new HttpError(409, "There is no open slot offer on this waitlist entry");
+  }
+  return released;
+};
+
+/**
+ * Remove an entry from the waitlist (patient leaves or admin removes it).
+ * A slot held by the entry passes to the next patient.
+ *
+ * @param {Object} entry - WaitlistEntry instance
+ * @returns {Promise<Object>} The updated entry
+ */
+const cancelEntry = async (entry) => {
+  if (!["waiting", "offered"].includes(entry.status)) {
+    throw new HttpError(409, `Waitlist entry is already ${entry.status}`);
+  }
+  if (entry.status === "offered" && entry.offerExpiresAt > new Date()) {
+    const released = await releaseOffer(entry, "cancelled");
+    if (released) return released;
+
+    // Accepted or lapsed in the meantime
+    await entry.reload();
+    return cancelEntry(entry);
+  }
+  entry.status = "cancelled";
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Housekeeping run by the waitlist job:
+ * - Lapsed offers go back to "waiting" and their slot passes on
+ * - Entries whose date range is over become "expired"
+ *
+ * @returns {Promise<{lapsed: number, expired: number}>}
+ */
+const processExpiredOffers = async () => {
+  const lapsed = await WaitlistEntry.findAll({
+    where: { status: "offered", offerExpiresAt: { [Op.lte]: new Date() } },
+    order: [["offerExpiresAt", "ASC"]],
+  });
+
+  let released = 0;
+  for (const entry of lapsed) {
+    if (await releaseOffer(entry, "waiting", { lapsed: true })) released++;
+  }
+
+  const [expired] = await WaitlistEntry.update(
+    { status: "expired" },
+    {
+      where: {
+        status: { [Op.in]: ["waiting", "offered"] },
+        toDate: { [Op.lt]: today() },
+      },
+    }
+  );
+
+  return { lapsed: released, expired };
+};
+
+/**
+ * Offer slots freed by cancellations and reschedules to waiting patients.
+ * Called once from app.js.
+ */
+const registerWaitlistHandlers = () => {
+  onAppointmentEvent("statusChanged", async ({ appointment, fromStatus, toStatus }) => {
+    if (!["cancelled", "rescheduled"].includes(toStatus)) return;
+    if (!Appointment.ACTIVE_STATUSES.includes(fromStatus)) return;
+
+    await offerFreedSlot({
+      doctorId: appointment.doctorId,
+      date: appointment.date,
+      time: appointment.time,
+    });
+  });
+};
+
+module.exports = {
+  OFFER_HOLD_MINUTES,
+  joinWaitlist,
+  offerFreedSlot,
+  acceptOffer,
+  declineOffer,
+  cancelEntry,
+  processExpiredOffers,
+  registerWaitlistHandlers,
+};
@@ -0,0 +1,25 @@
+/**
+* Canonical JSON
+* --------------
+* JSON with object keys sorted, so the same data always serializes (and
+* therefore hashes) the same way. Postgres JSONB does not keep key order.
+*/
+
+/**
+* Serialize a value with sorted object keys.
+*
+* @param {*} value - Any JSON-compatible value (Dates become ISO strings)
+* @returns {string}
+*/
+const stableStringify = (value) => {
+ if (Array.isArray(value)) {
+   return `[${value.map(stableStringify).join(",")}]`;
+ }
+ if (value && typeof value === "object" && !(value instanceof Date)) {
+   const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+   return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+ }
+ return JSON.stringify(value === undefined ? null : value);
+};
+
+module.exports = { stableStringify };
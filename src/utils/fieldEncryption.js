@@ -0,0 +1,356 @@
+/**
+* Field-Level Encryption
+* ----------------------
+* Transparent AES-256-GCM encryption of designated model attributes, so
+* sensitive patient data is never stored in plaintext.
+*
+* - Envelope encryption: every value gets its own random data key, which is
+*   itself encrypted ("wrapped") with a master key from configuration
+* - Master keys are listed in FIELD_ENCRYPTION_KEYS as `id:base64key` pairs
+*   separated by commas; new values use FIELD_ENCRYPTION_ACTIVE_KEY (the last
+*   listed key by default). Older keys stay listed until every value has
+*   been re-wrapped (npm run reencrypt-fields)
+* - The attribute name is bound to the ciphertext (GCM additional data), so
+*   a value copied into another column does not decrypt
+* - Encrypted values cannot be searched; attributes that need exact-match
+*   lookups get a blind index (HMAC-SHA256 keyed with FIELD_BLIND_INDEX_KEY)
+*   in a companion column
+*
+* Stored format: enc:v1:<keyId>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>
+* (binary parts are base64url). Values without the prefix are legacy
+* plaintext and are returned unchanged until they are re-saved.
+*/
+
+const crypto = require("crypto");
+
+const PREFIX = "enc:v1:";
+const ENCRYPTED_PATTERN = /^enc:v1:[\w.-]+:[\w-]+:[\w-]+:[\w-]+:[\w-]*$/;
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+let keyring = null;
+
+/**
+* Decode a base64 (or base64url) key and check its length.
+*
+* @param {string} encoded - Encoded key
+* @param {string} name - Key name used in error messages
+* @returns {Buffer}
+*/
+const decodeKey = (encoded, name) => {
+ const key = Buffer.from(String(encoded).trim(), "base64");
+ if (key.length !== KEY_BYTES) {
+   throw new Error(`${name} must be a base64-encoded ${KEY_BYTES}-byte key`);
+ }
+ return key;
+};
+
+/**
+* Load the master keys from configuration (once).
+*
+* @returns {{keys: Map<string, Buffer>, activeKeyId: string}}
+* @throws {Error} When no valid keys are configured
+*/
+const getKeyring = () => {
+ if (keyring) return keyring;
+
+ const keys = new Map();
+ for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || "").split(",")) {
+   if (!entry.trim()) continue;
+   const [id, encoded] = entry.trim().split(":");
+   if (!/^[\w.-]+$/.test(id || "") || !encoded) {
+     throw new Error("FIELD_ENCRYPTION_KEYS entries must look like `keyId:base64key`");
+   }
+   keys.set(id, decodeKey(encoded, `Field encryption key "${id}"`));
+ }
+ if (!keys.size) {
+   throw new Error("FIELD_ENCRYPTION_KEYS is not configured");
+ }
+
+ const activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY || [...keys.keys()].pop();
+ if (!keys.has(activeKeyId)) {
+   throw new Error(`FIELD_ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not listed in FIELD_ENCRYPTION_KEYS`);
+ }
+
+ keyring = { keys, activeKeyId };
+ return keyring;
+};
+
+/**
+* Look up a master key by ID.
+*
+* @param {string} keyId - Key ID from a stored value
+* @returns {Buffer}
+*/
+const getMasterKey = (keyId) => {
+ const key = getKeyring().keys.get(keyId);
+ if (!key) {
+   throw new Error(`Field encryption key "${keyId}" is not configured`);
+ }
+ return key;
+};
+
+/**
+* AES-256-GCM encrypt.
+*
+* @returns {{iv: Buffer, tag: Buffer, ciphertext: Buffer}}
+*/
+const seal = (key, plaintext, aad) => {
+ const iv = crypto.randomBytes(IV_BYTES);
+ const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+ if (aad) cipher.setAAD(Buffer.from(aad));
+ const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+ return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+* AES-256-GCM decrypt (throws when the data or additional data was altered).
+*
+* @returns {Buffer}
+*/
+const open = (key, { iv, tag, ciphertext }, aad) => {
+ const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+ if (aad) decipher.setAAD(Buffer.from(aad));
+ decipher.setAuthTag(tag);
+ return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+* Wrap a data key with a master key: iv (12) + tag (16) + encrypted key.
+*
+* @returns {string} base64url
+*/
+const wrapDataKey = (dataKey, keyId) => {
+ const { iv, tag, ciphertext } = seal(getMasterKey(keyId), dataKey, keyId);
+ return Buffer.concat([iv, tag, ciphertext]).toString("base64url");
+};
+
+/**
+* Unwrap a data key produced by wrapDataKey.
+*
+* @returns {Buffer}
+*/
+const unwrapDataKey = (wrapped, keyId) => {
+ const raw = Buffer.from(wrapped, "base64url");
+ return open(
+   getMasterKey(keyId),
+   {
+     iv: raw.subarray(0, IV_BYTES),
+     tag: raw.subarray(IV_BYTES, IV_BYTES + 16),
+     ciphertext: raw.subarray(IV_BYTES + 16),
+   },
+   keyId
+ );
+};
+
+/**
+* Split a stored value into its parts.
+*
+* @param {string} value - Stored value
+* @returns {Object}
+*/
+const parse = (value) => {
+ const [keyId, wrappedKey, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+ return { keyId, wrappedKey, iv, tag, ciphertext };
+};
+
+/**
+* Whether a stored value is encrypted (as opposed to legacy plaintext).
+*
+* @param {*} value - Stored value
+* @returns {boolean}
+*/
+const isEncrypted = (value) => typeof value === "string" && ENCRYPTED_PATTERN.test(value);
+
+/**
+* ID of the master key that wraps an encrypted value.
+*
+* @param {string} value - Encrypted value
+* @returns {string|null}
+*/
+const keyIdOf = (value) => (isEncrypted(value) ? parse(value).keyId : null);
+
+/**
+* Encrypt a string under the active master key.
+*
+* @param {string} plaintext - Value to protect
+* @param {string} context - Where the value lives (e.g., "Appointment.reason")
+* @returns {string} Stored format
+*/
+const encryptValue = (plaintext, context) => {
+ const { activeKeyId } = getKeyring();
+ const dataKey = crypto.randomBytes(KEY_BYTES);
+ const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(plaintext), "utf8"), context);
+
+ return PREFIX + [
+   activeKeyId,
+   wrapDataKey(dataKey, activeKeyId),
+   iv.toString("base64url"),
+   tag.toString("base64url"),
+   ciphertext.toString("base64url"),
+ ].join(":");
+};
+
+/**
+* Decrypt a stored value. Legacy plaintext and null are returned unchanged.
+*
+* @param {string|null} value - Stored value
+* @param {string} context - Same context the value was encrypted with
+* @returns {string|null}
+* @throws {Error} When the key is missing or the value was tampered with
+*/
+const decryptValue = (value, context) => {
+ if (!isEncrypted(value)) return value;
+
+ const parts = parse(value);
+ const dataKey = unwrapDataKey(parts.wrappedKey, parts.keyId);
+ return open(
+   dataKey,
+   {
+     iv: Buffer.from(parts.iv, "base64url"),
+     tag: Buffer.from(parts.tag, "base64url"),
+     ciphertext: Buffer.from(parts.ciphertext, "base64url"),
+   },
+   context
+ ).toString("utf8");
+};
+
+/**
+* Re-wrap an encrypted value's data key under the active master key. The
+* data itself is not re-encrypted, so the context is not needed.
+*
+* @param {string} value - Encrypted value
+* @returns {string} Stored format (unchanged when already under the active key)
+*/
+const rewrapValue = (value) => {
+ const { activeKeyId } = getKeyring();
+ const parts = parse(value);
+ if (parts.keyId === activeKeyId) return value;
+
+ const dataKey = unwrapDataKey(parts.wrappedKey, parts.keyId);
+ return PREFIX + [
+   activeKeyId,
+   wrapDataKey(dataKey, activeKeyId),
+   parts.iv,
+   parts.tag,
+   parts.ciphertext,
+ ].join(":");
+};
+
+/**
+* Deterministic blind index for exact-match lookups on an encrypted value.
+* Values are trimmed and lower-cased first, so lookups ignore case.
+*
+* FIELD_BLIND_INDEX_KEY is separate from the encryption keys and is not
+* rotated by reencrypt-fields (changing it invalidates every index).
+*
+* @param {string} value - Plaintext value
+* @param {string} context - Where the value lives (e.g., "PatientProfile.phone")
+* @returns {string|null} Hex HMAC, or null for empty values
+*/
+const blindIndex = (value, context) => {
+ if (value === undefined || value === null || value === "") return null;
+ if (!process.env.FIELD_BLIND_INDEX_KEY) {
+   throw new Error("FIELD_BLIND_INDEX_KEY is not configured");
+ }
+
+ return crypto
+   .createHmac("sha256", decodeKey(process.env.FIELD_BLIND_INDEX_KEY, "FIELD_BLIND_INDEX_KEY"))
+   .update(`${context}\0${String(value).trim().toLowerCase()}`)
+   .digest("hex");
+};
+
+/**
+* Make a model's attributes encrypted at rest. Call once after Model.init().
+*
+* - Values are encrypted just before they are written (after validation,
+*   so validators still see plaintext). Values set by the application are
+*   always encrypted, even when they look like ciphertext
+* - Reading the attribute (including toJSON and included models) decrypts it
+* - JSON/JSONB attributes are serialized first and stored as a JSON string
+*
+* @param {Object} Model - Sequelize model class
+* @param {Array<string>} attributes - Attribute names to encrypt
+* @param {Object} [options]
+* @param {Object} [options.blindIndexes] - attribute → index column (e.g.,
+*   { phone: "phoneIndex" }); the column is kept in sync with the value
+*/
+const encryptAttributes = (Model, attributes, options = {}) => {
+ const blindIndexes = options.blindIndexes || {};
+ const contextOf = (name) => `${Model.name}.${name}`;
+ const isJson = (name) => ["JSON", "JSONB"].includes(Model.rawAttributes[name].type.key);
+
+ for (const name of attributes) {
+   Model.rawAttributes[name].get = function getDecrypted() {
+     const value = this.getDataValue(name);
+     if (!isEncrypted(value)) return value;
+
+     const plaintext = decryptValue(value, contextOf(name));
+     return isJson(name) ? JSON.parse(plaintext) : plaintext;
+   };
+ }
+ Model.refreshAttributes();
+
+ // Used by scripts/reencrypt-fields.js
+ Model.encryptedAttributes = attributes.map((name) => ({
+   name,
+   context: contextOf(name),
+   json: isJson(name),
+   blindIndex: blindIndexes[name] || null,
+ }));
+
+ // Ciphertext written by the hook, so saving an instance again (e.g., after
+ // a failed save) does not encrypt it twice
+ const written = new WeakMap();
+
+ const encryptInstance = (instance) => {
+   const ciphertexts = written.get(instance) || {};
+   for (const name of attributes) {
+     const value = instance.getDataValue(name);
+     if (value === undefined || value === ciphertexts[name]) continue;
+     // Only an unchanged value loaded from the database can be ciphertext;
+     // anything the application set is plaintext, whatever it looks like
+     if (!instance.changed(name) && (value === null || isEncrypted(value))) continue;
+
+     if (blindIndexes[name]) {
+       instance.setDataValue(blindIndexes[name], blindIndex(value, contextOf(name)));
+     }
+     if (value === null) continue;
+
+     const plaintext = isJson(name) ? JSON.stringify(value) : String(value);
+     ciphertexts[name] = encryptValue(plaintext, contextOf(name));
+     instance.setDataValue(name, ciphertexts[name]);
+   }
+   written.set(instance, ciphertexts);
+ };
+
+ Model.addHook("beforeSave", encryptInstance);
+ Model.addHook("beforeBulkCreate", (instances) => instances.forEach(encryptInstance));
+ Model.addHook("beforeBulkUpdate", (options) => {
+   for (const name of attributes) {
+     const value = options.attributes[name];
+     if (value === undefined) continue;
+
+     if (blindIndexes[name]) {
+       options.attributes[blindIndexes[name]] = blindIndex(value, contextOf(name));
+       if (options.fields) options.fields.push(blindIndexes[name]);
+     }
+     if (value === null) continue;
+     options.attributes[name] = encryptValue(
+       isJson(name) ? JSON.stringify(value) : String(value),
+       contextOf(name)
+     );
+   }
+ });
+};
+
+module.exports = {
+ isEncrypted,
+ keyIdOf,
+ encryptValue,
+ decryptValue,
+ rewrapValue,
+ blindIndex,
+ encryptAttributes,
+};
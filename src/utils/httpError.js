@@ -0,0 +1,41 @@
+/**
+* HTTP Error
+* ----------
+* Error type thrown by services when a request cannot be fulfilled.
+* Controllers check `error.name === "HttpError"` (the same way they check
+* Sequelize error names) and respond with `error.status` and `error.message`.
+* An optional `retryAfter` (seconds) is sent as the Retry-After header.
+*/
+
+class HttpError extends Error {
+ /**
+  * @param {number} status - HTTP status code to respond with
+  * @param {string} message - Message safe to return to the client
+  * @param {Array<string>} [errors] - Optional list of validation messages
+  */
+ constructor(status, message, errors) {
+   super(message);
+   this.name = "HttpError";
+   this.status = status;
+   if (errors) this.errors = errors;
+ }
+}
+
+/**
+* Send an HttpError as the standard JSON error response.
+*
+* @param {Object} res - Express response object
+* @param {HttpError} error - Error thrown by a service
+*/
+const sendHttpError = (res, error) => {
+ // Rate limits and lockouts tell the client when to try again
+ if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+
+ return res.status(error.status).json({
+   success: false,
+   message: error.message,
+   ...(error.errors && { errors: error.errors }),
+ });
+};
+
+module.exports = { HttpError, sendHttpError };
@@ -0,0 +1,120 @@
+/**
+* iCalendar (RFC 5545) Helpers
+* ----------------------------
+* Minimal writer for VCALENDAR/VEVENT documents.
+*
+* - Text values are escaped (backslash, semicolon, comma, newline)
+* - Lines longer than 75 octets are folded
+* - Lines end with CRLF as the RFC requires
+*/
+
+/**
+* Escape a TEXT property value.
+*
+* @param {string} value - Raw text
+* @returns {string}
+*/
+const escapeText = (value) =>
+ String(value === undefined || value === null ? "" : value)
+   .replace(/\\/g, "\\\\")
+   .replace(/;/g, "\\;")
+   .replace(/,/g, "\\,")
+   .replace(/\r?\n/g, "\\n");
+
+/**
+* Fold a content line at 75 octets (continuation lines start with a space).
+*
+* @param {string} line - Unfolded content line
+* @returns {string}
+*/
+const foldLine = (line) => {
+ const parts = [];
+ let current = "";
+ let size = 0;
+
+ for (const char of line) {
+   const charSize = Buffer.byteLength(char);
+   const limit = parts.length ? 74 : 75; // continuation lines carry a leading space
+   if (size + charSize > limit) {
+     parts.push(current);
+     current = "";
+     size = 0;
+   }
+   current += char;
+   size += charSize;
+ }
+ parts.push(current);
+
+ return parts.join("\r\n ");
+};
+
+/**
+* Format a Date as a UTC DATE-TIME value (e.g., 20261020T090000Z).
+*
+* @param {Date} date - JavaScript date
+* @returns {string}
+*/
+const formatDateTime = (date) =>
+ date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+* Build a VEVENT block.
+*
+* @param {Object} event
+* @param {string} event.uid - Globally unique, stable event ID
+* @param {Date} event.start - Start time
+* @param {Date} event.end - End time
+* @param {Date} event.stamp - When this version of the event was produced
+* @param {number} event.sequence - Revision number (increases on every change)
+* @param {string} event.status - TENTATIVE, CONFIRMED or CANCELLED
+* @param {string} event.summary - Title
+* @param {string} [event.description] - Details
+* @param {string} [event.location] - Location
+* @returns {Array<string>} Unfolded content lines
+*/
+const buildEvent = (event) => [
+ "BEGIN:VEVENT",
+ `UID:${event.uid}`,
+ `DTSTAMP:${formatDateTime(event.stamp)}`,
+ `LAST-MODIFIED:${formatDateTime(event.stamp)}`,
+ `DTSTART:${formatDateTime(event.start)}`,
+ `DTEND:${formatDateTime(event.end)}`,
+ `SEQUENCE:${event.sequence || 0}`,
+ `STATUS:${event.status}`,
+ `SUMMARY:${escapeText(event.summary)}`,
+ ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+ ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+ "END:VEVENT",
+];
+
+/**
+* Build a complete VCALENDAR document.
+*
+* @param {Array<Object>} events - Events accepted by buildEvent
+* @param {Object} [options]
+* @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+* @param {string} [options.method] - iTIP method (e.g., "PUBLISH") for one-off downloads
+* @returns {string} iCalendar text
+*/
+const buildCalendar = (events, options = {}) => {
+ const lines = [
+   "BEGIN:VCALENDAR",
+   "VERSION:2.0",
+   "PRODID:-//Healthcare Systems//Appointments//EN",
+   "CALSCALE:GREGORIAN",
+   ...(options.method ? [`METHOD:${options.method}`] : []),
+   ...(options.name ? [`X-WR-CALNAME:${escapeText(options.name)}`] : []),
+   ...events.flatMap(buildEvent),
+   "END:VCALENDAR",
+ ];
+
+ return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+ escapeText,
+ foldLine,
+ formatDateTime,
+ buildEvent,
+ buildCalendar,
+};
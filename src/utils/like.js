@@ -0,0 +1,16 @@
+/**
+* LIKE patterns
+* -------------
+* Search text typed by users is matched literally: % and _ in it are not
+* wildcards.
+*/
+
+/**
+* Escape LIKE wildcards so user input matches literally.
+*
+* @param {*} text - Search text
+* @returns {string}
+*/
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, "\\$&");
+
+module.exports = { escapeLike };
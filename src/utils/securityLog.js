@@ -0,0 +1,32 @@
+/**
+* Security Log
+* ------------
+* Structured log of security-relevant events (lockouts, unlocks, token
+* reuse, ...), one JSON object per line.
+*
+* - Written to SECURITY_LOG_FILE when set (appended), otherwise to the
+*   console with a "[security]" prefix
+* - Never include passwords, tokens or codes in the details
+*/
+
+const fs = require("fs");
+
+/**
+* Record a security event.
+*
+* @param {string} event - Event name (e.g., "account_locked")
+* @param {Object} [details] - Context (user ID, email, IP, ...)
+*/
+const logSecurityEvent = (event, details = {}) => {
+ const line = JSON.stringify({ time: new Date().toISOString(), event, ...details });
+
+ if (process.env.SECURITY_LOG_FILE) {
+   fs.appendFile(process.env.SECURITY_LOG_FILE, `${line}\n`, (error) => {
+     if (error) console.error("Security log write error:", error);
+   });
+ } else {
+   console.warn(`[security] ${line}`);
+ }
+};
+
+module.exports = { logSecurityEvent };
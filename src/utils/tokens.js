@@ -0,0 +1,29 @@
+/**
+* Opaque Token Helpers
+* --------------------
+* Random, unguessable tokens for links and feeds (not JWTs).
+* Only the SHA-256 hash is stored, so a database leak does not expose
+* usable tokens.
+*/
+
+const crypto = require("crypto");
+
+/**
+* Generate a random URL-safe token (256 bits of entropy by default).
+*
+* @param {number} [bytes=32] - Number of random bytes
+* @returns {string}
+*/
+const generateOpaqueToken = (bytes = 32) =>
+ crypto.randomBytes(bytes).toString("base64url");
+
+/**
+* Hash a token for storage and lookup.
+*
+* @param {string} token - Plain token
+* @returns {string} Hex-encoded SHA-256 hash
+*/
+const hashToken = (token) =>
+ crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = { generateOpaqueToken, hashToken };
@@ -0,0 +1,155 @@
+/**
+* TOTP (RFC 6238) Helpers
+* -----------------------
+* Time-based one-time passwords compatible with Google Authenticator,
+* Authy, 1Password, etc.
+*
+* - HMAC-SHA1, 6 digits, 30-second steps (the defaults every app supports)
+* - Secrets are Base32 encoded (RFC 4648, no padding)
+* - Verification accepts one step of clock drift either way and reports the
+*   matching step so callers can refuse a code that was already used
+*/
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+* Encode bytes as Base32 (no padding).
+*
+* @param {Buffer} buffer - Raw bytes
+* @returns {string}
+*/
+const base32Encode = (buffer) => {
+ let bits = 0;
+ let value = 0;
+ let output = "";
+
+ for (const byte of buffer) {
+   value = (value << 8) | byte;
+   bits += 8;
+   while (bits >= 5) {
+     output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+     bits -= 5;
+   }
+ }
+ if (bits > 0) {
+   output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+ }
+ return output;
+};
+
+/**
+* Decode Base32 (case-insensitive, spaces and padding ignored).
+*
+* @param {string} input - Base32 text
+* @returns {Buffer}
+*/
+const base32Decode = (input) => {
+ const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+ let bits = 0;
+ let value = 0;
+ const bytes = [];
+
+ for (const char of clean) {
+   const index = BASE32_ALPHABET.indexOf(char);
+   if (index === -1) throw new Error("Invalid Base32 character");
+   value = (value << 5) | index;
+   bits += 5;
+   if (bits >= 8) {
+     bytes.push((value >>> (bits - 8)) & 255);
+     bits -= 8;
+   }
+ }
+ return Buffer.from(bytes);
+};
+
+/**
+* Generate a random secret (160 bits, as RFC 4226 recommends).
+*
+* @returns {string} Base32 secret
+*/
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+* Time step number for a moment in time.
+*
+* @param {number} [timeMs=Date.now()] - Unix time in milliseconds
+* @returns {number}
+*/
+const stepAt = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+* Compute the code for one time step (RFC 4226 HOTP with the step as counter).
+*
+* @param {string} secret - Base32 secret
+* @param {number} step - Time step number
+* @returns {string} Zero-padded code
+*/
+const generateCode = (secret, step) => {
+ const counter = Buffer.alloc(8);
+ counter.writeBigUInt64BE(BigInt(step));
+
+ const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+ const offset = hmac[hmac.length - 1] & 0x0f;
+ const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+ return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+* Check a code against the current time step (± `window` steps).
+*
+* @param {string} secret - Base32 secret
+* @param {string} code - Code typed by the user
+* @param {Object} [options]
+* @param {number} [options.window=1] - Steps of clock drift to accept
+* @param {number} [options.timeMs] - Time to check at (defaults to now)
+* @returns {number|null} The matching step, or null when the code is wrong
+*/
+const verifyCode = (secret, code, { window = 1, timeMs = Date.now() } = {}) => {
+ const normalized = String(code || "").replace(/\s/g, "");
+ if (!/^\d{6}$/.test(normalized)) return null;
+
+ const current = stepAt(timeMs);
+ for (let drift = -window; drift <= window; drift += 1) {
+   const expected = generateCode(secret, current + drift);
+   if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+     return current + drift;
+   }
+ }
+ return null;
+};
+
+/**
+* Build the otpauth:// URI that authenticator apps read from a QR code.
+*
+* @param {Object} params
+* @param {string} params.secret - Base32 secret
+* @param {string} params.account - Account label (e.g., the user's email)
+* @param {string} params.issuer - Service name shown in the app
+* @returns {string}
+*/
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+ const label = encodeURIComponent(`${issuer}:${account}`);
+ const query = new URLSearchParams({
+   secret,
+   issuer,
+   algorithm: "SHA1",
+   digits: String(DIGITS),
+   period: String(STEP_SECONDS),
+ });
+ return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+ base32Encode,
+ base32Decode,
+ generateSecret,
+ stepAt,
+ generateCode,
+ verifyCode,
+ buildOtpauthUri,
+};
@@ -0,0 +1,19 @@
+/**
+* UUIDs
+* -----
+* Every record ID is a UUID. Controllers check IDs taken from the URL before
+* querying, so a malformed one is answered as "not found" instead of failing
+* in the database with a cast error (500).
+*/
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+* Whether a value is a UUID string.
+*
+* @param {*} value - Value to check (e.g., a route parameter)
+* @returns {boolean}
+*/
+const isUuid = (value) => UUID_PATTERN.test(String(value));
+
+module.exports = { UUID_PATTERN, isUuid };
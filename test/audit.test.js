@@ -0,0 +1,60 @@
+/**
+ * PHI access audit on routes authenticated by a secret link
+ * (middleware/audit.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { connectTestDatabase, createPatient, removeUsers } = require("./helpers");
+
+describe("audit of secret-link routes", async () => {
+  const skip = await connectTestDatabase();
+
+  const { AuditLog, sequelize } = require("../src/models");
+  const { issueFeedToken } = require("../src/services/calendarService");
+
+  const users = [];
+  let patient;
+
+  before(async () => {
+    if (skip) return;
+    patient = await createPatient();
+    users.push(patient);
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  // Entries are written once the response has been sent
+  const waitForEntry = async (where) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const entry = await AuditLog.findOne({ where, order: [["sequence", "DESC"]] });
+      if (entry) return entry;
+      await sleep(100);
+    }
+    return null;
+  };
+
+  it("records the calendar feed owner as the actor without the token", { skip }, async () => {
+    const token = await issueFeedToken(patient);
+    const app = require("../src/app");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/calendar/feed/${token}.ics`);
+      assert.equal(response.status, 200);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    const entry = await waitForEntry({ actorId: patient.id, resourceType: "appointment" });
+    assert.ok(entry);
+    assert.equal(entry.action, "read");
+    assert.equal(entry.patientId, patient.id);
+    assert.equal(entry.path, "/api/calendar/feed/:token.ics");
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Role → permission matrix (config/permissions.js) and ownership policies
+ * (services/authorization.js).
+ */
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("./helpers");
+const { PERMISSION_PATTERN, ROLE_NAMES, ROLES, permissionsFor } = require("../src/config/permissions");
+const {
+  authorize,
+  can,
+  getPermissionMatrix,
+  hasPermission,
+  registerOwnershipPolicy,
+} = require("../src/services/authorization");
+
+const admin = { id: "admin-1", role: "admin" };
+const doctor = { id: "doctor-1", role: "doctor" };
+const patient = { id: "patient-1", role: "patient" };
+const appointment = { patientId: patient.id, doctorId: doctor.id };
+
+const MODULES = ["../src/config/permissions", "../src/services/authorization"].map((name) =>
+  require.resolve(name)
+);
+
+/**
+ * Load both modules afresh with PERMISSIONS_FILE pointing at `roles`, then
+ * put the shared copies back.
+ */
+const loadWithRoles = (roles) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "permissions-"));
+  const file = path.join(dir, "permissions.json");
+  fs.writeFileSync(file, JSON.stringify({ roles }));
+
+  const cached = MODULES.map((name) => require.cache[name]);
+  const previous = process.env.PERMISSIONS_FILE;
+  process.env.PERMISSIONS_FILE = file;
+  MODULES.forEach((name) => delete require.cache[name]);
+  try {
+    return { permissions: require(MODULES[0]), authorization: require(MODULES[1]) };
+  } finally {
+    if (previous === undefined) delete process.env.PERMISSIONS_FILE;
+    else process.env.PERMISSIONS_FILE = previous;
+    MODULES.forEach((name, i) => (require.cache[name] = cached[i]));
+    fs.rmSync(dir, { recursive: true });
+  }
+};
+
+describe("permission matrix", () => {
+  it("ships the admin, doctor, patient and interface roles with well-formed permissions", () => {
+    assert.deepEqual(ROLE_NAMES, ["admin", "doctor", "patient", "interface"]);
+    for (const role of ROLE_NAMES) {
+      assert.ok(ROLES[role].description, role);
+      for (const permission of ROLES[role].permissions) {
+        assert.match(permission, PERMISSION_PATTERN, `${role}: ${permission}`);
+      }
+    }
+  });
+
+  it("grants nothing to unknown roles", () => {
+    assert.deepEqual(permissionsFor("nurse"), []);
+    assert.deepEqual(permissionsFor("constructor"), []);
+    assert.equal(hasPermission({ role: "nurse" }, "appointment:read"), false);
+    assert.equal(hasPermission(null, "appointment:read"), false);
+  });
+
+  it("lists the roles holding each permission", () => {
+    const { roles, permissions } = getPermissionMatrix();
+    assert.equal(roles, ROLES);
+    assert.deepEqual(permissions["appointment:book:own"], ["admin", "doctor", "patient"]);
+    assert.deepEqual(permissions["hl7_message:submit:any"], ["admin", "interface"]);
+    assert.deepEqual(Object.keys(permissions), Object.keys(permissions).sort());
+  });
+
+  it("refuses a malformed permissions file", () => {
+    const invalid = [
+      {},
+      { Nurse: { permissions: [] } },
+      { nurse: {} },
+      { nurse: { permissions: ["appointment:read"] } },
+      { nurse: { permissions: ["appointment:read:all"] } },
+    ];
+    for (const roles of invalid) {
+      assert.throws(() => loadWithRoles(roles), /permissions\.json/, JSON.stringify(roles));
+    }
+  });
+
+  it("matches * against any resource or action", () => {
+    const { authorization } = loadWithRoles({
+      nurse: { description: "Ward nurse", permissions: ["appointment:*:any", "*:read:own"] },
+    });
+    const nurse = { id: "nurse-1", role: "nurse" };
+
+    assert.equal(authorization.hasPermission(nurse, "appointment:check_in:any"), true);
+    assert.equal(authorization.hasPermission(nurse, "encounter:read:own"), true);
+    assert.equal(authorization.hasPermission(nurse, "encounter:read:any"), false);
+    assert.equal(authorization.hasPermission(nurse, "encounter:update"), false);
+  });
+});
+
+describe("hasPermission", () => {
+  it("counts either scope when none is given", () => {
+    assert.equal(hasPermission(doctor, "appointment:cancel"), true);
+    assert.equal(hasPermission(admin, "appointment:cancel"), true);
+    assert.equal(hasPermission(patient, "appointment:confirm"), false);
+  });
+
+  it("requires the exact scope when one is given", () => {
+    assert.equal(hasPermission(doctor, "appointment:cancel:own"), true);
+    assert.equal(hasPermission(doctor, "appointment:cancel:any"), false);
+    assert.equal(hasPermission(admin, "appointment:cancel:own"), false);
+    assert.equal(hasPermission(admin, "user:delete:any"), true);
+  });
+});
+
+describe("can", () => {
+  it("allows an 'any' permission on every record", () => {
+    assert.equal(can(admin, "appointment:cancel", { patientId: "someone", doctorId: "else" }), true);
+  });
+
+  it("allows an 'own' permission only on records the user takes part in", () => {
+    assert.equal(can(patient, "appointment:cancel", appointment), true);
+    assert.equal(can(doctor, "appointment:cancel", appointment), true);
+    assert.equal(can({ id: "patient-2", role: "patient" }, "appointment:cancel", appointment), false);
+  });
+
+  it("checks only the role when no record is given", () => {
+    assert.equal(can(patient, "appointment:cancel"), true);
+    assert.equal(can(patient, "appointment:confirm"), false);
+  });
+
+  it("honours an explicit scope", () => {
+    assert.equal(can(admin, "appointment:cancel:own", appointment), false);
+    assert.equal(can(patient, "appointment:cancel:any", appointment), false);
+  });
+});
+
+describe("ownership policies", () => {
+  it("match each resource on its owner fields", () => {
+    const cases = [
+      [doctor, "encounter:update", { patientId: patient.id, doctorId: doctor.id }, true],
+      [patient, "encounter:read", { patientId: patient.id, doctorId: doctor.id }, true],
+      [doctor, "encounter:read", { patientId: patient.id, doctorId: "doctor-2" }, false],
+      [patient, "waitlist:cancel", { patientId: patient.id, doctorId: doctor.id }, true],
+      [doctor, "waitlist:cancel", { patientId: patient.id, doctorId: doctor.id }, false],
+      [doctor, "schedule:manage", { doctorId: doctor.id }, true],
+      [doctor, "schedule:manage", { doctorId: "doctor-2" }, false],
+      [patient, "profile:update", { userId: patient.id }, true],
+      [patient, "profile:update", { userId: "patient-2" }, false],
+    ];
+    for (const [user, permission, record, expected] of cases) {
+      const label = `${user.role} ${permission} ${JSON.stringify(record)}`;
+      assert.equal(can(user, permission, record), expected, label);
+    }
+  });
+
+  it("gives doctors a patient's record only through the care team", () => {
+    const record = { id: patient.id, careTeamIds: [doctor.id] };
+    assert.equal(can(patient, "patient:read", record), true);
+    assert.equal(can(doctor, "patient:read", record), true);
+    assert.equal(can(doctor, "patient:read", { id: patient.id }), false);
+    assert.equal(can({ id: "patient-2", role: "patient" }, "patient:read", record), false);
+  });
+
+  describe("registerOwnershipPolicy", () => {
+    after(() => registerOwnershipPolicy("calendar", (user, record) => record.userId === user.id));
+
+    it("replaces how a resource is owned", () => {
+      registerOwnershipPolicy("calendar", (user, record) => record.ownerIds.includes(user.id));
+      assert.equal(can(patient, "calendar:feed", { ownerIds: [patient.id] }), true);
+      assert.equal(can(patient, "calendar:feed", { ownerIds: [], userId: patient.id }), false);
+    });
+  });
+});
+
+describe("authorize", () => {
+  it("returns when the action is allowed", () => {
+    assert.equal(authorize(patient, "appointment:cancel", appointment), undefined);
+  });
+
+  it("throws 403 naming the action and resource", () => {
+    assert.throws(() => authorize(patient, "appointment:check_in", appointment), {
+      name: "HttpError",
+      status: 403,
+      message: "You are not allowed to check in this appointment",
+    });
+    const record = { patientId: "patient-2", doctorId: "doctor-2" };
+    assert.throws(() => authorize(doctor, "encounter:read", record, "Not your patient"), {
+      status: 403,
+      message: "Not your patient",
+    });
+  });
+});
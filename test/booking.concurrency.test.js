@@ -0,0 +1,149 @@
+/**
+ * Concurrent booking
+ * ------------------
+ * Two layers stop a slot from being booked twice (see
+ * services/bookingService.js): the doctor row lock taken by withDoctorLock
+ * and the partial unique index appointments_doctor_slot_active_unique.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+
+const PATIENTS = 5;
+
+describe("concurrent booking", async () => {
+  const skip = await connectTestDatabase();
+
+  const { Appointment, sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { bookSlot } = require("../src/services/bookingService");
+  const { issueTokens } = require("../src/services/tokenService");
+
+  const date = addDays(today(), 14);
+  const users = [];
+  let doctor;
+  let patients;
+
+  before(async () => {
+    if (skip) return;
+    doctor = await createDoctor(date);
+    patients = [];
+    for (let i = 0; i < PATIENTS; i++) patients.push(await createPatient());
+    users.push(doctor, ...patients);
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  it("books a slot for one of several simultaneous requests (201) and refuses the rest (409)", { skip }, async () => {
+    const app = require("../src/app");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/patient/appointments`;
+
+    try {
+      const tokens = await Promise.all(patients.map((patient) => issueTokens(patient)));
+      const responses = await Promise.all(
+        tokens.map(({ token }) =>
+          fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ doctorId: doctor.id, date, time: "09:00", reason: "Check-up" }),
+          })
+        )
+      );
+
+      const statuses = responses.map((response) => response.status).sort();
+      assert.deepEqual(statuses, [201, ...Array(PATIENTS - 1).fill(409)]);
+      assert.equal(
+        await Appointment.count({ where: { doctorId: doctor.id, date, time: "09:00:00" } }),
+        1
+      );
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("lets the unique index accept only one active appointment per slot", { skip }, async () => {
+    const results = await Promise.allSettled(
+      patients.map((patient) =>
+        Appointment.create({
+          patientId: patient.id,
+          doctorId: doctor.id,
+          date,
+          time: "09:30:00",
+          reason: "Check-up",
+        })
+      )
+    );
+
+    assert.equal(results.filter((result) => result.status === "fulfilled").length, 1);
+    for (const result of results.filter((result) => result.status === "rejected")) {
+      assert.equal(result.reason.name, "SequelizeUniqueConstraintError");
+    }
+  });
+
+  it("ignores cancelled appointments in the unique index", { skip }, async () => {
+    const cancelled = await Appointment.create({
+      patientId: patients[0].id,
+      doctorId: doctor.id,
+      date,
+      time: "10:00:00",
+      reason: "Check-up",
+      status: "cancelled",
+    });
+
+    const appointment = await bookSlot({
+      patientId: patients[1].id,
+      doctorId: doctor.id,
+      date,
+      time: "10:00",
+      reason: "Check-up",
+    });
+
+    assert.notEqual(appointment.id, cancelled.id);
+    assert.equal(appointment.status, "pending");
+  });
+
+  it("reports 409 when a booking slips past the slot check and hits the unique index", { skip }, async () => {
+    // Insert a clashing appointment after bookSlot has checked the slot but
+    // before it inserts its own (as a writer that skipped the lock would)
+    const hook = "test:clash";
+    Appointment.addHook("beforeCreate", hook, async (appointment, { transaction }) => {
+      Appointment.removeHook("beforeCreate", hook);
+      await Appointment.create(
+        {
+          patientId: patients[2].id,
+          doctorId: doctor.id,
+          date,
+          time: "10:30:00",
+          reason: "Check-up",
+        },
+        { transaction }
+      );
+    });
+
+    try {
+      await assert.rejects(
+        bookSlot({
+          patientId: patients[3].id,
+          doctorId: doctor.id,
+          date,
+          time: "10:30",
+          reason: "Check-up",
+        }),
+        { name: "HttpError", status: 409 }
+      );
+    } finally {
+      Appointment.removeHook("beforeCreate", hook);
+    }
+  });
+});
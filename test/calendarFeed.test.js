@@ -0,0 +1,74 @@
+/**
+ * Subscribable calendar feeds (services/calendarService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+
+describe("calendar feed", async () => {
+  const skip = await connectTestDatabase();
+
+  const { sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { bookSlot } = require("../src/services/bookingService");
+  const { issueFeedToken } = require("../src/services/calendarService");
+
+  const date = addDays(today(), 35);
+  const users = [];
+  let patient;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    if (skip) return;
+    const doctor = await createDoctor(date);
+    patient = await createPatient();
+    users.push(doctor, patient);
+    await bookSlot({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      date,
+      time: "09:00",
+      reason: "Follow-up on test results",
+    });
+
+    const app = require("../src/app");
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  it("lists appointments without the visit reason", { skip }, async () => {
+    const token = await issueFeedToken(patient);
+    const response = await fetch(`${baseUrl}/api/calendar/feed/${token}.ics`);
+    const body = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(body, /BEGIN:VEVENT/);
+    assert.doesNotMatch(body, /Follow-up on test results/);
+  });
+
+  it("stops serving once the owner is suspended", { skip }, async () => {
+    const token = await issueFeedToken(patient);
+    await patient.update({ status: "suspended" });
+
+    try {
+      const response = await fetch(`${baseUrl}/api/calendar/feed/${token}.ics`);
+      assert.equal(response.status, 404);
+    } finally {
+      await patient.update({ status: "active" });
+    }
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Provider directory search (services/doctorProfileService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { connectTestDatabase, createDoctor, createUser, removeUsers } = require("./helpers");
+
+describe("searchDoctors", async () => {
+  const skip = await connectTestDatabase();
+
+  const { sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { saveDoctorProfile, searchDoctors } = require("../src/services/doctorProfileService");
+
+  const date = addDays(today(), 3);
+  const users = [];
+  let scheduled;
+  let unscheduled;
+
+  before(async () => {
+    if (skip) return;
+    scheduled = await createDoctor(date);
+    unscheduled = await createUser("doctor");
+    users.push(scheduled, unscheduled);
+    await saveDoctorProfile(scheduled.id, { specialty: "Sleep_Medicine 100%" });
+    await saveDoctorProfile(unscheduled.id, { specialty: "SleepXMedicine 1000" });
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  const ids = ({ rows }) => rows.map((doctor) => doctor.id);
+
+  it("matches % and _ in the search text literally", { skip }, async () => {
+    assert.deepEqual(ids(await searchDoctors({ q: "p_m" })), [scheduled.id]);
+    assert.deepEqual(ids(await searchDoctors({ q: "100%" })), [scheduled.id]);
+    assert.deepEqual(ids(await searchDoctors({ specialty: "sleep_medicine 100%" })), [scheduled.id]);
+  });
+
+  it("only lists doctors with an open slot by availableBy", { skip }, async () => {
+    const result = await searchDoctors({ q: "Medicine", availableBy: date });
+
+    assert.deepEqual(ids(result), [scheduled.id]);
+    assert.equal(result.count, 1);
+    assert.equal(result.rows[0].nextAvailable.date, date);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Doctor invitations (services/doctorOnboardingService.js).
+ */
+
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { connectTestDatabase, createUser, removeUsers } = require("./helpers");
+const { setMailTransport, getSentMail } = require("../src/notifications/transports/mailer");
+
+describe("inviteDoctor", async () => {
+  const skip = await connectTestDatabase();
+
+  const { DoctorInvitation, sequelize } = require("../src/models");
+  const { inviteDoctor } = require("../src/services/doctorOnboardingService");
+
+  const users = [];
+  let admin;
+
+  before(async () => {
+    if (skip) return;
+    admin = await createUser("admin", { status: "suspended" });
+    users.push(admin);
+  });
+
+  afterEach(() => {
+    setMailTransport("memory");
+  });
+
+  after(async () => {
+    if (!skip) {
+      await DoctorInvitation.destroy({ where: { invitedById: admin.id } });
+      await removeUsers(users);
+    }
+    await sequelize.close();
+  });
+
+  it("keeps the earlier invitation open when the email cannot be sent", { skip }, async () => {
+    const email = `doctor_${crypto.randomBytes(6).toString("hex")}@example.test`;
+    setMailTransport("memory");
+    const first = await inviteDoctor(email, admin);
+    assert.equal(getSentMail().filter((message) => message.to === email).length, 1);
+
+    setMailTransport({
+      sendMail: async () => {
+        throw new Error("SMTP unavailable");
+      },
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await assert.rejects(inviteDoctor(email, admin), { name: "HttpError", status: 502 });
+    } finally {
+      console.error = originalError;
+    }
+
+    const invitations = await DoctorInvitation.findAll({ where: { email } });
+    assert.deepEqual(invitations.map((invitation) => invitation.id), [first.id]);
+    assert.equal(invitations[0].getState(), "pending");
+  });
+});
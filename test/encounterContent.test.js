@@ -0,0 +1,172 @@
+/**
+ * Encounter content validation and signatures (services/encounterService.js).
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const {
+  ICD10_PATTERN,
+  VITAL_RANGES,
+  buildContent,
+  computeSignature,
+  normalizeIcd10,
+} = require("../src/services/encounterService");
+
+// The errors buildContent reports for `input`
+const errorsOf = (input, base) => {
+  try {
+    buildContent(input, base);
+  } catch (error) {
+    assert.equal(error.name, "HttpError");
+    assert.equal(error.status, 400);
+    return error.errors;
+  }
+  assert.fail("buildContent accepted the input");
+};
+
+describe("normalizeIcd10", () => {
+  it("brings codes to their dotted upper-case form", () => {
+    const cases = [
+      ["e119", "E11.9"],
+      ["E11.9", "E11.9"],
+      [" j45 ", "J45"],
+      ["s72001a", "S72.001A"],
+      ["m54.5", "M54.5"],
+    ];
+    for (const [code, normalized] of cases) {
+      assert.equal(normalizeIcd10(code), normalized);
+      assert.match(normalized, ICD10_PATTERN);
+    }
+    assert.equal(normalizeIcd10(undefined), "");
+  });
+
+  it("leaves malformed codes failing the pattern", () => {
+    for (const code of ["", "11.9", "E1", "E11.12345", "E11-9", "EE11"]) {
+      assert.doesNotMatch(normalizeIcd10(code), ICD10_PATTERN, code);
+    }
+  });
+});
+
+describe("buildContent", () => {
+  it("normalizes notes, diagnoses and vitals", () => {
+    const content = buildContent({
+      subjective: "Headache for three days",
+      objective: "",
+      diagnoses: [{ code: "g439", description: "Migraine", primary: 1 }, { code: "R51" }],
+      vitals: { temperatureC: "37.2", heartRate: 72, painScore: null },
+    });
+
+    assert.deepEqual(content, {
+      subjective: "Headache for three days",
+      objective: null,
+      assessment: null,
+      plan: null,
+      diagnoses: [
+        { code: "G43.9", description: "Migraine", primary: true },
+        { code: "R51", description: null, primary: false },
+      ],
+      vitals: { temperatureC: 37.2, heartRate: 72 },
+    });
+  });
+
+  it("keeps fields left out from the base version", () => {
+    const base = buildContent({
+      assessment: "Tension headache",
+      plan: "Rest",
+      diagnoses: [{ code: "G44.2", primary: true }],
+      vitals: { heartRate: 70 },
+    });
+    const content = buildContent({ plan: "Rest and fluids", vitals: {} }, base);
+
+    assert.equal(content.assessment, "Tension headache");
+    assert.equal(content.plan, "Rest and fluids");
+    assert.deepEqual(content.diagnoses, base.diagnoses);
+    assert.deepEqual(content.vitals, {});
+  });
+
+  it("accepts every vital sign at the ends of its range", () => {
+    for (const [name, [min, max]] of Object.entries(VITAL_RANGES)) {
+      assert.deepEqual(buildContent({ vitals: { [name]: min } }).vitals, { [name]: min });
+      assert.deepEqual(buildContent({ vitals: { [name]: max } }).vitals, { [name]: max });
+    }
+  });
+
+  it("rejects vital signs outside their range or unknown", () => {
+    assert.deepEqual(errorsOf({ vitals: { heartRate: 301, oxygenSaturation: "high", pulse: 80 } }), [
+      "heartRate must be between 20 and 300",
+      "oxygenSaturation must be between 50 and 100",
+      "Unknown vital sign: pulse",
+    ]);
+    assert.deepEqual(errorsOf({ vitals: { painScore: -1 } }), ["painScore must be between 0 and 10"]);
+    assert.deepEqual(errorsOf({ vitals: [] }), ["vitals must be an object"]);
+    assert.deepEqual(errorsOf({ vitals: null }), ["vitals must be an object"]);
+  });
+
+  it("rejects malformed diagnoses", () => {
+    assert.deepEqual(errorsOf({ diagnoses: [{ code: "11.9" }, null] }), [
+      "diagnoses[0].code must be an ICD-10 code (e.g., E11.9)",
+      "diagnoses[1].code must be an ICD-10 code (e.g., E11.9)",
+    ]);
+    const twoPrimary = [
+      { code: "E11.9", primary: true },
+      { code: "I10", primary: true },
+    ];
+    assert.deepEqual(errorsOf({ diagnoses: twoPrimary }), ["Only one diagnosis can be primary"]);
+    assert.deepEqual(errorsOf({ diagnoses: "E11.9" }), ["diagnoses must be a list"]);
+    assert.deepEqual(errorsOf({ diagnoses: Array.from({ length: 21 }, () => ({ code: "I10" })) }), [
+      "No more than 20 diagnoses are allowed",
+    ]);
+  });
+
+  it("rejects notes that are not text or too long", () => {
+    assert.deepEqual(errorsOf({ subjective: 42, plan: "x".repeat(20001) }), [
+      "subjective must be text",
+      "plan cannot exceed 20000 characters",
+    ]);
+  });
+
+  it("reports every problem at once", () => {
+    const errors = errorsOf({ assessment: {}, diagnoses: [{ code: "?" }], vitals: { weightKg: 0 } });
+    assert.equal(errors.length, 3);
+  });
+});
+
+describe("computeSignature", () => {
+  const version = {
+    encounterId: "8b0c6d52-52c4-4b9e-9d0e-0f7f4d8f4a10",
+    version: 1,
+    authorId: "0f1b5e2a-7c6d-4e3f-8a9b-1c2d3e4f5a6b",
+    signedAt: new Date("2026-10-20T09:30:00Z"),
+    ...buildContent({
+      assessment: "Migraine",
+      diagnoses: [{ code: "G43.9" }],
+      vitals: { heartRate: 72 },
+    }),
+  };
+
+  it("is the same for the same content in any key order", () => {
+    const reordered = {
+      ...Object.fromEntries(Object.entries(version).reverse()),
+      diagnoses: [{ primary: false, description: null, code: "G43.9" }],
+      signedAt: "2026-10-20T09:30:00.000Z",
+    };
+    assert.match(computeSignature(version), /^[0-9a-f]{64}$/);
+    assert.equal(computeSignature(reordered), computeSignature(version));
+  });
+
+  it("changes when the content, author or signing time changes", () => {
+    const signature = computeSignature(version);
+    const changes = [
+      { plan: "Follow up" },
+      { diagnoses: [{ code: "G43.8", description: null, primary: false }] },
+      { vitals: { heartRate: 73 } },
+      { authorId: "another" },
+      { signedAt: new Date("2026-10-20T09:31:00Z") },
+      { amendmentReason: "Typo" },
+    ];
+    for (const change of changes) {
+      assert.notEqual(computeSignature({ ...version, ...change }), signature, JSON.stringify(change));
+    }
+  });
+});
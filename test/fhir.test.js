@@ -0,0 +1,49 @@
+/**
+ * FHIR searches (services/fhirService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { connectTestDatabase, createUser, removeUsers } = require("./helpers");
+
+describe("searchPractitioners", async () => {
+  const skip = await connectTestDatabase();
+
+  const { sequelize } = require("../src/models");
+  const { searchPractitioners } = require("../src/services/fhirService");
+
+  const prefix = `fhir_${crypto.randomBytes(4).toString("hex")}`;
+  const users = [];
+  let active;
+
+  before(async () => {
+    if (skip) return;
+    active = await createUser("doctor", { username: `${prefix}_active` });
+    users.push(
+      active,
+      await createUser("doctor", { username: `${prefix}_suspended`, status: "suspended" }),
+      await createUser("doctor", { username: `${prefix}_pending`, status: "pending_approval" })
+    );
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  it("finds active doctors only", { skip }, async () => {
+    const { resources, total } = await searchPractitioners({ name: prefix });
+    assert.equal(total, 1);
+    assert.deepEqual(resources.map((resource) => resource.id), [active.id]);
+
+    const byId = await searchPractitioners({ _id: users.map((user) => user.id).join(",") });
+    assert.deepEqual(byId.resources.map((resource) => resource.id), [active.id]);
+  });
+
+  it("matches % and _ in the name literally", { skip }, async () => {
+    assert.equal((await searchPractitioners({ name: `${prefix}_act` })).total, 1);
+    assert.equal((await searchPractitioners({ name: `${prefix}%active` })).total, 0);
+    assert.equal((await searchPractitioners({ name: `${prefix.slice(0, -1)}__active` })).total, 0);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Field-level encryption hooks (utils/fieldEncryption.js). No database
+ * needed: the save hooks are run directly.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const { Appointment, PatientProfile } = require("../src/models");
+const { blindIndex, encryptValue, isEncrypted } = require("../src/utils/fieldEncryption");
+
+// Plaintext shaped like a stored value under a key that does not exist
+const LOOKALIKE = "enc:v1:evil:a:b:c:";
+
+// An appointment as loaded from the database
+const loaded = (reason) =>
+  Appointment.build({ id: crypto.randomUUID(), reason }, { isNewRecord: false, raw: true });
+
+describe("encryptAttributes", () => {
+  it("encrypts input that looks like ciphertext", async () => {
+    const appointment = Appointment.build({ reason: LOOKALIKE });
+    await Appointment.runHooks("beforeSave", appointment, {});
+
+    const stored = appointment.getDataValue("reason");
+    assert.notEqual(stored, LOOKALIKE);
+    assert.ok(isEncrypted(stored));
+    assert.equal(appointment.reason, LOOKALIKE);
+  });
+
+  it("encrypts a changed value that looks like ciphertext on update", async () => {
+    const stored = encryptValue("Check-up", "Appointment.reason");
+    const appointment = loaded(stored);
+    appointment.reason = LOOKALIKE;
+    await Appointment.runHooks("beforeSave", appointment, {});
+
+    assert.equal(appointment.reason, LOOKALIKE);
+  });
+
+  it("encrypts bulk updates that look like ciphertext", async () => {
+    const options = { attributes: { reason: LOOKALIKE }, fields: ["reason"] };
+    await Appointment.runHooks("beforeBulkUpdate", options);
+
+    assert.notEqual(options.attributes.reason, LOOKALIKE);
+    assert.ok(isEncrypted(options.attributes.reason));
+  });
+
+  it("keeps unchanged ciphertext loaded from the database", async () => {
+    const stored = encryptValue("Check-up", "Appointment.reason");
+    const appointment = loaded(stored);
+    await Appointment.runHooks("beforeSave", appointment, {});
+
+    assert.equal(appointment.getDataValue("reason"), stored);
+  });
+
+  it("does not encrypt twice when an instance is saved again", async () => {
+    const appointment = Appointment.build({ reason: "Check-up" });
+    await Appointment.runHooks("beforeSave", appointment, {});
+    await Appointment.runHooks("beforeSave", appointment, {});
+
+    assert.equal(appointment.reason, "Check-up");
+  });
+
+  it("indexes the plaintext of a lookalike value", async () => {
+    const profile = PatientProfile.build({ phone: LOOKALIKE });
+    await PatientProfile.runHooks("beforeSave", profile, {});
+    assert.equal(profile.getDataValue("phoneIndex"), blindIndex(LOOKALIKE, "PatientProfile.phone"));
+  });
+});
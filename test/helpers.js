@@ -0,0 +1,119 @@
+/**
+ * Test helpers
+ * ------------
+ * Shared setup for the tests in this folder (run with `npm test`).
+ *
+ * Database tests use the "test" environment of src/config/database.js
+ * (database `${DB_NAME}_test`). Create it once with:
+ *
+ *   NODE_ENV=test npm run db:create && NODE_ENV=test npm run db:migrate
+ *
+ * Tests that need the database are skipped when it cannot be reached.
+ */
+
+const crypto = require("crypto");
+
+// Load this file before anything from src/ so the test settings win
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.FIELD_ENCRYPTION_KEYS =
+  process.env.FIELD_ENCRYPTION_KEYS || `test:${crypto.randomBytes(32).toString("base64")}`;
+process.env.FIELD_BLIND_INDEX_KEY =
+  process.env.FIELD_BLIND_INDEX_KEY || crypto.randomBytes(32).toString("base64");
+
+/**
+ * Connect to the test database.
+ *
+ * @returns {Promise<string|false>} Why the database tests are skipped, or
+ *   false when it is reachable (use as the `skip` option of a test)
+ */
+const connectTestDatabase = async () => {
+  const { sequelize } = require("../src/models");
+  try {
+    await sequelize.authenticate();
+    return false;
+  } catch (error) {
+    return `test database unavailable (${error.message})`;
+  }
+};
+
+/**
+ * Create an active user with a verified email address.
+ *
+ * @param {string} role - Role name
+ * @param {Object} [attributes] - Extra User attributes
+ * @returns {Promise<Object>} The user
+ */
+const createUser = (role, attributes = {}) => {
+  const { User } = require("../src/models");
+  const suffix = crypto.randomBytes(6).toString("hex");
+  return User.create({
+    username: `${role}_${suffix}`,
+    email: `${role}_${suffix}@example.test`,
+    password: "Password123!",
+    role,
+    status: "active",
+    emailVerifiedAt: new Date(),
+    ...attributes,
+  });
+};
+
+/**
+ * Create a patient whose profile is complete enough to book.
+ *
+ * @returns {Promise<Object>} The patient
+ */
+const createPatient = async () => {
+  const { savePatientProfile } = require("../src/services/patientProfileService");
+  const patient = await createUser("patient");
+  await savePatientProfile(patient.id, {
+    legalFirstName: "Test",
+    legalLastName: "Patient",
+    dateOfBirth: "1980-01-01",
+    sex: "female",
+    phone: "+15550100",
+    address: { line1: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" },
+    emergencyContact: { name: "Next Of Kin", relationship: "spouse", phone: "+15550101" },
+  });
+  return patient;
+};
+
+/**
+ * Create a doctor who works 09:00-12:00 (30-minute slots) on the weekday
+ * of `date`.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} The doctor
+ */
+const createDoctor = async (date) => {
+  const { DoctorSchedule } = require("../src/models");
+  const { getDayOfWeek } = require("../src/services/availabilityService");
+  const doctor = await createUser("doctor");
+  await DoctorSchedule.create({
+    doctorId: doctor.id,
+    dayOfWeek: getDayOfWeek(date),
+    startTime: "09:00:00",
+    endTime: "12:00:00",
+    slotDuration: 30,
+  });
+  return doctor;
+};
+
+/**
+ * Delete users created by a test (their appointments, schedules and
+ * profiles go with them).
+ *
+ * @param {Array<Object>} users - Users to delete
+ */
+const removeUsers = (users) => {
+  const { User } = require("../src/models");
+  return User.destroy({ where: { id: users.map((user) => user.id) } });
+};
+
+module.exports = {
+  connectTestDatabase,
+  createUser,
+  createPatient,
+  createDoctor,
+  removeUsers,
+};
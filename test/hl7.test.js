@@ -0,0 +1,281 @@
+/**
+ * HL7 v2 parsing, generation and acknowledgements (hl7/ and
+ * services/hl7Service.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+const { parseMessage } = require("../src/hl7/parser");
+const { SENDING_FACILITY, buildAck, buildMessage, repeat } = require("../src/hl7/generator");
+const { buildSiu, parseHl7DateTime, readPatient, readSchedule } = require("../src/hl7/messages");
+
+const pad = (value) => String(value).padStart(2, "0");
+
+describe("parseMessage", () => {
+  it("numbers MSH fields from the field separator", () => {
+    const parsed = parseMessage("MSH|^~\\&|LAB|CLINIC|||20261020||SIU^S12|CTRL1|P|2.5.1\rPID|1||123");
+    assert.equal(parsed.get("MSH.1"), "|");
+    assert.equal(parsed.get("MSH.3"), "LAB");
+    assert.equal(parsed.type, "SIU^S12");
+    assert.equal(parsed.controlId, "CTRL1");
+    assert.equal(parsed.version, "2.5.1");
+    assert.equal(parsed.get("PID.3"), "123");
+  });
+
+  it("accepts LF and CRLF segment separators", () => {
+    for (const separator of ["\n", "\r\n"]) {
+      const parsed = parseMessage(`MSH|^~\\&|LAB${separator}PID|1||123${separator}`);
+      assert.equal(parsed.get("PID.3"), "123");
+    }
+  });
+
+  it("rejects text without an MSH segment with a 400", () => {
+    for (const text of ["", "PID|1||123", "MSH|"]) {
+      assert.throws(() => parseMessage(text), { name: "HttpError", status: 400 });
+    }
+  });
+});
+
+describe("buildMessage and parseMessage", () => {
+  it("round-trips components, subcomponents and repetitions", () => {
+    const { text, controlId } = buildMessage({
+      type: ["ADT", "A08", "ADT_A01"],
+      segments: [
+        ["PID", ["1", "", repeat(["A1", "", "", "LAB"], ["B2", "", "", "HOSP"])]],
+        ["PV1", ["1", "O", "", "", "", "", [["ID1", "LAB"], "House"]]],
+      ],
+    });
+    const parsed = parseMessage(text);
+
+    assert.equal(parsed.type, "ADT^A08");
+    assert.equal(parsed.controlId, controlId);
+    assert.equal(parsed.get("MSH.4"), SENDING_FACILITY);
+    assert.deepEqual(
+      parsed.getAll("PID.3").map((cx) => [cx[0], cx[3]]),
+      [
+        ["A1", "LAB"],
+        ["B2", "HOSP"],
+      ]
+    );
+    assert.equal(parsed.get("PV1.7.1.2"), "LAB");
+    assert.equal(parsed.get("PV1.7.2"), "House");
+  });
+
+  it("escapes delimiters and line breaks and decodes them back", () => {
+    const value = "a|b^c&d~e\\f\nnext line";
+    const { text } = buildMessage({ type: ["ADT", "A08"], segments: [["NTE", ["1", "", value]]] });
+
+    assert.equal(text.split("\r")[1], "NTE|1||a\\F\\b\\S\\c\\T\\d\\R\\e\\E\\f\\.br\\next line");
+    assert.equal(parseMessage(text).get("NTE.3"), value);
+  });
+});
+
+describe("buildSiu", () => {
+  const appointment = {
+    id: crypto.randomUUID(),
+    date: "2026-10-20",
+    time: "09:30:00",
+    status: "confirmed",
+    reason: "Follow-up | blood pressure",
+    notes: "Bring readings",
+  };
+  const patient = {
+    id: crypto.randomUUID(),
+    username: "jdoe",
+    email: "Jane.Doe@example.test",
+    patientProfile: {
+      legalFirstName: "Jane",
+      legalLastName: "Doe",
+      dateOfBirth: "1980-02-03",
+      sex: "female",
+      phone: "+15550100",
+      address: { line1: "1 Main St", city: "Springfield", postalCode: "12345", country: "US" },
+    },
+  };
+  const doctor = { id: crypto.randomUUID(), username: "dr_house" };
+
+  const parsed = parseMessage(
+    buildSiu({
+      trigger: "S12",
+      appointment,
+      patient,
+      doctor,
+      durationMinutes: 30,
+      patientIdentifiers: [{ value: "MRN-1", system: "LAB" }],
+      placerId: { value: "P-100", system: "LAB" },
+    }).text
+  );
+
+  it("reads back as the same schedule", () => {
+    assert.equal(parsed.type, "SIU^S12");
+    assert.deepEqual(readSchedule(parsed), {
+      placerId: { value: "P-100", namespace: "LAB" },
+      fillerId: { value: appointment.id, namespace: SENDING_FACILITY },
+      start: { date: "2026-10-20", time: "09:30:00" },
+      reason: appointment.reason,
+      eventReason: null,
+      notes: "Bring readings",
+      doctor: { value: doctor.id, authority: SENDING_FACILITY, name: "dr_house" },
+    });
+    assert.equal(parsed.get("SCH.25"), "Booked");
+    assert.equal(parsed.get("SCH.11.5"), "20261020100000");
+  });
+
+  it("reads back as the same patient", () => {
+    const info = readPatient(parsed);
+    assert.deepEqual(info.identifiers, [
+      { value: patient.id, authority: SENDING_FACILITY },
+      { value: "MRN-1", authority: "LAB" },
+    ]);
+    assert.equal(info.familyName, "Doe");
+    assert.equal(info.givenName, "Jane");
+    assert.equal(info.birthDate, "1980-02-03");
+    assert.equal(info.sex, "female");
+    assert.equal(info.phone, "+15550100");
+    assert.equal(info.email, "jane.doe@example.test");
+    assert.equal(info.address.city, "Springfield");
+  });
+});
+
+describe("parseHl7DateTime", () => {
+  it("takes timestamps without an offset as local", () => {
+    assert.deepEqual(parseHl7DateTime("20261020093000"), { date: "2026-10-20", time: "09:30:00" });
+    assert.deepEqual(parseHl7DateTime("202610200930"), { date: "2026-10-20", time: "09:30:00" });
+    assert.deepEqual(parseHl7DateTime("20261020"), { date: "2026-10-20", time: "00:00:00" });
+  });
+
+  it("converts timestamps with a UTC offset to local time", () => {
+    const instant = new Date("2026-10-20T14:30:00Z");
+    assert.deepEqual(parseHl7DateTime("202610200930-0500"), {
+      date: `${instant.getFullYear()}-${pad(instant.getMonth() + 1)}-${pad(instant.getDate())}`,
+      time: `${pad(instant.getHours())}:${pad(instant.getMinutes())}:00`,
+    });
+  });
+
+  it("returns null for anything else", () => {
+    for (const value of ["", "2026-10-20", "20261020 0930", null]) {
+      assert.equal(parseHl7DateTime(value), null);
+    }
+  });
+});
+
+describe("buildAck", () => {
+  const original = parseMessage("MSH|^~\\&|LAB|CLINIC|||20261020||SIU^S12|CTRL1|P|2.4");
+
+  it("accepts with MSA-1 AA, the original control ID and no ERR", () => {
+    const ack = parseMessage(buildAck(original, "AA", "Message applied").text);
+    assert.equal(ack.type, "ACK^S12");
+    assert.equal(ack.get("MSH.5"), "LAB");
+    assert.equal(ack.get("MSH.6"), "CLINIC");
+    assert.equal(ack.version, "2.4");
+    assert.equal(ack.get("MSA.1"), "AA");
+    assert.equal(ack.get("MSA.2"), "CTRL1");
+    assert.equal(ack.get("MSA.3"), "Message applied");
+    assert.equal(ack.segment("ERR"), null);
+  });
+
+  it("reports errors with the HL7 table 0357 code in ERR-3", () => {
+    const cases = [
+      ["AE", "duplicateKey", "205"],
+      ["AE", "unknownKey", "204"],
+      ["AR", "unsupportedMessageType", "200"],
+      ["AE", undefined, "207"],
+    ];
+    for (const [code, errorCode, expected] of cases) {
+      const ack = parseMessage(buildAck(original, code, "Failed", errorCode).text);
+      assert.equal(ack.get("MSA.1"), code);
+      assert.equal(ack.get("ERR.3.1"), expected);
+      assert.equal(ack.get("ERR.3.3"), "HL70357");
+      assert.equal(ack.get("ERR.8"), "Failed");
+    }
+  });
+
+  it("answers a message that could not be parsed without a control ID", () => {
+    const ack = parseMessage(buildAck(null, "AR", "Message must start with an MSH segment", "requiredFieldMissing").text);
+    assert.equal(ack.get("MSA.1"), "AR");
+    assert.equal(ack.get("MSA.2"), "");
+    assert.equal(ack.get("ERR.3.1"), "101");
+  });
+});
+
+describe("processInboundMessage", async () => {
+  const skip = await connectTestDatabase();
+
+  const { Appointment, ExternalIdentifier, Hl7Message, sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { processInboundMessage } = require("../src/services/hl7Service");
+
+  const date = addDays(today(), 21);
+  const users = [];
+  const controlIds = [];
+  const placerIds = [];
+  let doctor;
+  let patient;
+
+  before(async () => {
+    if (skip) return;
+    doctor = await createDoctor(date);
+    patient = await createPatient();
+    users.push(doctor, patient);
+  });
+
+  after(async () => {
+    if (!skip) {
+      await Hl7Message.destroy({ where: { controlId: controlIds } });
+      await ExternalIdentifier.destroy({ where: { resourceType: "appointment", value: placerIds } });
+      await removeUsers(users);
+    }
+    await sequelize.close();
+  });
+
+  // An SIU^S12 from another system booking `patient` with `doctor`
+  const s12 = (placerId, time) => {
+    const start = `${date.replace(/-/g, "")}${time.replace(/:/g, "")}00`;
+    const message = buildMessage({
+      type: ["SIU", "S12", "SIU_S12"],
+      segments: [
+        ["SCH", [[placerId, "LAB"], "", "", "", "", "", ["", "Check-up"], "", "", "", ["", "", "30", start]]],
+        ["PID", ["1", "", [patient.id, "", "", SENDING_FACILITY]]],
+        ["AIP", ["1", "", [doctor.id, "", "", "", "", "", "", "", SENDING_FACILITY]]],
+      ],
+    });
+    controlIds.push(message.controlId);
+    return message.text;
+  };
+
+  it("books an S12 once when two messages with its SCH-1 arrive together", { skip }, async () => {
+    const placerId = `P-${crypto.randomBytes(6).toString("hex")}`;
+    placerIds.push(placerId);
+
+    const results = await Promise.all([
+      processInboundMessage(s12(placerId, "09:00")),
+      processInboundMessage(s12(placerId, "10:00")),
+    ]);
+    const acks = results.map(({ ack }) => parseMessage(ack));
+
+    assert.deepEqual(acks.map((ack) => ack.get("MSA.1")).sort(), ["AA", "AE"]);
+    const rejected = acks.find((ack) => ack.get("MSA.1") === "AE");
+    assert.equal(rejected.get("ERR.3.1"), "205");
+
+    const booked = await Appointment.count({ where: { doctorId: doctor.id, date } });
+    assert.equal(booked, 1);
+  });
+
+  it("answers an unknown doctor with AE and ERR-3 204 and books nothing", { skip }, async () => {
+    const placerId = `P-${crypto.randomBytes(6).toString("hex")}`;
+    placerIds.push(placerId);
+    const text = s12(placerId, "11:00").replace(doctor.id, crypto.randomUUID());
+
+    const ack = parseMessage((await processInboundMessage(text)).ack);
+    assert.equal(ack.get("MSA.1"), "AE");
+    assert.equal(ack.get("ERR.3.1"), "204");
+    assert.equal(await ExternalIdentifier.count({ where: { value: placerId } }), 0);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Login throttling and lockout (services/loginProtection.js).
+ */
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const { setRateLimitStore } = require("../src/services/rateLimitStore");
+const {
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockStatus,
+} = require("../src/services/loginProtection");
+
+describe("reserveLoginAttempt", () => {
+  const email = "someone@example.test";
+  const ip = "192.0.2.1";
+
+  beforeEach(() => {
+    setRateLimitStore("memory");
+  });
+
+  it("lets only the free attempts through when guesses arrive in parallel", async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 10 }, () => reserveLoginAttempt({ email, ip }))
+    );
+
+    const allowed = results.filter((result) => result.status === "fulfilled");
+    assert.equal(allowed.length, 2);
+    for (const result of results.filter((r) => r.status === "rejected")) {
+      assert.equal(result.reason.status, 429);
+      assert.ok(result.reason.retryAfter >= 1);
+    }
+    assert.ok((await getLockStatus(email)).lockedUntil);
+  });
+
+  it("refuses the next attempt until the delay earned by a failure has passed", async () => {
+    for (let i = 0; i < 2; i++) {
+      const attempt = await reserveLoginAttempt({ email, ip });
+      await recordLoginFailure({ email, ip, attempt });
+    }
+
+    await assert.rejects(reserveLoginAttempt({ email, ip }), { status: 429 });
+  });
+
+  it("clears the count and delay after a successful login", async () => {
+    await reserveLoginAttempt({ email, ip });
+    await reserveLoginAttempt({ email, ip });
+    await recordLoginSuccess(email);
+
+    assert.deepEqual(await getLockStatus(email), { failures: 0, lockedUntil: null });
+    assert.equal(await reserveLoginAttempt({ email, ip }), 1);
+  });
+});
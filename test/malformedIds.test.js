@@ -0,0 +1,80 @@
+/**
+ * Record IDs in the URL that are not UUIDs are answered with 404, and IDs
+ * in search filters with 400 (not a database cast error).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { connectTestDatabase, createUser, removeUsers } = require("./helpers");
+
+describe("malformed record IDs", async () => {
+  const skip = await connectTestDatabase();
+
+  const { sequelize } = require("../src/models");
+  const { issueTokens } = require("../src/services/tokenService");
+
+  const users = [];
+  const tokens = {};
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    if (skip) return;
+    for (const role of ["admin", "doctor", "patient"]) {
+      const user = await createUser(role, { mfaEnabled: role !== "patient" });
+      users.push(user);
+      tokens[role] = (await issueTokens(user)).token;
+    }
+
+    const app = require("../src/app");
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  const cases = [
+    ["patient", "GET", "/api/appointments/not-a-uuid/history"],
+    ["patient", "PATCH", "/api/appointments/not-a-uuid/reschedule", { date: "2030-01-07", time: "09:00" }],
+    ["patient", "GET", "/api/appointments/not-a-uuid/ics"],
+    ["patient", "PUT", "/api/patient/appointments/not-a-uuid/cancel"],
+    ["doctor", "PUT", "/api/doctor/appointments/not-a-uuid/cancel"],
+    ["admin", "PUT", "/api/admin/appointments/not-a-uuid/confirm"],
+    ["admin", "PUT", "/api/admin/appointments/not-a-uuid/cancel"],
+    ["admin", "GET", "/api/admin/users/not-a-uuid/lock"],
+    ["admin", "POST", "/api/admin/users/not-a-uuid/unlock"],
+    ["admin", "PUT", "/api/admin/users/not-a-uuid/email-verification", { verified: true }],
+  ];
+
+  for (const [role, method, path, body] of cases) {
+    it(`${method} ${path} answers 404`, { skip }, async () => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${tokens[role]}` },
+        body: method === "GET" ? undefined : JSON.stringify(body || {}),
+      });
+      assert.equal(response.status, 404);
+    });
+  }
+
+  it("GET /api/admin/audit-log answers 400 for user ID filters that are not UUIDs", { skip }, async () => {
+    const patientId = users[2].id;
+    const cases = [
+      ["patientId=not-a-uuid", 400],
+      ["actorId=not-a-uuid", 400],
+      [`patientId=${patientId}&patientId=${patientId}`, 400],
+      [`patientId=${patientId}&actorId=${users[0].id}`, 200],
+    ];
+    for (const [query, status] of cases) {
+      const response = await fetch(`${baseUrl}/api/admin/audit-log?${query}`, {
+        headers: { Authorization: `Bearer ${tokens.admin}` },
+      });
+      assert.equal(response.status, status, query);
+    }
+  });
+});
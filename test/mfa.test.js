@@ -0,0 +1,161 @@
+/**
+ * TOTP codes (utils/totp.js) and the MFA checks that need no database
+ * (services/mfaService.js).
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+require("./helpers");
+const {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateCode,
+  generateSecret,
+  stepAt,
+  verifyCode,
+} = require("../src/utils/totp");
+const {
+  createMfaChallenge,
+  isMfaRequired,
+  regenerateRecoveryCodes,
+  resolveMfaChallenge,
+  startEnrollment,
+  verifySecondFactor,
+} = require("../src/services/mfaService");
+
+// RFC 6238 appendix B: SHA-1 secret "12345678901234567890", codes cut to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+describe("base32", () => {
+  it("encodes the RFC 4648 test vectors without padding", () => {
+    const vectors = [
+      ["", ""],
+      ["f", "MY"],
+      ["fo", "MZXQ"],
+      ["foo", "MZXW6"],
+      ["foob", "MZXW6YQ"],
+      ["fooba", "MZXW6YTB"],
+      ["foobar", "MZXW6YTBOI"],
+    ];
+    for (const [text, encoded] of vectors) {
+      assert.equal(base32Encode(Buffer.from(text)), encoded);
+      assert.equal(base32Decode(encoded).toString(), text);
+    }
+  });
+
+  it("decodes lowercase, spaces and padding", () => {
+    assert.equal(base32Decode("mzxw 6ytb oi======").toString(), "foobar");
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    assert.throws(() => base32Decode("MZXW1"), /Invalid Base32 character/);
+  });
+
+  it("generates 160-bit secrets", () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(secret).length, 20);
+    assert.notEqual(generateSecret(), secret);
+  });
+});
+
+describe("generateCode", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(generateCode(RFC_SECRET, stepAt(seconds * 1000)), code);
+    }
+  });
+});
+
+describe("verifyCode", () => {
+  const timeMs = 1111111109 * 1000;
+  const step = stepAt(timeMs);
+
+  it("returns the step of a current code", () => {
+    assert.equal(verifyCode(RFC_SECRET, "081804", { timeMs }), step);
+    assert.equal(verifyCode(RFC_SECRET, " 081 804 ", { timeMs }), step);
+  });
+
+  it("accepts one step of clock drift either way", () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timeMs }), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { timeMs }), step + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timeMs }), null);
+    assert.equal(
+      verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timeMs, window: 2 }),
+      step + 2
+    );
+  });
+
+  it("rejects wrong and malformed codes", () => {
+    for (const code of ["000000", "08180", "0818045", "abcdef", "", null, undefined]) {
+      assert.equal(verifyCode(RFC_SECRET, code, { timeMs }), null);
+    }
+  });
+});
+
+describe("buildOtpauthUri", () => {
+  it("names the issuer and account and the code parameters", () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, account: "dr@example.test", issuer: "Clinic A" }));
+    assert.equal(`${uri.protocol}//${uri.host}`, "otpauth://totp");
+    assert.equal(decodeURIComponent(uri.pathname), "/Clinic A:dr@example.test");
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("issuer"), "Clinic A");
+    assert.equal(uri.searchParams.get("algorithm"), "SHA1");
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+});
+
+describe("mfaService", () => {
+  it("requires MFA for admins and doctors by default", () => {
+    assert.equal(isMfaRequired({ role: "admin" }), true);
+    assert.equal(isMfaRequired({ role: "doctor" }), true);
+    assert.equal(isMfaRequired({ role: "patient" }), false);
+  });
+
+  it("starts enrollment with a new secret and clears the last used step", async () => {
+    const user = { email: "dr@example.test", mfaEnabled: false, mfaLastUsedStep: 5, save: async () => {} };
+    const { secret, otpauthUri } = await startEnrollment(user);
+
+    assert.equal(user.mfaSecret, secret);
+    assert.equal(user.mfaLastUsedStep, null);
+    assert.equal(new URL(otpauthUri).searchParams.get("secret"), secret);
+  });
+
+  it("refuses to enroll again while MFA is enabled", async () => {
+    await assert.rejects(startEnrollment({ mfaEnabled: true }), { name: "HttpError", status: 409 });
+  });
+
+  it("asks for a factor before looking the user up", async () => {
+    await assert.rejects(verifySecondFactor({ id: "x" }, {}), { name: "HttpError", status: 400 });
+    await assert.rejects(regenerateRecoveryCodes({ mfaEnabled: true }), { name: "HttpError", status: 400 });
+    await assert.rejects(regenerateRecoveryCodes({ mfaEnabled: false }, "123456"), {
+      name: "HttpError",
+      status: 409,
+    });
+  });
+
+  it("issues challenges for the MFA login step only", async () => {
+    const token = createMfaChallenge({ id: "00000000-0000-4000-8000-000000000000" });
+    const claims = jwt.decode(token);
+    assert.equal(claims.aud, "mfa-login");
+    assert.equal(claims.sub, "00000000-0000-4000-8000-000000000000");
+
+    const accessToken = jwt.sign({ role: "admin" }, process.env.JWT_SECRET, { subject: claims.sub });
+    const forged = jwt.sign({}, "another-secret", { subject: claims.sub, audience: "mfa-login" });
+    for (const invalid of [accessToken, forged, "not-a-token", undefined]) {
+      await assert.rejects(resolveMfaChallenge(invalid), { name: "HttpError", status: 401 });
+    }
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * MLLP framing and server (hl7/mllp.js).
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { frame, deframe, createMllpServer, sendMllpMessage } = require("../src/hl7/mllp");
+
+// Start a server on a free local port for the duration of `work`
+const withServer = async (server, work) => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await work(server.address().port);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+describe("deframe", () => {
+  it("returns complete messages and keeps the start of the next one", () => {
+    const { messages, rest } = deframe(`${frame("one")}${frame("two")}\x0bthr`);
+    assert.deepEqual(messages, ["one", "two"]);
+    assert.equal(rest, "\x0bthr");
+  });
+
+  it("discards data outside a frame", () => {
+    assert.deepEqual(deframe("noise"), { messages: [], rest: "" });
+    assert.deepEqual(deframe(`${frame("one")}noise\x0btw`), { messages: ["one"], rest: "\x0btw" });
+  });
+});
+
+describe("createMllpServer", () => {
+  it("answers with the handler's acknowledgement", async () => {
+    const server = createMllpServer(async (text) => `ACK ${text}`);
+    const ack = await withServer(server, (port) => sendMllpMessage({ host: "127.0.0.1", port, text: "MSG" }));
+    assert.equal(ack, "ACK MSG");
+  });
+
+  it("answers with onError's negative acknowledgement when the handler fails", async () => {
+    const server = createMllpServer(
+      async () => {
+        throw new Error("database unavailable");
+      },
+      { onError: (text, error) => `NAK ${text}: ${error.message}` }
+    );
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const ack = await withServer(server, (port) => sendMllpMessage({ host: "127.0.0.1", port, text: "MSG" }));
+      assert.equal(ack, "NAK MSG: database unavailable");
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it("closes connections that send a message over the limit", async () => {
+    const server = createMllpServer(async () => "ACK", { maxMessageLength: 100 });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await withServer(server, (port) =>
+        new Promise((resolve, reject) => {
+          const socket = net.createConnection({ host: "127.0.0.1", port }, () => {
+            socket.write(`\x0b${"x".repeat(200)}`);
+          });
+          socket.on("close", resolve);
+          socket.on("error", () => {});
+          socket.setTimeout(5000, () => reject(new Error("connection was not closed")));
+        })
+      );
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Forgot password (services/passwordService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { connectTestDatabase, createUser, removeUsers } = require("./helpers");
+const { setMailTransport } = require("../src/notifications/transports/mailer");
+
+describe("forgot password", async () => {
+  const skip = await connectTestDatabase();
+
+  const { PasswordResetToken, sequelize } = require("../src/models");
+
+  const users = [];
+  let user;
+
+  before(async () => {
+    if (skip) return;
+    user = await createUser("patient");
+    users.push(user);
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  it("answers a registered address without waiting for the email", { skip }, async () => {
+    let deliver;
+    const delivered = new Promise((resolve) => {
+      deliver = resolve;
+    });
+    let sending = false;
+    setMailTransport({
+      sendMail: async () => {
+        sending = true;
+        await delivered;
+      },
+    });
+
+    const app = require("../src/app");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/forgot-password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: user.email }),
+        signal: AbortSignal.timeout(5000),
+      });
+      assert.equal(response.status, 200);
+    } finally {
+      deliver();
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    // The link is still issued and sent
+    for (let attempt = 0; attempt < 50 && !sending; attempt++) {
+      await sleep(100);
+    }
+    assert.ok(sending);
+    assert.equal(await PasswordResetToken.count({ where: { userId: user.id } }), 1);
+  });
+});
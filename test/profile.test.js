@@ -0,0 +1,79 @@
+/**
+ * Profile editing (PUT /api/auth/profile).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { connectTestDatabase, createPatient, createUser, removeUsers } = require("./helpers");
+
+// A role that may update its own profile but is neither patient nor doctor
+const permissionsDir = fs.mkdtempSync(path.join(os.tmpdir(), "permissions-"));
+const { roles } = require("../src/config/permissions.json");
+process.env.PERMISSIONS_FILE = path.join(permissionsDir, "permissions.json");
+fs.writeFileSync(
+  process.env.PERMISSIONS_FILE,
+  JSON.stringify({
+    roles: {
+      ...roles,
+      receptionist: { description: "Front desk", permissions: ["profile:update:own"] },
+    },
+  })
+);
+
+describe("PUT /api/auth/profile", async () => {
+  const skip = await connectTestDatabase();
+
+  const { PatientProfile, sequelize } = require("../src/models");
+  const { issueTokens } = require("../src/services/tokenService");
+
+  const users = [];
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    if (skip) return;
+    const app = require("../src/app");
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+    fs.rmSync(permissionsDir, { recursive: true });
+  });
+
+  const updateProfile = async (user, body) =>
+    fetch(`${baseUrl}/api/auth/profile`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${(await issueTokens(user)).token}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+  it("saves a patient's demographic profile", { skip }, async () => {
+    const patient = await createPatient();
+    users.push(patient);
+
+    const response = await updateProfile(patient, { preferredLanguage: "es" });
+    assert.equal(response.status, 200);
+    const profile = await PatientProfile.findOne({ where: { userId: patient.id } });
+    assert.equal(profile.preferredLanguage, "es");
+  });
+
+  it("answers 403 for roles without a profile and saves nothing", { skip }, async () => {
+    const receptionist = await createUser("receptionist");
+    users.push(receptionist);
+
+    const response = await updateProfile(receptionist, { legalFirstName: "Front", legalLastName: "Desk" });
+    assert.equal(response.status, 403);
+    assert.equal(await PatientProfile.count({ where: { userId: receptionist.id } }), 0);
+  });
+});
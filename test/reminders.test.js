@@ -0,0 +1,92 @@
+/**
+ * Appointment reminders and their links (services/reminderService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+const { setMailTransport } = require("../src/notifications/transports/mailer");
+
+describe("reminder links", async () => {
+  const skip = await connectTestDatabase();
+
+  const { AppointmentReminder, Notification, sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { bookSlot } = require("../src/services/bookingService");
+  const { resolveActionToken, sendDueReminders } = require("../src/services/reminderService");
+
+  const date = addDays(today(), 42);
+  const users = [];
+  let patient;
+  let appointment;
+  let reminders = 0;
+
+  before(async () => {
+    if (skip) return;
+    setMailTransport("memory");
+    const doctor = await createDoctor(date);
+    patient = await createPatient();
+    users.push(doctor, patient);
+    appointment = await bookSlot({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      date,
+      time: "09:00",
+      reason: "Check-up",
+    });
+    await appointment.update({ status: "confirmed" });
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  // Send a reminder for the appointment and return its confirm link
+  const sendReminder = async () => {
+    await AppointmentReminder.create({
+      appointmentId: appointment.id,
+      offsetMinutes: 60 * 24 * 50 + reminders++, // One reminder per offset
+      sendAt: new Date(Date.now() - 60000),
+    });
+    await sendDueReminders();
+
+    const notification = await Notification.findOne({
+      where: { userId: patient.id, event: "reminder" },
+      order: [["createdAt", "DESC"]],
+    });
+    assert.ok(notification);
+    return new URL(notification.data.confirmUrl);
+  };
+
+  it("links to the frontend page that carries out the action", { skip }, async () => {
+    const url = await sendReminder();
+    const frontend = new URL(process.env.FRONTEND_URL || "http://localhost:3000");
+
+    assert.equal(url.origin, frontend.origin);
+    assert.equal(url.pathname, "/appointment-reminder");
+
+    const link = await resolveActionToken(url.searchParams.get("token"));
+    assert.equal(link.action, "confirm");
+    assert.equal(link.appointment.id, appointment.id);
+  });
+
+  it("refuses links of a patient who is no longer active", { skip }, async () => {
+    const url = await sendReminder();
+    await patient.update({ status: "suspended" });
+
+    try {
+      await assert.rejects(resolveActionToken(url.searchParams.get("token")), {
+        name: "HttpError",
+        status: 403,
+      });
+    } finally {
+      await patient.update({ status: "active" });
+    }
+  });
+});
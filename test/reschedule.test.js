@@ -0,0 +1,59 @@
+/**
+ * Rescheduling (services/bookingService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+
+describe("rescheduleAppointment", async () => {
+  const skip = await connectTestDatabase();
+
+  const { Appointment, sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { bookSlot, rescheduleAppointment } = require("../src/services/bookingService");
+
+  const date = addDays(today(), 21);
+  const users = [];
+  let doctor;
+  let patient;
+
+  before(async () => {
+    if (skip) return;
+    doctor = await createDoctor(date);
+    patient = await createPatient();
+    users.push(doctor, patient);
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  it("applies the cutoff to the current visit time, not a stale copy", { skip }, async () => {
+    const appointment = await bookSlot({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      date,
+      time: "09:00",
+      reason: "Check-up",
+      actor: patient,
+    });
+
+    // Moved to within the cutoff window after the caller loaded it
+    await Appointment.update(
+      { date: today(), time: "23:59:00" },
+      { where: { id: appointment.id } }
+    );
+
+    await assert.rejects(
+      rescheduleAppointment(appointment, { date, time: "10:00", actor: patient }),
+      { name: "HttpError", status: 400, message: /cannot be rescheduled less than/ }
+    );
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Recurring series (services/seriesService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+const { setMailTransport } = require("../src/notifications/transports/mailer");
+
+describe("bookSeries", async () => {
+  const skip = await connectTestDatabase();
+
+  const { Notification, sequelize } = require("../src/models");
+  const { registerNotificationHandlers } = require("../src/notifications");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const { bookSeries } = require("../src/services/seriesService");
+
+  const date = addDays(today(), 28);
+  const users = [];
+  let doctor;
+  let patient;
+
+  before(async () => {
+    if (skip) return;
+    setMailTransport("memory");
+    registerNotificationHandlers();
+    doctor = await createDoctor(date);
+    patient = await createPatient();
+    users.push(doctor, patient);
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  // Notifications are sent once the booking has returned
+  const waitForNotification = async (where) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const notification = await Notification.findOne({ where });
+      if (notification) return notification;
+      await sleep(100);
+    }
+    return null;
+  };
+
+  it("notifies the doctor once for the whole series", { skip }, async () => {
+    const { series, appointments } = await bookSeries({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      startDate: date,
+      time: "11:00",
+      rrule: "FREQ=WEEKLY;COUNT=3",
+      reason: "Physiotherapy",
+      actor: patient,
+    });
+    assert.equal(appointments.length, 3);
+
+    const notification = await waitForNotification({ userId: doctor.id, event: "seriesBooked" });
+    assert.ok(notification);
+    assert.equal(notification.data.seriesId, series.id);
+    assert.match(notification.body, new RegExp(`^3 appointments with .* from ${date} 11:00 to ${addDays(date, 14)} 11:00`));
+
+    assert.equal(await Notification.count({ where: { userId: doctor.id } }), 1);
+    assert.equal(await Notification.count({ where: { userId: patient.id } }), 0);
+  });
+});
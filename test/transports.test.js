@@ -0,0 +1,32 @@
+/**
+ * Mail and SMS transports (notifications/transports).
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setMailTransport } = require("../src/notifications/transports/mailer");
+const { setSmsAdapter } = require("../src/notifications/transports/sms");
+
+describe("log and memory transports", () => {
+  const environment = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = environment;
+  });
+
+  it("are refused in production", () => {
+    process.env.NODE_ENV = "production";
+    assert.throws(() => setMailTransport("log"), /disabled in production/);
+    assert.throws(() => setSmsAdapter("log"), /disabled in production/);
+    assert.throws(() => setMailTransport("memory"), /disabled in production/);
+    assert.throws(() => setSmsAdapter("fake"), /disabled in production/);
+  });
+
+  it("are available outside production", () => {
+    process.env.NODE_ENV = "development";
+    assert.doesNotThrow(() => setMailTransport("log"));
+    assert.doesNotThrow(() => setSmsAdapter("log"));
+    assert.doesNotThrow(() => setMailTransport("memory"));
+    assert.doesNotThrow(() => setSmsAdapter("fake"));
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Admin user management (services/userAdminService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { connectTestDatabase, createUser, removeUsers } = require("./helpers");
+
+describe("user administration", async () => {
+  const skip = await connectTestDatabase();
+
+  const { User, sequelize } = require("../src/models");
+  const { deleteUser, listUsers } = require("../src/services/userAdminService");
+
+  const users = [];
+  let otherAdmins = [];
+
+  before(async () => {
+    if (skip) return;
+    // Only the admins created here are active, so they are the last two
+    otherAdmins = await User.findAll({ where: { role: "admin", status: "active" }, attributes: ["id"] });
+    await User.update({ status: "suspended" }, { where: { id: otherAdmins.map((admin) => admin.id) } });
+  });
+
+  after(async () => {
+    if (!skip) {
+      await removeUsers(users);
+      await User.update({ status: "active" }, { where: { id: otherAdmins.map((admin) => admin.id) } });
+    }
+    await sequelize.close();
+  });
+
+  it("matches % and _ in the search text literally", { skip }, async () => {
+    const user = await createUser("patient");
+    users.push(user);
+    const suffix = user.username.slice("patient_".length);
+
+    assert.deepEqual((await listUsers({ q: `t_${suffix}` })).rows.map((row) => row.id), [user.id]);
+    assert.equal((await listUsers({ q: `%${suffix}` })).count, 0);
+    assert.equal((await listUsers({ q: `patien__${suffix}` })).count, 0);
+  });
+
+  it("answers 404 for an ID that is not a UUID", { skip }, async () => {
+    const admin = await createUser("admin", { status: "suspended" });
+    users.push(admin);
+
+    await assert.rejects(deleteUser("not-a-uuid", admin), { name: "HttpError", status: 404 });
+  });
+
+  it("keeps one admin when the last two delete each other at the same time", { skip }, async () => {
+    const first = await createUser("admin");
+    const second = await createUser("admin");
+    users.push(first, second);
+
+    const results = await Promise.allSettled([
+      deleteUser(second.id, first),
+      deleteUser(first.id, second),
+    ]);
+
+    assert.equal(results.filter((result) => result.status === "fulfilled").length, 1);
+    const [failure] = results.filter((result) => result.status === "rejected");
+    assert.equal(failure.reason.status, 409, failure.reason.message);
+    assert.equal(await User.count({ where: { role: "admin", status: "active" } }), 1);
+  });
+});
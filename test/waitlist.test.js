@@ -0,0 +1,120 @@
+/**
+ * Waitlist offers (services/waitlistService.js).
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  connectTestDatabase,
+  createDoctor,
+  createPatient,
+  removeUsers,
+} = require("./helpers");
+
+describe("waitlist offers", async () => {
+  const skip = await connectTestDatabase();
+
+  const { Appointment, Notification, WaitlistEntry, sequelize } = require("../src/models");
+  const { addDays, today } = require("../src/services/availabilityService");
+  const {
+    acceptOffer,
+    declineOffer,
+    offerFreedSlot,
+  } = require("../src/services/waitlistService");
+
+  const date = addDays(today(), 14);
+  const users = [];
+  let doctor;
+  let patient;
+  let nextPatient;
+
+  before(async () => {
+    if (skip) return;
+    doctor = await createDoctor(date);
+    patient = await createPatient();
+    nextPatient = await createPatient();
+    users.push(doctor, patient, nextPatient);
+  });
+
+  after(async () => {
+    if (!skip) await removeUsers(users);
+    await sequelize.close();
+  });
+
+  const offerSlot = async (time) => {
+    const entry = await WaitlistEntry.create({
+      patientId: patient.id,
+      doctorId: doctor.id,
+      fromDate: date,
+      toDate: date,
+      reason: "Check-up",
+    });
+    const offered = await offerFreedSlot({ doctorId: doctor.id, date, time });
+    assert.equal(offered.id, entry.id);
+    return offered;
+  };
+
+  it("notifies the patient of the offer and its expiry", { skip }, async () => {
+    const entry = await offerSlot("09:00:00");
+
+    const notification = await Notification.findOne({
+      where: { userId: patient.id, event: "waitlistOffer" },
+    });
+    assert.ok(notification);
+    assert.equal(notification.data.waitlistEntryId, entry.id);
+    assert.match(notification.body, new RegExp(`${date} 09:00 is held for you until \\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}`));
+
+    await entry.update({ status: "cancelled", offerExpiresAt: null });
+  });
+
+  it("books an offer once when it is accepted twice at the same time", { skip }, async () => {
+    const entry = await offerSlot("09:30:00");
+
+    const results = await Promise.allSettled([
+      acceptOffer(entry.id, patient),
+      acceptOffer(entry.id, patient),
+    ]);
+
+    assert.equal(results.filter((result) => result.status === "fulfilled").length, 1);
+    const [failure] = results.filter((result) => result.status === "rejected");
+    assert.equal(failure.reason.status, 409);
+
+    await entry.reload();
+    assert.equal(entry.status, "booked");
+    assert.equal(
+      await Appointment.count({ where: { patientId: patient.id, date, time: "09:30:00" } }),
+      1
+    );
+  });
+
+  it("does not pass on an offer that is accepted while it is declined", { skip }, async () => {
+    const entry = await offerSlot("10:00:00");
+    const next = await WaitlistEntry.create({
+      patientId: nextPatient.id,
+      doctorId: doctor.id,
+      fromDate: date,
+      toDate: date,
+      reason: "Check-up",
+    });
+
+    const [accepted, declined] = await Promise.allSettled([
+      acceptOffer(entry.id, patient),
+      declineOffer(entry.id, patient),
+    ]);
+    assert.equal([accepted, declined].filter((result) => result.status === "fulfilled").length, 1);
+
+    await entry.reload();
+    await next.reload();
+    if (accepted.status === "fulfilled") {
+      assert.equal(declined.reason.status, 409);
+      assert.equal(entry.status, "booked");
+      assert.equal(next.status, "waiting");
+    } else {
+      assert.equal(accepted.reason.status, 409);
+      assert.equal(entry.status, "waiting");
+      assert.equal(next.status, "offered");
+    }
+
+    await next.update({ status: "cancelled", offerExpiresAt: null });
+  });
+});
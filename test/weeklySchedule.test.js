@@ -0,0 +1,104 @@
+/**
+ * Weekly schedule validation (services/availabilityService.js).
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const { normalizeTime, normalizeWeeklySchedule } = require("../src/services/availabilityService");
+
+// The errors normalizeWeeklySchedule reports for `days`
+const errorsOf = (days) => {
+  try {
+    normalizeWeeklySchedule(days);
+  } catch (error) {
+    assert.equal(error.name, "HttpError");
+    assert.equal(error.status, 400);
+    return error.errors || [error.message];
+  }
+  assert.fail("normalizeWeeklySchedule accepted the schedule");
+};
+
+describe("normalizeTime", () => {
+  it("pads hours and adds seconds", () => {
+    assert.equal(normalizeTime("9:00"), "09:00:00");
+    assert.equal(normalizeTime("13:30:15"), "13:30:15");
+  });
+
+  it("returns null for anything but a time", () => {
+    for (const value of ["", "25:00", "9", "09:60", null, undefined]) {
+      assert.equal(normalizeTime(value), null, String(value));
+    }
+  });
+});
+
+describe("normalizeWeeklySchedule", () => {
+  it("normalizes days, defaulting to 30-minute slots without breaks", () => {
+    const rows = normalizeWeeklySchedule([
+      {
+        dayOfWeek: "1",
+        startTime: "9:00",
+        endTime: "17:00",
+        breaks: [{ start: "12:00", end: "13:00" }],
+      },
+      { dayOfWeek: 3, startTime: "08:30", endTime: "12:00", slotDuration: "15" },
+    ]);
+
+    assert.deepEqual(rows, [
+      {
+        dayOfWeek: 1,
+        startTime: "09:00:00",
+        endTime: "17:00:00",
+        slotDuration: 30,
+        breaks: [{ start: "12:00:00", end: "13:00:00" }],
+      },
+      { dayOfWeek: 3, startTime: "08:30:00", endTime: "12:00:00", slotDuration: 15, breaks: [] },
+    ]);
+  });
+
+  it("accepts an empty week", () => {
+    assert.deepEqual(normalizeWeeklySchedule([]), []);
+  });
+
+  it("requires a list of days", () => {
+    for (const days of [undefined, null, "monday", { dayOfWeek: 1 }]) {
+      assert.deepEqual(errorsOf(days), ["days must be an array"]);
+    }
+  });
+
+  it("rejects entries that are not objects", () => {
+    assert.deepEqual(errorsOf([null, "monday", [1], 3]), [
+      "days[0] must be an object",
+      "days[1] must be an object",
+      "days[2] must be an object",
+      "days[3] must be an object",
+    ]);
+  });
+
+  it("rejects breaks that are not a list", () => {
+    for (const breaks of ["x", { start: "12:00", end: "13:00" }, 1]) {
+      assert.deepEqual(errorsOf([{ dayOfWeek: 1, startTime: "09:00", endTime: "17:00", breaks }]), [
+        "days[0].breaks must be an array",
+      ]);
+    }
+  });
+
+  it("rejects invalid days, hours, slot lengths and breaks", () => {
+    const hours = { startTime: "09:00", endTime: "17:00" };
+    const errors = errorsOf([
+      { dayOfWeek: 7, ...hours },
+      { dayOfWeek: 2, startTime: "17:00", endTime: "09:00" },
+      { dayOfWeek: 2, ...hours, slotDuration: 4 },
+      { dayOfWeek: 4, ...hours, breaks: [null, { start: "13:00", end: "12:00" }] },
+    ]);
+
+    assert.deepEqual(errors, [
+      "days[0].dayOfWeek must be between 0 and 6",
+      "days[1] needs a startTime before its endTime (HH:MM)",
+      "days[2].dayOfWeek 2 is listed more than once",
+      "days[2].slotDuration must be between 5 and 480 minutes",
+      "days[3].breaks[0] needs a start before its end (HH:MM)",
+      "days[3].breaks[1] needs a start before its end (HH:MM)",
+    ]);
+  });
+});